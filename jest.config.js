@@ -3,7 +3,7 @@ export default {
     '^.+\\.[jt]sx?$': 'babel-jest'
   },
   transformIgnorePatterns: [
-    'node_modules/(?!(bare-crypto|expo-asset|pear-apps-utils-validator|otpauth|@noble)/)'
+    'node_modules/(?!(bare-crypto|expo-asset|pear-apps-utils-validator|otpauth|@noble|@scure)/)'
   ],
   setupFiles: ['<rootDir>/jest.setup.js']
 }
@@ -0,0 +1,5 @@
+export const BACKUP_PHASE = {
+  WRITE: 'write',
+  VERIFY: 'verify',
+  RESTORE: 'restore'
+}
@@ -0,0 +1,34 @@
+// Stable codes sent across the RPC boundary. The UI should branch on these,
+// never on the English message.
+export const ERROR_CODES = {
+  UNKNOWN: 'UNKNOWN',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_INPUT: 'INVALID_INPUT',
+  STORAGE_PATH_NOT_SET: 'STORAGE_PATH_NOT_SET',
+  STORAGE_PATH_INVALID: 'STORAGE_PATH_INVALID',
+  STORAGE_LOCKED: 'STORAGE_LOCKED',
+  ENCRYPTION_NOT_INITIALISED: 'ENCRYPTION_NOT_INITIALISED',
+  VAULTS_NOT_INITIALISED: 'VAULTS_NOT_INITIALISED',
+  VAULT_NOT_INITIALISED: 'VAULT_NOT_INITIALISED',
+  VAULT_NOT_FOUND: 'VAULT_NOT_FOUND',
+  RECORD_NOT_FOUND: 'RECORD_NOT_FOUND',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  FILE_INTEGRITY_MISMATCH: 'FILE_INTEGRITY_MISMATCH',
+  MASTER_PASSWORD_EXISTS: 'MASTER_PASSWORD_EXISTS',
+  MASTER_PASSWORD_NOT_SET: 'MASTER_PASSWORD_NOT_SET',
+  KEY_SLOT_NOT_FOUND: 'KEY_SLOT_NOT_FOUND',
+  KEY_SLOT_WIPED: 'KEY_SLOT_WIPED',
+  BAD_PASSWORD: 'BAD_PASSWORD',
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',
+  INVALID_INVITE: 'INVALID_INVITE',
+  PAIRING_FAILED: 'PAIRING_FAILED',
+  PAIRING_TIMEOUT: 'PAIRING_TIMEOUT',
+  MIRROR_UNREACHABLE: 'MIRROR_UNREACHABLE'
+}
+
+// Failures caused by transient conditions; the same request may succeed later.
+export const RETRYABLE_ERROR_CODES = [
+  ERROR_CODES.STORAGE_LOCKED,
+  ERROR_CODES.PAIRING_TIMEOUT,
+  ERROR_CODES.MIRROR_UNREACHABLE
+]
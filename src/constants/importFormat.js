@@ -0,0 +1,8 @@
+export const IMPORT_FORMAT = {
+  ONE_PASSWORD: '1password',
+  BITWARDEN: 'bitwarden',
+  LASTPASS: 'lastpass',
+  KEEPASS: 'keepass',
+  CHROME: 'chrome',
+  FIREFOX: 'firefox'
+}
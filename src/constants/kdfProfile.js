@@ -0,0 +1,5 @@
+export const KDF_PROFILE = {
+  MOBILE: 'mobile',
+  DESKTOP: 'desktop',
+  PARANOID: 'paranoid'
+}
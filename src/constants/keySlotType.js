@@ -0,0 +1,6 @@
+export const KEY_SLOT_TYPE = {
+  PASSWORD: 'password',
+  RECOVERY: 'recovery',
+  DEVICE: 'device',
+  PIN: 'pin'
+}
@@ -0,0 +1,3 @@
+export const OTP_ENCODER = {
+  STEAM: 'steam'
+}
@@ -0,0 +1,12 @@
+export const OTP_IMPORT_FORMAT = {
+  GOOGLE_AUTHENTICATOR: 'google-authenticator',
+  AEGIS: 'aegis',
+  TWO_FAS: '2fas'
+}
+
+export const OTP_IMPORT_STATUS = {
+  ATTACHED: 'attached',
+  CREATED: 'created',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+}
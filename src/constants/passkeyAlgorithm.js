@@ -0,0 +1,4 @@
+export const PASSKEY_ALGORITHM = {
+  ES256: 'ES256',
+  EdDSA: 'EdDSA'
+}
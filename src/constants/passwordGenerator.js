@@ -0,0 +1,12 @@
+export const GENERATED_PASSWORD_TYPE = {
+  PASSWORD: 'password',
+  PASSPHRASE: 'passphrase'
+}
+
+// Rule sets for sites that restrict what a password may contain
+export const PASSWORD_PROFILE = {
+  DEFAULT: 'default',
+  ALPHANUMERIC: 'alphanumeric',
+  LIMITED_SYMBOLS: 'limitedSymbols',
+  PIN: 'pin'
+}
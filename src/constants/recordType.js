@@ -0,0 +1,9 @@
+export const RECORD_TYPE = {
+  LOGIN: 'login',
+  CREDIT_CARD: 'creditCard',
+  IDENTITY: 'identity',
+  NOTE: 'note',
+  WIFI: 'wifi',
+  SSH_KEY: 'sshKey',
+  CUSTOM: 'custom'
+}
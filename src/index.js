@@ -1 +1,10 @@
 export { PearpassVaultClient } from './pearpassVaultClient/index.js'
+export { PearpassVaultError } from './pearpassVaultClient/pearpassVaultError.js'
+export { ERROR_CODES } from './constants/errorCodes.js'
+export { KEY_SLOT_TYPE } from './constants/keySlotType.js'
+export { KDF_PROFILE } from './constants/kdfProfile.js'
+export {
+  GENERATED_PASSWORD_TYPE,
+  PASSWORD_PROFILE
+} from './constants/passwordGenerator.js'
+export { RECORD_TYPE } from './constants/recordType.js'
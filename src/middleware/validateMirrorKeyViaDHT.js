@@ -1,5 +1,7 @@
 import id from 'hypercore-id-encoding'
 
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
 import { getSharedDHT } from '../worklet/utils/dht'
 
 /**
@@ -77,7 +79,7 @@ export const withMirrorValidation =
     const valid = await filterReachableMirrors(mirrors, options)
 
     if (valid.length === 0) {
-      throw new Error('No reachable mirrors')
+      throw vaultError(ERROR_CODES.MIRROR_UNREACHABLE, 'No reachable mirrors')
     }
 
     return action(valid)
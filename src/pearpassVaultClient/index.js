@@ -3,8 +3,15 @@ import EventEmitter from 'events'
 import RPC from 'bare-rpc'
 import FramedStream from 'framed-stream'
 
-import { receiveFileStream } from '../utils/recieveFileStream.js'
-import { sendFileStream } from '../utils/sendFileStream.js'
+import { PearpassVaultError } from './pearpassVaultError.js'
+import { PearpassVaultHandle } from './vaultHandle.js'
+import {
+  readFileStream,
+  receiveFileStream
+} from '../utils/recieveFileStream.js'
+import { pipeFileStream, sendFileStream } from '../utils/sendFileStream.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
+import { KEY_SLOT_TYPE } from '../constants/keySlotType.js'
 import { API, API_BY_VALUE } from '../worklet/api.js'
 
 export class PearpassVaultClient extends EventEmitter {
@@ -38,7 +45,32 @@ export class PearpassVaultClient extends EventEmitter {
     this.rpc = new RPC(new FramedStream(ipc), (req) => {
       switch (req.command) {
         case API.ON_UPDATE:
-          this.emit('update')
+          this.emit('update', this._parseUpdatePayload(req.data)?.vaultId)
+
+          break
+
+        case API.ON_OTP_CODES: {
+          const payload = this._parseUpdatePayload(req.data)
+
+          if (payload) {
+            this.emit('otpCodes', payload)
+          }
+
+          break
+        }
+
+        case API.ON_BACKUP_PROGRESS: {
+          const payload = this._parseUpdatePayload(req.data)
+
+          if (payload) {
+            this.emit('backupProgress', payload)
+          }
+
+          break
+        }
+
+        case API.ON_LOCKED:
+          this.emit('locked', this._parseUpdatePayload(req.data))
 
           break
 
@@ -61,16 +93,55 @@ export class PearpassVaultClient extends EventEmitter {
     return Buffer.from(password).toString('base64')
   }
 
+  /**
+   * Passwords and PINs travel as base64 like `_toBase64`, recovery words and
+   * device keys as given.
+   * @param {string} slotType
+   * @param {Buffer | Uint8Array | string | undefined} secret
+   * @returns {string | undefined}
+   */
+  _toSlotSecret(slotType, secret) {
+    const isPassword =
+      slotType === KEY_SLOT_TYPE.PASSWORD || slotType === KEY_SLOT_TYPE.PIN
+
+    return isPassword && secret ? this._toBase64(secret) : secret
+  }
+
+  /**
+   * @param {Buffer | string | undefined} data
+   * @returns {Object | null} the JSON payload of a worklet request
+   */
+  _parseUpdatePayload(data) {
+    if (!data?.length) {
+      return null
+    }
+
+    try {
+      return JSON.parse(data.toString())
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * @param {{ error?: Object | string } | undefined} parsedRes
+   * @throws {PearpassVaultError}
+   */
   _handleError(parsedRes) {
     const error = parsedRes?.error
 
-    if (error?.includes('ELOCKED')) {
-      throw new Error('ELOCKED')
+    if (!error) {
+      return
     }
 
-    if (error) {
-      throw new Error(error)
+    const vaultError = PearpassVaultError.fromEnvelope(error)
+
+    // Callers compare the message against 'ELOCKED' to detect a locked store
+    if (vaultError.code === ERROR_CODES.STORAGE_LOCKED) {
+      vaultError.message = 'ELOCKED'
     }
+
+    throw vaultError
   }
 
   /**
@@ -194,26 +265,16 @@ export class PearpassVaultClient extends EventEmitter {
   }
 
   /**
-   * Gets a file from the active vault.
-   * @param {string} key - The key of the vault to get the file from.
-   * @returns {Promise<Object>} The file data.
-   */
-  async activeVaultGetFile(key) {
-    return this._handleRequest({
-      command: API.ACTIVE_VAULT_FILE_GET,
-      data: { key }
-    })
-  }
-
-  /**
-   * Removes a file from the active vault.
+   * Removes a file from the active vault. The file is kept in the trash
+   * until purged; see `activeVaultListTrash`.
    * @param {string} key - The key of the vault to remove the file from.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async activeVaultRemoveFile(key) {
+  async activeVaultRemoveFile(key, vaultId) {
     return this._handleRequest({
       command: API.ACTIVE_VAULT_FILE_REMOVE,
-      data: { key }
+      data: { key, vaultId }
     })
   }
 
@@ -243,6 +304,54 @@ export class PearpassVaultClient extends EventEmitter {
     })
   }
 
+  /**
+   * Opens a vault next to the active one, so several vaults can be used at
+   * the same time.
+   * @param {Object} params
+   * @param {string} params.id - The ID of the vault.
+   * @param {string} params.encryptionKey - The encryption key for the vault.
+   * @returns {Promise<PearpassVaultHandle>}
+   */
+  async openVault({ id, encryptionKey }) {
+    await this._handleRequest({
+      command: API.VAULT_INSTANCE_OPEN,
+      data: { id, encryptionKey }
+    })
+
+    return this.vault(id)
+  }
+
+  /**
+   * Closes an open vault.
+   * @param {string} id - The ID of the vault.
+   * @returns {Promise<void>}
+   */
+  async closeVault(id) {
+    return this._handleRequest({
+      command: API.VAULT_INSTANCE_CLOSE,
+      data: { id }
+    })
+  }
+
+  /**
+   * Lists the ids of all open vaults, the active one included.
+   * @returns {Promise<Array<string>>}
+   */
+  async listOpenVaults() {
+    return this._handleRequest({
+      command: API.VAULT_INSTANCE_LIST
+    })
+  }
+
+  /**
+   * Returns a handle whose methods are scoped to a single open vault.
+   * @param {string} id - The ID of the vault.
+   * @returns {PearpassVaultHandle}
+   */
+  vault(id) {
+    return new PearpassVaultHandle(this, id)
+  }
+
   /**
    * Gets the status of the active vault.
    * @returns {Promise<Object>}
@@ -298,6 +407,7 @@ export class PearpassVaultClient extends EventEmitter {
 
   /**
    * Initializes vaults using the provided master password.
+   * @deprecated use `unlock` with `KEY_SLOT_TYPE.PASSWORD`
    * @param {Buffer | Uint8Array} password
    * @returns {Promise<Object>}
    */
@@ -326,8 +436,144 @@ export class PearpassVaultClient extends EventEmitter {
     })
   }
 
+  /**
+   * Initializes vaults with the secret of any key slot. When they are
+   * already initialized, only checks the secret.
+   * @param {Object} params
+   * @param {string} params.slotType - one of `KEY_SLOT_TYPE`
+   * @param {Buffer | Uint8Array | string} params.secret - password or PIN,
+   *   recovery words, or base64 device key
+   * @param {string} [params.slotId] - only try this slot
+   * @param {string} [params.deviceKey] - base64, returned when the PIN was
+   *   added; required with a PIN
+   * @returns {Promise<{ success: true }>}
+   * @throws {PearpassVaultError} `KEY_SLOT_WIPED` when the last PIN attempt
+   *   failed and the PIN was removed
+   */
+  async unlock({ slotType, secret, slotId, deviceKey }) {
+    return this._handleRequest({
+      command: API.UNLOCK,
+      data: {
+        slotType,
+        secret: this._toSlotSecret(slotType, secret),
+        slotId,
+        deviceKey
+      }
+    })
+  }
+
+  /**
+   * Adds a key slot, authorized with the secret of an existing one. Recovery
+   * keys and device keys are generated and returned once as `secret`; keep a
+   * device key in the OS keystore. A new PIN or recovery key replaces the
+   * previous one.
+   * @param {Object} params
+   * @param {string} params.slotType - `KEY_SLOT_TYPE.PIN`, `RECOVERY` or
+   *   `DEVICE`
+   * @param {Buffer | Uint8Array} [params.secret] - the PIN
+   * @param {string} [params.label]
+   * @param {{ slotType: string, secret: Buffer | Uint8Array | string, slotId?: string, deviceKey?: string }} params.auth
+   * @returns {Promise<{ slot: { id: string, type: string, label: string | null, createdAt: number }, secret?: string }>}
+   *   for a PIN, `secret` is the device key to unlock with next to it
+   */
+  async addKeySlot({ slotType, secret, label, auth }) {
+    return this._handleRequest({
+      command: API.KEY_SLOT_ADD,
+      data: {
+        slotType,
+        secret: this._toSlotSecret(slotType, secret),
+        label,
+        auth: auth && {
+          ...auth,
+          secret: this._toSlotSecret(auth.slotType, auth.secret)
+        }
+      }
+    })
+  }
+
+  /**
+   * Removes a key slot other than the master password one. Requires
+   * initialized vaults.
+   * @param {string} slotId
+   * @returns {Promise<{ success: true }>}
+   */
+  async removeKeySlot(slotId) {
+    return this._handleRequest({
+      command: API.KEY_SLOT_REMOVE,
+      data: { slotId }
+    })
+  }
+
+  /**
+   * Works before the vaults are initialized, to offer the available ways to
+   * unlock.
+   * @returns {Promise<Array<{ id: string, type: string, label: string | null, createdAt: number | null }>>}
+   */
+  async listKeySlots() {
+    return this._handleRequest({ command: API.KEY_SLOT_LIST })
+  }
+
+  /**
+   * A PIN is removed after a few wrong attempts in a row, unlike the master
+   * password which only locks out for a while.
+   * @returns {Promise<{ isSet: boolean, remainingAttempts: number }>}
+   */
+  async getPinStatus() {
+    return this._handleRequest({ command: API.PIN_STATUS })
+  }
+
+  /**
+   * Chooses the Argon2 parameters of new password and PIN hashes. A master
+   * password hashed with weaker ones is re-hashed on the next unlock with
+   * it. Not persisted, set it on each start before unlocking.
+   * @param {string} profile - one of `KDF_PROFILE`
+   * @returns {Promise<{ profile: string, kdf: { alg: string, opslimit: number, memlimit: number } }>}
+   */
+  async setKdfProfile(profile) {
+    return this._handleRequest({
+      command: API.KDF_PROFILE_SET,
+      data: { profile }
+    })
+  }
+
+  /**
+   * Generates a recovery key that can set a new master password if the
+   * current one is lost. Show it once, it is not stored in readable form.
+   * A previous recovery key stops working.
+   * @param {Buffer | Uint8Array} password - current master password
+   * @returns {Promise<{ recoveryKey: string, createdAt: number }>}
+   *   `recoveryKey` is 24 words separated by spaces
+   */
+  async createRecoveryKey(password) {
+    return this._handleRequest({
+      command: API.RECOVERY_KEY_CREATE,
+      data: { password: this._toBase64(password) }
+    })
+  }
+
+  /**
+   * @returns {Promise<{ isSet: boolean, createdAt: number | null }>}
+   */
+  async getRecoveryKeyStatus() {
+    return this._handleRequest({ command: API.RECOVERY_KEY_STATUS })
+  }
+
+  /**
+   * Sets a new master password using the recovery key and initializes
+   * vaults with it.
+   * @param {{ recoveryKey: string, newPassword: Buffer | Uint8Array }} params
+   * @returns {Promise<Object>}
+   */
+  async recoverWithRecoveryKey({ recoveryKey, newPassword }) {
+    return this._handleRequest({
+      command: API.RECOVER_WITH_RECOVERY_KEY,
+      data: { recoveryKey, newPassword: this._toBase64(newPassword) }
+    })
+  }
+
   /**
    * Initializes vaults using provided encryption credentials.
+   * @deprecated use `unlock` with a `KEY_SLOT_TYPE.DEVICE` key slot
    * @param {{ ciphertext: string, nonce: string, hashedPassword: string }} params
    * @returns {Promise<Object>}
    */
@@ -352,36 +598,40 @@ export class PearpassVaultClient extends EventEmitter {
    * Adds a file to the active vault.
    * @param {string} key - The key of the vault to add the file to.
    * @param {Buffer} buffer - The file data to add.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<object>}
    */
-  async activeVaultAdd(key, data) {
+  async activeVaultAdd(key, data, vaultId) {
     return this._handleRequest({
       command: API.ACTIVE_VAULT_ADD,
-      data: { key, data }
+      data: { key, data, vaultId }
     })
   }
 
   /**
-   * Removes a record from the active vault.
+   * Removes a record from the active vault. `record/` keys are moved to the
+   * trash instead of being deleted; see `activeVaultListTrash`.
    * @param {string} key - The key of the record to remove.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<object>}
    */
-  async activeVaultRemove(key) {
+  async activeVaultRemove(key, vaultId) {
     return this._handleRequest({
       command: API.ACTIVE_VAULT_REMOVE,
-      data: { key }
+      data: { key, vaultId }
     })
   }
 
   /**
    * Lists all records in the active vault.
    * @param {string} filterKey - The key to filter records by.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Array<Object>>} The list of records.
    */
-  async activeVaultList(filterKey) {
+  async activeVaultList(filterKey, vaultId) {
     return this._handleRequest({
       command: API.ACTIVE_VAULT_LIST,
-      data: { filterKey }
+      data: { filterKey, vaultId }
     })
   }
 
@@ -393,7 +643,8 @@ export class PearpassVaultClient extends EventEmitter {
    *   gt?:  { key: string },
    *   lt?:  { key: string },
    *   limit?: number,
-   *   reverse?: boolean
+   *   reverse?: boolean,
+   *   vaultId?: string
    * }} options
    * @returns {Promise<Array<{ key: string, value: any }>>}
    */
@@ -404,45 +655,220 @@ export class PearpassVaultClient extends EventEmitter {
     })
   }
 
+  /**
+   * Searches titles, usernames, URLs, tags and notes of the active vault's
+   * records. Only matching titles and highlighted snippets are returned; fetch
+   * a full record with `activeVaultGet`.
+   * @param {{
+   *   query: string,
+   *   fields?: Array<'title' | 'username' | 'url' | 'tags' | 'notes'>,
+   *   limit?: number,
+   *   offset?: number,
+   *   vaultId?: string
+   * }} options
+   * @returns {Promise<{
+   *   results: Array<{ id: string, type: string, title: string, score: number, highlights: Array<{ field: string, value: string, ranges: Array<[number, number]> }> }>,
+   *   total: number,
+   *   offset: number,
+   *   limit: number
+   * }>}
+   */
+  async activeVaultSearch(options) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_SEARCH,
+      data: options
+    })
+  }
+
+  /**
+   * Reports on the health of a vault's passwords. Passwords never leave the
+   * worklet; the report lists record ids.
+   *
+   * For the breach check, fetch the ranges of `breachPrefixes` from a
+   * k-anonymity API such as Have I Been Pwned, write them under the storage
+   * path as `<SHA-1>:<count>` lines with each prefix put back, and audit
+   * again with `breachListPath`.
+   * @param {Object} [options]
+   * @param {number} [options.maxAgeDays] - passwords not updated for this
+   *   long are reported as stale, defaults to 365
+   * @param {Array<string>} [options.twoFactorDomains] - sites that support
+   *   2FA, e.g. `github.com`
+   * @param {string} [options.breachListPath] - relative to the storage path
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{
+   *   auditedCount: number,
+   *   reused: Array<Array<string>>,
+   *   strength: Array<{ id: string, strength: string }>,
+   *   stale: Array<{ id: string, updatedAt: number | null }>,
+   *   missingTwoFactor: Array<{ id: string, domains: Array<string> }>,
+   *   breachPrefixes: Array<string>,
+   *   breached: Array<{ id: string, count: number }> | null
+   * }>}
+   */
+  async activeVaultAudit(options = {}, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_AUDIT,
+      data: { ...options, vaultId }
+    })
+  }
+
+  /**
+   * Gets the stored versions of a record, newest first. Every save of a
+   * `record/` key keeps a version, up to the last 20. Versions are written by
+   * the device that saves the record and replicate with the vault. Writes that
+   * skip this client, such as those of peers on releases without history or
+   * straight to Autopass, leave no version.
+   * @param {string} key - The key of the record, e.g. `record/<id>`.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<Array<{ versionId: string, timestamp: number, writerKey: string | null, data: Object }>>}
+   *   `writerKey` is null for the value a record had before history was kept.
+   */
+  async activeVaultGetRecordHistory(key, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_RECORD_HISTORY,
+      data: { key, vaultId }
+    })
+  }
+
+  /**
+   * Makes a stored version the current value of a record. The restore is
+   * saved as a new version, so it can be undone the same way.
+   * @param {string} key - The key of the record, e.g. `record/<id>`.
+   * @param {string} versionId - A `versionId` from `activeVaultGetRecordHistory`.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<Object>} The restored record.
+   */
+  async activeVaultRestoreRecord(key, versionId, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_RECORD_RESTORE,
+      data: { key, versionId, vaultId }
+    })
+  }
+
+  /**
+   * Limits the total size of attachments in the active vault, including files
+   * in the trash. Uploads past the limit fail with `QUOTA_EXCEEDED`.
+   * @param {number | null} quotaBytes - `null` removes the limit.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<void>}
+   */
+  async activeVaultSetAttachmentQuota(quotaBytes, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_SET_ATTACHMENT_QUOTA,
+      data: { quotaBytes, vaultId }
+    })
+  }
+
+  /**
+   * Reports how much attachment storage the active vault uses.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ usedBytes: number, trashBytes: number, fileCount: number, quotaBytes: number | null }>}
+   */
+  async activeVaultGetAttachmentUsage(vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_GET_ATTACHMENT_USAGE,
+      data: vaultId ? { vaultId } : undefined
+    })
+  }
+
+  /**
+   * Lists records and files removed from the active vault, most recently
+   * removed first.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<Array<{ key: string, deletedAt: number, isFile: boolean, data: Object }>>}
+   */
+  async activeVaultListTrash(vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_TRASH_LIST,
+      data: vaultId ? { vaultId } : undefined
+    })
+  }
+
+  /**
+   * Restores a removed record or file under its original key.
+   * @param {string} key - The key the record or file had before removal.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<void>}
+   */
+  async activeVaultRestoreFromTrash(key, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_TRASH_RESTORE,
+      data: { key, vaultId }
+    })
+  }
+
+  /**
+   * Permanently deletes entries from the trash.
+   * @param {Array<string>} [keys] - Original keys to purge. Empties the trash when omitted.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ purged: number }>}
+   */
+  async activeVaultPurgeTrash(keys, vaultId) {
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_TRASH_PURGE,
+      data: { keys, vaultId }
+    })
+  }
+
+  /**
+   * Sets how long removed entries stay in the trash. Expired entries are
+   * purged when a vault is opened.
+   * @param {number | null} retentionDays - `null` keeps entries until purged.
+   * @returns {Promise<void>}
+   */
+  async setTrashRetention(retentionDays) {
+    return this._handleRequest({
+      command: API.SET_TRASH_RETENTION,
+      data: { retentionDays }
+    })
+  }
+
   /**
    * Returns the active vault's autobase writer key.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<string>}
    */
-  async activeVaultGetWriterKey() {
+  async activeVaultGetWriterKey(vaultId) {
     return this._handleRequest({
-      command: API.ACTIVE_VAULT_GET_WRITER_KEY
+      command: API.ACTIVE_VAULT_GET_WRITER_KEY,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
   /**
    * Gets a record from the active vault.
    * @param {string} key - The key of the record to get.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Object>}
    */
-  async activeVaultGet(key) {
+  async activeVaultGet(key, vaultId) {
     return this._handleRequest({
       command: API.ACTIVE_VAULT_GET,
-      data: { key }
+      data: { key, vaultId }
     })
   }
 
   /**
    * Creates an invite for the active vault.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Object>}
    */
-  async activeVaultCreateInvite() {
+  async activeVaultCreateInvite(vaultId) {
     return this._handleRequest({
-      command: API.ACTIVE_VAULT_CREATE_INVITE
+      command: API.ACTIVE_VAULT_CREATE_INVITE,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
   /**
    * Deletes an invite for the active vault.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Object>}
    */
-  async activeVaultDeleteInvite() {
+  async activeVaultDeleteInvite(vaultId) {
     return this._handleRequest({
-      command: API.ACTIVE_VAULT_DELETE_INVITE
+      command: API.ACTIVE_VAULT_DELETE_INVITE,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
@@ -483,55 +909,63 @@ export class PearpassVaultClient extends EventEmitter {
 
   /**
    * Get blind mirrors for the active vault
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Array<{key: string, isDefault: boolean}>>}
    */
-  async getBlindMirrors() {
+  async getBlindMirrors(vaultId) {
     return this._handleRequest({
-      command: API.BLIND_MIRRORS_GET
+      command: API.BLIND_MIRRORS_GET,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
   /**
    * Add blind mirrors to the active vault
    * @param {Array<string>} blindMirrors
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async addBlindMirrors(blindMirrors) {
+  async addBlindMirrors(blindMirrors, vaultId) {
     return this._handleRequest({
       command: API.BLIND_MIRRORS_ADD,
-      data: { blindMirrors }
+      data: { blindMirrors, vaultId }
     })
   }
 
   /**
    * Remove a blind mirror from the active vault
    * @param {string} key
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async removeBlindMirror(key) {
+  async removeBlindMirror(key, vaultId) {
     return this._handleRequest({
       command: API.BLIND_MIRROR_REMOVE,
-      data: { key }
+      data: { key, vaultId }
     })
   }
 
   /**
    * Add default blind mirrors
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async addDefaultBlindMirrors() {
+  async addDefaultBlindMirrors(vaultId) {
     return this._handleRequest({
-      command: API.BLIND_MIRRORS_ADD_DEFAULTS
+      command: API.BLIND_MIRRORS_ADD_DEFAULTS,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
   /**
    * Remove all blind mirrors
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async removeAllBlindMirrors() {
+  async removeAllBlindMirrors(vaultId) {
     return this._handleRequest({
-      command: API.BLIND_MIRRORS_REMOVE_ALL
+      command: API.BLIND_MIRRORS_REMOVE_ALL,
+      data: vaultId ? { vaultId } : undefined
     })
   }
 
@@ -593,6 +1027,32 @@ export class PearpassVaultClient extends EventEmitter {
     })
   }
 
+  /**
+   * Generates a password or passphrase in the worklet, so every client draws
+   * from the same rules. Options override the rules of the profile.
+   * @param {Object} [options]
+   * @param {'password' | 'passphrase'} [options.type] - defaults to password
+   * @param {string} [options.profile] - one of `PASSWORD_PROFILE`, defaults
+   *   to 20 characters of every class
+   * @param {number} [options.length]
+   * @param {boolean | string} [options.lowercase] - a string replaces the
+   *   class characters, e.g. the symbols a site allows
+   * @param {boolean | string} [options.uppercase]
+   * @param {boolean | string} [options.digits]
+   * @param {boolean | string} [options.symbols]
+   * @param {boolean} [options.excludeAmbiguous] - leaves out `Il1|O0o`
+   * @param {number} [options.words] - passphrases, defaults to 6
+   * @param {string} [options.separator] - passphrases, defaults to `-`
+   * @param {boolean} [options.capitalize] - passphrases
+   * @returns {Promise<{ password: string, entropyBits: number }>}
+   */
+  async generatePassword(options = {}) {
+    return this._handleRequest({
+      command: API.GENERATE_PASSWORD,
+      data: options
+    })
+  }
+
   /**
    * Encrypts the vault key with a hashed password.
    * @param {string} hashedPassword - The hashed password to use for encryption.
@@ -623,13 +1083,14 @@ export class PearpassVaultClient extends EventEmitter {
    * @param {Object} params - The parameters for getting the decryption key.
    * @param {string} params.salt - The salt to use for key derivation.
    * @param {Buffer | Uint8Array} params.password - The password to use for key derivation.
+   * @param {{ alg: string, opslimit: number, memlimit: number }} [params.kdf] - The KDF parameters stored with the salt.
    * @returns {Promise<Object>}
    */
-  async getDecryptionKey({ salt, password }) {
+  async getDecryptionKey({ salt, password, kdf }) {
     const passwordString = Buffer.from(password).toString('base64')
     return this._handleRequest({
       command: API.ENCRYPTION_GET_DECRYPTION_KEY,
-      data: { salt, password: passwordString }
+      data: { salt, password: passwordString, kdf }
     })
   }
 
@@ -669,24 +1130,42 @@ export class PearpassVaultClient extends EventEmitter {
   }
 
   /**
-   * Adds a file to the active vault.
+   * Adds a file to the active vault. Pass an async iterable (e.g. a file read
+   * stream) for large files; it is streamed with backpressure and stored in
+   * chunks, so neither side holds the whole file in memory.
    * @param {string} key - The key of the file to add.
-   * @param {Buffer} buffer - The file data to add.
-   * @returns {Promise<Object>}
+   * @param {Buffer | AsyncIterable<Buffer>} content - The file data to add.
+   * @param {string} [name] - The file name, stored with the file and used in error messages.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @param {Object} [options]
+   * @param {string} [options.mimeType]
+   * @param {string} [options.recordId] - The record the file is attached to.
+   * @param {number} [options.size] - Size of streamed content, so uploads over
+   *   the vault's attachment quota are rejected before they are sent.
+   * @returns {Promise<{ size: number, hash: string, name?: string, mimeType?: string, recordId?: string, createdAt: number, updatedAt: number }>}
+   *   The stored file's metadata. `hash` is the hex BLAKE2b-256 of the content.
    */
-  async activeVaultAddFile(key, buffer, name) {
+  async activeVaultAddFile(key, content, name, vaultId, options = {}) {
     try {
       this._logger.log('Adding file to active vault:', { key })
 
       const req = this.rpc.request(API.ACTIVE_VAULT_FILE_ADD)
 
       const stream = req.createRequestStream()
+      const metaData = {
+        key,
+        name,
+        vaultId,
+        mimeType: options.mimeType,
+        recordId: options.recordId,
+        size: options.size ?? content?.length
+      }
 
-      await sendFileStream({
-        stream,
-        buffer,
-        metaData: { key, name }
-      })
+      if (content?.[Symbol.asyncIterator]) {
+        await pipeFileStream({ stream, source: content, metaData })
+      } else {
+        await sendFileStream({ stream, buffer: content, metaData })
+      }
 
       const res = await req.reply('utf8')
 
@@ -695,6 +1174,8 @@ export class PearpassVaultClient extends EventEmitter {
       this._handleError(parsedResponse)
 
       this._logger.log('File added', parsedResponse)
+
+      return parsedResponse.file
     } catch (error) {
       this._logger.error('Error adding file to active vault:', error)
       throw error
@@ -704,9 +1185,10 @@ export class PearpassVaultClient extends EventEmitter {
   /**
    * Gets a file from the active vault.
    * @param {string} key - The key of the file to get.
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Buffer>}
    */
-  async activeVaultGetFile(key) {
+  async activeVaultGetFile(key, vaultId) {
     try {
       const req = this.rpc.request(API.ACTIVE_VAULT_FILE_GET)
 
@@ -714,7 +1196,7 @@ export class PearpassVaultClient extends EventEmitter {
         key
       })
 
-      req.send(JSON.stringify({ key }))
+      req.send(JSON.stringify({ key, vaultId }))
 
       const stream = req.createResponseStream()
 
@@ -728,6 +1210,35 @@ export class PearpassVaultClient extends EventEmitter {
     }
   }
 
+  /**
+   * Streams a file from the active vault, optionally only a byte range of it
+   * for previews.
+   * @param {string} key - The key of the file to read.
+   * @param {Object} [options]
+   * @param {number} [options.start] - First byte to read. Defaults to 0.
+   * @param {number} [options.end] - Byte to stop before. Defaults to the file size.
+   * @param {string} [options.vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{
+   *   metaData: { key: string, size: number, start: number, end: number, hash?: string, name?: string, mimeType?: string, recordId?: string, createdAt?: number, updatedAt?: number },
+   *   content: AsyncIterable<Buffer>
+   * } | null>} null if there is no file at `key`. Iterating `content` fails
+   *   with `FILE_INTEGRITY_MISMATCH` before a chunk that does not match its
+   *   stored hash is sent.
+   */
+  async activeVaultReadFile(key, { start, end, vaultId } = {}) {
+    this._logger.log('Reading file from active vault:', { key, start, end })
+
+    const req = this.rpc.request(API.ACTIVE_VAULT_FILE_GET)
+
+    req.send(JSON.stringify({ key, start, end, vaultId }))
+
+    const { metaData, content } = await readFileStream(
+      req.createResponseStream()
+    )
+
+    return metaData ? { metaData, content } : null
+  }
+
   /**
    * Tests IPC by sending a URL to be logged by the backend.
    * @param {string} url - The URL to log.
@@ -775,6 +1286,8 @@ export class PearpassVaultClient extends EventEmitter {
   }
 
   /**
+   * Encrypts export data in the v2 format: the Argon2id parameters are
+   * recorded in the header, which is authenticated with the ciphertext.
    * @param {string} data
    * @param {string} password
    * @returns {Promise<{
@@ -782,8 +1295,10 @@ export class PearpassVaultClient extends EventEmitter {
    *   encrypted: boolean,
    *   algorithm: string,
    *   kdf: string,
+   *   kdfParams: { opslimit: number, memlimit: number },
    *   salt: string,
    *   nonce: string,
+   *   chunkSize: number,
    *   ciphertext: string
    * }>}
    */
@@ -795,11 +1310,14 @@ export class PearpassVaultClient extends EventEmitter {
   }
 
   /**
+   * Decrypts a v2 export, or a v1 export from earlier versions.
    * @param {Object} encryptedData
    * @param {string} encryptedData.version
    * @param {boolean} encryptedData.encrypted
    * @param {string} encryptedData.algorithm
    * @param {string} encryptedData.kdf
+   * @param {{ opslimit: number, memlimit: number }} [encryptedData.kdfParams] - v2
+   * @param {number} [encryptedData.chunkSize] - v2
    * @param {string} encryptedData.salt
    * @param {string} encryptedData.nonce
    * @param {string} encryptedData.ciphertext
@@ -837,49 +1355,296 @@ export class PearpassVaultClient extends EventEmitter {
   /**
    * Generates OTP codes for a list of record IDs.
    * @param {string[]} recordIds
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<Array<{ recordId: string, code: string, timeRemaining?: number }>>}
    */
-  async generateOtpCodesByIds(recordIds) {
+  async generateOtpCodesByIds(recordIds, vaultId) {
     return this._handleRequest({
       command: API.GENERATE_OTP_CODES_BY_IDS,
-      data: { recordIds }
+      data: { recordIds, vaultId }
     })
   }
 
   /**
    * Generates the next HOTP code for a record and increments the counter.
    * @param {string} recordId
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<{ code: string, counter: number }>}
    */
-  async generateHotpNext(recordId) {
+  async generateHotpNext(recordId, vaultId) {
     return this._handleRequest({
       command: API.GENERATE_HOTP_NEXT,
-      data: { recordId }
+      data: { recordId, vaultId }
     })
   }
 
   /**
    * Adds an OTP configuration to a record.
    * @param {string} recordId
-   * @param {string} otpInput - otpauth:// URI or raw Base32 secret
+   * @param {string} otpInput - otpauth:// URI, steam:// URI or raw Base32 secret
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async addOtpToRecord(recordId, otpInput) {
+  async addOtpToRecord(recordId, otpInput, vaultId) {
     return this._handleRequest({
       command: API.ADD_OTP_TO_RECORD,
-      data: { recordId, otpInput }
+      data: { recordId, otpInput, vaultId }
     })
   }
 
   /**
    * Removes OTP configuration from a record.
    * @param {string} recordId
+   * @param {string} [vaultId] - Target an open vault other than the active one.
    * @returns {Promise<void>}
    */
-  async removeOtpFromRecord(recordId) {
+  async removeOtpFromRecord(recordId, vaultId) {
     return this._handleRequest({
       command: API.REMOVE_OTP_FROM_RECORD,
-      data: { recordId }
+      data: { recordId, vaultId }
+    })
+  }
+
+  /**
+   * Registers records for pushed TOTP codes. Codes are emitted as `otpCodes`
+   * events, `{ subscriptionId, vaultId, codes }`, at each period boundary.
+   * @param {Array<string>} recordIds
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ subscriptionId: string, codes: Array<{ recordId: string, code: string, timeRemaining?: number, period?: number }> }>}
+   *   the current codes
+   */
+  async subscribeOtpCodes(recordIds, vaultId) {
+    return this._handleRequest({
+      command: API.SUBSCRIBE_OTP_CODES,
+      data: { recordIds, vaultId }
+    })
+  }
+
+  /**
+   * @param {string} subscriptionId
+   * @returns {Promise<boolean>} whether the subscription existed
+   */
+  async unsubscribeOtpCodes(subscriptionId) {
+    return this._handleRequest({
+      command: API.UNSUBSCRIBE_OTP_CODES,
+      data: { subscriptionId }
+    })
+  }
+
+  /**
+   * Imports every token of an authenticator export, attaching each to a
+   * matching record or creating a new one.
+   * @param {string | Array<string> | Object} input - `otpauth-migration://`
+   *   URIs from Google Authenticator, or an Aegis or 2FAS JSON export
+   * @param {Object} [options]
+   * @param {string} [options.password] - for encrypted exports
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ format: string, report: Array<{ issuer?: string, label?: string, status: string, recordId?: string, error?: string }> }>}
+   */
+  async importOtpEntries(input, options = {}, vaultId) {
+    return this._handleRequest({
+      command: API.IMPORT_OTP_ENTRIES,
+      data: { input, password: options.password, vaultId }
+    })
+  }
+
+  /**
+   * Imports the records of a 1Password (.1pux), Bitwarden JSON, LastPass CSV,
+   * KeePass (KDBX 4), Chrome or Firefox CSV export into the vault.
+   * @param {string | Uint8Array} data - CSV text, or the bytes of the export
+   * @param {Object} [options]
+   * @param {string} [options.format] - one of `IMPORT_FORMAT`, detected if omitted
+   * @param {string} [options.password] - for KeePass databases and password
+   *   protected Bitwarden exports
+   * @param {string} [options.accountKey] - base64 account key, for account
+   *   restricted Bitwarden exports
+   * @param {boolean} [options.dryRun] - preview the import without writing;
+   *   items are validated as in a real import
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ format: string, dryRun: boolean, importedCount: number, records: Array<{ index: number, type: string, title: string, folder?: string, recordId?: string }>, errors: Array<{ index: number, title?: string, error: string, field?: string }>, stoppedAt: number | null }>}
+   *   `stoppedAt` is the index of the item whose write failed; it and the
+   *   items after it were not imported
+   */
+  async activeVaultImportRecords(data, options = {}, vaultId) {
+    const isBinary = typeof data !== 'string'
+
+    return this._handleRequest({
+      command: API.ACTIVE_VAULT_IMPORT_RECORDS,
+      data: {
+        input: isBinary ? Buffer.from(data).toString('base64') : data,
+        encoding: isBinary ? 'base64' : undefined,
+        format: options.format,
+        password: options.password,
+        accountKey: options.accountKey,
+        dryRun: options.dryRun,
+        vaultId
+      }
+    })
+  }
+
+  /**
+   * Writes an encrypted backup of a vault, with its files, history, trash and
+   * blind mirrors, under the storage path. Progress is emitted as
+   * `backupProgress` events, `{ path, phase, processed, total }`.
+   * @param {Object} options
+   * @param {string} options.password
+   * @param {string} [options.path] - a new `.ppbackup` file under `backups/`,
+   *   relative to the storage path; defaults to
+   *   `backups/<vaultId>/<timestamp>.ppbackup`
+   * @param {{ opslimit: number, memlimit: number }} [options.kdfParams]
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ path: string, vaultId: string, createdAt: number, entryCount: number, size: number }>}
+   */
+  async createVaultBackup({ password, path, kdfParams }, vaultId) {
+    return this._handleRequest({
+      command: API.VAULT_BACKUP_CREATE,
+      data: { password, path, kdfParams, vaultId }
+    })
+  }
+
+  /**
+   * Recreates a vault from a backup, as a new vault or over an open one.
+   * Nothing is written unless the whole backup decrypts. Progress is emitted
+   * as `backupProgress` events, first for the `verify` phase, then `restore`.
+   * @param {Object} options
+   * @param {string} options.path - relative to the storage path
+   * @param {string} options.password
+   * @param {boolean} [options.overwrite] - replace the contents of `vaultId`,
+   *   or of the active vault; they are put back if the restore fails
+   * @param {string} [options.vaultId] - id for the new vault, 32 hex
+   *   characters, random if omitted
+   * @param {string} [options.encryptionKey] - base64, required for a new vault
+   * @returns {Promise<{ vaultId: string, createdAt: number, entryCount: number }>}
+   */
+  async restoreVaultBackup({
+    path,
+    password,
+    overwrite,
+    vaultId,
+    encryptionKey
+  }) {
+    return this._handleRequest({
+      command: API.VAULT_BACKUP_RESTORE,
+      data: { path, password, overwrite, vaultId, encryptionKey }
+    })
+  }
+
+  /**
+   * Configures automatic snapshots of the vaults list and of every vault in
+   * it, closed ones included. They are encrypted with a key derived from the
+   * vault key and still restore after a master password change. Settings are
+   * not persisted, send them again after each start.
+   * @param {Object} settings
+   * @param {boolean} [settings.enabled] - false stops automatic snapshots
+   * @param {string | null} [settings.path] - absolute directory, defaults to
+   *   `snapshots` under the storage path
+   * @param {number | null} [settings.intervalMinutes]
+   * @param {number | null} [settings.changeThreshold] - vault updates between
+   *   snapshots
+   * @param {number} [settings.keep] - snapshots kept, 5 by default
+   * @returns {Promise<{ enabled: boolean, path: string, intervalMinutes: number | null, changeThreshold: number | null, keep: number }>}
+   */
+  async configureAutoBackup(settings) {
+    return this._handleRequest({
+      command: API.AUTO_BACKUP_CONFIGURE,
+      data: settings
+    })
+  }
+
+  /**
+   * Locks the vaults after `idleMinutes` without requests and, with
+   * `lockOnSuspend`, when the app goes to the background. Locking closes
+   * every instance and emits `locked` with `{ reason }`; unlock again to
+   * continue. Settings are not persisted, send them again after each start.
+   * @param {Object} settings
+   * @param {number | null} [settings.idleMinutes] - at most 1440 (24 hours),
+   *   null never locks on idle
+   * @param {boolean} [settings.lockOnSuspend]
+   * @returns {Promise<{ idleMinutes: number | null, lockOnSuspend: boolean }>}
+   */
+  async configureAutoLock(settings) {
+    return this._handleRequest({
+      command: API.AUTO_LOCK_CONFIGURE,
+      data: settings
+    })
+  }
+
+  /**
+   * Takes a snapshot now.
+   * @returns {Promise<{ snapshotId: string, createdAt: number, vaultIds: Array<string> }>}
+   */
+  async takeSnapshot() {
+    return this._handleRequest({ command: API.AUTO_BACKUP_SNAPSHOT })
+  }
+
+  /**
+   * @returns {Promise<Array<{ snapshotId: string, createdAt: number, vaultIds: Array<string> }>>}
+   *   newest first
+   */
+  async listSnapshots() {
+    return this._handleRequest({ command: API.AUTO_BACKUP_LIST })
+  }
+
+  /**
+   * Restores a vault from a snapshot, in place with `overwrite` or as a new
+   * vault. Without `vaultId`, re-adds vaults removed from the vaults list
+   * since the snapshot. Progress is emitted as `backupProgress` events.
+   * @param {Object} options
+   * @param {string} options.snapshotId
+   * @param {string} [options.vaultId]
+   * @param {boolean} [options.overwrite]
+   * @param {string} [options.newVaultId] - random if omitted
+   * @param {string} [options.encryptionKey] - base64, required for a new vault
+   * @returns {Promise<{ vaultId: string, createdAt: number, entryCount: number } | { restoredKeys: Array<string> }>}
+   */
+  async restoreSnapshot({
+    snapshotId,
+    vaultId,
+    overwrite,
+    newVaultId,
+    encryptionKey
+  }) {
+    return this._handleRequest({
+      command: API.AUTO_BACKUP_RESTORE,
+      data: { snapshotId, vaultId, overwrite, newVaultId, encryptionKey }
+    })
+  }
+
+  /**
+   * Generates a passkey for a relying party and stores it in a record. The
+   * private key stays in the worklet.
+   * @param {string} recordId
+   * @param {Object} options
+   * @param {string} options.rpId
+   * @param {string} [options.algorithm] - `ES256` (default) or `EdDSA`
+   * @param {string} [options.userHandle] - base64url user.id from the relying party
+   * @param {string} [options.userName]
+   * @param {string} [options.userDisplayName]
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ credentialId: string, publicKey: string, authenticatorData: string, attestationObject: string }>}
+   */
+  async addPasskeyToRecord(recordId, options, vaultId) {
+    return this._handleRequest({
+      command: API.ADD_PASSKEY_TO_RECORD,
+      data: { recordId, ...options, vaultId }
+    })
+  }
+
+  /**
+   * Signs a WebAuthn assertion with the passkey of a record and increments
+   * its signature counter.
+   * @param {string} recordId
+   * @param {Object} params
+   * @param {string} params.rpId
+   * @param {string} params.clientDataHash - base64url SHA-256 of clientDataJSON
+   * @param {boolean} [params.userVerified]
+   * @param {string} [vaultId] - Target an open vault other than the active one.
+   * @returns {Promise<{ credentialId: string, userHandle?: string, authenticatorData: string, signature: string, signCount: number }>}
+   */
+  async signWebauthnAssertion(recordId, params, vaultId) {
+    return this._handleRequest({
+      command: API.SIGN_WEBAUTHN_ASSERTION,
+      data: { recordId, ...params, vaultId }
     })
   }
 }
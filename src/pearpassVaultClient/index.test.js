@@ -1,7 +1,12 @@
 import EventEmitter from 'events'
 
+import RPC from 'bare-rpc'
+
 import { PearpassVaultClient } from './index'
+import { PearpassVaultError } from './pearpassVaultError'
 import { API } from '../worklet/api'
+import { readFileStream } from '../utils/recieveFileStream'
+import { pipeFileStream } from '../utils/sendFileStream'
 
 jest.mock('bare-rpc', () =>
   jest.fn().mockImplementation(() => ({
@@ -19,10 +24,15 @@ jest.mock('framed-stream', () => jest.fn())
 jest.mock('../utils/recieveFileStream', () => ({
   receiveFileStream: jest
     .fn()
-    .mockResolvedValue({ buffer: Buffer.from('mockBuffer') })
+    .mockResolvedValue({ buffer: Buffer.from('mockBuffer') }),
+  readFileStream: jest.fn().mockResolvedValue({
+    metaData: { key: 'fileKey', size: 10, start: 0, end: 4 },
+    content: ['mockContent']
+  })
 }))
 jest.mock('../utils/sendFileStream', () => ({
-  sendFileStream: jest.fn().mockResolvedValue()
+  sendFileStream: jest.fn().mockResolvedValue(),
+  pipeFileStream: jest.fn().mockResolvedValue()
 }))
 jest.mock('../worklet/api', () => ({
   API: {
@@ -71,7 +81,46 @@ jest.mock('../worklet/api', () => ({
     ACTIVE_VAULT_FILE_ADD: 'ACTIVE_VAULT_FILE_ADD',
     ACTIVE_VAULT_FILE_GET: 'ACTIVE_VAULT_FILE_GET',
     ACTIVE_VAULT_FILE_REMOVE: 'ACTIVE_VAULT_FILE_REMOVE',
-    SET_LOG_OPTIONS: 'SET_LOG_OPTIONS'
+    SET_LOG_OPTIONS: 'SET_LOG_OPTIONS',
+    VAULT_INSTANCE_OPEN: 'VAULT_INSTANCE_OPEN',
+    VAULT_INSTANCE_CLOSE: 'VAULT_INSTANCE_CLOSE',
+    VAULT_INSTANCE_LIST: 'VAULT_INSTANCE_LIST',
+    ACTIVE_VAULT_SEARCH: 'ACTIVE_VAULT_SEARCH',
+    ACTIVE_VAULT_RECORD_HISTORY: 'ACTIVE_VAULT_RECORD_HISTORY',
+    ACTIVE_VAULT_RECORD_RESTORE: 'ACTIVE_VAULT_RECORD_RESTORE',
+    ACTIVE_VAULT_TRASH_LIST: 'ACTIVE_VAULT_TRASH_LIST',
+    ACTIVE_VAULT_TRASH_RESTORE: 'ACTIVE_VAULT_TRASH_RESTORE',
+    ACTIVE_VAULT_TRASH_PURGE: 'ACTIVE_VAULT_TRASH_PURGE',
+    SET_TRASH_RETENTION: 'SET_TRASH_RETENTION',
+    ACTIVE_VAULT_SET_ATTACHMENT_QUOTA: 'ACTIVE_VAULT_SET_ATTACHMENT_QUOTA',
+    ACTIVE_VAULT_GET_ATTACHMENT_USAGE: 'ACTIVE_VAULT_GET_ATTACHMENT_USAGE',
+    ADD_PASSKEY_TO_RECORD: 'ADD_PASSKEY_TO_RECORD',
+    SIGN_WEBAUTHN_ASSERTION: 'SIGN_WEBAUTHN_ASSERTION',
+    IMPORT_OTP_ENTRIES: 'IMPORT_OTP_ENTRIES',
+    SUBSCRIBE_OTP_CODES: 'SUBSCRIBE_OTP_CODES',
+    UNSUBSCRIBE_OTP_CODES: 'UNSUBSCRIBE_OTP_CODES',
+    ON_OTP_CODES: 'ON_OTP_CODES',
+    ACTIVE_VAULT_IMPORT_RECORDS: 'ACTIVE_VAULT_IMPORT_RECORDS',
+    VAULT_BACKUP_CREATE: 'VAULT_BACKUP_CREATE',
+    VAULT_BACKUP_RESTORE: 'VAULT_BACKUP_RESTORE',
+    ON_BACKUP_PROGRESS: 'ON_BACKUP_PROGRESS',
+    AUTO_BACKUP_CONFIGURE: 'AUTO_BACKUP_CONFIGURE',
+    AUTO_BACKUP_SNAPSHOT: 'AUTO_BACKUP_SNAPSHOT',
+    AUTO_BACKUP_LIST: 'AUTO_BACKUP_LIST',
+    AUTO_BACKUP_RESTORE: 'AUTO_BACKUP_RESTORE',
+    RECOVERY_KEY_CREATE: 'RECOVERY_KEY_CREATE',
+    RECOVERY_KEY_STATUS: 'RECOVERY_KEY_STATUS',
+    RECOVER_WITH_RECOVERY_KEY: 'RECOVER_WITH_RECOVERY_KEY',
+    KEY_SLOT_ADD: 'KEY_SLOT_ADD',
+    KEY_SLOT_REMOVE: 'KEY_SLOT_REMOVE',
+    KEY_SLOT_LIST: 'KEY_SLOT_LIST',
+    UNLOCK: 'UNLOCK',
+    PIN_STATUS: 'PIN_STATUS',
+    KDF_PROFILE_SET: 'KDF_PROFILE_SET',
+    AUTO_LOCK_CONFIGURE: 'AUTO_LOCK_CONFIGURE',
+    ON_LOCKED: 'ON_LOCKED',
+    ACTIVE_VAULT_AUDIT: 'ACTIVE_VAULT_AUDIT',
+    GENERATE_PASSWORD: 'GENERATE_PASSWORD'
   },
   API_BY_VALUE: {
     ON_UPDATE: 'ON_UPDATE',
@@ -120,7 +169,46 @@ jest.mock('../worklet/api', () => ({
     ACTIVE_VAULT_FILE_ADD: 'ACTIVE_VAULT_FILE_ADD',
     ACTIVE_VAULT_FILE_GET: 'ACTIVE_VAULT_FILE_GET',
     ACTIVE_VAULT_FILE_REMOVE: 'ACTIVE_VAULT_FILE_REMOVE',
-    SET_LOG_OPTIONS: 'SET_LOG_OPTIONS'
+    SET_LOG_OPTIONS: 'SET_LOG_OPTIONS',
+    VAULT_INSTANCE_OPEN: 'VAULT_INSTANCE_OPEN',
+    VAULT_INSTANCE_CLOSE: 'VAULT_INSTANCE_CLOSE',
+    VAULT_INSTANCE_LIST: 'VAULT_INSTANCE_LIST',
+    ACTIVE_VAULT_SEARCH: 'ACTIVE_VAULT_SEARCH',
+    ACTIVE_VAULT_RECORD_HISTORY: 'ACTIVE_VAULT_RECORD_HISTORY',
+    ACTIVE_VAULT_RECORD_RESTORE: 'ACTIVE_VAULT_RECORD_RESTORE',
+    ACTIVE_VAULT_TRASH_LIST: 'ACTIVE_VAULT_TRASH_LIST',
+    ACTIVE_VAULT_TRASH_RESTORE: 'ACTIVE_VAULT_TRASH_RESTORE',
+    ACTIVE_VAULT_TRASH_PURGE: 'ACTIVE_VAULT_TRASH_PURGE',
+    SET_TRASH_RETENTION: 'SET_TRASH_RETENTION',
+    ACTIVE_VAULT_SET_ATTACHMENT_QUOTA: 'ACTIVE_VAULT_SET_ATTACHMENT_QUOTA',
+    ACTIVE_VAULT_GET_ATTACHMENT_USAGE: 'ACTIVE_VAULT_GET_ATTACHMENT_USAGE',
+    ADD_PASSKEY_TO_RECORD: 'ADD_PASSKEY_TO_RECORD',
+    SIGN_WEBAUTHN_ASSERTION: 'SIGN_WEBAUTHN_ASSERTION',
+    IMPORT_OTP_ENTRIES: 'IMPORT_OTP_ENTRIES',
+    SUBSCRIBE_OTP_CODES: 'SUBSCRIBE_OTP_CODES',
+    UNSUBSCRIBE_OTP_CODES: 'UNSUBSCRIBE_OTP_CODES',
+    ON_OTP_CODES: 'ON_OTP_CODES',
+    ACTIVE_VAULT_IMPORT_RECORDS: 'ACTIVE_VAULT_IMPORT_RECORDS',
+    VAULT_BACKUP_CREATE: 'VAULT_BACKUP_CREATE',
+    VAULT_BACKUP_RESTORE: 'VAULT_BACKUP_RESTORE',
+    ON_BACKUP_PROGRESS: 'ON_BACKUP_PROGRESS',
+    AUTO_BACKUP_CONFIGURE: 'AUTO_BACKUP_CONFIGURE',
+    AUTO_BACKUP_SNAPSHOT: 'AUTO_BACKUP_SNAPSHOT',
+    AUTO_BACKUP_LIST: 'AUTO_BACKUP_LIST',
+    AUTO_BACKUP_RESTORE: 'AUTO_BACKUP_RESTORE',
+    RECOVERY_KEY_CREATE: 'RECOVERY_KEY_CREATE',
+    RECOVERY_KEY_STATUS: 'RECOVERY_KEY_STATUS',
+    RECOVER_WITH_RECOVERY_KEY: 'RECOVER_WITH_RECOVERY_KEY',
+    KEY_SLOT_ADD: 'KEY_SLOT_ADD',
+    KEY_SLOT_REMOVE: 'KEY_SLOT_REMOVE',
+    KEY_SLOT_LIST: 'KEY_SLOT_LIST',
+    UNLOCK: 'UNLOCK',
+    PIN_STATUS: 'PIN_STATUS',
+    KDF_PROFILE_SET: 'KDF_PROFILE_SET',
+    AUTO_LOCK_CONFIGURE: 'AUTO_LOCK_CONFIGURE',
+    ON_LOCKED: 'ON_LOCKED',
+    ACTIVE_VAULT_AUDIT: 'ACTIVE_VAULT_AUDIT',
+    GENERATE_PASSWORD: 'GENERATE_PASSWORD'
   }
 }))
 
@@ -156,6 +244,45 @@ describe('PearpassVaultClient', () => {
     expect(() => client._handleError({ error: 'ELOCKED' })).toThrow('ELOCKED')
   })
 
+  it('throws PearpassVaultError preserving the error envelope', () => {
+    const envelope = {
+      code: 'BAD_PASSWORD',
+      message: 'Error initializing with password: Invalid password',
+      details: { attempt: 1 },
+      retryable: false
+    }
+
+    let thrown
+    try {
+      client._handleError({ error: envelope })
+    } catch (error) {
+      thrown = error
+    }
+
+    expect(thrown).toBeInstanceOf(PearpassVaultError)
+    expect(thrown).toBeInstanceOf(Error)
+    expect(thrown.code).toBe('BAD_PASSWORD')
+    expect(thrown.message).toBe(envelope.message)
+    expect(thrown.details).toEqual({ attempt: 1 })
+    expect(thrown.retryable).toBe(false)
+  })
+
+  it('keeps the ELOCKED message for a locked storage envelope', () => {
+    expect(() =>
+      client._handleError({
+        error: {
+          code: 'STORAGE_LOCKED',
+          message: 'Error initializing vaults: ELOCKED',
+          retryable: true
+        }
+      })
+    ).toThrow(expect.objectContaining({ message: 'ELOCKED', retryable: true }))
+  })
+
+  it('does not throw when the reply has no error', () => {
+    expect(() => client._handleError({ data: 'ok' })).not.toThrow()
+  })
+
   it('should throw generic error in _handleError', () => {
     expect(() => client._handleError({ error: 'Some error' })).toThrow(
       'Some error'
@@ -181,6 +308,69 @@ describe('PearpassVaultClient', () => {
     await expect(
       client.activeVaultFind({ gte: { key: 'a' }, lt: { key: 'b' } })
     ).resolves.toBe('mockData')
+    await expect(client.activeVaultSearch({ query: 'git' })).resolves.toBe(
+      'mockData'
+    )
+    await expect(client.activeVaultAudit({ maxAgeDays: 90 })).resolves.toBe(
+      'mockData'
+    )
+    await expect(client.activeVaultGetRecordHistory('record/r1')).resolves.toBe(
+      'mockData'
+    )
+    await expect(
+      client.activeVaultRestoreRecord('record/r1', 'v1')
+    ).resolves.toBe('mockData')
+    await expect(client.activeVaultListTrash()).resolves.toBe('mockData')
+    await expect(client.activeVaultRestoreFromTrash('record/r1')).resolves.toBe(
+      'mockData'
+    )
+    await expect(client.activeVaultPurgeTrash()).resolves.toBe('mockData')
+    await expect(client.setTrashRetention(30)).resolves.toBe('mockData')
+    await expect(client.activeVaultSetAttachmentQuota(1024)).resolves.toBe(
+      'mockData'
+    )
+    await expect(client.activeVaultGetAttachmentUsage()).resolves.toBe(
+      'mockData'
+    )
+    await expect(
+      client.addPasskeyToRecord('r1', { rpId: 'example.com' })
+    ).resolves.toBe('mockData')
+    await expect(
+      client.signWebauthnAssertion('r1', {
+        rpId: 'example.com',
+        clientDataHash: 'hash'
+      })
+    ).resolves.toBe('mockData')
+    await expect(
+      client.importOtpEntries('otpauth-migration://offline?data=abc')
+    ).resolves.toBe('mockData')
+    await expect(client.subscribeOtpCodes(['r1'])).resolves.toBe('mockData')
+    await expect(
+      client.activeVaultImportRecords('name,url,username,password')
+    ).resolves.toBe('mockData')
+    await expect(client.unsubscribeOtpCodes('sub')).resolves.toBe('mockData')
+    await expect(client.createVaultBackup({ password: 'pw' })).resolves.toBe(
+      'mockData'
+    )
+    await expect(
+      client.restoreVaultBackup({ path: 'backups/b.ppbackup', password: 'pw' })
+    ).resolves.toBe('mockData')
+    await expect(
+      client.configureAutoBackup({ intervalMinutes: 60 })
+    ).resolves.toBe('mockData')
+    await expect(client.takeSnapshot()).resolves.toBe('mockData')
+    await expect(client.listSnapshots()).resolves.toBe('mockData')
+    await expect(client.getRecoveryKeyStatus()).resolves.toBe('mockData')
+    await expect(client.listKeySlots()).resolves.toBe('mockData')
+    await expect(client.getPinStatus()).resolves.toBe('mockData')
+    await expect(client.setKdfProfile('desktop')).resolves.toBe('mockData')
+    await expect(
+      client.configureAutoLock({ idleMinutes: 5, lockOnSuspend: true })
+    ).resolves.toBe('mockData')
+    await expect(client.removeKeySlot('slot')).resolves.toBe('mockData')
+    await expect(
+      client.restoreSnapshot({ snapshotId: '1000', vaultId: 'v1' })
+    ).resolves.toBe('mockData')
     await expect(client.activeVaultGetWriterKey()).resolves.toBe('mockData')
     await expect(client.activeVaultGet('key')).resolves.toBe('mockData')
     await expect(client.activeVaultCreateInvite()).resolves.toBe('mockData')
@@ -210,6 +400,9 @@ describe('PearpassVaultClient', () => {
     await expect(client.encryptionGet('key')).resolves.toBe('mockData')
     await expect(client.encryptionAdd('key', {})).resolves.toBe('mockData')
     await expect(client.hashPassword('pw')).resolves.toBe('mockData')
+    await expect(client.generatePassword({ length: 24 })).resolves.toBe(
+      'mockData'
+    )
     await expect(
       client.encryptVaultKeyWithHashedPassword('hashed')
     ).resolves.toBe('mockData')
@@ -260,6 +453,57 @@ describe('PearpassVaultClient', () => {
       data: { currentPassword: expected, newPassword: expected }
     })
 
+    await client.createRecoveryKey(bytes)
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.RECOVERY_KEY_CREATE,
+      data: { password: expected }
+    })
+
+    await client.recoverWithRecoveryKey({
+      recoveryKey: 'words',
+      newPassword: bytes
+    })
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.RECOVER_WITH_RECOVERY_KEY,
+      data: { recoveryKey: 'words', newPassword: expected }
+    })
+
+    await client.unlock({ slotType: 'pin', secret: bytes, deviceKey: 'a2V5' })
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.UNLOCK,
+      data: {
+        slotType: 'pin',
+        secret: expected,
+        slotId: undefined,
+        deviceKey: 'a2V5'
+      }
+    })
+
+    await client.addKeySlot({
+      slotType: 'device',
+      auth: { slotType: 'password', secret: bytes }
+    })
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.KEY_SLOT_ADD,
+      data: {
+        slotType: 'device',
+        secret: undefined,
+        label: undefined,
+        auth: { slotType: 'password', secret: expected }
+      }
+    })
+
+    await client.unlock({ slotType: 'recovery', secret: 'words' })
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.UNLOCK,
+      data: {
+        slotType: 'recovery',
+        secret: 'words',
+        slotId: undefined,
+        deviceKey: undefined
+      }
+    })
+
     handleSpy.mockRestore()
   })
 
@@ -274,6 +518,47 @@ describe('PearpassVaultClient', () => {
     expect(logSpy).toHaveBeenCalledWith('File added', expect.any(Object))
   })
 
+  it('streams async iterable file content with pipeFileStream', async () => {
+    async function* content() {
+      yield Buffer.from('data')
+    }
+    const source = content()
+
+    await client.activeVaultAddFile('fileKey', source, 'scan.pdf', undefined, {
+      mimeType: 'application/pdf',
+      recordId: 'r1',
+      size: 4
+    })
+
+    expect(pipeFileStream).toHaveBeenCalledWith({
+      stream: undefined,
+      source,
+      metaData: {
+        key: 'fileKey',
+        name: 'scan.pdf',
+        vaultId: undefined,
+        mimeType: 'application/pdf',
+        recordId: 'r1',
+        size: 4
+      }
+    })
+  })
+
+  it('should call activeVaultReadFile with a byte range', async () => {
+    const file = await client.activeVaultReadFile('fileKey', { end: 4 })
+
+    expect(file).toEqual({
+      metaData: { key: 'fileKey', size: 10, start: 0, end: 4 },
+      content: ['mockContent']
+    })
+  })
+
+  it('activeVaultReadFile returns null when there is no file', async () => {
+    readFileStream.mockResolvedValueOnce({ metaData: null, content: [] })
+
+    await expect(client.activeVaultReadFile('fileKey')).resolves.toBeNull()
+  })
+
   it('should call activeVaultGetFile and return buffer', async () => {
     const buffer = await client.activeVaultGetFile('fileKey')
     expect(buffer).toEqual(Buffer.from('mockBuffer'))
@@ -325,6 +610,117 @@ describe('PearpassVaultClient', () => {
     expect(updateSpy).toHaveBeenCalled()
   })
 
+  it('emits otpCodes with the payload of ON_OTP_CODES', () => {
+    const otpCodesSpy = jest.fn()
+    client.on('otpCodes', otpCodesSpy)
+    const onRequest = RPC.mock.calls.at(-1)[1]
+    const payload = {
+      subscriptionId: 'sub',
+      vaultId: 'v1',
+      codes: [{ recordId: 'r1', code: '123456', period: 30 }]
+    }
+
+    onRequest({
+      command: API.ON_OTP_CODES,
+      data: Buffer.from(JSON.stringify(payload))
+    })
+
+    expect(otpCodesSpy).toHaveBeenCalledWith(payload)
+  })
+
+  it('emits backupProgress with the payload of ON_BACKUP_PROGRESS', () => {
+    const progressSpy = jest.fn()
+    client.on('backupProgress', progressSpy)
+    const onRequest = RPC.mock.calls.at(-1)[1]
+    const payload = {
+      path: 'backups/v1/1.ppbackup',
+      phase: 'write',
+      processed: 10,
+      total: 20
+    }
+
+    onRequest({
+      command: API.ON_BACKUP_PROGRESS,
+      data: Buffer.from(JSON.stringify(payload))
+    })
+
+    expect(progressSpy).toHaveBeenCalledWith(payload)
+  })
+
+  it('emits locked with the reason of ON_LOCKED', () => {
+    const lockedSpy = jest.fn()
+    client.on('locked', lockedSpy)
+    const onRequest = RPC.mock.calls.at(-1)[1]
+
+    onRequest({
+      command: API.ON_LOCKED,
+      data: Buffer.from(JSON.stringify({ reason: 'suspend' }))
+    })
+
+    expect(lockedSpy).toHaveBeenCalledWith({ reason: 'suspend' })
+  })
+
+  it('parses the vault id sent with ON_UPDATE', () => {
+    expect(
+      client._parseUpdatePayload(Buffer.from(JSON.stringify({ vaultId: 'v1' })))
+    ).toEqual({ vaultId: 'v1' })
+    expect(client._parseUpdatePayload(null)).toBeNull()
+    expect(client._parseUpdatePayload(Buffer.from('not json'))).toBeNull()
+  })
+
+  it('openVault opens the vault and returns a handle bound to it', async () => {
+    const handleSpy = jest
+      .spyOn(client, '_handleRequest')
+      .mockResolvedValue(undefined)
+
+    const handle = await client.openVault({ id: 'v2', encryptionKey: 'k' })
+
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.VAULT_INSTANCE_OPEN,
+      data: { id: 'v2', encryptionKey: 'k' }
+    })
+    expect(handle.vaultId).toBe('v2')
+
+    await handle.close()
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.VAULT_INSTANCE_CLOSE,
+      data: { id: 'v2' }
+    })
+
+    handleSpy.mockRestore()
+  })
+
+  it('vault handle forwards its vault id with each request', async () => {
+    const handleSpy = jest
+      .spyOn(client, '_handleRequest')
+      .mockResolvedValue('ok')
+    const handle = client.vault('v2')
+
+    await handle.get('record-key')
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.ACTIVE_VAULT_GET,
+      data: { key: 'record-key', vaultId: 'v2' }
+    })
+
+    await handle.list('record/')
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.ACTIVE_VAULT_LIST,
+      data: { filterKey: 'record/', vaultId: 'v2' }
+    })
+
+    await handle.getWriterKey()
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.ACTIVE_VAULT_GET_WRITER_KEY,
+      data: { vaultId: 'v2' }
+    })
+
+    handleSpy.mockRestore()
+  })
+
+  it('vault handle requires a vault id', () => {
+    expect(() => client.vault()).toThrow('Vault id is required')
+  })
+
   it('uses injected logger when provided', () => {
     const fakeLogger = { log: jest.fn(), error: jest.fn() }
     const c = new PearpassVaultClient(ipcMock, '/mock/path', {
@@ -357,4 +753,28 @@ describe('PearpassVaultClient', () => {
     })
     handleSpy.mockRestore()
   })
+
+  it('activeVaultImportRecords sends binary exports as base64', async () => {
+    const handleSpy = jest
+      .spyOn(client, '_handleRequest')
+      .mockResolvedValue(null)
+    await client.activeVaultImportRecords(
+      new Uint8Array([1, 2, 3]),
+      { password: 'pw', dryRun: true },
+      'vault-2'
+    )
+    expect(handleSpy).toHaveBeenCalledWith({
+      command: API.ACTIVE_VAULT_IMPORT_RECORDS,
+      data: {
+        input: 'AQID',
+        encoding: 'base64',
+        format: undefined,
+        password: 'pw',
+        accountKey: undefined,
+        dryRun: true,
+        vaultId: 'vault-2'
+      }
+    })
+    handleSpy.mockRestore()
+  })
 })
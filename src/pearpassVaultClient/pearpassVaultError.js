@@ -0,0 +1,48 @@
+import { ERROR_CODES } from '../constants/errorCodes.js'
+
+/**
+ * Error thrown by `PearpassVaultClient` for failed commands. Carries the
+ * stable `code` from `ERROR_CODES` sent by the worklet, so callers can branch
+ * on it instead of matching the message.
+ */
+export class PearpassVaultError extends Error {
+  /**
+   * @param {Object} params
+   * @param {string} params.code
+   * @param {string} params.message
+   * @param {Object | null} [params.details]
+   * @param {boolean} [params.retryable]
+   */
+  constructor({ code, message, details = null, retryable = false }) {
+    super(message)
+
+    this.name = 'PearpassVaultError'
+    this.code = code
+    this.details = details
+    this.retryable = retryable
+  }
+
+  /**
+   * Builds an error from the `error` field of a worklet reply. Plain string
+   * errors from older worklets are accepted as well.
+   * @param {{ code: string, message: string, details?: Object, retryable?: boolean } | string} envelope
+   * @returns {PearpassVaultError}
+   */
+  static fromEnvelope(envelope) {
+    if (typeof envelope === 'string') {
+      return new PearpassVaultError({
+        code: envelope.includes('ELOCKED')
+          ? ERROR_CODES.STORAGE_LOCKED
+          : ERROR_CODES.UNKNOWN,
+        message: envelope
+      })
+    }
+
+    return new PearpassVaultError({
+      code: envelope.code ?? ERROR_CODES.UNKNOWN,
+      message: envelope.message,
+      details: envelope.details,
+      retryable: envelope.retryable
+    })
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * A view of `PearpassVaultClient` bound to a single open vault. Every method
+ * forwards to the matching client method with the handle's `vaultId`, so
+ * several vaults can be used side by side without passing the id around.
+ */
+export class PearpassVaultHandle {
+  /**
+   * @param {import('./index.js').PearpassVaultClient} client
+   * @param {string} vaultId
+   */
+  constructor(client, vaultId) {
+    if (!vaultId) {
+      throw new Error('Vault id is required')
+    }
+
+    this.client = client
+    this.vaultId = vaultId
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {
+    return this.client.closeVault(this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object>}
+   */
+  async get(key) {
+    return this.client.activeVaultGet(key, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} data
+   * @returns {Promise<Object>}
+   */
+  async add(key, data) {
+    return this.client.activeVaultAdd(key, data, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object>}
+   */
+  async remove(key) {
+    return this.client.activeVaultRemove(key, this.vaultId)
+  }
+
+  /**
+   * @param {string} filterKey
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(filterKey) {
+    return this.client.activeVaultList(filterKey, this.vaultId)
+  }
+
+  /**
+   * @param {Object} [options] - see `PearpassVaultClient#activeVaultFind`
+   * @returns {Promise<Array<{ key: string, value: any }>>}
+   */
+  async find(options = {}) {
+    return this.client.activeVaultFind({ ...options, vaultId: this.vaultId })
+  }
+
+  /**
+   * @param {Object} options - see `PearpassVaultClient#activeVaultSearch`
+   * @returns {Promise<Object>}
+   */
+  async search(options) {
+    return this.client.activeVaultSearch({ ...options, vaultId: this.vaultId })
+  }
+
+  /**
+   * @param {Object} [options] - see `PearpassVaultClient#activeVaultAudit`
+   * @returns {Promise<Object>}
+   */
+  async audit(options) {
+    return this.client.activeVaultAudit(options, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Array<Object>>}
+   */
+  async getRecordHistory(key) {
+    return this.client.activeVaultGetRecordHistory(key, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} versionId
+   * @returns {Promise<Object>}
+   */
+  async restoreRecord(key, versionId) {
+    return this.client.activeVaultRestoreRecord(key, versionId, this.vaultId)
+  }
+
+  /**
+   * @param {number | null} quotaBytes
+   * @returns {Promise<void>}
+   */
+  async setAttachmentQuota(quotaBytes) {
+    return this.client.activeVaultSetAttachmentQuota(quotaBytes, this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+  async getAttachmentUsage() {
+    return this.client.activeVaultGetAttachmentUsage(this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>}
+   */
+  async listTrash() {
+    return this.client.activeVaultListTrash(this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async restoreFromTrash(key) {
+    return this.client.activeVaultRestoreFromTrash(key, this.vaultId)
+  }
+
+  /**
+   * @param {Array<string>} [keys]
+   * @returns {Promise<{ purged: number }>}
+   */
+  async purgeTrash(keys) {
+    return this.client.activeVaultPurgeTrash(keys, this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<string>}
+   */
+  async getWriterKey() {
+    return this.client.activeVaultGetWriterKey(this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer | AsyncIterable<Buffer>} content
+   * @param {string} [name]
+   * @param {Object} [options] - see `PearpassVaultClient#activeVaultAddFile`
+   * @returns {Promise<Object>}
+   */
+  async addFile(key, content, name, options) {
+    return this.client.activeVaultAddFile(
+      key,
+      content,
+      name,
+      this.vaultId,
+      options
+    )
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  async getFile(key) {
+    return this.client.activeVaultGetFile(key, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ start?: number, end?: number }} [range]
+   * @returns {Promise<Object | null>}
+   */
+  async readFile(key, range) {
+    return this.client.activeVaultReadFile(key, {
+      ...range,
+      vaultId: this.vaultId
+    })
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeFile(key) {
+    return this.client.activeVaultRemoveFile(key, this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+  async createInvite() {
+    return this.client.activeVaultCreateInvite(this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<Object>}
+   */
+  async deleteInvite() {
+    return this.client.activeVaultDeleteInvite(this.vaultId)
+  }
+
+  /**
+   * Starts forwarding this vault's updates as client `update` events, emitted
+   * with this handle's `vaultId`.
+   * @returns {Promise<Object>}
+   */
+  async initListener() {
+    return this.client.initListener({ vaultId: this.vaultId })
+  }
+
+  /**
+   * @returns {Promise<Array<{key: string, isDefault: boolean}>>}
+   */
+  async getBlindMirrors() {
+    return this.client.getBlindMirrors(this.vaultId)
+  }
+
+  /**
+   * @param {Array<string>} blindMirrors
+   * @returns {Promise<void>}
+   */
+  async addBlindMirrors(blindMirrors) {
+    return this.client.addBlindMirrors(blindMirrors, this.vaultId)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async removeBlindMirror(key) {
+    return this.client.removeBlindMirror(key, this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async addDefaultBlindMirrors() {
+    return this.client.addDefaultBlindMirrors(this.vaultId)
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async removeAllBlindMirrors() {
+    return this.client.removeAllBlindMirrors(this.vaultId)
+  }
+
+  /**
+   * @param {string[]} recordIds
+   * @returns {Promise<Array<{ recordId: string, code: string, timeRemaining?: number }>>}
+   */
+  async generateOtpCodesByIds(recordIds) {
+    return this.client.generateOtpCodesByIds(recordIds, this.vaultId)
+  }
+
+  /**
+   * @param {string} recordId
+   * @returns {Promise<{ code: string, counter: number }>}
+   */
+  async generateHotpNext(recordId) {
+    return this.client.generateHotpNext(recordId, this.vaultId)
+  }
+
+  /**
+   * @param {string} recordId
+   * @param {string} otpInput - otpauth:// URI, steam:// URI or raw Base32 secret
+   * @returns {Promise<void>}
+   */
+  async addOtpToRecord(recordId, otpInput) {
+    return this.client.addOtpToRecord(recordId, otpInput, this.vaultId)
+  }
+
+  /**
+   * @param {string} recordId
+   * @returns {Promise<void>}
+   */
+  async removeOtpFromRecord(recordId) {
+    return this.client.removeOtpFromRecord(recordId, this.vaultId)
+  }
+
+  /**
+   * @param {Array<string>} recordIds
+   * @returns {Promise<{ subscriptionId: string, codes: Array<Object> }>}
+   */
+  async subscribeOtpCodes(recordIds) {
+    return this.client.subscribeOtpCodes(recordIds, this.vaultId)
+  }
+
+  /**
+   * @param {string | Array<string> | Object} input
+   * @param {{ password?: string }} [options]
+   * @returns {Promise<{ format: string, report: Array<Object> }>}
+   */
+  async importOtpEntries(input, options) {
+    return this.client.importOtpEntries(input, options, this.vaultId)
+  }
+
+  /**
+   * @param {string | Uint8Array} data
+   * @param {Object} [options] - see `PearpassVaultClient#activeVaultImportRecords`
+   * @returns {Promise<Object>}
+   */
+  async importRecords(data, options) {
+    return this.client.activeVaultImportRecords(data, options, this.vaultId)
+  }
+
+  /**
+   * @param {Object} options - see `PearpassVaultClient#createVaultBackup`
+   * @returns {Promise<Object>}
+   */
+  async createBackup(options) {
+    return this.client.createVaultBackup(options, this.vaultId)
+  }
+
+  /**
+   * @param {string} recordId
+   * @param {{ rpId: string, algorithm?: string, userHandle?: string, userName?: string, userDisplayName?: string }} options
+   * @returns {Promise<Object>}
+   */
+  async addPasskeyToRecord(recordId, options) {
+    return this.client.addPasskeyToRecord(recordId, options, this.vaultId)
+  }
+
+  /**
+   * @param {string} recordId
+   * @param {{ rpId: string, clientDataHash: string, userVerified?: boolean }} params
+   * @returns {Promise<Object>}
+   */
+  async signWebauthnAssertion(recordId, params) {
+    return this.client.signWebauthnAssertion(recordId, params, this.vaultId)
+  }
+}
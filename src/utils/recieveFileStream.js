@@ -18,7 +18,7 @@ import cenc from 'compact-encoding'
 export const receiveFileStream = async (stream) =>
   new Promise((resolve, reject) => {
     let metaData = null
-    let chunks = Buffer.from([])
+    const chunks = []
 
     stream.on('data', (data) => {
       if (!metaData) {
@@ -29,12 +29,12 @@ export const receiveFileStream = async (stream) =>
         return
       }
 
-      chunks = Buffer.concat([chunks, data])
+      chunks.push(data)
     })
 
     stream.on('end', () => {
       resolve({
-        buffer: chunks,
+        buffer: Buffer.concat(chunks),
         metaData
       })
     })
@@ -43,3 +43,26 @@ export const receiveFileStream = async (stream) =>
       reject(error)
     })
   })
+
+/**
+ * Reads the metaData chunk of a file stream and hands back the rest of the
+ * stream as an async iterable, so the content can be consumed as it arrives
+ * instead of being buffered. Pulling from `content` is what drives the
+ * stream, which gives the sender backpressure.
+ *
+ * @async
+ * @param {ReadableStream} stream - must be async iterable
+ * @returns {Promise<{
+ *   metaData: Object | null,
+ *   content: AsyncIterable<Buffer>
+ * }>} `metaData` is null when the stream ended without sending any
+ */
+export const readFileStream = async (stream) => {
+  const iterator = stream[Symbol.asyncIterator]()
+  const { value, done } = await iterator.next()
+
+  return {
+    metaData: done ? null : cenc.decode(cenc.json, value),
+    content: { [Symbol.asyncIterator]: () => iterator }
+  }
+}
@@ -1,9 +1,10 @@
 import { Buffer } from 'buffer'
 import { EventEmitter } from 'events'
+import { Readable } from 'stream'
 
 import cenc from 'compact-encoding'
 
-import { receiveFileStream } from './recieveFileStream'
+import { readFileStream, receiveFileStream } from './recieveFileStream'
 
 function createMockStream() {
   return new EventEmitter()
@@ -83,3 +84,44 @@ describe('receiveFileStream', () => {
     expect(result.buffer.length).toBe(0)
   })
 })
+
+describe('readFileStream', () => {
+  it('returns metadata and the remaining chunks as they arrive', async () => {
+    const metaData = { key: 'file/f1', size: 10 }
+    const stream = Readable.from([
+      cenc.encode(cenc.json, metaData),
+      Buffer.from('first '),
+      Buffer.from('second')
+    ])
+
+    const result = await readFileStream(stream)
+    const chunks = []
+    for await (const chunk of result.content) {
+      chunks.push(chunk.toString())
+    }
+
+    expect(result.metaData).toEqual(metaData)
+    expect(chunks).toEqual(['first ', 'second'])
+  })
+
+  it('returns null metadata for a stream that ends right away', async () => {
+    const result = await readFileStream(Readable.from([]))
+
+    expect(result.metaData).toBeNull()
+  })
+
+  it('rejects content iteration when the stream errors', async () => {
+    const stream = new Readable({ read() {} })
+    stream.push(cenc.encode(cenc.json, {}))
+
+    const { content } = await readFileStream(stream)
+    stream.destroy(new Error('Stream error'))
+
+    await expect(async () => {
+      const chunks = []
+      for await (const chunk of content) {
+        chunks.push(chunk)
+      }
+    }).rejects.toThrow('Stream error')
+  })
+})
@@ -34,3 +34,69 @@ export const sendFileStream = ({
 
   stream.once('drain', () => sendFileStream({ stream, buffer, start, step }))
 }
+
+/**
+ * @param {WritableStream} stream
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (stream) =>
+  new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off?.('error', onError)
+      resolve()
+    }
+    const onError = (error) => {
+      stream.off?.('drain', onDrain)
+      reject(error)
+    }
+
+    stream.once('drain', onDrain)
+    stream.once('error', onError)
+  })
+
+/**
+ * Writes metaData followed by every chunk of `source`, waiting for the
+ * stream to drain whenever it is full. Unlike `sendFileStream` the content
+ * never has to be in memory as a whole.
+ *
+ * @param {Object} params
+ * @param {WritableStream} params.stream
+ * @param {AsyncIterable<Buffer> | Iterable<Buffer> | null} params.source -
+ *   ends the stream without metaData when null
+ * @param {Object} [params.metaData]
+ * @param {(error: unknown) => Error} [params.toStreamError] - maps a failure
+ *   to the error the stream is destroyed with
+ * @returns {Promise<void>}
+ */
+export const pipeFileStream = async ({
+  stream,
+  source,
+  metaData = {},
+  toStreamError = (error) => error
+}) => {
+  if (!stream || !stream.write) {
+    throw new Error('Invalid stream provided. Ensure it is a writable stream.')
+  }
+
+  if (!source) {
+    stream.end()
+    return
+  }
+
+  try {
+    if (!stream.write(cenc.encode(cenc.json, metaData))) {
+      await waitForDrain(stream)
+    }
+
+    for await (const chunk of source) {
+      if (!stream.write(chunk)) {
+        await waitForDrain(stream)
+      }
+    }
+
+    stream.end()
+  } catch (error) {
+    stream.destroy?.(toStreamError(error))
+    throw error
+  }
+}
@@ -1,6 +1,8 @@
+import { EventEmitter } from 'events'
+
 import cenc from 'compact-encoding'
 
-import { sendFileStream } from './sendFileStream'
+import { pipeFileStream, sendFileStream } from './sendFileStream'
 
 describe('sendFileStream', () => {
   let mockStream
@@ -65,3 +67,90 @@ describe('sendFileStream', () => {
     expect(mockStream.once).toHaveBeenCalledWith('drain', expect.any(Function))
   })
 })
+
+describe('pipeFileStream', () => {
+  const createStream = () => {
+    const emitter = new EventEmitter()
+    return Object.assign(emitter, {
+      write: jest.fn(() => true),
+      end: jest.fn(),
+      destroy: jest.fn()
+    })
+  }
+
+  async function* source(...parts) {
+    for (const part of parts) {
+      yield Buffer.from(part)
+    }
+  }
+
+  test('writes metadata followed by every chunk', async () => {
+    const stream = createStream()
+    const metaData = { key: 'file/f1' }
+
+    await pipeFileStream({ stream, source: source('a', 'b'), metaData })
+
+    expect(stream.write.mock.calls.map(([chunk]) => chunk)).toEqual([
+      cenc.encode(cenc.json, metaData),
+      Buffer.from('a'),
+      Buffer.from('b')
+    ])
+    expect(stream.end).toHaveBeenCalled()
+  })
+
+  test('waits for drain before pulling the next chunk', async () => {
+    const stream = createStream()
+    stream.write.mockReturnValueOnce(true).mockReturnValueOnce(false)
+
+    const done = pipeFileStream({ stream, source: source('a', 'b') })
+    await new Promise((resolve) => setImmediate(resolve))
+
+    expect(stream.write).toHaveBeenCalledTimes(2)
+    stream.emit('drain')
+    await done
+
+    expect(stream.write).toHaveBeenCalledTimes(3)
+  })
+
+  test('ends the stream without metadata when there is no source', async () => {
+    const stream = createStream()
+
+    await pipeFileStream({ stream, source: null })
+
+    expect(stream.write).not.toHaveBeenCalled()
+    expect(stream.end).toHaveBeenCalled()
+  })
+
+  test('destroys the stream when the source fails', async () => {
+    const stream = createStream()
+    const error = new Error('chunk missing')
+    async function* failing() {
+      yield Buffer.from('a')
+      throw error
+    }
+
+    await expect(pipeFileStream({ stream, source: failing() })).rejects.toBe(
+      error
+    )
+    expect(stream.destroy).toHaveBeenCalledWith(error)
+  })
+
+  test('destroys the stream with the mapped error', async () => {
+    const stream = createStream()
+    const error = new Error('chunk missing')
+    const mapped = new Error('Error reading file: chunk missing')
+    async function* failing() {
+      yield Buffer.from('a')
+      throw error
+    }
+
+    await expect(
+      pipeFileStream({
+        stream,
+        source: failing(),
+        toStreamError: () => mapped
+      })
+    ).rejects.toBe(error)
+    expect(stream.destroy).toHaveBeenCalledWith(mapped)
+  })
+})
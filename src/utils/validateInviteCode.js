@@ -1,3 +1,5 @@
+import { vaultError } from './vaultError.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
 import { workletLogger } from '../worklet/utils/workletLogger.js'
 
 const INVITE_CODE_REGEX = /^[a-zA-Z0-9-]+\/[a-zA-Z0-9-]+$/
@@ -15,5 +17,8 @@ export const validateInviteCode = (code) => {
 
   const errors = { code: 'Invalid invite code format' }
   workletLogger.error(`Invalid invite code: ${JSON.stringify(errors, null, 2)}`)
-  throw new Error(`Invalid invite code: ${JSON.stringify(errors, null, 2)}`)
+  throw vaultError(
+    ERROR_CODES.INVALID_INVITE,
+    `Invalid invite code: ${JSON.stringify(errors, null, 2)}`
+  )
 }
@@ -0,0 +1,80 @@
+import { ERROR_CODES, RETRYABLE_ERROR_CODES } from '../constants/errorCodes'
+
+/**
+ * Creates an Error carrying a stable `code` from `ERROR_CODES`.
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error & { code: string, details?: Object }}
+ */
+export const vaultError = (code, message, details) => {
+  const err = new Error(message)
+  err.code = code
+  if (details) {
+    err.details = details
+  }
+  return err
+}
+
+const CATALOG_CODES = new Set(Object.values(ERROR_CODES))
+
+/**
+ * Only codes of the catalog reach the client, system and storage engine
+ * codes such as `ENOENT` become `UNKNOWN`.
+ * @param {unknown} error
+ * @returns {string}
+ */
+const resolveCode = (error) => {
+  if (CATALOG_CODES.has(error?.code)) {
+    return error.code
+  }
+
+  // Storage lock errors come straight from the underlying storage engine
+  if (
+    error?.code === 'ELOCKED' ||
+    String(error?.message ?? error).includes('ELOCKED')
+  ) {
+    return ERROR_CODES.STORAGE_LOCKED
+  }
+
+  return ERROR_CODES.UNKNOWN
+}
+
+/**
+ * @param {unknown} error
+ * @param {string} code - the resolved code
+ * @returns {Object | null} details, with the code of an `UNKNOWN` error as
+ *   `originalCode`
+ */
+const resolveDetails = (error, code) => {
+  const details = error?.details ?? null
+
+  if (
+    code !== ERROR_CODES.UNKNOWN ||
+    typeof error?.code !== 'string' ||
+    CATALOG_CODES.has(error.code)
+  ) {
+    return details
+  }
+
+  return { ...details, originalCode: error.code }
+}
+
+/**
+ * Converts anything thrown inside a command handler into the error envelope
+ * replied to the client.
+ * @param {unknown} error
+ * @param {string} [context] - prefixed to the message, e.g. 'Error adding record'
+ * @returns {{ code: string, message: string, details: Object | null, retryable: boolean }}
+ */
+export const toErrorEnvelope = (error, context) => {
+  const code = resolveCode(error)
+  const reason = error?.message ?? String(error)
+
+  return {
+    code,
+    message: context ? `${context}: ${reason}` : reason,
+    details: resolveDetails(error, code),
+    retryable: RETRYABLE_ERROR_CODES.includes(code)
+  }
+}
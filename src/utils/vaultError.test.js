@@ -0,0 +1,77 @@
+import { toErrorEnvelope, vaultError } from './vaultError.js'
+import { ERROR_CODES } from '../constants/errorCodes.js'
+
+describe('vaultError', () => {
+  it('creates an Error carrying code and details', () => {
+    const err = vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found', {
+      recordId: 'r1'
+    })
+
+    expect(err).toBeInstanceOf(Error)
+    expect(err.message).toBe('Record not found')
+    expect(err.code).toBe(ERROR_CODES.RECORD_NOT_FOUND)
+    expect(err.details).toEqual({ recordId: 'r1' })
+  })
+
+  it('omits details when none are given', () => {
+    const err = vaultError(ERROR_CODES.BAD_PASSWORD, 'Invalid password')
+
+    expect(err.details).toBeUndefined()
+  })
+})
+
+describe('toErrorEnvelope', () => {
+  it('keeps the code of a coded error and prefixes the context', () => {
+    const envelope = toErrorEnvelope(
+      vaultError(ERROR_CODES.BAD_PASSWORD, 'Invalid password'),
+      'Error updating master password'
+    )
+
+    expect(envelope).toEqual({
+      code: ERROR_CODES.BAD_PASSWORD,
+      message: 'Error updating master password: Invalid password',
+      details: null,
+      retryable: false
+    })
+  })
+
+  it('maps codes from outside the catalog to UNKNOWN', () => {
+    const err = Object.assign(new Error('no such file'), {
+      code: 'ENOENT',
+      details: { path: 'a' }
+    })
+
+    expect(toErrorEnvelope(err)).toMatchObject({
+      code: ERROR_CODES.UNKNOWN,
+      details: { path: 'a', originalCode: 'ENOENT' }
+    })
+  })
+
+  it('maps storage lock errors to a retryable STORAGE_LOCKED', () => {
+    const envelope = toErrorEnvelope(new Error('ELOCKED: File is locked'))
+
+    expect(envelope.code).toBe(ERROR_CODES.STORAGE_LOCKED)
+    expect(envelope.retryable).toBe(true)
+    expect(
+      toErrorEnvelope(Object.assign(new Error('locked'), { code: 'ELOCKED' }))
+    ).toMatchObject({ code: ERROR_CODES.STORAGE_LOCKED, details: null })
+  })
+
+  it('falls back to UNKNOWN for plain errors and non-Error values', () => {
+    expect(toErrorEnvelope(new Error('boom')).code).toBe(ERROR_CODES.UNKNOWN)
+    expect(toErrorEnvelope('boom')).toEqual({
+      code: ERROR_CODES.UNKNOWN,
+      message: 'boom',
+      details: null,
+      retryable: false
+    })
+  })
+
+  it('includes error details', () => {
+    const err = vaultError(ERROR_CODES.INVALID_INPUT, 'Bad input', {
+      field: 'url'
+    })
+
+    expect(toErrorEnvelope(err).details).toEqual({ field: 'url' })
+  })
+})
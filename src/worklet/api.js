@@ -62,7 +62,46 @@ export const API = {
   SET_LOG_OPTIONS: 60,
   ACTIVE_VAULT_FIND: 61,
   ACTIVE_VAULT_GET_WRITER_KEY: 62,
-  ENCRYPTION_DECRYPT_BITWARDEN_EXPORT: 63
+  ENCRYPTION_DECRYPT_BITWARDEN_EXPORT: 63,
+  VAULT_INSTANCE_OPEN: 64,
+  VAULT_INSTANCE_CLOSE: 65,
+  VAULT_INSTANCE_LIST: 66,
+  ACTIVE_VAULT_SEARCH: 67,
+  ACTIVE_VAULT_RECORD_HISTORY: 68,
+  ACTIVE_VAULT_RECORD_RESTORE: 69,
+  ACTIVE_VAULT_TRASH_LIST: 70,
+  ACTIVE_VAULT_TRASH_RESTORE: 71,
+  ACTIVE_VAULT_TRASH_PURGE: 72,
+  SET_TRASH_RETENTION: 73,
+  ACTIVE_VAULT_SET_ATTACHMENT_QUOTA: 74,
+  ACTIVE_VAULT_GET_ATTACHMENT_USAGE: 75,
+  ADD_PASSKEY_TO_RECORD: 76,
+  SIGN_WEBAUTHN_ASSERTION: 77,
+  IMPORT_OTP_ENTRIES: 78,
+  SUBSCRIBE_OTP_CODES: 79,
+  UNSUBSCRIBE_OTP_CODES: 80,
+  ON_OTP_CODES: 81,
+  ACTIVE_VAULT_IMPORT_RECORDS: 82,
+  VAULT_BACKUP_CREATE: 83,
+  VAULT_BACKUP_RESTORE: 84,
+  ON_BACKUP_PROGRESS: 85,
+  AUTO_BACKUP_CONFIGURE: 86,
+  AUTO_BACKUP_SNAPSHOT: 87,
+  AUTO_BACKUP_LIST: 88,
+  AUTO_BACKUP_RESTORE: 89,
+  RECOVERY_KEY_CREATE: 90,
+  RECOVERY_KEY_STATUS: 91,
+  RECOVER_WITH_RECOVERY_KEY: 92,
+  KEY_SLOT_ADD: 93,
+  KEY_SLOT_REMOVE: 94,
+  KEY_SLOT_LIST: 95,
+  UNLOCK: 96,
+  PIN_STATUS: 97,
+  KDF_PROFILE_SET: 98,
+  AUTO_LOCK_CONFIGURE: 99,
+  ON_LOCKED: 100,
+  ACTIVE_VAULT_AUDIT: 101,
+  GENERATE_PASSWORD: 102
 }
 
 export const API_BY_VALUE = Object.entries(API).reduce((acc, [key, value]) => {
@@ -23,7 +23,8 @@ ipc.on('data', async (buffer) => {
 
   try {
     const { command, data } = JSON.parse(rawData)
-    workletLogger.log('Received message:', { command, data })
+    // The payload is logged, redacted, by handleRpcCommand
+    workletLogger.log('Received message:', { command })
 
     const req = {
       command: command,
@@ -1,4 +1,5 @@
 /** @typedef {import('bare')} */ /* global BareKit */
+import b4a from 'b4a'
 import RPC from 'bare-rpc'
 import FramedStream from 'framed-stream'
 import Suspendify from 'suspendify'
@@ -8,12 +9,24 @@ import {
   activeVaultAdd,
   activeVaultFind,
   activeVaultGet,
-  activeVaultGetFile,
+  activeVaultAddFile,
+  activeVaultReadFile,
+  activeVaultSetAttachmentQuota,
+  activeVaultGetAttachmentUsage,
   activeVaultGetWriterKey,
+  activeVaultImportRecords,
   activeVaultList,
   activeVaultRemoveFile,
+  activeVaultSearch,
+  activeVaultAudit,
+  activeVaultRecordHistory,
+  activeVaultRecordRestore,
+  activeVaultTrashList,
+  activeVaultTrashRestore,
+  activeVaultTrashPurge,
   closeActiveVaultInstance,
   closeAllInstances,
+  closeVaultInstance,
   closeVaultsInstance,
   createInvite,
   deleteInvite,
@@ -23,9 +36,12 @@ import {
   encryptionInit,
   getIsActiveVaultInitialized,
   getIsEncryptionInitialized,
+  getIsVaultOpen,
   getIsVaultsInitialized,
+  getOpenVaultIds,
   initActiveVaultInstance,
   initListener,
+  openVaultInstance,
   resumeAllInstances,
   suspendAllInstances,
   pairActiveVault,
@@ -35,7 +51,7 @@ import {
   removeBlindMirror,
   addDefaultBlindMirrors,
   removeAllBlindMirrors,
-  restartActiveVault,
+  restartVault,
   setStoragePath,
   vaultRemove,
   vaultsAdd,
@@ -46,13 +62,27 @@ import {
   getRateLimitStatus,
   resetRateLimit,
   setCoreStoreOptions,
+  setTrashRetention,
   setJobStoragePath,
   readAndDecryptJobFile,
   writeAndEncryptJobFile,
   generateOtpCodesByIds,
   generateHotpNext,
   addOtpToRecord,
-  removeOtpFromRecord
+  removeOtpFromRecord,
+  importOtpEntries,
+  subscribeOtpCodes,
+  unsubscribeOtpCodes,
+  addPasskeyToRecord,
+  signWebauthnAssertion,
+  vaultBackupCreate,
+  vaultBackupRestore,
+  autoBackupConfigure,
+  autoBackupSnapshot,
+  autoBackupList,
+  autoBackupRestore,
+  autoLockConfigure,
+  autoLockRecordActivity
 } from './appDeps'
 import { decryptBitwardenExport } from './decryptBitwardenExport'
 import { decryptVaultKey } from './decryptVaultKey'
@@ -60,26 +90,52 @@ import { encryptVaultKeyWithHashedPassword } from './encryptVaultKeyWithHashedPa
 import { encryptVaultWithKey } from './encryptVaultWithKey'
 import { encryptExportData, decryptExportData } from './exportDataEncryption'
 import { faviconManager } from './faviconManager'
+import { withVaultErrors } from './import/bitwarden'
 import { getDecryptionKey } from './getDecryptionKey'
 import { hashPassword } from './hashPassword'
 import { masterPasswordManager } from './masterPasswordManager'
+import { generatePassword } from './passwordGenerator'
+import { ERROR_CODES } from '../constants/errorCodes'
 import { withMirrorValidation } from '../middleware/validateMirrorKeyViaDHT.js'
 import { destroySharedDHT } from './utils/dht'
-import { receiveFileStream } from '../utils/recieveFileStream.js'
-import { sendFileStream } from '../utils/sendFileStream.js'
+import { readFileStream } from '../utils/recieveFileStream.js'
+import { pipeFileStream } from '../utils/sendFileStream.js'
 import { isPearWorker } from './utils/isPearWorker'
 import { parseRequestData } from './utils/parseRequestData'
+import { toErrorEnvelope, vaultError } from '../utils/vaultError.js'
 import { workletLogger } from './utils/workletLogger'
 import { validateInviteCode } from '../utils/validateInviteCode.js'
 
 let rpc = null
 
+/**
+ * Once a response stream is open the request can no longer be replied to,
+ * so failures close the stream with the code and message of the envelope.
+ * @param {string} context
+ * @returns {(error: unknown) => Error}
+ */
+const toStreamError = (context) => (error) => {
+  const { code, message, details } = toErrorEnvelope(error, context)
+  return vaultError(code, message, details ?? undefined)
+}
+
+// Payloads that are whole exports, with secrets under any key name
+const UNLOGGED_PAYLOAD_COMMANDS = new Set([
+  API.IMPORT_OTP_ENTRIES,
+  API.ACTIVE_VAULT_IMPORT_RECORDS
+])
+
 export const handleRpcCommand = async (req) => {
   const commandName = API_BY_VALUE[req.command]
 
   const requestData = parseRequestData(req.data)
 
-  workletLogger.log(`Received command: ${commandName}`, requestData ?? '')
+  workletLogger.log(
+    `Received command: ${commandName}`,
+    UNLOGGED_PAYLOAD_COMMANDS.has(req.command) ? '' : (requestData ?? '')
+  )
+
+  autoLockRecordActivity()
 
   switch (req.command) {
     case API.STORAGE_PATH_SET:
@@ -90,7 +146,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error setting storage path: ${error}`
+            error: toErrorEnvelope(error, 'Error setting storage path')
           })
         )
       }
@@ -106,7 +162,21 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error setting core store options: ${error}`
+            error: toErrorEnvelope(error, 'Error setting core store options')
+          })
+        )
+      }
+      break
+
+    case API.SET_TRASH_RETENTION:
+      try {
+        setTrashRetention(requestData?.retentionDays)
+
+        req.reply(JSON.stringify({ success: true }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error setting trash retention')
           })
         )
       }
@@ -136,7 +206,7 @@ export const handleRpcCommand = async (req) => {
         req.reply(
           JSON.stringify({
             success: false,
-            error: err.toString()
+            error: toErrorEnvelope(err)
           })
         )
       }
@@ -146,7 +216,7 @@ export const handleRpcCommand = async (req) => {
     case API.MASTER_VAULT_INIT:
       try {
         if (!requestData.encryptionKey) {
-          throw new Error('Password is required')
+          throw vaultError(ERROR_CODES.INVALID_INPUT, 'Password is required')
         }
 
         const res = await masterVaultInit({
@@ -158,7 +228,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing vaults: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing vaults')
           })
         )
       }
@@ -178,7 +248,10 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting records from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error getting records from active vault'
+            )
           })
         )
       }
@@ -193,7 +266,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error closing vaults: ${error}`
+            error: toErrorEnvelope(error, 'Error closing vaults')
           })
         )
       }
@@ -208,7 +281,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding vault: ${error}`
+            error: toErrorEnvelope(error, 'Error adding vault')
           })
         )
       }
@@ -219,57 +292,122 @@ export const handleRpcCommand = async (req) => {
       try {
         const stream = req.createRequestStream()
 
-        const { buffer, metaData } = await receiveFileStream(stream)
-        const { key, name } = metaData ?? {}
-        await activeVaultAdd(key, {}, buffer, name)
+        const { metaData, content } = await readFileStream(stream)
+        const { key, name, mimeType, recordId, size, vaultId } = metaData ?? {}
+        const file = await activeVaultAddFile(
+          key,
+          content,
+          { name, mimeType, recordId, size },
+          vaultId
+        )
 
         workletLogger.log({
-          stream: `Received stream data of size: ${buffer.length}`,
+          stream: `Received stream data of size: ${file.size}`,
           data: JSON.stringify(metaData)
         })
 
-        req.reply(JSON.stringify({ success: true, metaData }))
+        req.reply(JSON.stringify({ success: true, metaData, file }))
       } catch (error) {
         workletLogger.error('Error adding file to active vault:', error)
         req.reply(
           JSON.stringify({
-            error: `Could not add ${error.details?.fileName ?? 'file'} to the active vault: ${error.message}`
+            error: toErrorEnvelope(
+              error,
+              `Could not add ${error.details?.fileName ?? 'file'} to the active vault`
+            )
           })
         )
       }
 
       break
 
-    case API.ACTIVE_VAULT_FILE_GET:
+    case API.ACTIVE_VAULT_SET_ATTACHMENT_QUOTA:
       try {
-        const file = await activeVaultGetFile(requestData?.key)
+        await activeVaultSetAttachmentQuota(
+          requestData?.quotaBytes,
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ success: true }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error setting attachment quota')
+          })
+        )
+      }
 
-        const stream = req.createResponseStream()
+      break
 
-        sendFileStream({
-          stream,
-          buffer: file,
-          metaData: { key: requestData?.key }
-        })
+    case API.ACTIVE_VAULT_GET_ATTACHMENT_USAGE:
+      try {
+        const usage = await activeVaultGetAttachmentUsage(requestData?.vaultId)
+
+        req.reply(JSON.stringify({ data: usage }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting file from active vault: ${error}`
+            error: toErrorEnvelope(error, 'Error getting attachment usage')
           })
         )
       }
 
       break
 
+    case API.ACTIVE_VAULT_FILE_GET: {
+      let stream = null
+
+      try {
+        const file = await activeVaultReadFile(
+          requestData?.key,
+          { start: requestData?.start, end: requestData?.end },
+          requestData?.vaultId
+        )
+
+        stream = req.createResponseStream()
+
+        await pipeFileStream({
+          stream,
+          source: file?.content,
+          metaData: {
+            key: requestData?.key,
+            size: file?.size,
+            start: file?.start,
+            end: file?.end,
+            ...file?.metadata
+          },
+          toStreamError: toStreamError('Error getting file from active vault')
+        })
+      } catch (error) {
+        if (stream) {
+          workletLogger.error('Error streaming file from active vault:', error)
+        } else {
+          req.reply(
+            JSON.stringify({
+              error: toErrorEnvelope(
+                error,
+                'Error getting file from active vault'
+              )
+            })
+          )
+        }
+      }
+
+      break
+    }
+
     case API.ACTIVE_VAULT_FILE_REMOVE:
       try {
-        await activeVaultRemoveFile(requestData?.key)
+        await activeVaultRemoveFile(requestData?.key, requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error removing file from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error removing file from active vault'
+            )
           })
         )
       }
@@ -284,7 +422,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error listing vaults: ${error}`
+            error: toErrorEnvelope(error, 'Error listing vaults')
           })
         )
       }
@@ -302,13 +440,51 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing active vault: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing active vault')
           })
         )
       }
 
       break
 
+    case API.VAULT_INSTANCE_OPEN:
+      try {
+        await openVaultInstance({
+          id: requestData?.id,
+          encryptionKey: requestData?.encryptionKey
+        })
+
+        req.reply(JSON.stringify({ success: true }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error opening vault')
+          })
+        )
+      }
+
+      break
+
+    case API.VAULT_INSTANCE_CLOSE:
+      try {
+        await closeVaultInstance(requestData?.id)
+
+        req.reply(JSON.stringify({ success: true }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error closing vault')
+          })
+        )
+      }
+
+      break
+
+    case API.VAULT_INSTANCE_LIST:
+      req.reply(JSON.stringify({ data: getOpenVaultIds() }))
+
+      break
+
     case API.ACTIVE_VAULT_GET_STATUS:
       req.reply(
         JSON.stringify({ data: { status: getIsActiveVaultInitialized() } })
@@ -324,7 +500,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error closing active vault: ${error}`
+            error: toErrorEnvelope(error, 'Error closing active vault')
           })
         )
       }
@@ -333,13 +509,19 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_ADD:
       try {
-        await activeVaultAdd(requestData?.key, requestData?.data)
+        await activeVaultAdd(
+          requestData?.key,
+          requestData?.data,
+          undefined,
+          undefined,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding record to active vault: ${error}`
+            error: toErrorEnvelope(error, 'Error adding record to active vault')
           })
         )
       }
@@ -348,13 +530,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_REMOVE:
       try {
-        await vaultRemove(requestData?.key)
+        await vaultRemove(requestData?.key, requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error removing record from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error removing record from active vault'
+            )
           })
         )
       }
@@ -363,13 +548,174 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_LIST:
       try {
-        const listResults = await activeVaultList(requestData?.filterKey)
+        const listResults = await activeVaultList(
+          requestData?.filterKey,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ data: listResults }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error listing records from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error listing records from active vault'
+            )
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_SEARCH:
+      try {
+        const searchResults = await activeVaultSearch({
+          query: requestData?.query,
+          fields: requestData?.fields,
+          limit: requestData?.limit,
+          offset: requestData?.offset,
+          vaultId: requestData?.vaultId
+        })
+
+        req.reply(JSON.stringify({ data: searchResults }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error searching active vault')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_AUDIT:
+      try {
+        const audit = await activeVaultAudit(
+          {
+            maxAgeDays: requestData?.maxAgeDays,
+            twoFactorDomains: requestData?.twoFactorDomains,
+            breachListPath: requestData?.breachListPath
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: audit }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error auditing active vault')
+          })
+        )
+      }
+
+      break
+
+    case API.GENERATE_PASSWORD:
+      try {
+        const generated = generatePassword({
+          type: requestData?.type,
+          profile: requestData?.profile,
+          length: requestData?.length,
+          lowercase: requestData?.lowercase,
+          uppercase: requestData?.uppercase,
+          digits: requestData?.digits,
+          symbols: requestData?.symbols,
+          excludeAmbiguous: requestData?.excludeAmbiguous,
+          words: requestData?.words,
+          separator: requestData?.separator,
+          capitalize: requestData?.capitalize
+        })
+
+        req.reply(JSON.stringify({ data: generated }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error generating password')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_RECORD_HISTORY:
+      try {
+        const versions = await activeVaultRecordHistory(
+          requestData?.key,
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: versions }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error getting record history')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_RECORD_RESTORE:
+      try {
+        const restored = await activeVaultRecordRestore(
+          requestData?.key,
+          requestData?.versionId,
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: restored }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error restoring record version')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_TRASH_LIST:
+      try {
+        const trash = await activeVaultTrashList(requestData?.vaultId)
+
+        req.reply(JSON.stringify({ data: trash }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error listing trash')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_TRASH_RESTORE:
+      try {
+        await activeVaultTrashRestore(requestData?.key, requestData?.vaultId)
+
+        req.reply(JSON.stringify({ success: true }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error restoring from trash')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_TRASH_PURGE:
+      try {
+        const purged = await activeVaultTrashPurge(
+          requestData?.keys,
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: { purged } }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error purging trash')
           })
         )
       }
@@ -384,7 +730,10 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error finding records in active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error finding records in active vault'
+            )
           })
         )
       }
@@ -393,13 +742,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_GET_WRITER_KEY:
       try {
-        const writerKey = activeVaultGetWriterKey()
+        const writerKey = activeVaultGetWriterKey(requestData?.vaultId)
 
         req.reply(JSON.stringify({ data: writerKey }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting writer key from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error getting writer key from active vault'
+            )
           })
         )
       }
@@ -408,13 +760,19 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_GET:
       try {
-        const record = await activeVaultGet(requestData?.key)
+        const record = await activeVaultGet(
+          requestData?.key,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ data: record }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting records from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error getting records from active vault'
+            )
           })
         )
       }
@@ -423,13 +781,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_CREATE_INVITE:
       try {
-        const invite = await createInvite()
+        const invite = await createInvite(requestData?.vaultId)
 
         req.reply(JSON.stringify({ data: invite }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error creating invite from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error creating invite from active vault'
+            )
           })
         )
       }
@@ -438,13 +799,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.ACTIVE_VAULT_DELETE_INVITE:
       try {
-        await deleteInvite()
+        await deleteInvite(requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error deleting invite from active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error deleting invite from active vault'
+            )
           })
         )
       }
@@ -477,7 +841,7 @@ export const handleRpcCommand = async (req) => {
 
         req.reply(
           JSON.stringify({
-            error: `Error pairing with invite code: ${error}`
+            error: toErrorEnvelope(error, 'Error pairing with invite code')
           })
         )
       }
@@ -498,7 +862,10 @@ export const handleRpcCommand = async (req) => {
 
         req.reply(
           JSON.stringify({
-            error: `Error canceling pairing with active vault: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error canceling pairing with active vault'
+            )
           })
         )
       }
@@ -520,7 +887,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error recording failed master pass: ${error}`
+            error: toErrorEnvelope(error, 'Error recording failed master pass')
           })
         )
       }
@@ -535,7 +902,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error resetting failed attempts: ${error}`
+            error: toErrorEnvelope(error, 'Error resetting failed attempts')
           })
         )
       }
@@ -552,7 +919,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error creating master password: ${error}`
+            error: toErrorEnvelope(error, 'Error creating master password')
           })
         )
       }
@@ -569,7 +936,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing with password: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing with password')
           })
         )
       }
@@ -587,7 +954,161 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error updating master password: ${error}`
+            error: toErrorEnvelope(error, 'Error updating master password')
+          })
+        )
+      }
+
+      break
+
+    case API.UNLOCK:
+      try {
+        const data = await masterPasswordManager.unlock({
+          slotType: requestData?.slotType,
+          secret: requestData?.secret,
+          slotId: requestData?.slotId,
+          deviceKey: requestData?.deviceKey
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error unlocking')
+          })
+        )
+      }
+
+      break
+
+    case API.KEY_SLOT_ADD:
+      try {
+        const data = await masterPasswordManager.addKeySlot({
+          slotType: requestData?.slotType,
+          secret: requestData?.secret,
+          label: requestData?.label,
+          auth: requestData?.auth
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error adding key slot')
+          })
+        )
+      }
+
+      break
+
+    case API.KEY_SLOT_REMOVE:
+      try {
+        const data = await masterPasswordManager.removeKeySlot({
+          slotId: requestData?.slotId
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error removing key slot')
+          })
+        )
+      }
+
+      break
+
+    case API.KEY_SLOT_LIST:
+      try {
+        const data = await masterPasswordManager.listKeySlots()
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error listing key slots')
+          })
+        )
+      }
+
+      break
+
+    case API.PIN_STATUS:
+      try {
+        const data = await masterPasswordManager.getPinStatus()
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error getting PIN status')
+          })
+        )
+      }
+
+      break
+
+    case API.KDF_PROFILE_SET:
+      try {
+        const data = masterPasswordManager.setKdfProfile({
+          profile: requestData?.profile
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error setting KDF profile')
+          })
+        )
+      }
+
+      break
+
+    case API.RECOVERY_KEY_CREATE:
+      try {
+        const data = await masterPasswordManager.createRecoveryKey({
+          password: requestData?.password
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error creating recovery key')
+          })
+        )
+      }
+
+      break
+
+    case API.RECOVERY_KEY_STATUS:
+      try {
+        const data = await masterPasswordManager.getRecoveryKeyStatus()
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error getting recovery key status')
+          })
+        )
+      }
+
+      break
+
+    case API.RECOVER_WITH_RECOVERY_KEY:
+      try {
+        const data = await masterPasswordManager.recoverWithRecoveryKey({
+          recoveryKey: requestData?.recoveryKey,
+          newPassword: requestData?.newPassword
+        })
+
+        req.reply(JSON.stringify({ data }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error recovering with recovery key')
           })
         )
       }
@@ -606,7 +1127,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing with credentials: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing with credentials')
           })
         )
       }
@@ -615,18 +1136,21 @@ export const handleRpcCommand = async (req) => {
 
     case API.INIT_LISTENER:
       try {
-        if (!getIsActiveVaultInitialized()) {
-          throw new Error('Active vault not initialized')
-        }
-
         const vaultId = requestData.vaultId
 
+        if (!getIsActiveVaultInitialized() && !getIsVaultOpen(vaultId)) {
+          throw vaultError(
+            ERROR_CODES.VAULT_NOT_INITIALISED,
+            'Active vault not initialized'
+          )
+        }
+
         await initListener({
           vaultId: vaultId,
-          onUpdate: () => {
+          onUpdate: (updatedVaultId) => {
             const req = rpc.request(API.ON_UPDATE)
 
-            req.send()
+            req.send(JSON.stringify({ vaultId: updatedVaultId }))
           }
         })
 
@@ -634,7 +1158,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing listener: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing listener')
           })
         )
       }
@@ -649,7 +1173,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error initializing encryption: ${error}`
+            error: toErrorEnvelope(error, 'Error initializing encryption')
           })
         )
       }
@@ -671,7 +1195,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting encryption data: ${error}`
+            error: toErrorEnvelope(error, 'Error getting encryption data')
           })
         )
       }
@@ -686,7 +1210,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding encryption data: ${error}`
+            error: toErrorEnvelope(error, 'Error adding encryption data')
           })
         )
       }
@@ -701,7 +1225,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error hashPassword: ${error}`
+            error: toErrorEnvelope(error, 'Error hashPassword')
           })
         )
       }
@@ -718,7 +1242,10 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error encryptVaultKeyWithHashedPassword: ${error}`
+            error: toErrorEnvelope(
+              error,
+              'Error encryptVaultKeyWithHashedPassword'
+            )
           })
         )
       }
@@ -736,7 +1263,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error encryptVaultWithKey: ${error}`
+            error: toErrorEnvelope(error, 'Error encryptVaultWithKey')
           })
         )
       }
@@ -745,18 +1272,19 @@ export const handleRpcCommand = async (req) => {
 
     case API.ENCRYPTION_GET_DECRYPTION_KEY:
       try {
-        const { salt, password } = requestData
+        const { salt, password, kdf } = requestData
 
         const hashedPassword = getDecryptionKey({
           password,
-          salt
+          salt,
+          kdf
         })
 
         req.reply(JSON.stringify({ data: hashedPassword }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getDecryptionKey: ${error}`
+            error: toErrorEnvelope(error, 'Error getDecryptionKey')
           })
         )
       }
@@ -777,7 +1305,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error decrypting vault key: ${error}`
+            error: toErrorEnvelope(error, 'Error decrypting vault key')
           })
         )
       }
@@ -794,7 +1322,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error encrypting export data: ${error}`
+            error: toErrorEnvelope(error, 'Error encrypting export data')
           })
         )
       }
@@ -811,7 +1339,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error decrypting export data: ${error.message || error}`
+            error: toErrorEnvelope(error, 'Error decrypting export data')
           })
         )
       }
@@ -820,13 +1348,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.ENCRYPTION_DECRYPT_BITWARDEN_EXPORT:
       try {
-        const decryptedData = decryptBitwardenExport(requestData)
+        const decryptedData = withVaultErrors(
+          () => decryptBitwardenExport(requestData),
+          'Incorrect password'
+        )
 
         req.reply(JSON.stringify({ data: decryptedData }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error decrypting Bitwarden export: ${error.message || error}`
+            error: toErrorEnvelope(error, 'Error decrypting Bitwarden export')
           })
         )
       }
@@ -841,7 +1372,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error closing encryption: ${error}`
+            error: toErrorEnvelope(error, 'Error closing encryption')
           })
         )
       }
@@ -857,7 +1388,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error closing encryption: ${error}`
+            error: toErrorEnvelope(error, 'Error closing encryption')
           })
         )
       }
@@ -866,13 +1397,13 @@ export const handleRpcCommand = async (req) => {
 
     case API.BLIND_MIRRORS_GET:
       try {
-        const mirrors = await getBlindMirrors()
+        const mirrors = await getBlindMirrors(requestData?.vaultId)
 
         req.reply(JSON.stringify({ data: mirrors }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error getting blind mirrors: ${error}`
+            error: toErrorEnvelope(error, 'Error getting blind mirrors')
           })
         )
       }
@@ -881,15 +1412,17 @@ export const handleRpcCommand = async (req) => {
 
     case API.BLIND_MIRRORS_ADD:
       try {
-        const safeAdd = withMirrorValidation(addBlindMirrors)
+        const safeAdd = withMirrorValidation((mirrors) =>
+          addBlindMirrors(mirrors, requestData?.vaultId)
+        )
         await safeAdd(requestData?.blindMirrors || [])
-        await restartActiveVault()
+        await restartVault(requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding blind mirrors: ${error}`
+            error: toErrorEnvelope(error, 'Error adding blind mirrors')
           })
         )
       }
@@ -898,14 +1431,14 @@ export const handleRpcCommand = async (req) => {
 
     case API.BLIND_MIRROR_REMOVE:
       try {
-        await removeBlindMirror(requestData?.key)
-        await restartActiveVault()
+        await removeBlindMirror(requestData?.key, requestData?.vaultId)
+        await restartVault(requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error removing blind mirrors: ${error}`
+            error: toErrorEnvelope(error, 'Error removing blind mirrors')
           })
         )
       }
@@ -914,14 +1447,14 @@ export const handleRpcCommand = async (req) => {
 
     case API.BLIND_MIRRORS_ADD_DEFAULTS:
       try {
-        await addDefaultBlindMirrors()
-        await restartActiveVault()
+        await addDefaultBlindMirrors(requestData?.vaultId)
+        await restartVault(requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding default blind mirrors: ${error}`
+            error: toErrorEnvelope(error, 'Error adding default blind mirrors')
           })
         )
       }
@@ -930,14 +1463,14 @@ export const handleRpcCommand = async (req) => {
 
     case API.BLIND_MIRRORS_REMOVE_ALL:
       try {
-        await removeAllBlindMirrors()
-        await restartActiveVault()
+        await removeAllBlindMirrors(requestData?.vaultId)
+        await restartVault(requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error removing all blind mirrors: ${error}`
+            error: toErrorEnvelope(error, 'Error removing all blind mirrors')
           })
         )
       }
@@ -952,7 +1485,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error setting job storage path: ${error}`
+            error: toErrorEnvelope(error, 'Error setting job storage path')
           })
         )
       }
@@ -967,7 +1500,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error reading job queue: ${error}`
+            error: toErrorEnvelope(error, 'Error reading job queue')
           })
         )
       }
@@ -982,7 +1515,7 @@ export const handleRpcCommand = async (req) => {
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error writing job queue: ${error}`
+            error: toErrorEnvelope(error, 'Error writing job queue')
           })
         )
       }
@@ -991,13 +1524,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.GENERATE_OTP_CODES_BY_IDS:
       try {
-        const otpCodes = await generateOtpCodesByIds(requestData?.recordIds)
+        const otpCodes = await generateOtpCodesByIds(
+          requestData?.recordIds,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ data: otpCodes }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error generating OTP codes: ${error}`
+            error: toErrorEnvelope(error, 'Error generating OTP codes')
           })
         )
       }
@@ -1006,13 +1542,16 @@ export const handleRpcCommand = async (req) => {
 
     case API.GENERATE_HOTP_NEXT:
       try {
-        const hotpResult = await generateHotpNext(requestData?.recordId)
+        const hotpResult = await generateHotpNext(
+          requestData?.recordId,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ data: hotpResult }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error generating next HOTP code: ${error}`
+            error: toErrorEnvelope(error, 'Error generating next HOTP code')
           })
         )
       }
@@ -1021,13 +1560,17 @@ export const handleRpcCommand = async (req) => {
 
     case API.ADD_OTP_TO_RECORD:
       try {
-        await addOtpToRecord(requestData?.recordId, requestData?.otpInput)
+        await addOtpToRecord(
+          requestData?.recordId,
+          requestData?.otpInput,
+          requestData?.vaultId
+        )
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error adding OTP to record: ${error}`
+            error: toErrorEnvelope(error, 'Error adding OTP to record')
           })
         )
       }
@@ -1036,13 +1579,304 @@ export const handleRpcCommand = async (req) => {
 
     case API.REMOVE_OTP_FROM_RECORD:
       try {
-        await removeOtpFromRecord(requestData?.recordId)
+        await removeOtpFromRecord(requestData?.recordId, requestData?.vaultId)
 
         req.reply(JSON.stringify({ success: true }))
       } catch (error) {
         req.reply(
           JSON.stringify({
-            error: `Error removing OTP from record: ${error}`
+            error: toErrorEnvelope(error, 'Error removing OTP from record')
+          })
+        )
+      }
+
+      break
+
+    case API.SUBSCRIBE_OTP_CODES:
+      try {
+        const subscription = await subscribeOtpCodes(
+          requestData?.recordIds,
+          (payload) => {
+            const req = rpc.request(API.ON_OTP_CODES)
+
+            req.send(JSON.stringify(payload))
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: subscription }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error subscribing to OTP codes')
+          })
+        )
+      }
+
+      break
+
+    case API.UNSUBSCRIBE_OTP_CODES:
+      try {
+        const unsubscribed = unsubscribeOtpCodes(requestData?.subscriptionId)
+
+        req.reply(JSON.stringify({ data: unsubscribed }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error unsubscribing from OTP codes')
+          })
+        )
+      }
+
+      break
+
+    case API.IMPORT_OTP_ENTRIES:
+      try {
+        const result = await importOtpEntries(
+          requestData?.input,
+          { password: requestData?.password },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: result }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error importing OTP entries')
+          })
+        )
+      }
+
+      break
+
+    case API.ACTIVE_VAULT_IMPORT_RECORDS:
+      try {
+        // Binary exports (.1pux, .kdbx) travel as base64
+        const input =
+          requestData?.encoding === 'base64'
+            ? b4a.from(requestData.input ?? '', 'base64')
+            : requestData?.input
+        const result = await activeVaultImportRecords(
+          {
+            input,
+            format: requestData?.format,
+            password: requestData?.password,
+            accountKey: requestData?.accountKey,
+            dryRun: requestData?.dryRun
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: result }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error importing records')
+          })
+        )
+      }
+
+      break
+
+    case API.VAULT_BACKUP_CREATE:
+      try {
+        const backup = await vaultBackupCreate(
+          {
+            password: requestData?.password,
+            path: requestData?.path,
+            kdfParams: requestData?.kdfParams
+          },
+          (progress) => {
+            const req = rpc.request(API.ON_BACKUP_PROGRESS)
+
+            req.send(JSON.stringify(progress))
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: backup }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error creating vault backup')
+          })
+        )
+      }
+
+      break
+
+    case API.VAULT_BACKUP_RESTORE:
+      try {
+        const restored = await vaultBackupRestore(
+          {
+            path: requestData?.path,
+            password: requestData?.password,
+            overwrite: requestData?.overwrite,
+            vaultId: requestData?.vaultId,
+            encryptionKey: requestData?.encryptionKey
+          },
+          (progress) => {
+            const req = rpc.request(API.ON_BACKUP_PROGRESS)
+
+            req.send(JSON.stringify(progress))
+          }
+        )
+
+        req.reply(JSON.stringify({ data: restored }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error restoring vault backup')
+          })
+        )
+      }
+
+      break
+
+    case API.AUTO_BACKUP_CONFIGURE:
+      try {
+        const settings = autoBackupConfigure({
+          enabled: requestData?.enabled,
+          path: requestData?.path,
+          intervalMinutes: requestData?.intervalMinutes,
+          changeThreshold: requestData?.changeThreshold,
+          keep: requestData?.keep
+        })
+
+        req.reply(JSON.stringify({ data: settings }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error configuring automatic backups')
+          })
+        )
+      }
+
+      break
+
+    case API.AUTO_LOCK_CONFIGURE:
+      try {
+        const settings = autoLockConfigure({
+          idleMinutes: requestData?.idleMinutes,
+          lockOnSuspend: requestData?.lockOnSuspend,
+          onLocked: (payload) => {
+            const req = rpc.request(API.ON_LOCKED)
+
+            req.send(JSON.stringify(payload))
+          }
+        })
+
+        req.reply(JSON.stringify({ data: settings }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error configuring auto-lock')
+          })
+        )
+      }
+
+      break
+
+    case API.AUTO_BACKUP_SNAPSHOT:
+      try {
+        const snapshot = await autoBackupSnapshot()
+
+        req.reply(JSON.stringify({ data: snapshot }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error taking snapshot')
+          })
+        )
+      }
+
+      break
+
+    case API.AUTO_BACKUP_LIST:
+      try {
+        const snapshots = await autoBackupList()
+
+        req.reply(JSON.stringify({ data: snapshots }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error listing snapshots')
+          })
+        )
+      }
+
+      break
+
+    case API.AUTO_BACKUP_RESTORE:
+      try {
+        const restored = await autoBackupRestore(
+          {
+            snapshotId: requestData?.snapshotId,
+            vaultId: requestData?.vaultId,
+            overwrite: requestData?.overwrite,
+            newVaultId: requestData?.newVaultId,
+            encryptionKey: requestData?.encryptionKey
+          },
+          (progress) => {
+            const req = rpc.request(API.ON_BACKUP_PROGRESS)
+
+            req.send(JSON.stringify(progress))
+          }
+        )
+
+        req.reply(JSON.stringify({ data: restored }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error restoring snapshot')
+          })
+        )
+      }
+
+      break
+
+    case API.ADD_PASSKEY_TO_RECORD:
+      try {
+        const passkey = await addPasskeyToRecord(
+          requestData?.recordId,
+          {
+            rpId: requestData?.rpId,
+            algorithm: requestData?.algorithm,
+            userHandle: requestData?.userHandle,
+            userName: requestData?.userName,
+            userDisplayName: requestData?.userDisplayName
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: passkey }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error adding passkey to record')
+          })
+        )
+      }
+
+      break
+
+    case API.SIGN_WEBAUTHN_ASSERTION:
+      try {
+        const assertion = await signWebauthnAssertion(
+          requestData?.recordId,
+          {
+            rpId: requestData?.rpId,
+            clientDataHash: requestData?.clientDataHash,
+            userVerified: requestData?.userVerified
+          },
+          requestData?.vaultId
+        )
+
+        req.reply(JSON.stringify({ data: assertion }))
+      } catch (error) {
+        req.reply(
+          JSON.stringify({
+            error: toErrorEnvelope(error, 'Error signing WebAuthn assertion')
           })
         )
       }
@@ -1071,7 +1905,12 @@ export const handleRpcCommand = async (req) => {
     default:
       req.reply(
         JSON.stringify({
-          error: `Unknown command: ${req.command}`
+          error: toErrorEnvelope(
+            vaultError(
+              ERROR_CODES.UNKNOWN_COMMAND,
+              `Unknown command: ${req.command}`
+            )
+          )
         })
       )
       return
@@ -1197,7 +2036,7 @@ export const createRPC = (ipc) => {
     } catch (error) {
       req.reply(
         JSON.stringify({
-          error: `Unexpected error: ${error}`
+          error: toErrorEnvelope(error, 'Unexpected error')
         })
       )
     }
@@ -7,7 +7,8 @@ const mockVaultsGet = jest.fn()
 const mockCloseVaultsInstance = jest.fn()
 const mockVaultsAdd = jest.fn()
 const mockActiveVaultAdd = jest.fn()
-const mockActiveVaultGetFile = jest.fn()
+const mockActiveVaultAddFile = jest.fn()
+const mockActiveVaultReadFile = jest.fn()
 const mockActiveVaultRemoveFile = jest.fn()
 const mockVaultsList = jest.fn()
 const mockInitActiveVaultInstance = jest.fn()
@@ -16,6 +17,30 @@ const mockCloseActiveVaultInstance = jest.fn()
 const mockVaultRemove = jest.fn()
 const mockActiveVaultList = jest.fn()
 const mockActiveVaultFind = jest.fn()
+const mockActiveVaultSearch = jest.fn()
+const mockActiveVaultAudit = jest.fn()
+const mockActiveVaultRecordHistory = jest.fn()
+const mockActiveVaultRecordRestore = jest.fn()
+const mockActiveVaultTrashList = jest.fn()
+const mockActiveVaultTrashRestore = jest.fn()
+const mockActiveVaultTrashPurge = jest.fn()
+const mockSetTrashRetention = jest.fn()
+const mockActiveVaultSetAttachmentQuota = jest.fn()
+const mockActiveVaultGetAttachmentUsage = jest.fn()
+const mockAddPasskeyToRecord = jest.fn()
+const mockSignWebauthnAssertion = jest.fn()
+const mockImportOtpEntries = jest.fn()
+const mockActiveVaultImportRecords = jest.fn()
+const mockVaultBackupCreate = jest.fn()
+const mockVaultBackupRestore = jest.fn()
+const mockAutoBackupConfigure = jest.fn()
+const mockAutoLockConfigure = jest.fn()
+const mockAutoLockRecordActivity = jest.fn()
+const mockAutoBackupSnapshot = jest.fn()
+const mockAutoBackupList = jest.fn()
+const mockAutoBackupRestore = jest.fn()
+const mockSubscribeOtpCodes = jest.fn()
+const mockUnsubscribeOtpCodes = jest.fn()
 const mockActiveVaultGetWriterKey = jest.fn()
 const mockActiveVaultGet = jest.fn()
 const mockCreateInvite = jest.fn()
@@ -34,11 +59,16 @@ const mockAddBlindMirrors = jest.fn()
 const mockRemoveBlindMirror = jest.fn()
 const mockAddDefaultBlindMirrors = jest.fn()
 const mockRemoveAllBlindMirrors = jest.fn()
-const mockRestartActiveVault = jest.fn()
+const mockRestartVault = jest.fn()
+const mockOpenVaultInstance = jest.fn()
+const mockCloseVaultInstance = jest.fn()
+const mockGetOpenVaultIds = jest.fn()
+const mockGetIsVaultOpen = jest.fn()
 const mockSetStoragePath = jest.fn()
 const mockSuspendAllInstances = jest.fn()
 const mockResumeAllInstances = jest.fn()
 const mockHashPassword = jest.fn()
+const mockGeneratePassword = jest.fn()
 const mockEncryptVaultKeyWithHashedPassword = jest.fn()
 const mockEncryptVaultWithKey = jest.fn()
 const mockGetDecryptionKey = jest.fn()
@@ -53,7 +83,8 @@ jest.mock('./appDeps', () => ({
   closeVaultsInstance: (...args) => mockCloseVaultsInstance(...args),
   vaultsAdd: (...args) => mockVaultsAdd(...args),
   activeVaultAdd: (...args) => mockActiveVaultAdd(...args),
-  activeVaultGetFile: (...args) => mockActiveVaultGetFile(...args),
+  activeVaultAddFile: (...args) => mockActiveVaultAddFile(...args),
+  activeVaultReadFile: (...args) => mockActiveVaultReadFile(...args),
   activeVaultRemoveFile: (...args) => mockActiveVaultRemoveFile(...args),
   vaultsList: (...args) => mockVaultsList(...args),
   initActiveVaultInstance: (...args) => mockInitActiveVaultInstance(...args),
@@ -62,6 +93,32 @@ jest.mock('./appDeps', () => ({
   vaultRemove: (...args) => mockVaultRemove(...args),
   activeVaultList: (...args) => mockActiveVaultList(...args),
   activeVaultFind: (...args) => mockActiveVaultFind(...args),
+  activeVaultSearch: (...args) => mockActiveVaultSearch(...args),
+  activeVaultAudit: (...args) => mockActiveVaultAudit(...args),
+  activeVaultRecordHistory: (...args) => mockActiveVaultRecordHistory(...args),
+  activeVaultRecordRestore: (...args) => mockActiveVaultRecordRestore(...args),
+  activeVaultTrashList: (...args) => mockActiveVaultTrashList(...args),
+  activeVaultTrashRestore: (...args) => mockActiveVaultTrashRestore(...args),
+  activeVaultTrashPurge: (...args) => mockActiveVaultTrashPurge(...args),
+  setTrashRetention: (...args) => mockSetTrashRetention(...args),
+  activeVaultSetAttachmentQuota: (...args) =>
+    mockActiveVaultSetAttachmentQuota(...args),
+  activeVaultGetAttachmentUsage: (...args) =>
+    mockActiveVaultGetAttachmentUsage(...args),
+  addPasskeyToRecord: (...args) => mockAddPasskeyToRecord(...args),
+  signWebauthnAssertion: (...args) => mockSignWebauthnAssertion(...args),
+  importOtpEntries: (...args) => mockImportOtpEntries(...args),
+  activeVaultImportRecords: (...args) => mockActiveVaultImportRecords(...args),
+  vaultBackupCreate: (...args) => mockVaultBackupCreate(...args),
+  vaultBackupRestore: (...args) => mockVaultBackupRestore(...args),
+  autoBackupConfigure: (...args) => mockAutoBackupConfigure(...args),
+  autoBackupSnapshot: (...args) => mockAutoBackupSnapshot(...args),
+  autoBackupList: (...args) => mockAutoBackupList(...args),
+  autoBackupRestore: (...args) => mockAutoBackupRestore(...args),
+  autoLockConfigure: (...args) => mockAutoLockConfigure(...args),
+  autoLockRecordActivity: () => mockAutoLockRecordActivity(),
+  subscribeOtpCodes: (...args) => mockSubscribeOtpCodes(...args),
+  unsubscribeOtpCodes: (...args) => mockUnsubscribeOtpCodes(...args),
   activeVaultGetWriterKey: (...args) => mockActiveVaultGetWriterKey(...args),
   activeVaultGet: (...args) => mockActiveVaultGet(...args),
   createInvite: (...args) => mockCreateInvite(...args),
@@ -80,7 +137,11 @@ jest.mock('./appDeps', () => ({
   removeBlindMirror: (...args) => mockRemoveBlindMirror(...args),
   addDefaultBlindMirrors: (...args) => mockAddDefaultBlindMirrors(...args),
   removeAllBlindMirrors: (...args) => mockRemoveAllBlindMirrors(...args),
-  restartActiveVault: (...args) => mockRestartActiveVault(...args),
+  restartVault: (...args) => mockRestartVault(...args),
+  openVaultInstance: (...args) => mockOpenVaultInstance(...args),
+  closeVaultInstance: (...args) => mockCloseVaultInstance(...args),
+  getOpenVaultIds: () => mockGetOpenVaultIds(),
+  getIsVaultOpen: (...args) => mockGetIsVaultOpen(...args),
   setStoragePath: (...args) => mockSetStoragePath(...args),
   suspendAllInstances: (...args) => mockSuspendAllInstances(...args),
   resumeAllInstances: (...args) => mockResumeAllInstances(...args)
@@ -124,6 +185,10 @@ jest.mock('./utils/dht', () => ({
   destroySharedDHT: (...args) => mockDestroySharedDHT(...args)
 }))
 
+jest.mock('./passwordGenerator', () => ({
+  generatePassword: (...args) => mockGeneratePassword(...args)
+}))
+
 jest.mock('./hashPassword', () => ({
   hashPassword: (...args) => mockHashPassword(...args)
 }))
@@ -154,16 +219,20 @@ jest.mock('./masterPasswordManager', () => ({
     createMasterPassword: jest.fn(() => ({ data: 'created' })),
     initWithPassword: jest.fn(() => ({ data: 'init' })),
     updateMasterPassword: jest.fn(() => ({ data: 'updated' })),
+    recoverWithRecoveryKey: jest.fn(),
+    unlock: jest.fn(),
+    addKeySlot: jest.fn(),
+    setKdfProfile: jest.fn(),
     derivePasswordHash: jest.fn(() => 'derived')
   }
 }))
 
 jest.mock('../utils/recieveFileStream', () => ({
-  receiveFileStream: jest.fn()
+  readFileStream: jest.fn()
 }))
 
 jest.mock('../utils/sendFileStream', () => ({
-  sendFileStream: jest.fn()
+  pipeFileStream: jest.fn()
 }))
 
 jest.mock('../middleware/validateMirrorKeyViaDHT', () => ({
@@ -237,7 +306,46 @@ jest.mock('./api', () => {
     FETCH_FAVICON: 44,
     ACTIVE_VAULT_FIND: 61,
     ACTIVE_VAULT_GET_WRITER_KEY: 62,
-    ENCRYPTION_DECRYPT_BITWARDEN_EXPORT: 63
+    ENCRYPTION_DECRYPT_BITWARDEN_EXPORT: 63,
+    VAULT_INSTANCE_OPEN: 64,
+    VAULT_INSTANCE_CLOSE: 65,
+    VAULT_INSTANCE_LIST: 66,
+    ACTIVE_VAULT_SEARCH: 67,
+    ACTIVE_VAULT_RECORD_HISTORY: 68,
+    ACTIVE_VAULT_RECORD_RESTORE: 69,
+    ACTIVE_VAULT_TRASH_LIST: 70,
+    ACTIVE_VAULT_TRASH_RESTORE: 71,
+    ACTIVE_VAULT_TRASH_PURGE: 72,
+    SET_TRASH_RETENTION: 73,
+    ACTIVE_VAULT_SET_ATTACHMENT_QUOTA: 74,
+    ACTIVE_VAULT_GET_ATTACHMENT_USAGE: 75,
+    ADD_PASSKEY_TO_RECORD: 76,
+    SIGN_WEBAUTHN_ASSERTION: 77,
+    IMPORT_OTP_ENTRIES: 78,
+    SUBSCRIBE_OTP_CODES: 79,
+    UNSUBSCRIBE_OTP_CODES: 80,
+    ON_OTP_CODES: 81,
+    ACTIVE_VAULT_IMPORT_RECORDS: 82,
+    VAULT_BACKUP_CREATE: 83,
+    VAULT_BACKUP_RESTORE: 84,
+    ON_BACKUP_PROGRESS: 85,
+    AUTO_BACKUP_CONFIGURE: 86,
+    AUTO_BACKUP_SNAPSHOT: 87,
+    AUTO_BACKUP_LIST: 88,
+    AUTO_BACKUP_RESTORE: 89,
+    RECOVERY_KEY_CREATE: 90,
+    RECOVERY_KEY_STATUS: 91,
+    RECOVER_WITH_RECOVERY_KEY: 92,
+    KEY_SLOT_ADD: 93,
+    KEY_SLOT_REMOVE: 94,
+    KEY_SLOT_LIST: 95,
+    UNLOCK: 96,
+    PIN_STATUS: 97,
+    KDF_PROFILE_SET: 98,
+    AUTO_LOCK_CONFIGURE: 99,
+    ON_LOCKED: 100,
+    ACTIVE_VAULT_AUDIT: 101,
+    GENERATE_PASSWORD: 102
   }
 
   const API_BY_VALUE = Object.entries(API).reduce((acc, [key, value]) => {
@@ -279,10 +387,23 @@ import FramedStream from 'framed-stream'
 
 import { API } from './api'
 import { handleRpcCommand, setupIPC, createRPC } from './appCore'
+import { masterPasswordManager } from './masterPasswordManager'
+import { ERROR_CODES } from '../constants/errorCodes'
 import { isPearWorker } from './utils/isPearWorker'
 import { parseRequestData } from './utils/parseRequestData'
-import { receiveFileStream } from '../utils/recieveFileStream'
-import { sendFileStream } from '../utils/sendFileStream'
+import { redactArgs } from './utils/redact'
+import { workletLogger } from './utils/workletLogger'
+import { readFileStream } from '../utils/recieveFileStream'
+import { pipeFileStream } from '../utils/sendFileStream'
+import { vaultError } from '../utils/vaultError'
+
+// What the logger would write, after its redaction
+const loggedOutput = () =>
+  JSON.stringify(
+    ['log', 'debug', 'info', 'warn', 'error'].flatMap((level) =>
+      workletLogger[level].mock.calls.map(redactArgs)
+    )
+  )
 
 describe('handleRpcCommand', () => {
   beforeEach(() => {
@@ -333,8 +454,10 @@ describe('handleRpcCommand', () => {
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toContain('Error initializing vaults')
-    expect(payload.error).toContain('Password is required')
+    expect(payload.error.message).toContain('Error initializing vaults')
+    expect(payload.error.message).toContain('Password is required')
+    expect(payload.error.code).toBe('INVALID_INPUT')
+    expect(payload.error.retryable).toBe(false)
   })
 
   test('MASTER_VAULT_GET_STATUS: returns status from getIsVaultsInitialized', async () => {
@@ -444,7 +567,7 @@ describe('handleRpcCommand', () => {
 
     const payload = JSON.parse(reply.mock.calls[0][0])
     expect(payload.success).toBe(false)
-    expect(payload.error).toContain('Favicon not found')
+    expect(payload.error.message).toContain('Favicon not found')
   })
 
   test('FETCH_FAVICON: returns error when fetch throws', async () => {
@@ -464,7 +587,7 @@ describe('handleRpcCommand', () => {
 
     const payload = JSON.parse(reply.mock.calls[0][0])
     expect(payload.success).toBe(false)
-    expect(payload.error).toContain('Fetch failed')
+    expect(payload.error.message).toContain('Fetch failed')
   })
 
   test('MASTER_VAULT_GET: success path', async () => {
@@ -553,14 +676,18 @@ describe('handleRpcCommand', () => {
 
   test('ACTIVE_VAULT_FILE_ADD: success path', async () => {
     const mockStream = { mock: 'stream' }
-    const mockBuffer = Buffer.from('file data')
-    const metaData = { key: 'file-key', name: 'file-name.jpg' }
+    const mockContent = { mock: 'content' }
+    const metaData = {
+      key: 'file-key',
+      name: 'file-name.jpg',
+      mimeType: 'image/jpeg'
+    }
 
-    receiveFileStream.mockResolvedValue({
-      buffer: mockBuffer,
+    readFileStream.mockResolvedValue({
+      content: mockContent,
       metaData
     })
-    mockActiveVaultAdd.mockResolvedValue()
+    mockActiveVaultAddFile.mockResolvedValue({ size: 9 })
 
     const reply = jest.fn()
     const createRequestStream = jest.fn(() => mockStream)
@@ -574,25 +701,36 @@ describe('handleRpcCommand', () => {
     await handleRpcCommand(req)
 
     expect(createRequestStream).toHaveBeenCalled()
-    expect(receiveFileStream).toHaveBeenCalledWith(mockStream)
-    expect(mockActiveVaultAdd).toHaveBeenCalledWith(
+    expect(readFileStream).toHaveBeenCalledWith(mockStream)
+    expect(mockActiveVaultAddFile).toHaveBeenCalledWith(
       'file-key',
-      {},
-      mockBuffer,
-      'file-name.jpg'
+      mockContent,
+      {
+        name: 'file-name.jpg',
+        mimeType: 'image/jpeg',
+        recordId: undefined,
+        size: undefined
+      },
+      undefined
     )
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload).toEqual({ success: true, metaData })
+    expect(payload).toEqual({ success: true, metaData, file: { size: 9 } })
   })
 
   test('ACTIVE_VAULT_FILE_GET: success path', async () => {
-    parseRequestData.mockReturnValue({ key: 'file-key' })
-    const mockBuffer = Buffer.from('file content')
+    parseRequestData.mockReturnValue({ key: 'file-key', start: 2, end: 6 })
+    const mockContent = { mock: 'content' }
     const mockStream = { mock: 'response-stream' }
 
-    mockActiveVaultGetFile.mockResolvedValue(mockBuffer)
+    mockActiveVaultReadFile.mockResolvedValue({
+      size: 12,
+      start: 2,
+      end: 6,
+      metadata: { name: 'scan.pdf', hash: 'abc' },
+      content: mockContent
+    })
 
     const createResponseStream = jest.fn(() => mockStream)
     const req = {
@@ -603,12 +741,82 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockActiveVaultGetFile).toHaveBeenCalledWith('file-key')
+    expect(mockActiveVaultReadFile).toHaveBeenCalledWith(
+      'file-key',
+      { start: 2, end: 6 },
+      undefined
+    )
     expect(createResponseStream).toHaveBeenCalled()
-    expect(sendFileStream).toHaveBeenCalledWith({
+    expect(pipeFileStream).toHaveBeenCalledWith({
       stream: mockStream,
-      buffer: mockBuffer,
-      metaData: { key: 'file-key' }
+      source: mockContent,
+      metaData: {
+        key: 'file-key',
+        size: 12,
+        start: 2,
+        end: 6,
+        name: 'scan.pdf',
+        hash: 'abc'
+      },
+      toStreamError: expect.any(Function)
+    })
+  })
+
+  test('ACTIVE_VAULT_FILE_GET: replies with the error before streaming', async () => {
+    parseRequestData.mockReturnValue({ key: 'file-key', start: 5, end: 1 })
+    mockActiveVaultReadFile.mockRejectedValue(
+      vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid byte range')
+    )
+
+    const reply = jest.fn()
+    const createResponseStream = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_FILE_GET,
+      data: { key: 'file-key' },
+      reply,
+      createResponseStream
+    }
+
+    await handleRpcCommand(req)
+
+    expect(createResponseStream).not.toHaveBeenCalled()
+    expect(JSON.parse(reply.mock.calls[0][0]).error).toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT
+    })
+  })
+
+  test('ACTIVE_VAULT_FILE_GET: closes the stream on a failed chunk', async () => {
+    parseRequestData.mockReturnValue({ key: 'file-key' })
+    mockActiveVaultReadFile.mockResolvedValue({
+      size: 8,
+      start: 0,
+      end: 8,
+      metadata: null,
+      content: []
+    })
+    const error = vaultError(
+      ERROR_CODES.FILE_INTEGRITY_MISMATCH,
+      'File chunk does not match its hash',
+      { index: 1 }
+    )
+    pipeFileStream.mockRejectedValueOnce(error)
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_FILE_GET,
+      data: { key: 'file-key' },
+      reply,
+      createResponseStream: jest.fn(() => ({}))
+    }
+
+    await handleRpcCommand(req)
+
+    expect(reply).not.toHaveBeenCalled()
+    expect(pipeFileStream.mock.calls[0][0].toStreamError(error)).toMatchObject({
+      code: ERROR_CODES.FILE_INTEGRITY_MISMATCH,
+      message:
+        'Error getting file from active vault: File chunk does not match its hash',
+      details: { index: 1 }
     })
   })
 
@@ -635,6 +843,819 @@ describe('handleRpcCommand', () => {
     expect(payload).toEqual({ success: true })
   })
 
+  test('VAULT_INSTANCE_OPEN: success path', async () => {
+    parseRequestData.mockReturnValue({ id: 'vault-2', encryptionKey: 'key' })
+    mockOpenVaultInstance.mockResolvedValue()
+
+    const reply = jest.fn()
+    const req = {
+      command: API.VAULT_INSTANCE_OPEN,
+      data: { id: 'vault-2', encryptionKey: 'key' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockOpenVaultInstance).toHaveBeenCalledWith({
+      id: 'vault-2',
+      encryptionKey: 'key'
+    })
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload).toEqual({ success: true })
+  })
+
+  test('VAULT_INSTANCE_OPEN: replies with error on failure', async () => {
+    parseRequestData.mockReturnValue({ id: 'vault-2' })
+    mockOpenVaultInstance.mockRejectedValue(new Error('boom'))
+
+    const reply = jest.fn()
+    const req = {
+      command: API.VAULT_INSTANCE_OPEN,
+      data: { id: 'vault-2' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.message).toContain('Error opening vault')
+  })
+
+  test('VAULT_INSTANCE_CLOSE: success path', async () => {
+    parseRequestData.mockReturnValue({ id: 'vault-2' })
+    mockCloseVaultInstance.mockResolvedValue()
+
+    const reply = jest.fn()
+    const req = {
+      command: API.VAULT_INSTANCE_CLOSE,
+      data: { id: 'vault-2' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockCloseVaultInstance).toHaveBeenCalledWith('vault-2')
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload).toEqual({ success: true })
+  })
+
+  test('VAULT_INSTANCE_LIST: returns open vault ids', async () => {
+    mockGetOpenVaultIds.mockReturnValue(['vault-1', 'vault-2'])
+
+    const reply = jest.fn()
+    const req = {
+      command: API.VAULT_INSTANCE_LIST,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload).toEqual({ data: ['vault-1', 'vault-2'] })
+  })
+
+  test('ACTIVE_VAULT_GET: targets the vault given by vaultId', async () => {
+    parseRequestData.mockReturnValue({ key: 'record-key', vaultId: 'vault-2' })
+    mockActiveVaultGet.mockResolvedValue({ id: 'record-key' })
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_GET,
+      data: { key: 'record-key', vaultId: 'vault-2' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultGet).toHaveBeenCalledWith('record-key', 'vault-2')
+  })
+
+  test('ACTIVE_VAULT_SEARCH: returns search results', async () => {
+    const searchOptions = {
+      query: 'github',
+      fields: ['title'],
+      limit: 10,
+      offset: 0,
+      vaultId: 'vault-2'
+    }
+    const searchResults = { results: [], total: 0, offset: 0, limit: 10 }
+    parseRequestData.mockReturnValue(searchOptions)
+    mockActiveVaultSearch.mockResolvedValue(searchResults)
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_SEARCH,
+      data: searchOptions,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultSearch).toHaveBeenCalledWith(searchOptions)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload).toEqual({ data: searchResults })
+  })
+
+  test('ACTIVE_VAULT_SEARCH: error path', async () => {
+    parseRequestData.mockReturnValue({ query: 'github' })
+    mockActiveVaultSearch.mockRejectedValue(new Error('Vault not initialised'))
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_SEARCH,
+      data: { query: 'github' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.message).toMatch(/Error searching active vault/)
+  })
+
+  test('ACTIVE_VAULT_AUDIT: returns the audit of the given vault', async () => {
+    const options = {
+      maxAgeDays: 90,
+      twoFactorDomains: ['github.com'],
+      breachListPath: 'audit/breaches.txt'
+    }
+    const audit = { auditedCount: 0, reused: [], breached: [] }
+    parseRequestData.mockReturnValue({ ...options, vaultId: 'vault-2' })
+    mockActiveVaultAudit.mockResolvedValue(audit)
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_AUDIT, data: options, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultAudit).toHaveBeenCalledWith(options, 'vault-2')
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: audit })
+  })
+
+  test('ACTIVE_VAULT_AUDIT: error path', async () => {
+    parseRequestData.mockReturnValue({})
+    mockActiveVaultAudit.mockRejectedValue(new Error('Vault not initialised'))
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_AUDIT, data: {}, reply }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.message).toMatch(/Error auditing active vault/)
+  })
+
+  test('ACTIVE_VAULT_RECORD_HISTORY: returns versions', async () => {
+    const versions = [
+      { versionId: 'v1', timestamp: 1, writerKey: 'aa', data: { id: 'r1' } }
+    ]
+    parseRequestData.mockReturnValue({ key: 'record/r1', vaultId: 'vault-2' })
+    mockActiveVaultRecordHistory.mockResolvedValue(versions)
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_RECORD_HISTORY,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultRecordHistory).toHaveBeenCalledWith(
+      'record/r1',
+      'vault-2'
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: versions })
+  })
+
+  test('ACTIVE_VAULT_RECORD_RESTORE: returns the restored record', async () => {
+    parseRequestData.mockReturnValue({ key: 'record/r1', versionId: 'v1' })
+    mockActiveVaultRecordRestore.mockResolvedValue({ id: 'r1' })
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_RECORD_RESTORE,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultRecordRestore).toHaveBeenCalledWith(
+      'record/r1',
+      'v1',
+      undefined
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: { id: 'r1' } })
+  })
+
+  test('ACTIVE_VAULT_RECORD_RESTORE: error path keeps the code', async () => {
+    parseRequestData.mockReturnValue({ key: 'record/r1', versionId: 'v1' })
+    mockActiveVaultRecordRestore.mockRejectedValue(
+      Object.assign(new Error('Record version not found'), {
+        code: 'RECORD_NOT_FOUND'
+      })
+    )
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_RECORD_RESTORE,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.code).toBe('RECORD_NOT_FOUND')
+    expect(payload.error.message).toMatch(/Error restoring record version/)
+  })
+
+  test('ACTIVE_VAULT_TRASH_LIST: returns trash entries', async () => {
+    const trash = [
+      { key: 'record/r1', deletedAt: 1, isFile: false, data: { id: 'r1' } }
+    ]
+    parseRequestData.mockReturnValue({ vaultId: 'vault-2' })
+    mockActiveVaultTrashList.mockResolvedValue(trash)
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_TRASH_LIST, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultTrashList).toHaveBeenCalledWith('vault-2')
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: trash })
+  })
+
+  test('ACTIVE_VAULT_TRASH_RESTORE: restores the key', async () => {
+    parseRequestData.mockReturnValue({ key: 'record/r1' })
+    mockActiveVaultTrashRestore.mockResolvedValue()
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_TRASH_RESTORE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultTrashRestore).toHaveBeenCalledWith(
+      'record/r1',
+      undefined
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ success: true })
+  })
+
+  test('ACTIVE_VAULT_TRASH_RESTORE: error path', async () => {
+    parseRequestData.mockReturnValue({ key: 'record/r1' })
+    mockActiveVaultTrashRestore.mockRejectedValue(
+      Object.assign(new Error('Trash entry not found'), {
+        code: 'RECORD_NOT_FOUND'
+      })
+    )
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_TRASH_RESTORE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.code).toBe('RECORD_NOT_FOUND')
+    expect(payload.error.message).toMatch(/Error restoring from trash/)
+  })
+
+  test('ACTIVE_VAULT_TRASH_PURGE: returns the purged count', async () => {
+    parseRequestData.mockReturnValue({ keys: ['record/r1'] })
+    mockActiveVaultTrashPurge.mockResolvedValue(1)
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_TRASH_PURGE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultTrashPurge).toHaveBeenCalledWith(
+      ['record/r1'],
+      undefined
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({
+      data: { purged: 1 }
+    })
+  })
+
+  test('SET_TRASH_RETENTION: replies with the validation error', async () => {
+    parseRequestData.mockReturnValue({ retentionDays: -1 })
+    mockSetTrashRetention.mockImplementation(() => {
+      throw Object.assign(new Error('Invalid retention'), {
+        code: 'INVALID_INPUT'
+      })
+    })
+
+    const reply = jest.fn()
+    const req = { command: API.SET_TRASH_RETENTION, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockSetTrashRetention).toHaveBeenCalledWith(-1)
+    expect(JSON.parse(reply.mock.calls[0][0]).error.code).toBe('INVALID_INPUT')
+  })
+
+  test('ACTIVE_VAULT_SET_ATTACHMENT_QUOTA: success path', async () => {
+    parseRequestData.mockReturnValue({ quotaBytes: 1024, vaultId: 'v2' })
+    mockActiveVaultSetAttachmentQuota.mockResolvedValue()
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_SET_ATTACHMENT_QUOTA,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockActiveVaultSetAttachmentQuota).toHaveBeenCalledWith(1024, 'v2')
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ success: true })
+  })
+
+  test('ACTIVE_VAULT_GET_ATTACHMENT_USAGE: returns the usage', async () => {
+    const usage = {
+      usedBytes: 5,
+      trashBytes: 0,
+      fileCount: 1,
+      quotaBytes: null
+    }
+    parseRequestData.mockReturnValue({})
+    mockActiveVaultGetAttachmentUsage.mockRejectedValueOnce(
+      Object.assign(new Error('Vault not initialized'), {
+        code: 'VAULT_NOT_INITIALISED'
+      })
+    )
+    mockActiveVaultGetAttachmentUsage.mockResolvedValueOnce(usage)
+
+    const reply = jest.fn()
+    const req = {
+      command: API.ACTIVE_VAULT_GET_ATTACHMENT_USAGE,
+      data: null,
+      reply
+    }
+
+    await handleRpcCommand(req)
+    await handleRpcCommand(req)
+
+    expect(JSON.parse(reply.mock.calls[0][0]).error.message).toMatch(
+      /Error getting attachment usage/
+    )
+    expect(JSON.parse(reply.mock.calls[1][0])).toEqual({ data: usage })
+  })
+
+  test('ADD_PASSKEY_TO_RECORD: returns the registration', async () => {
+    parseRequestData.mockReturnValue({
+      recordId: 'r1',
+      rpId: 'example.com',
+      userName: 'octocat'
+    })
+    mockAddPasskeyToRecord.mockResolvedValue({ credentialId: 'cred' })
+
+    const reply = jest.fn()
+    const req = { command: API.ADD_PASSKEY_TO_RECORD, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockAddPasskeyToRecord).toHaveBeenCalledWith(
+      'r1',
+      {
+        rpId: 'example.com',
+        algorithm: undefined,
+        userHandle: undefined,
+        userName: 'octocat',
+        userDisplayName: undefined
+      },
+      undefined
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({
+      data: { credentialId: 'cred' }
+    })
+  })
+
+  test('SIGN_WEBAUTHN_ASSERTION: replies with the signing error', async () => {
+    parseRequestData.mockReturnValue({
+      recordId: 'r1',
+      rpId: 'evil.example',
+      clientDataHash: 'hash'
+    })
+    mockSignWebauthnAssertion.mockRejectedValue(
+      Object.assign(
+        new Error('Passkey does not belong to this relying party'),
+        {
+          code: 'INVALID_INPUT'
+        }
+      )
+    )
+
+    const reply = jest.fn()
+    const req = { command: API.SIGN_WEBAUTHN_ASSERTION, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockSignWebauthnAssertion).toHaveBeenCalledWith(
+      'r1',
+      { rpId: 'evil.example', clientDataHash: 'hash', userVerified: undefined },
+      undefined
+    )
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.code).toBe('INVALID_INPUT')
+    expect(payload.error.message).toMatch(/Error signing WebAuthn assertion/)
+  })
+
+  test('IMPORT_OTP_ENTRIES: returns the import report', async () => {
+    const result = {
+      format: 'aegis',
+      report: [{ issuer: 'GitHub', status: 'created', recordId: 'r1' }]
+    }
+    parseRequestData.mockReturnValue({
+      input: '{"header":{},"db":{}}',
+      password: 'pw',
+      vaultId: 'vault-2'
+    })
+    mockImportOtpEntries.mockResolvedValue(result)
+
+    const reply = jest.fn()
+    const req = { command: API.IMPORT_OTP_ENTRIES, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockImportOtpEntries).toHaveBeenCalledWith(
+      '{"header":{},"db":{}}',
+      { password: 'pw' },
+      'vault-2'
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: result })
+    expect(loggedOutput()).not.toContain('header')
+  })
+
+  test('ACTIVE_VAULT_IMPORT_RECORDS: decodes base64 input', async () => {
+    const result = { format: 'keepass', importedCount: 1 }
+    parseRequestData.mockReturnValue({
+      input: 'AQID',
+      encoding: 'base64',
+      password: 'pw',
+      dryRun: false,
+      vaultId: 'vault-2'
+    })
+    mockActiveVaultImportRecords.mockResolvedValue(result)
+
+    const reply = jest.fn()
+    const req = { command: API.ACTIVE_VAULT_IMPORT_RECORDS, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    const [params, vaultId] = mockActiveVaultImportRecords.mock.calls[0]
+    expect([...params.input]).toEqual([1, 2, 3])
+    expect(params).toMatchObject({ password: 'pw', dryRun: false })
+    expect(vaultId).toBe('vault-2')
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: result })
+    expect(loggedOutput()).not.toContain('AQID')
+  })
+
+  test('AUTO_LOCK_CONFIGURE: replies with the settings and pushes ON_LOCKED', async () => {
+    const send = jest.fn()
+    mockRPCInstance.request = jest.fn(() => ({ send }))
+    createRPC({})
+    parseRequestData.mockReturnValue({ idleMinutes: 5, lockOnSuspend: true })
+    const settings = { idleMinutes: 5, lockOnSuspend: true }
+    mockAutoLockConfigure.mockReturnValue(settings)
+
+    const reply = jest.fn()
+    await handleRpcCommand({
+      command: API.AUTO_LOCK_CONFIGURE,
+      data: null,
+      reply
+    })
+
+    expect(mockAutoLockRecordActivity).toHaveBeenCalled()
+    expect(mockAutoLockConfigure).toHaveBeenCalledWith({
+      idleMinutes: 5,
+      lockOnSuspend: true,
+      onLocked: expect.any(Function)
+    })
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: settings })
+
+    mockAutoLockConfigure.mock.calls[0][0].onLocked({ reason: 'idle' })
+
+    expect(mockRPCInstance.request).toHaveBeenCalledWith(API.ON_LOCKED)
+    expect(JSON.parse(send.mock.calls[0][0])).toEqual({ reason: 'idle' })
+
+    delete mockRPCInstance.request
+  })
+
+  test('VAULT_BACKUP_CREATE: replies with the backup and pushes progress', async () => {
+    const send = jest.fn()
+    mockRPCInstance.request = jest.fn(() => ({ send }))
+    createRPC({})
+    parseRequestData.mockReturnValue({ password: 'pw', vaultId: 'vault-2' })
+    const backup = { path: 'backups/vault-2/1.ppbackup', entryCount: 3 }
+    mockVaultBackupCreate.mockResolvedValue(backup)
+
+    const reply = jest.fn()
+    const req = { command: API.VAULT_BACKUP_CREATE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockVaultBackupCreate).toHaveBeenCalledWith(
+      { password: 'pw', path: undefined, kdfParams: undefined },
+      expect.any(Function),
+      'vault-2'
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: backup })
+
+    const progress = {
+      path: backup.path,
+      phase: 'write',
+      processed: 1,
+      total: 3
+    }
+    mockVaultBackupCreate.mock.calls[0][1](progress)
+
+    expect(mockRPCInstance.request).toHaveBeenCalledWith(API.ON_BACKUP_PROGRESS)
+    expect(JSON.parse(send.mock.calls[0][0])).toEqual(progress)
+
+    delete mockRPCInstance.request
+  })
+
+  test('VAULT_BACKUP_RESTORE: replies with an error envelope on failure', async () => {
+    parseRequestData.mockReturnValue({
+      path: 'backups/v1.ppbackup',
+      password: 'wrong',
+      overwrite: true
+    })
+    mockVaultBackupRestore.mockRejectedValue(
+      Object.assign(new Error('Decryption failed'), { code: 'BAD_PASSWORD' })
+    )
+
+    const reply = jest.fn()
+    const req = { command: API.VAULT_BACKUP_RESTORE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockVaultBackupRestore).toHaveBeenCalledWith(
+      expect.objectContaining({
+        path: 'backups/v1.ppbackup',
+        password: 'wrong',
+        overwrite: true
+      }),
+      expect.any(Function)
+    )
+    expect(JSON.parse(reply.mock.calls[0][0]).error).toMatchObject({
+      code: 'BAD_PASSWORD'
+    })
+  })
+
+  test('AUTO_BACKUP_CONFIGURE: replies with the settings', async () => {
+    parseRequestData.mockReturnValue({ intervalMinutes: 60, keep: 3 })
+    const settings = { enabled: true, intervalMinutes: 60, keep: 3 }
+    mockAutoBackupConfigure.mockReturnValue(settings)
+
+    const reply = jest.fn()
+    const req = { command: API.AUTO_BACKUP_CONFIGURE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockAutoBackupConfigure).toHaveBeenCalledWith({
+      enabled: undefined,
+      path: undefined,
+      intervalMinutes: 60,
+      changeThreshold: undefined,
+      keep: 3
+    })
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: settings })
+  })
+
+  test('AUTO_BACKUP_SNAPSHOT and AUTO_BACKUP_LIST: reply with snapshots', async () => {
+    const snapshot = { snapshotId: '1000', createdAt: 1000, vaultIds: [] }
+    mockAutoBackupSnapshot.mockResolvedValue(snapshot)
+    mockAutoBackupList.mockResolvedValue([snapshot])
+
+    const reply = jest.fn()
+    await handleRpcCommand({
+      command: API.AUTO_BACKUP_SNAPSHOT,
+      data: null,
+      reply
+    })
+    await handleRpcCommand({ command: API.AUTO_BACKUP_LIST, data: null, reply })
+
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: snapshot })
+    expect(JSON.parse(reply.mock.calls[1][0])).toEqual({ data: [snapshot] })
+  })
+
+  test('AUTO_BACKUP_RESTORE: replies with an error envelope on failure', async () => {
+    parseRequestData.mockReturnValue({ snapshotId: '1000', vaultId: 'v1' })
+    mockAutoBackupRestore.mockRejectedValue(
+      Object.assign(new Error('Vault not in snapshot'), {
+        code: 'VAULT_NOT_FOUND'
+      })
+    )
+
+    const reply = jest.fn()
+    const req = { command: API.AUTO_BACKUP_RESTORE, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockAutoBackupRestore).toHaveBeenCalledWith(
+      expect.objectContaining({ snapshotId: '1000', vaultId: 'v1' }),
+      expect.any(Function)
+    )
+    expect(JSON.parse(reply.mock.calls[0][0]).error).toMatchObject({
+      code: 'VAULT_NOT_FOUND'
+    })
+  })
+
+  test('KDF_PROFILE_SET: replies with the profile parameters', async () => {
+    parseRequestData.mockReturnValue({ profile: 'desktop' })
+    const profile = { profile: 'desktop', kdf: { alg: 'argon2id13' } }
+    masterPasswordManager.setKdfProfile.mockReturnValue(profile)
+
+    const reply = jest.fn()
+    await handleRpcCommand({ command: API.KDF_PROFILE_SET, data: null, reply })
+
+    expect(masterPasswordManager.setKdfProfile).toHaveBeenCalledWith({
+      profile: 'desktop'
+    })
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: profile })
+  })
+
+  test('UNLOCK: passes the slot type, secret, id and device key', async () => {
+    parseRequestData.mockReturnValue({
+      slotType: 'pin',
+      secret: 'MTIzNDU2',
+      deviceKey: 'a2V5'
+    })
+    masterPasswordManager.unlock.mockResolvedValue({ success: true })
+
+    const reply = jest.fn()
+    await handleRpcCommand({ command: API.UNLOCK, data: null, reply })
+
+    expect(masterPasswordManager.unlock).toHaveBeenCalledWith({
+      slotType: 'pin',
+      secret: 'MTIzNDU2',
+      slotId: undefined,
+      deviceKey: 'a2V5'
+    })
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({
+      data: { success: true }
+    })
+  })
+
+  test('KEY_SLOT_ADD: replies with the slot and generated secret', async () => {
+    const auth = { slotType: 'password', secret: 'cHc=' }
+    parseRequestData.mockReturnValue({
+      slotType: 'device',
+      label: 'Phone',
+      auth
+    })
+    const added = { slot: { id: 'd1', type: 'device' }, secret: 'a2V5' }
+    masterPasswordManager.addKeySlot.mockResolvedValue(added)
+
+    const reply = jest.fn()
+    await handleRpcCommand({ command: API.KEY_SLOT_ADD, data: null, reply })
+
+    expect(masterPasswordManager.addKeySlot).toHaveBeenCalledWith({
+      slotType: 'device',
+      secret: undefined,
+      label: 'Phone',
+      auth
+    })
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: added })
+  })
+
+  test('UNLOCK and KEY_SLOT_ADD: secrets stay out of the logs', async () => {
+    parseRequestData.mockReturnValueOnce({
+      slotType: 'device',
+      slotId: 'd1',
+      deviceKey: 'ZGV2aWNlLWtleQ=='
+    })
+    masterPasswordManager.unlock.mockResolvedValue({ success: true })
+    await handleRpcCommand({
+      command: API.UNLOCK,
+      data: null,
+      reply: jest.fn()
+    })
+
+    parseRequestData.mockReturnValueOnce({
+      slotType: 'device',
+      auth: { slotType: 'password', secret: 'cGFzc3dvcmQ=' }
+    })
+    masterPasswordManager.addKeySlot.mockResolvedValue({
+      slot: { id: 'd2', type: 'device' },
+      secret: 'bmV3LXNlY3JldA=='
+    })
+    await handleRpcCommand({
+      command: API.KEY_SLOT_ADD,
+      data: null,
+      reply: jest.fn()
+    })
+
+    expect(workletLogger.log).toHaveBeenCalledWith(
+      'Received command: UNLOCK',
+      expect.anything()
+    )
+    const logged = loggedOutput()
+    for (const secret of [
+      'ZGV2aWNlLWtleQ==',
+      'cGFzc3dvcmQ=',
+      'bmV3LXNlY3JldA=='
+    ]) {
+      expect(logged).not.toContain(secret)
+    }
+  })
+
+  test('UNLOCK: neither factor of a PIN slot is logged', async () => {
+    parseRequestData.mockReturnValueOnce({
+      slotType: 'pin',
+      secret: 'MTM1Nzk=',
+      deviceKey: 'cGluLWRldmljZS1rZXk='
+    })
+    masterPasswordManager.unlock.mockResolvedValue({ success: true })
+
+    await handleRpcCommand({
+      command: API.UNLOCK,
+      data: null,
+      reply: jest.fn()
+    })
+
+    const logged = loggedOutput()
+    expect(logged).toContain('Received command: UNLOCK')
+    expect(logged).not.toContain('MTM1Nzk=')
+    expect(logged).not.toContain('cGluLWRldmljZS1rZXk=')
+  })
+
+  test('RECOVER_WITH_RECOVERY_KEY: passes the key and new password', async () => {
+    parseRequestData.mockReturnValue({
+      recoveryKey: 'abandon ability',
+      newPassword: 'bmV3'
+    })
+    masterPasswordManager.recoverWithRecoveryKey.mockRejectedValue(
+      Object.assign(new Error('Invalid recovery key'), { code: 'BAD_PASSWORD' })
+    )
+
+    const reply = jest.fn()
+    const req = { command: API.RECOVER_WITH_RECOVERY_KEY, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(masterPasswordManager.recoverWithRecoveryKey).toHaveBeenCalledWith({
+      recoveryKey: 'abandon ability',
+      newPassword: 'bmV3'
+    })
+    expect(JSON.parse(reply.mock.calls[0][0]).error).toMatchObject({
+      code: 'BAD_PASSWORD'
+    })
+  })
+
+  test('SUBSCRIBE_OTP_CODES: replies with the current codes and pushes later ones', async () => {
+    const send = jest.fn()
+    mockRPCInstance.request = jest.fn(() => ({ send }))
+    createRPC({})
+    parseRequestData.mockReturnValue({ recordIds: ['r1'], vaultId: 'vault-2' })
+    const subscription = {
+      subscriptionId: 'sub',
+      codes: [{ recordId: 'r1', code: '123456', period: 30 }]
+    }
+    mockSubscribeOtpCodes.mockResolvedValue(subscription)
+
+    const reply = jest.fn()
+    const req = { command: API.SUBSCRIBE_OTP_CODES, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockSubscribeOtpCodes).toHaveBeenCalledWith(
+      ['r1'],
+      expect.any(Function),
+      'vault-2'
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: subscription })
+
+    const pushed = { subscriptionId: 'sub', vaultId: 'vault-2', codes: [] }
+    mockSubscribeOtpCodes.mock.calls[0][1](pushed)
+
+    expect(mockRPCInstance.request).toHaveBeenCalledWith(API.ON_OTP_CODES)
+    expect(JSON.parse(send.mock.calls[0][0])).toEqual(pushed)
+
+    delete mockRPCInstance.request
+  })
+
+  test('UNSUBSCRIBE_OTP_CODES: replies whether the subscription existed', async () => {
+    parseRequestData.mockReturnValue({ subscriptionId: 'sub' })
+    mockUnsubscribeOtpCodes.mockReturnValue(true)
+
+    const reply = jest.fn()
+    const req = { command: API.UNSUBSCRIBE_OTP_CODES, data: null, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockUnsubscribeOtpCodes).toHaveBeenCalledWith('sub')
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({ data: true })
+  })
+
   test('ACTIVE_VAULT_GET_STATUS: returns status', async () => {
     mockGetIsActiveVaultInitialized.mockReturnValue(true)
 
@@ -688,9 +1709,13 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockActiveVaultAdd).toHaveBeenCalledWith('record-key', {
-      field: 'value'
-    })
+    expect(mockActiveVaultAdd).toHaveBeenCalledWith(
+      'record-key',
+      { field: 'value' },
+      undefined,
+      undefined,
+      undefined
+    )
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -710,7 +1735,7 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockVaultRemove).toHaveBeenCalledWith('record-key')
+    expect(mockVaultRemove).toHaveBeenCalledWith('record-key', undefined)
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -730,7 +1755,7 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockActiveVaultList).toHaveBeenCalledWith('filter')
+    expect(mockActiveVaultList).toHaveBeenCalledWith('filter', undefined)
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -797,7 +1822,7 @@ describe('handleRpcCommand', () => {
     await handleRpcCommand(req)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toMatch(/Error getting writer key/)
+    expect(payload.error.message).toMatch(/Error getting writer key/)
   })
 
   test('ACTIVE_VAULT_FIND: error path', async () => {
@@ -815,7 +1840,9 @@ describe('handleRpcCommand', () => {
 
     expect(reply).toHaveBeenCalledTimes(1)
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toMatch(/Error finding records in active vault/)
+    expect(payload.error.message).toMatch(
+      /Error finding records in active vault/
+    )
   })
 
   test('ACTIVE_VAULT_GET: success path', async () => {
@@ -831,7 +1858,7 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockActiveVaultGet).toHaveBeenCalledWith('record-key')
+    expect(mockActiveVaultGet).toHaveBeenCalledWith('record-key', undefined)
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -958,7 +1985,32 @@ describe('handleRpcCommand', () => {
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toContain('Active vault not initialized')
+    expect(payload.error.message).toContain('Active vault not initialized')
+    expect(payload.error.code).toBe('VAULT_NOT_INITIALISED')
+  })
+
+  test('INIT_LISTENER: allows a vault opened next to the active one', async () => {
+    parseRequestData.mockReturnValue({ vaultId: 'vault-2' })
+    mockGetIsActiveVaultInitialized.mockReturnValue(false)
+    mockGetIsVaultOpen.mockReturnValue(true)
+    mockInitListener.mockResolvedValue()
+
+    const reply = jest.fn()
+    const req = {
+      command: API.INIT_LISTENER,
+      data: { vaultId: 'vault-2' },
+      reply
+    }
+
+    await handleRpcCommand(req)
+
+    expect(mockGetIsVaultOpen).toHaveBeenCalledWith('vault-2')
+    expect(mockInitListener).toHaveBeenCalledWith(
+      expect.objectContaining({ vaultId: 'vault-2' })
+    )
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload).toEqual({ success: true })
   })
 
   test('ENCRYPTION_INIT: success path', async () => {
@@ -1061,6 +2113,39 @@ describe('handleRpcCommand', () => {
     expect(payload).toEqual({ data: 'hashed-password' })
   })
 
+  test('GENERATE_PASSWORD: replies with the generated password', async () => {
+    const options = { type: 'passphrase', words: 5, separator: '.' }
+    parseRequestData.mockReturnValue(options)
+    mockGeneratePassword.mockReturnValue({ password: 'a.b', entropyBits: 55 })
+
+    const reply = jest.fn()
+    const req = { command: API.GENERATE_PASSWORD, data: options, reply }
+
+    await handleRpcCommand(req)
+
+    expect(mockGeneratePassword).toHaveBeenCalledWith(
+      expect.objectContaining(options)
+    )
+    expect(JSON.parse(reply.mock.calls[0][0])).toEqual({
+      data: { password: 'a.b', entropyBits: 55 }
+    })
+  })
+
+  test('GENERATE_PASSWORD: error path', async () => {
+    parseRequestData.mockReturnValue({ profile: 'bank' })
+    mockGeneratePassword.mockImplementation(() => {
+      throw new Error('Unknown password profile')
+    })
+
+    const reply = jest.fn()
+    const req = { command: API.GENERATE_PASSWORD, data: {}, reply }
+
+    await handleRpcCommand(req)
+
+    const payload = JSON.parse(reply.mock.calls[0][0])
+    expect(payload.error.message).toMatch(/Error generating password/)
+  })
+
   test('ENCRYPTION_ENCRYPT_VAULT_KEY_WITH_HASHED_PASSWORD: success path', async () => {
     parseRequestData.mockReturnValue({ hashedPassword: 'hashed' })
     mockEncryptVaultKeyWithHashedPassword.mockReturnValue({ encrypted: 'key' })
@@ -1105,7 +2190,12 @@ describe('handleRpcCommand', () => {
   })
 
   test('ENCRYPTION_GET_DECRYPTION_KEY: success path', async () => {
-    parseRequestData.mockReturnValue({ salt: 'salt123', password: 'password' })
+    const kdf = { alg: 'argon2id13', opslimit: 4, memlimit: 268435456 }
+    parseRequestData.mockReturnValue({
+      salt: 'salt123',
+      password: 'password',
+      kdf
+    })
     mockGetDecryptionKey.mockReturnValue('decryption-key')
 
     const reply = jest.fn()
@@ -1119,7 +2209,8 @@ describe('handleRpcCommand', () => {
 
     expect(mockGetDecryptionKey).toHaveBeenCalledWith({
       password: 'password',
-      salt: 'salt123'
+      salt: 'salt123',
+      kdf
     })
     expect(reply).toHaveBeenCalledTimes(1)
 
@@ -1189,7 +2280,9 @@ describe('handleRpcCommand', () => {
   test('ENCRYPTION_DECRYPT_BITWARDEN_EXPORT: replies with error when decryption throws', async () => {
     parseRequestData.mockReturnValue({ password: 'wrong' })
     mockDecryptBitwardenExport.mockImplementation(() => {
-      throw new Error('Incorrect password')
+      throw Object.assign(new Error('Incorrect password'), {
+        code: 'BW_BAD_PASSWORD'
+      })
     })
 
     const reply = jest.fn()
@@ -1204,8 +2297,9 @@ describe('handleRpcCommand', () => {
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toContain('Error decrypting Bitwarden export')
-    expect(payload.error).toContain('Incorrect password')
+    expect(payload.error.message).toContain('Error decrypting Bitwarden export')
+    expect(payload.error.message).toContain('Incorrect password')
+    expect(payload.error.code).toBe('BAD_PASSWORD')
   })
 
   test('ENCRYPTION_CLOSE: success path', async () => {
@@ -1249,7 +2343,7 @@ describe('handleRpcCommand', () => {
   test('BLIND_MIRRORS_ADD: success path', async () => {
     parseRequestData.mockReturnValue({ blindMirrors: [{ key: 'mirror1' }] })
     mockAddBlindMirrors.mockResolvedValue()
-    mockRestartActiveVault.mockResolvedValue()
+    mockRestartVault.mockResolvedValue()
 
     const reply = jest.fn()
     const req = {
@@ -1260,8 +2354,11 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockAddBlindMirrors).toHaveBeenCalledWith([{ key: 'mirror1' }])
-    expect(mockRestartActiveVault).toHaveBeenCalled()
+    expect(mockAddBlindMirrors).toHaveBeenCalledWith(
+      [{ key: 'mirror1' }],
+      undefined
+    )
+    expect(mockRestartVault).toHaveBeenCalled()
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -1271,7 +2368,7 @@ describe('handleRpcCommand', () => {
   test('BLIND_MIRROR_REMOVE: success path', async () => {
     parseRequestData.mockReturnValue({ key: 'mirror-key' })
     mockRemoveBlindMirror.mockResolvedValue()
-    mockRestartActiveVault.mockResolvedValue()
+    mockRestartVault.mockResolvedValue()
 
     const reply = jest.fn()
     const req = {
@@ -1282,8 +2379,8 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockRemoveBlindMirror).toHaveBeenCalledWith('mirror-key')
-    expect(mockRestartActiveVault).toHaveBeenCalled()
+    expect(mockRemoveBlindMirror).toHaveBeenCalledWith('mirror-key', undefined)
+    expect(mockRestartVault).toHaveBeenCalled()
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -1292,7 +2389,7 @@ describe('handleRpcCommand', () => {
 
   test('BLIND_MIRRORS_ADD_DEFAULTS: success path', async () => {
     mockAddDefaultBlindMirrors.mockResolvedValue()
-    mockRestartActiveVault.mockResolvedValue()
+    mockRestartVault.mockResolvedValue()
 
     const reply = jest.fn()
     const req = {
@@ -1304,7 +2401,7 @@ describe('handleRpcCommand', () => {
     await handleRpcCommand(req)
 
     expect(mockAddDefaultBlindMirrors).toHaveBeenCalled()
-    expect(mockRestartActiveVault).toHaveBeenCalled()
+    expect(mockRestartVault).toHaveBeenCalled()
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -1313,7 +2410,7 @@ describe('handleRpcCommand', () => {
 
   test('BLIND_MIRRORS_REMOVE_ALL: success path', async () => {
     mockRemoveAllBlindMirrors.mockResolvedValue()
-    mockRestartActiveVault.mockResolvedValue()
+    mockRestartVault.mockResolvedValue()
 
     const reply = jest.fn()
     const req = {
@@ -1325,7 +2422,7 @@ describe('handleRpcCommand', () => {
     await handleRpcCommand(req)
 
     expect(mockRemoveAllBlindMirrors).toHaveBeenCalled()
-    expect(mockRestartActiveVault).toHaveBeenCalled()
+    expect(mockRestartVault).toHaveBeenCalled()
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -1345,7 +2442,10 @@ describe('handleRpcCommand', () => {
 
     await handleRpcCommand(req)
 
-    expect(mockActiveVaultRemoveFile).toHaveBeenCalledWith('file-key')
+    expect(mockActiveVaultRemoveFile).toHaveBeenCalledWith(
+      'file-key',
+      undefined
+    )
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
@@ -1365,7 +2465,8 @@ describe('handleRpcCommand', () => {
     expect(reply).toHaveBeenCalledTimes(1)
 
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toContain('Unknown command: 9999')
+    expect(payload.error.message).toContain('Unknown command: 9999')
+    expect(payload.error.code).toBe('UNKNOWN_COMMAND')
   })
 })
 
@@ -1449,6 +2550,6 @@ describe('createRPC', () => {
     // Should have replied with an error for unknown command
     expect(reply).toHaveBeenCalledTimes(1)
     const payload = JSON.parse(reply.mock.calls[0][0])
-    expect(payload.error).toContain('Unknown command')
+    expect(payload.error.message).toContain('Unknown command')
   })
 })
@@ -7,24 +7,97 @@ import BlindEncryptionSodium from 'blind-encryption-sodium'
 import Corestore from 'corestore'
 import sodium from 'sodium-native'
 
+import {
+  FILE_CHUNK_PREFIX,
+  isFileManifest,
+  readChunkedFile,
+  readFileManifest,
+  removeFileChunks,
+  resolveByteRange,
+  writeChunkedFile
+} from './fileChunks'
+import { AutoLock } from './autoLock'
+import { BackupScheduler } from './backupScheduler'
 import { getForbiddenRoots } from './getForbiddenRoots'
+import { parseImport } from './import/index'
 import { generateTOTP, generateHOTP, parseOtpInput } from './otp/index'
+import { parseOtpExport } from './otp/otpExports'
+import { OtpTicker } from './otpTicker'
+import { auditPasswords } from './passwordAudit'
+import {
+  createPasskey,
+  getPasskeyRegistration,
+  signPasskeyAssertion,
+  toPasskeyPublic
+} from './passkey/index'
 import { PearPassPairer } from './pearpassPairer'
-import { RateLimiter } from './rateLimiter'
+import { RATE_LIMIT_POLICY, RateLimiter } from './rateLimiter'
+import {
+  RECORD_KEY_PREFIX,
+  migrateStoredRecord,
+  prepareRecordForWrite
+} from './recordSchema'
+import { RecordSearchIndex } from './recordSearchIndex'
+import { SecretHandle } from './secretHandle'
 import { workletLogger } from './utils/workletLogger'
+import { OTP_IMPORT_STATUS } from '../constants/otpImport'
 import { OTP_TYPE } from '../constants/otpType'
+import { RECORD_TYPE } from '../constants/recordType'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
 import { getConfig } from './utils/swarm'
 import { validateAndSanitizePath } from './validateAndSanitizePath'
+import {
+  BACKUP_FILE_EXTENSION,
+  listEntryKeys,
+  readVaultBackup,
+  writeVaultBackup
+} from './vaultBackup'
 import { defaultMirrorKeys } from '../constants/defaultBlindMirrors'
 
 let STORAGE_PATH = null
 let JOB_STORAGE_PATH = null
+let SNAPSHOT_STORAGE_PATH = null
 
 const JOB_FILE_NAME = 'jobs.enc'
 const JOB_FILE_MAGIC = 'PPJQ'
 const JOB_FILE_HEADER_SIZE = 16
 const JOB_FILE_NONCE_SIZE = sodium.crypto_secretbox_NONCEBYTES
 
+const RECORD_HISTORY_PREFIX = 'history/'
+const MAX_RECORD_HISTORY = 20
+
+const TRASH_PREFIX = 'trash/'
+
+const ATTACHMENT_QUOTA_KEY = 'attachment-quota'
+const BACKUP_DIR = 'backups'
+const VAULT_ID = /^[0-9a-f]{32}$/
+const SNAPSHOT_DIR = 'snapshots'
+const SNAPSHOT_ID = /^\d+$/
+const VAULTS_SNAPSHOT_FILE = `vaults${BACKUP_FILE_EXTENSION}`
+const VAULT_SNAPSHOT_PREFIX = 'vault-'
+const DEFAULT_SNAPSHOT_KEEP = 5
+const SNAPSHOT_KEY_CONTEXT = 'pearpass-snapshot'
+// Snapshot and rollback passwords are random or derived keys already
+const SNAPSHOT_KDF_PARAMS = {
+  opslimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+  memlimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+}
+const DAY_MS = 24 * 60 * 60 * 1000
+// Longer timeouts overflow setTimeout, which then fires right away
+const MAX_IDLE_MINUTES = 24 * 60
+
+const PIN_MAX_ATTEMPTS = 5
+
+let snapshotKeep = DEFAULT_SNAPSHOT_KEEP
+
+/**
+ * Trash entries older than this are purged when a vault opens. `null` keeps
+ * them until purged by hand.
+ * @type {number | null}
+ */
+let TRASH_RETENTION_MS = 30 * DAY_MS
+
 let CORE_STORE_OPTIONS = {
   readOnly: false,
   suspend: true
@@ -38,20 +111,71 @@ let isVaultsInitialized = false
 
 let activeVaultInstance
 let isActiveVaultInitialized = false
+let activeVaultId = null
+
+/**
+ * Every vault instance currently open, keyed by vault id. The active vault is
+ * registered here as well; it is just the one commands fall back to when no
+ * `vaultId` is given.
+ * @type {Map<string, { instance: Autopass, encryptionKey: SecretHandle | null, onUpdate: Function | null }>}
+ */
+const vaultRegistry = new Map()
+
+/**
+ * Search index per open vault instance, dropped with the instance on close.
+ * @type {WeakMap<Autopass, RecordSearchIndex>}
+ */
+const searchIndexes = new WeakMap()
+
+/**
+ * @param {Autopass} instance
+ */
+const markSearchIndexStale = (instance) => {
+  searchIndexes.get(instance)?.markStale()
+}
+
+/**
+ * @param {Autopass} instance
+ */
+const handleVaultUpdate = (instance) => {
+  markSearchIndexStale(instance)
+  backupScheduler.recordChange()
+}
 
 let listeningVaultId = null
 let lastActiveVaultId = null
+/** @type {SecretHandle | null} */
 let lastActiveVaultEncryptionKey = null
+/**
+ * `masterEncryption.hashedPassword` of the open vaults list
+ * @type {SecretHandle | null}
+ */
+let hashedPasswordCache = null
 let lastOnUpdateCallback = null
 
 const pearpassPairer = new PearPassPairer()
 const rateLimiter = new RateLimiter()
+// A short PIN is only safe with very few guesses, so they are never forgiven
+const pinRateLimiter = new RateLimiter({
+  storageKey: 'pinRateLimitData',
+  maxAttempts: PIN_MAX_ATTEMPTS,
+  policy: RATE_LIMIT_POLICY.WIPE
+})
+const otpTicker = new OtpTicker((recordIds, vaultId) =>
+  generateOtpCodesByIds(recordIds, vaultId)
+)
+const backupScheduler = new BackupScheduler(() => takeSnapshot())
+const autoLock = new AutoLock((reason) => lockAllInstances(reason))
+let onLocked = null
 
 /**
+ * Sanitizes a directory the worklet writes to and blocks restricted system
+ * directories.
  * @param {string} path
- * @returns {Promise<void>}
- * */
-export const setStoragePath = async (path) => {
+ * @param {string} message - of the error for a restricted directory
+ * @returns {string}
+ */
+const toWritableDirectory = (path, message) => {
   const sanitizedPath = validateAndSanitizePath(path)
 
   // Block access to restricted system directories
@@ -70,11 +194,22 @@ export const setStoragePath = async (path) => {
       normalizedPath === normalizedRoot ||
       normalizedPath.startsWith(normalizedRoot + separator)
     ) {
-      throw new Error('Storage path points to a restricted system directory')
+      throw vaultError(ERROR_CODES.STORAGE_PATH_INVALID, message)
     }
   }
 
-  STORAGE_PATH = sanitizedPath
+  return sanitizedPath
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<void>}
+ * */
+export const setStoragePath = async (path) => {
+  STORAGE_PATH = toWritableDirectory(
+    path,
+    'Storage path points to a restricted system directory'
+  )
 }
 
 export const setCoreStoreOptions = (coreStoreOptions) => {
@@ -84,6 +219,23 @@ export const setCoreStoreOptions = (coreStoreOptions) => {
   }
 }
 
+/**
+ * @param {number | null} retentionDays - `null` disables the automatic purge
+ */
+export const setTrashRetention = (retentionDays) => {
+  if (
+    retentionDays !== null &&
+    !(Number.isFinite(retentionDays) && retentionDays >= 0)
+  ) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Trash retention must be a non-negative number of days or null'
+    )
+  }
+
+  TRASH_RETENTION_MS = retentionDays === null ? null : retentionDays * DAY_MS
+}
+
 /**
  * @returns {boolean}
  **/
@@ -104,6 +256,45 @@ export const getIsActiveVaultInitialized = () => isActiveVaultInitialized
  */
 export const getActiveVaultInstance = () => activeVaultInstance
 
+/**
+ * @returns {Array<string>}
+ */
+export const getOpenVaultIds = () => [...vaultRegistry.keys()]
+
+/**
+ * @param {string} vaultId
+ * @returns {boolean}
+ */
+export const getIsVaultOpen = (vaultId) => vaultRegistry.has(vaultId)
+
+/**
+ * Resolves the instance a vault-scoped command should run against. Without a
+ * `vaultId` this is the active vault.
+ * @param {string | undefined} vaultId
+ * @param {string} [notInitialisedMessage]
+ * @returns {Autopass}
+ */
+export const getVaultInstance = (
+  vaultId,
+  notInitialisedMessage = 'Vault not initialised'
+) => {
+  if (!vaultId) {
+    if (!isActiveVaultInitialized) {
+      throw vaultError(ERROR_CODES.VAULT_NOT_INITIALISED, notInitialisedMessage)
+    }
+
+    return activeVaultInstance
+  }
+
+  const entry = vaultRegistry.get(vaultId)
+
+  if (!entry) {
+    throw vaultError(ERROR_CODES.VAULT_NOT_INITIALISED, notInitialisedMessage)
+  }
+
+  return entry.instance
+}
+
 /**
  * @returns {Autopass}
  **/
@@ -119,9 +310,13 @@ export const getEncryptionInstance = () => encryptionInstance
  * @returns {Promise<void>}
  */
 export const suspendAllInstances = async () => {
-  if (activeVaultInstance) {
-    workletLogger.log('Suspending active vault instance')
-    await activeVaultInstance.suspend?.()
+  await autoLock.suspend()
+  otpTicker.pause()
+  backupScheduler.pause()
+
+  for (const [vaultId, { instance }] of vaultRegistry) {
+    workletLogger.log('Suspending vault instance', vaultId)
+    await instance.suspend?.()
   }
   if (vaultsInstance) {
     workletLogger.log('Suspending vaults instance')
@@ -140,11 +335,33 @@ export const suspendAllInstances = async () => {
 export const resumeAllInstances = async () => {
   const tasks = []
 
-  tasks.push(activeVaultInstance?.resume?.())
+  for (const { instance } of vaultRegistry.values()) {
+    tasks.push(instance.resume?.())
+  }
   tasks.push(vaultsInstance?.resume?.())
   tasks.push(encryptionInstance?.resume?.())
 
   await Promise.allSettled(tasks)
+  await otpTicker.resume()
+  backupScheduler.resume()
+  await autoLock.resume()
+}
+
+/**
+ * @param {string} vaultId
+ * @returns {void}
+ */
+const unregisterVault = (vaultId) => {
+  vaultRegistry.get(vaultId)?.encryptionKey?.dispose()
+  vaultRegistry.delete(vaultId)
+}
+
+/**
+ * @returns {void}
+ */
+const clearHashedPasswordCache = () => {
+  hashedPasswordCache?.dispose()
+  hashedPasswordCache = null
 }
 
 /**
@@ -152,6 +369,7 @@ export const resumeAllInstances = async () => {
  */
 const clearRestartCache = () => {
   lastActiveVaultId = null
+  lastActiveVaultEncryptionKey?.dispose()
   lastActiveVaultEncryptionKey = null
   lastOnUpdateCallback = null
 }
@@ -161,12 +379,16 @@ const clearRestartCache = () => {
  * @returns {Promise<void>}
  */
 export const closeActiveVaultInstance = async (options) => {
+  otpTicker.unsubscribeVault(activeVaultId)
   activeVaultInstance.removeAllListeners()
 
   await activeVaultInstance.close()
 
+  unregisterVault(activeVaultId)
+
   activeVaultInstance = null
   isActiveVaultInitialized = false
+  activeVaultId = null
   // reset listener marker so future initListener can rebind
   listeningVaultId = null
 
@@ -179,9 +401,14 @@ export const closeActiveVaultInstance = async (options) => {
  *
  * @param {Autopass} instance
  * @param {Function} filterFn
+ * @param {(key: string, value: any) => any} [mapFn] - applied to each value
  * @returns
  */
-export const collectValuesByFilter = async (instance, filterFn) => {
+export const collectValuesByFilter = async (
+  instance,
+  filterFn,
+  mapFn = (key, value) => value
+) => {
   const stream = await instance.list()
   const results = []
 
@@ -193,18 +420,18 @@ export const collectValuesByFilter = async (instance, filterFn) => {
 
       const parsedValue = JSON.parse(value)
 
-      if (!parsedValue) {
-        return
-      }
-
-      if (!filterFn) {
-        results.push(parsedValue)
+      if (!parsedValue || (filterFn && !filterFn(key))) {
         return
       }
 
-      if (filterFn(key)) {
-        results.push(parsedValue)
-      }
+      results.push(
+        mapFn(
+          key,
+          key?.startsWith(RECORD_KEY_PREFIX)
+            ? migrateStoredRecord(parsedValue)
+            : parsedValue
+        )
+      )
     })
 
     stream.on('end', () => resolve(results))
@@ -219,7 +446,7 @@ export const collectValuesByFilter = async (instance, filterFn) => {
  */
 export const buildPath = (path) => {
   if (!STORAGE_PATH) {
-    throw new Error('Storage path not set')
+    throw vaultError(ERROR_CODES.STORAGE_PATH_NOT_SET, 'Storage path not set')
   }
 
   // Join and resolve the path (handles traversal sequences like ..)
@@ -235,20 +462,40 @@ export const buildPath = (path) => {
     normalizedResolved !== normalizedRoot &&
     !normalizedResolved.startsWith(normalizedRoot + barePath.sep)
   ) {
-    throw new Error('Resolved path escapes storage root')
+    throw vaultError(
+      ERROR_CODES.STORAGE_PATH_INVALID,
+      'Resolved path escapes storage root'
+    )
   }
 
   return normalizedResolved
 }
 
+/**
+ * The blind encryption key is the hashed password repeated to 32 bytes.
+ * @param {string | SecretHandle} hashedPassword
+ * @returns {Buffer}
+ */
+const toBlindEncryptionKey = (hashedPassword) =>
+  hashedPassword instanceof SecretHandle
+    ? hashedPassword.use((buffer) => b4a.alloc(32, buffer))
+    : b4a.alloc(32, hashedPassword, 'utf-8')
+
 /**
  * @param {Object} params
  * @param {string} params.path
- * @param {string | undefined} params.encryptionKey
- * @param {string | undefined} params.hashedPassword
+ * @param {string | undefined} params.encryptionKey - without it an existing
+ *   vault reads its key back through the blind encryption
+ * @param {string | SecretHandle | null | undefined} params.hashedPassword
+ * @param {boolean} [params.readOnly] - opens the storage without writing
  * @returns {Promise<Autopass>}
  */
-export const initInstance = async ({ path, hashedPassword, encryptionKey }) => {
+export const initInstance = async ({
+  path,
+  hashedPassword,
+  encryptionKey,
+  readOnly = false
+}) => {
   try {
     const fullPath = buildPath(path)
 
@@ -257,9 +504,17 @@ export const initInstance = async ({ path, hashedPassword, encryptionKey }) => {
     // containers): RocksDB's non-recursive mkdir on `db/` can run before
     // DeviceFile's recursive mkdir creates the parent, causing ENOENT with
     // "While mkdir if missing: <path>/db: No such file or directory".
-    await fs.promises.mkdir(barePath.join(fullPath, 'db'), { recursive: true })
+    // Read-only opens are for existing storage and must not create it.
+    if (!readOnly) {
+      await fs.promises.mkdir(barePath.join(fullPath, 'db'), {
+        recursive: true
+      })
+    }
 
-    const store = new Corestore(fullPath, CORE_STORE_OPTIONS)
+    const store = new Corestore(
+      fullPath,
+      readOnly ? { ...CORE_STORE_OPTIONS, readOnly } : CORE_STORE_OPTIONS
+    )
 
     if (!store) {
       throw new Error('Error creating store')
@@ -272,7 +527,7 @@ export const initInstance = async ({ path, hashedPassword, encryptionKey }) => {
         ? Buffer.from(encryptionKey, 'base64')
         : undefined,
       blindEncryption: hashedPassword
-        ? new BlindEncryptionSodium(b4a.alloc(32, hashedPassword, 'utf-8'))
+        ? new BlindEncryptionSodium(toBlindEncryptionKey(hashedPassword))
         : undefined,
       relayThrough: conf.current.blindRelays
     })
@@ -348,28 +603,123 @@ export const initInstanceWithNewBlindEncryption = async ({
 export const initActiveVaultInstance = async ({ id, encryptionKey }) => {
   isActiveVaultInitialized = false
 
-  const hashedPassword = await getHashedPassword()
+  activeVaultInstance = await openVaultInstance({ id, encryptionKey })
+  activeVaultId = id
+
+  isActiveVaultInitialized = true
+
+  // Switching to a vault that was already open keeps its instance, so the
+  // listener of the active vault has to follow
+  if (lastOnUpdateCallback && listeningVaultId !== id) {
+    listenToActiveVault(lastOnUpdateCallback)
+  }
+
+  // cache last init params for restart
+  lastActiveVaultId = id
+  lastActiveVaultEncryptionKey?.dispose()
+  lastActiveVaultEncryptionKey = SecretHandle.from(encryptionKey, 'base64')
+
+  if (lastOnUpdateCallback) {
+    lastOnUpdateCallback(id)
+  }
+
+  return activeVaultInstance
+}
+
+/**
+ * Opens a vault and registers it without making it the active vault. Opening
+ * an already open vault returns the existing instance.
+ * @param {Object} params
+ * @param {string} params.id
+ * @param {string | undefined} params.encryptionKey
+ * @returns {Promise<Autopass>}
+ */
+export const openVaultInstance = async ({ id, encryptionKey }) => {
+  if (!id) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Vault id is required')
+  }
+
+  const existing = vaultRegistry.get(id)
+  if (existing) {
+    return existing.instance
+  }
+
+  const hashedPassword = await getHashedPasswordHandle()
 
-  activeVaultInstance = await initInstance({
+  const instance = await initInstance({
     path: `vault/${id}`,
     encryptionKey,
     hashedPassword
   })
 
   // Force linearization and flush to disk so readOnly clients (autofill) can read the data
-  await activeVaultInstance.base.update()
+  await instance.base.update()
 
-  isActiveVaultInitialized = true
+  instance.on('update', () => handleVaultUpdate(instance))
 
-  // cache last init params for restart
-  lastActiveVaultId = id
-  lastActiveVaultEncryptionKey = encryptionKey
+  try {
+    await purgeExpiredTrash(instance)
+  } catch (error) {
+    workletLogger.error('openVaultInstance: failed to purge trash', {
+      vaultId: id,
+      error
+    })
+  }
 
-  if (lastOnUpdateCallback) {
-    lastOnUpdateCallback()
+  vaultRegistry.set(id, {
+    instance,
+    encryptionKey: SecretHandle.from(encryptionKey, 'base64'),
+    onUpdate: null
+  })
+
+  return instance
+}
+
+/**
+ * Closes a single open vault. Closing the active vault behaves like
+ * `closeActiveVaultInstance`.
+ * @param {string} vaultId
+ * @returns {Promise<void>}
+ */
+export const closeVaultInstance = async (vaultId) => {
+  if (isActiveVaultInitialized && vaultId === activeVaultId) {
+    await closeActiveVaultInstance()
+    return
   }
 
-  return activeVaultInstance
+  const entry = vaultRegistry.get(vaultId)
+  if (!entry) {
+    return
+  }
+
+  otpTicker.unsubscribeVault(vaultId)
+  entry.instance.removeAllListeners()
+  await entry.instance.close()
+
+  unregisterVault(vaultId)
+}
+
+/**
+ * Closes every open vault, the active one included.
+ * @returns {Promise<Array<{ id: string, encryptionKey: string | undefined, isActive: boolean }>>}
+ *   the vaults that were open, so callers can reopen them
+ */
+export const closeAllVaultInstances = async () => {
+  const closed = [...vaultRegistry].map(([id, { encryptionKey }]) => ({
+    id,
+    encryptionKey: encryptionKey?.toString('base64'),
+    isActive: isActiveVaultInitialized && id === activeVaultId
+  }))
+
+  if (isActiveVaultInitialized) {
+    await closeActiveVaultInstance()
+  }
+
+  for (const vaultId of [...vaultRegistry.keys()]) {
+    await closeVaultInstance(vaultId)
+  }
+
+  return closed
 }
 
 /**
@@ -380,10 +730,13 @@ export const rateLimitInit = async () => {
     return
   }
 
-  await rateLimiter.setStorage({
+  const storage = {
     get: encryptionGet,
     add: encryptionAdd
-  })
+  }
+
+  await rateLimiter.setStorage(storage)
+  await pinRateLimiter.setStorage(storage)
 }
 
 /**
@@ -408,6 +761,31 @@ export const resetRateLimit = async () => {
   await rateLimiter.reset()
 }
 
+/**
+ * @returns {Promise<number>} PIN attempts left; none means the PIN must be
+ *   wiped
+ */
+export const pinRateLimitRecordFailure = async () => {
+  await rateLimitInit()
+  return await pinRateLimiter.recordFailure()
+}
+
+/**
+ * @returns {Promise<number>}
+ */
+export const getPinRemainingAttempts = async () => {
+  await rateLimitInit()
+  return await pinRateLimiter.getRemainingAttempts()
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export const resetPinRateLimit = async () => {
+  await rateLimitInit()
+  await pinRateLimiter.reset()
+}
+
 /**
  * @param {Object} params
  * @param {string | undefined} params.encryptionKey
@@ -416,6 +794,7 @@ export const resetRateLimit = async () => {
  */
 export const masterVaultInit = async ({ encryptionKey, hashedPassword }) => {
   isVaultsInitialized = false
+  clearHashedPasswordCache()
 
   vaultsInstance = await initInstance({
     path: 'vaults',
@@ -439,6 +818,7 @@ export const masterVaultInitWithNewBlindEncryption = async ({
   currentHashedPassword
 }) => {
   isVaultsInitialized = false
+  clearHashedPasswordCache()
 
   vaultsInstance = await initInstanceWithNewBlindEncryption({
     path: 'vaults',
@@ -471,7 +851,10 @@ export const encryptionInit = async () => {
  */
 export const encryptionGet = async (key) => {
   if (!isEncryptionInitialized) {
-    throw new Error('Encryption not initialised')
+    throw vaultError(
+      ERROR_CODES.ENCRYPTION_NOT_INITIALISED,
+      'Encryption not initialised'
+    )
   }
 
   const res = await encryptionInstance.get(key)
@@ -488,7 +871,10 @@ export const encryptionGet = async (key) => {
  */
 export const encryptionAdd = async (key, data) => {
   if (!isEncryptionInitialized) {
-    throw new Error('Encryption not initialised')
+    throw vaultError(
+      ERROR_CODES.ENCRYPTION_NOT_INITIALISED,
+      'Encryption not initialised'
+    )
   }
 
   await encryptionInstance.add(key, JSON.stringify(data))
@@ -520,6 +906,7 @@ export const encryptionClose = async () => {
  * @returns {Promise<void>}
  */
 export const closeVaultsInstance = async () => {
+  clearHashedPasswordCache()
   await vaultsInstance.close()
 
   vaultsInstance = null
@@ -527,22 +914,119 @@ export const closeVaultsInstance = async () => {
 }
 
 /**
+ * @param {string} key - record key, e.g. `record/<id>`
+ * @returns {string} prefix under which versions of `key` are stored
+ */
+const recordHistoryPrefix = (key) => `${RECORD_HISTORY_PREFIX}${key}/`
+
+/**
+ * Version ids sort by time, the writer suffix keeps versions written on two
+ * devices in the same millisecond apart.
+ * @param {number} timestamp
+ * @param {string | null} writerKey
+ * @returns {string}
+ */
+const toVersionId = (timestamp, writerKey) =>
+  `${String(timestamp).padStart(13, '0')}-${writerKey?.slice(0, 8) ?? 'legacy'}`
+
+/**
+ * @param {Autopass} instance
+ * @param {string} key
+ * @returns {Promise<Array<{ historyKey: string, versionId: string, timestamp: number, writerKey: string | null, data: any }>>}
+ *   oldest first
+ */
+const findRecordHistory = async (instance, key) => {
+  const prefix = recordHistoryPrefix(key)
+  const stream = instance.base.view.find('@autopass/records', {
+    gte: { key: prefix },
+    lt: { key: `${prefix.slice(0, -1)}0` }
+  })
+
+  const versions = []
+  for await (const entry of stream) {
+    if (!entry?.value) continue
+    try {
+      versions.push({
+        historyKey: entry.key,
+        versionId: entry.key.slice(prefix.length),
+        ...JSON.parse(entry.value)
+      })
+    } catch (err) {
+      workletLogger.error('findRecordHistory: failed to parse version', {
+        key: entry.key,
+        err
+      })
+    }
+  }
+  return versions
+}
+
+/**
+ * Stores `data` as a new version of the record at `key` and drops the oldest
+ * versions past `MAX_RECORD_HISTORY`. Records written before history existed
+ * get their current value saved first so the first edit can be undone too.
+ * Versions are written next to the record, not from the view, so records
+ * changed by peers that do not write history get no version.
+ * @param {Autopass} instance
  * @param {string} key
  * @param {any} data
- * @param {Buffer} file
  * @returns {Promise<void>}
  */
-export const activeVaultAdd = async (key, data, file, fileName) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
+const addRecordVersion = async (instance, key, data) => {
+  const putVersion = async (timestamp, writerKey, versionData) => {
+    const historyKey = `${recordHistoryPrefix(key)}${toVersionId(timestamp, writerKey)}`
+    await instance.add(
+      historyKey,
+      JSON.stringify({ timestamp, writerKey, data: versionData })
+    )
+    return { historyKey }
+  }
+
+  const versions = await findRecordHistory(instance, key)
+
+  if (!versions.length) {
+    const previous = await instance.get(key)
+    if (previous?.value) {
+      const previousData = JSON.parse(previous.value)
+      versions.push(
+        await putVersion(previousData?.updatedAt ?? 0, null, previousData)
+      )
+    }
+  }
+
+  await putVersion(Date.now(), b4a.toString(instance.writerKey, 'hex'), data)
+
+  const excess = versions.length + 1 - MAX_RECORD_HISTORY
+  for (const { historyKey } of versions.slice(0, Math.max(0, excess))) {
+    await instance.remove(historyKey)
   }
+}
+
+/**
+ * Writes to `record/` keys are checked against the record schemas and also
+ * store a version in the record's history.
+ * @param {string} key
+ * @param {any} data
+ * @param {Buffer} [file]
+ * @param {string} [fileName]
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const activeVaultAdd = async (key, data, file, fileName, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+  const isRecord = key?.startsWith(RECORD_KEY_PREFIX) && !file
+  const value = isRecord ? prepareRecordForWrite(key, data) : data
+
   try {
-    await activeVaultInstance.add(key, JSON.stringify(data), file)
+    if (isRecord) {
+      await addRecordVersion(instance, key, value)
+    }
+    await instance.add(key, JSON.stringify(value), file)
+    markSearchIndexStale(instance)
   } catch (error) {
     const err = new Error(error.message)
-    if (fileName) {
-      err.details = { fileName }
-    }
+    err.code = error.code
+    err.details = fileName ? { ...error.details, fileName } : error.details
     throw err
   }
 }
@@ -553,7 +1037,10 @@ export const activeVaultAdd = async (key, data, file, fileName) => {
  */
 export const vaultsGet = async (key) => {
   if (!isVaultsInitialized) {
-    throw new Error('Vaults not initialised')
+    throw vaultError(
+      ERROR_CODES.VAULTS_NOT_INITIALISED,
+      'Vaults not initialised'
+    )
   }
 
   const res = await vaultsInstance.get(key)
@@ -577,55 +1064,413 @@ export const vaultsGet = async (key) => {
  */
 export const vaultsAdd = async (key, data) => {
   if (!isVaultsInitialized) {
-    throw new Error('Vault not initialised')
+    throw vaultError(
+      ERROR_CODES.VAULTS_NOT_INITIALISED,
+      'Vault not initialised'
+    )
   }
 
   await vaultsInstance.add(key, JSON.stringify(data))
+  backupScheduler.recordChange()
+
+  if (key === 'masterEncryption') {
+    clearHashedPasswordCache()
+  }
 }
 
 /**
- * @param {string} key
- * @returns {Promise<Buffer|null>}
+ * @param {Autopass} instance
+ * @returns {Promise<number | null>} null when the vault has no quota
  */
-export const activeVaultGetFile = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+const readAttachmentQuota = async (instance) => {
+  const res = await instance.get(ATTACHMENT_QUOTA_KEY)
+  return res?.value ? JSON.parse(res.value).quotaBytes : null
+}
+
+/**
+ * Sums the sizes of chunked files, live and in the trash. Files stored whole
+ * before chunking are not counted.
+ * @param {Autopass} instance
+ * @returns {Promise<{ usedBytes: number, trashBytes: number, fileCount: number }>}
+ */
+const getAttachmentUsage = async (instance) => {
+  const values = await collectValuesByFilter(
+    instance,
+    (key) => !key?.startsWith(FILE_CHUNK_PREFIX)
+  )
 
-  const res = await activeVaultInstance.get(key)
-  return res?.file || null
+  const usage = { usedBytes: 0, trashBytes: 0, fileCount: 0 }
+  for (const value of values) {
+    if (isFileManifest(value)) {
+      usage.usedBytes += value.size
+      usage.fileCount++
+    } else if (value?.isFile && typeof value.value === 'string') {
+      const trashed = JSON.parse(value.value)
+      if (isFileManifest(trashed)) {
+        usage.trashBytes += trashed.size
+      }
+    }
+  }
+  return usage
 }
 
 /**
+ * Stores a file in chunks, consuming `content` as it arrives so the whole
+ * file is never held in memory. Uploads that would take the vault past its
+ * attachment quota fail with `QUOTA_EXCEEDED`; files in the trash count
+ * towards the quota.
  * @param {string} key
- * @returns {Promise<void>}
+ * @param {AsyncIterable<Buffer> | Buffer} content
+ * @param {import('./fileChunks').FileMetadata & { size?: number }} [metadata] -
+ *   `size` is the announced size, used to reject over-quota uploads up front
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<import('./fileChunks').FileManifest>}
  */
-export const activeVaultRemoveFile = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+export const activeVaultAddFile = async (
+  key,
+  content,
+  { name, mimeType, recordId, size } = {},
+  vaultId
+) => {
+  const instance = getVaultInstance(vaultId)
+  try {
+    let maxBytes = Infinity
+
+    const quotaBytes = await readAttachmentQuota(instance)
+    if (quotaBytes !== null) {
+      const { usedBytes, trashBytes } = await getAttachmentUsage(instance)
+      const replaced = await readFileManifest(instance, key)
+      maxBytes = quotaBytes - usedBytes - trashBytes + (replaced?.size ?? 0)
+
+      if (size > maxBytes) {
+        throw vaultError(
+          ERROR_CODES.QUOTA_EXCEEDED,
+          'File exceeds the attachment quota of the vault',
+          { maxBytes }
+        )
+      }
+    }
 
-  await activeVaultInstance.remove(key)
+    return await writeChunkedFile(instance, key, content, {
+      maxBytes,
+      metadata: { name, mimeType, recordId }
+    })
+  } catch (error) {
+    const err = new Error(error.message)
+    err.code = error.code
+    err.details = name ? { ...error.details, fileName: name } : error.details
+    throw err
+  }
 }
 
 /**
- * @param {string} recordId
+ * @param {number | null} quotaBytes - null removes the quota
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<void>}
  */
-export const vaultRemove = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
+export const activeVaultSetAttachmentQuota = async (quotaBytes, vaultId) => {
+  if (
+    quotaBytes !== null &&
+    !(Number.isInteger(quotaBytes) && quotaBytes >= 0)
+  ) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Attachment quota must be a non-negative number of bytes or null'
+    )
   }
 
-  await activeVaultInstance.remove(key)
+  const instance = getVaultInstance(vaultId)
+
+  if (quotaBytes === null) {
+    await instance.remove(ATTACHMENT_QUOTA_KEY)
+  } else {
+    await instance.add(ATTACHMENT_QUOTA_KEY, JSON.stringify({ quotaBytes }))
+  }
 }
 
 /**
- * @returns {Promise<Array<any>>}
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ usedBytes: number, trashBytes: number, fileCount: number, quotaBytes: number | null }>}
  */
-export const vaultsList = async (filterKey) => {
-  if (!isVaultsInitialized) {
-    throw new Error('Vaults not initialised')
+export const activeVaultGetAttachmentUsage = async (vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  return {
+    ...(await getAttachmentUsage(instance)),
+    quotaBytes: await readAttachmentQuota(instance)
+  }
+}
+
+/**
+ * Opens a file for reading, optionally limited to a byte range for previews.
+ * Every chunk is verified against its stored hash before it is yielded. Files
+ * stored whole before chunking are served from their single entry and carry no metadata.
+ * @param {string} key
+ * @param {{ start?: number, end?: number }} [range] - `end` is exclusive
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{
+ *   size: number,
+ *   start: number,
+ *   end: number,
+ *   metadata: { hash: string, name?: string, mimeType?: string, recordId?: string, createdAt: number, updatedAt: number } | null,
+ *   content: AsyncIterable<Buffer> | Array<Buffer>
+ * } | null>} null if there is no file at `key`
+ */
+export const activeVaultReadFile = async (key, range, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  const res = await instance.get(key)
+  if (!res?.value) return null
+
+  const manifest = JSON.parse(res.value)
+  if (isFileManifest(manifest)) {
+    const { start, end } = resolveByteRange(manifest.size, range)
+    const { hash, name, mimeType, recordId, createdAt, updatedAt } = manifest
+    return {
+      size: manifest.size,
+      start,
+      end,
+      metadata: { hash, name, mimeType, recordId, createdAt, updatedAt },
+      content: readChunkedFile(instance, manifest, { start, end })
+    }
+  }
+
+  if (!res.file) return null
+
+  const { start, end } = resolveByteRange(res.file.byteLength, range)
+  return {
+    size: res.file.byteLength,
+    start,
+    end,
+    metadata: null,
+    content: [res.file.subarray(start, end)]
+  }
+}
+
+/**
+ * Reads a whole file into memory, failing with `FILE_INTEGRITY_MISMATCH` if
+ * it does not match its stored hash. Prefer `activeVaultReadFile` for large
+ * files.
+ * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<Buffer|null>}
+ */
+export const activeVaultGetFile = async (key, vaultId) => {
+  const file = await activeVaultReadFile(key, undefined, vaultId)
+  if (!file) return null
+
+  const chunks = []
+  for await (const chunk of file.content) {
+    chunks.push(chunk)
+  }
+  return b4a.concat(chunks)
+}
+
+/**
+ * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const activeVaultRemoveFile = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  await moveToTrash(instance, key)
+}
+
+/**
+ * Records are moved to the trash, other keys are removed right away.
+ * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const vaultRemove = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  if (key?.startsWith('record/')) {
+    await moveToTrash(instance, key)
+  } else {
+    await instance.remove(key)
+  }
+  markSearchIndexStale(instance)
+}
+
+/**
+ * @param {{ value: string } | null} trashEntry - raw entry under `trash/`
+ * @returns {import('./fileChunks').FileManifest | null}
+ */
+const getTrashedFileManifest = (trashEntry) => {
+  if (!trashEntry?.value) return null
+
+  const manifest = JSON.parse(JSON.parse(trashEntry.value).value)
+  return isFileManifest(manifest) ? manifest : null
+}
+
+/**
+ * Stores the entry at `key` under `trash/<key>` with its deletion time and
+ * removes the original. Deleting the same key again replaces the older trash
+ * entry.
+ * @param {Autopass} instance
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+const moveToTrash = async (instance, key) => {
+  const res = await instance.get(key)
+
+  if (res?.value) {
+    const replaced = getTrashedFileManifest(
+      await instance.get(`${TRASH_PREFIX}${key}`)
+    )
+    if (replaced) {
+      await removeFileChunks(instance, replaced)
+    }
+
+    await instance.add(
+      `${TRASH_PREFIX}${key}`,
+      JSON.stringify({
+        key,
+        deletedAt: Date.now(),
+        isFile: !!res.file || isFileManifest(JSON.parse(res.value)),
+        value: res.value
+      }),
+      res.file ?? undefined
+    )
+  }
+
+  await instance.remove(key)
+}
+
+/**
+ * Removes a trash entry along with the versions kept for a record or the
+ * chunks of a file.
+ * @param {Autopass} instance
+ * @param {string} key - key the entry had before it was deleted
+ * @returns {Promise<boolean>} false if `key` is not in the trash
+ */
+const purgeTrashEntry = async (instance, key) => {
+  const res = await instance.get(`${TRASH_PREFIX}${key}`)
+  if (!res?.value) {
+    return false
+  }
+
+  for (const { historyKey } of await findRecordHistory(instance, key)) {
+    await instance.remove(historyKey)
+  }
+
+  const manifest = getTrashedFileManifest(res)
+  if (manifest) {
+    await removeFileChunks(instance, manifest)
+  }
+
+  await instance.remove(`${TRASH_PREFIX}${key}`)
+  return true
+}
+
+/**
+ * @param {Autopass} instance
+ * @returns {Promise<Array<{ key: string, deletedAt: number, isFile: boolean, value: string }>>}
+ */
+const listTrash = (instance) =>
+  collectValuesByFilter(instance, (key) => key?.startsWith(TRASH_PREFIX))
+
+/**
+ * @param {Autopass} instance
+ * @returns {Promise<void>}
+ */
+const purgeExpiredTrash = async (instance) => {
+  if (TRASH_RETENTION_MS === null) {
+    return
+  }
+
+  const cutoff = Date.now() - TRASH_RETENTION_MS
+  for (const { key, deletedAt } of await listTrash(instance)) {
+    if (deletedAt < cutoff) {
+      await purgeTrashEntry(instance, key)
+    }
+  }
+}
+
+/**
+ * Lists deleted records and files, most recently deleted first.
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<Array<{ key: string, deletedAt: number, isFile: boolean, data: any }>>}
+ */
+export const activeVaultTrashList = async (vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  const entries = await listTrash(instance)
+
+  return entries
+    .sort((a, b) => b.deletedAt - a.deletedAt)
+    .map(({ key, deletedAt, isFile, value }) => {
+      const data = JSON.parse(value)
+      return {
+        key,
+        deletedAt,
+        isFile,
+        data: key.startsWith('record/') ? enrichRecordForClient(data) : data
+      }
+    })
+}
+
+/**
+ * Puts a trashed record or file back under its original key.
+ * @param {string} key - key the entry had before it was deleted
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const activeVaultTrashRestore = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  const res = await instance.get(`${TRASH_PREFIX}${key}`)
+  if (!res?.value) {
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Trash entry not found', {
+      key
+    })
+  }
+
+  const { value } = JSON.parse(res.value)
+  await activeVaultAdd(
+    key,
+    JSON.parse(value),
+    res.file ?? undefined,
+    undefined,
+    vaultId
+  )
+  await instance.remove(`${TRASH_PREFIX}${key}`)
+}
+
+/**
+ * Permanently deletes trash entries along with the kept versions of trashed
+ * records.
+ * @param {Array<string>} [keys] - original keys to purge; empties the trash
+ *   when omitted
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<number>} number of purged entries
+ */
+export const activeVaultTrashPurge = async (keys, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  const purgeKeys = keys ?? (await listTrash(instance)).map(({ key }) => key)
+
+  let purged = 0
+  for (const key of purgeKeys) {
+    if (await purgeTrashEntry(instance, key)) {
+      purged++
+    }
+  }
+
+  return purged
+}
+
+/**
+ * @returns {Promise<Array<any>>}
+ */
+export const vaultsList = async (filterKey) => {
+  if (!isVaultsInitialized) {
+    throw vaultError(
+      ERROR_CODES.VAULTS_NOT_INITIALISED,
+      'Vaults not initialised'
+    )
   }
 
   return collectValuesByFilter(
@@ -635,33 +1480,143 @@ export const vaultsList = async (filterKey) => {
 }
 
 /**
+ * @param {string} [filterKey]
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<Array<any>>}
  */
-export const activeVaultList = async (filterKey) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
+export const activeVaultList = async (filterKey, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  return collectValuesByFilter(
+    instance,
+    filterKey ? (key) => key?.startsWith(filterKey) : undefined,
+    toClientValue
+  )
+}
+
+/**
+ * Ranked search over the vault's records. Matching runs against an in-memory
+ * index so decrypted records never leave the worklet; only titles and
+ * highlighted snippets are returned.
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {Array<string>} [params.fields] - subset of `SEARCH_FIELDS`
+ * @param {number} [params.limit]
+ * @param {number} [params.offset]
+ * @param {string} [params.vaultId] - defaults to the active vault
+ * @returns {Promise<ReturnType<RecordSearchIndex['search']>>}
+ */
+export const activeVaultSearch = async ({
+  query,
+  fields,
+  limit,
+  offset,
+  vaultId
+} = {}) => {
+  const instance = getVaultInstance(vaultId)
+
+  let index = searchIndexes.get(instance)
+  if (!index) {
+    index = new RecordSearchIndex()
+    searchIndexes.set(instance, index)
   }
 
-  const results = await collectValuesByFilter(
-    activeVaultInstance,
-    filterKey ? (key) => key?.startsWith(filterKey) : undefined
+  await index.refresh(() =>
+    collectValuesByFilter(instance, (key) => key?.startsWith('record/'))
   )
 
-  if (filterKey?.startsWith('record/')) {
-    return results.map(enrichRecordForClient)
+  return index.search(query, { fields, limit, offset })
+}
+
+/**
+ * Password health report of the vault's records, see `auditPasswords`. The
+ * breach list is read from a file the client wrote under the storage root,
+ * so passwords are never checked online.
+ * @param {Object} [params]
+ * @param {number} [params.maxAgeDays]
+ * @param {Array<string>} [params.twoFactorDomains]
+ * @param {string} [params.breachListPath] - relative to the storage root
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<import('./passwordAudit').PasswordAudit>}
+ */
+export const activeVaultAudit = async (
+  { maxAgeDays, twoFactorDomains, breachListPath } = {},
+  vaultId
+) => {
+  const instance = getVaultInstance(vaultId)
+
+  let breachList = null
+  if (breachListPath) {
+    try {
+      breachList = fs.readFileSync(buildPath(breachListPath), 'utf-8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw vaultError(ERROR_CODES.INVALID_INPUT, 'Breach list not found')
+      }
+      throw error
+    }
   }
 
-  return results
+  const records = await collectValuesByFilter(instance, (key) =>
+    key?.startsWith('record/')
+  )
+
+  return auditPasswords(records, { maxAgeDays, twoFactorDomains, breachList })
 }
 
 /**
- * @returns {string}
+ * Lists the stored versions of a record, newest first. OTP secrets and
+ * passkey private keys are stripped the same way as for the live record.
+ * @param {string} key - record key, e.g. `record/<id>`
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<Array<{ versionId: string, timestamp: number, writerKey: string | null, data: any }>>}
  */
-export const activeVaultGetWriterKey = () => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
+export const activeVaultRecordHistory = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+  const versions = await findRecordHistory(instance, key)
+
+  return versions
+    .reverse()
+    .map(({ versionId, timestamp, writerKey, data }) => ({
+      versionId,
+      timestamp,
+      writerKey,
+      data: enrichRecordForClient(data)
+    }))
+}
+
+/**
+ * Writes a stored version back as the record's current value. The restore is
+ * an ordinary write, so it replicates and shows up as the newest version.
+ * @param {string} key - record key, e.g. `record/<id>`
+ * @param {string} versionId - from `activeVaultRecordHistory`
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<any>} the restored record
+ */
+export const activeVaultRecordRestore = async (key, versionId, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+
+  const res = await instance.get(`${recordHistoryPrefix(key)}${versionId}`)
+  if (!res?.value) {
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record version not found', {
+      key,
+      versionId
+    })
   }
-  return b4a.toString(activeVaultInstance.writerKey, 'hex')
+
+  const { data } = JSON.parse(res.value)
+  await activeVaultAdd(key, data, undefined, undefined, vaultId)
+
+  return enrichRecordForClient(data)
+}
+
+/**
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {string}
+ */
+export const activeVaultGetWriterKey = (vaultId) => {
+  const instance = getVaultInstance(vaultId)
+  return b4a.toString(instance.writerKey, 'hex')
 }
 
 /**
@@ -671,7 +1626,8 @@ export const activeVaultGetWriterKey = () => {
  *   gt?:  { key: string },
  *   lt?:  { key: string },
  *   limit?: number,
- *   reverse?: boolean
+ *   reverse?: boolean,
+ *   vaultId?: string
  * }} options
  * @returns {Promise<Array<{ key: string, value: any }>>}
  */
@@ -681,13 +1637,12 @@ export const activeVaultFind = async ({
   gt,
   lt,
   limit = 1000,
-  reverse
+  reverse,
+  vaultId
 } = {}) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+  const instance = getVaultInstance(vaultId)
 
-  const stream = activeVaultInstance.base.view.find('@autopass/records', {
+  const stream = instance.base.view.find('@autopass/records', {
     gte,
     lte,
     gt,
@@ -709,25 +1664,20 @@ export const activeVaultFind = async ({
       })
       continue
     }
-    if (record.key?.startsWith('record/')) {
-      results.push({ key: record.key, value: enrichRecordForClient(value) })
-    } else {
-      results.push({ key: record.key, value })
-    }
+    results.push({ key: record.key, value: toClientValue(record.key, value) })
   }
   return results
 }
 
 /**
  * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<void>}
  */
-export const activeVaultGet = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+export const activeVaultGet = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
 
-  const res = await activeVaultInstance.get(key)
+  const res = await instance.get(key)
 
   if (!res || !res.value) {
     return null
@@ -743,47 +1693,63 @@ export const activeVaultGet = async (key) => {
     })
   }
 
-  if (key?.startsWith('record/')) {
-    return enrichRecordForClient(parsedValue)
+  if (key?.startsWith(RECORD_KEY_PREFIX)) {
+    return enrichRecordForClient(migrateStoredRecord(parsedValue))
   }
 
-  return parsedValue
+  return toClientValue(key, parsedValue)
 }
 
 /**
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<string>}
  */
-export const createInvite = async () => {
-  await activeVaultInstance.deleteInvite()
-  const inviteCode = await activeVaultInstance.createInvite()
+export const createInvite = async (vaultId) => {
+  const instance = getVaultInstance(vaultId)
 
-  const response = await activeVaultInstance.get('vault')
+  await instance.deleteInvite()
+  const inviteCode = await instance.createInvite()
+
+  const response = await instance.get('vault')
   const { value: vault } = response || {}
   if (!vault) {
-    throw new Error('Vault not found')
+    throw vaultError(ERROR_CODES.VAULT_NOT_FOUND, 'Vault not found')
   }
 
   const parsedVault = JSON.parse(vault)
 
-  const vaultId = parsedVault.id
-
-  return `${vaultId}/${inviteCode}`
+  return `${parsedVault.id}/${inviteCode}`
 }
 
 /**
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<void>}
  */
-export const deleteInvite = async () => {
-  await activeVaultInstance.deleteInvite()
+export const deleteInvite = async (vaultId) => {
+  const instance = getVaultInstance(vaultId)
 
-  const response = await activeVaultInstance.get('vault')
+  await instance.deleteInvite()
+
+  const response = await instance.get('vault')
   const { value: vault } = response || {}
 
   if (!vault) {
-    throw new Error('Vault not found')
+    throw vaultError(ERROR_CODES.VAULT_NOT_FOUND, 'Vault not found')
   }
 }
 
+/**
+ * @param {Error & { code?: string }} error
+ * @returns {Error}
+ */
+const pairingError = (error) =>
+  vaultError(
+    error.code === ERROR_CODES.PAIRING_TIMEOUT
+      ? ERROR_CODES.PAIRING_TIMEOUT
+      : ERROR_CODES.PAIRING_FAILED,
+    `Pairing failed: ${error.message}`
+  )
+
 /**
  * @param {string} inviteCode
  * @returns {Promise<{ vaultId: string, encryptionKey: string }>}
@@ -797,6 +1763,9 @@ export const pairActiveVault = async (inviteCode) => {
       await closeActiveVaultInstance()
     }
 
+    // Pairing writes into the vault's storage, which must not be held open
+    await closeVaultInstance(vaultId)
+
     const encryptionKey = await pearpassPairer.pairInstance(
       buildPath(`vault/${vaultId}`),
       inviteKey
@@ -807,10 +1776,10 @@ export const pairActiveVault = async (inviteCode) => {
       try {
         await restartActiveVault()
       } catch {
-        throw new Error(`Pairing failed: ${error.message}`)
+        throw pairingError(error)
       }
     }
-    throw new Error(`Pairing failed: ${error.message}`)
+    throw pairingError(error)
   }
 }
 
@@ -818,186 +1787,1044 @@ export const cancelPairActiveVault = async () => {
   await pearpassPairer.cancelPairing()
 }
 
+/**
+ * Replaces the update listener of a vault.
+ * @param {string} vaultId
+ * @param {Autopass} instance
+ * @param {((vaultId: string) => void) | null} onUpdate
+ */
+const listenToVault = (vaultId, instance, onUpdate) => {
+  instance.removeAllListeners()
+  instance.on('update', () => {
+    handleVaultUpdate(instance)
+    onUpdate?.(vaultId)
+  })
+}
+
+/**
+ * Moves the listener of the active vault to the current active vault. The
+ * vault that had it, if still open, goes back to its own listener.
+ * @param {(vaultId: string) => void} onUpdate
+ */
+const listenToActiveVault = (onUpdate) => {
+  const previous = vaultRegistry.get(listeningVaultId)
+  if (previous && listeningVaultId !== activeVaultId) {
+    listenToVault(listeningVaultId, previous.instance, previous.onUpdate)
+  }
+
+  listenToVault(activeVaultId, activeVaultInstance, onUpdate)
+
+  listeningVaultId = activeVaultId
+  lastOnUpdateCallback = onUpdate
+}
+
 /**
  * @param {{
  *  vaultId: string
- *   onUpdate: () => void
- * }} options
+ *   onUpdate: (vaultId: string) => void
+ * }} options - `onUpdate` gets the id of the vault that changed
  */
 export const initListener = async ({ vaultId, onUpdate }) => {
+  const entry = vaultRegistry.get(vaultId)
+
+  // Vaults opened next to the active one keep their own listener
+  if (entry && vaultId !== activeVaultId) {
+    if (entry.onUpdate) {
+      return
+    }
+
+    listenToVault(vaultId, entry.instance, onUpdate)
+    entry.onUpdate = onUpdate
+
+    return
+  }
+
   if (vaultId === listeningVaultId) {
     return
   }
 
-  activeVaultInstance.removeAllListeners()
+  listenToActiveVault(onUpdate)
+}
 
-  activeVaultInstance.on('update', () => {
-    onUpdate?.()
+/**
+ * @returns {Promise<void>}
+ */
+export const restartActiveVault = async () => {
+  if (!lastActiveVaultId) {
+    throw new Error('[restartActiveVault]: No previous active vault to restart')
+  }
+
+  if (isActiveVaultInitialized) {
+    await closeActiveVaultInstance()
+  }
+
+  await initActiveVaultInstance({
+    id: lastActiveVaultId,
+    encryptionKey: lastActiveVaultEncryptionKey?.toString('base64')
   })
 
-  listeningVaultId = vaultId
-  lastOnUpdateCallback = onUpdate
+  if (lastOnUpdateCallback) {
+    await initListener({
+      vaultId: lastActiveVaultId,
+      onUpdate: lastOnUpdateCallback
+    })
+  }
 }
 
 /**
+ * Restarts a single vault. Without a `vaultId`, or for the active vault, this
+ * is `restartActiveVault`.
+ * @param {string} [vaultId]
+ * @returns {Promise<void>}
+ */
+export const restartVault = async (vaultId) => {
+  if (!vaultId || vaultId === activeVaultId) {
+    await restartActiveVault()
+    return
+  }
+
+  const entry = vaultRegistry.get(vaultId)
+  if (!entry) {
+    throw vaultError(
+      ERROR_CODES.VAULT_NOT_INITIALISED,
+      `[restartVault]: Vault ${vaultId} is not open`
+    )
+  }
+
+  const { onUpdate } = entry
+  const encryptionKey = entry.encryptionKey?.toString('base64')
+
+  await closeVaultInstance(vaultId)
+  await openVaultInstance({ id: vaultId, encryptionKey })
+
+  if (onUpdate) {
+    await initListener({ vaultId, onUpdate })
+  }
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export const closeAllInstances = async () => {
+  await closeAllVaultInstances()
+
+  if (isVaultsInitialized) {
+    await closeVaultsInstance()
+  }
+
+  if (isEncryptionInitialized) {
+    await encryptionClose()
+  }
+
+  clearRestartCache()
+}
+
+/**
+ * Closes every instance, dropping the vault keys they and the restart cache
+ * hold, and tells the client when anything was unlocked.
+ * @param {string} reason - one of `LOCK_REASON`
+ * @returns {Promise<void>}
+ */
+export const lockAllInstances = async (reason) => {
+  if (!isVaultsInitialized && vaultRegistry.size === 0) {
+    return
+  }
+
+  await closeAllInstances()
+
+  workletLogger.log('Locked all instances:', reason)
+  onLocked?.({ reason })
+}
+
+/**
+ * Counts as activity for the auto-lock idle timer.
+ * @returns {void}
+ */
+export const autoLockRecordActivity = () => {
+  autoLock.recordActivity()
+}
+
+/**
+ * Locks the vaults after `idleMinutes` without requests and, with
+ * `lockOnSuspend`, when the app goes to the background. Settings live in
+ * memory, so they are sent again on each start.
+ * @param {Object} params
+ * @param {number | null} [params.idleMinutes] - at most 1440 (24 hours),
+ *   null never locks on idle
+ * @param {boolean} [params.lockOnSuspend]
+ * @param {(payload: { reason: string }) => void} [params.onLocked]
+ * @returns {{ idleMinutes: number | null, lockOnSuspend: boolean }}
+ */
+export const autoLockConfigure = ({
+  idleMinutes = null,
+  lockOnSuspend = false,
+  onLocked: onLockedCallback
+} = {}) => {
+  if (
+    (idleMinutes !== null &&
+      !(
+        Number.isFinite(idleMinutes) &&
+        idleMinutes > 0 &&
+        idleMinutes <= MAX_IDLE_MINUTES
+      )) ||
+    typeof lockOnSuspend !== 'boolean'
+  ) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid auto-lock settings', {
+      maxIdleMinutes: MAX_IDLE_MINUTES
+    })
+  }
+
+  onLocked = onLockedCallback ?? null
+  autoLock.configure({
+    idleTimeoutMs: idleMinutes && idleMinutes * 60000,
+    lockOnSuspend
+  })
+
+  return { idleMinutes, lockOnSuspend }
+}
+
+/**
+ * Blind mirrors management
+ */
+
+/**
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<Array<{key: string, isDefault: boolean}>>}
+ */
+export const getBlindMirrors = async (vaultId) => {
+  const instance = getVaultInstance(
+    vaultId,
+    '[getBlindMirrors]: Vault not initialised'
+  )
+
+  const mirrors = await instance.getMirror()
+  const mirrorsArray = Array.isArray(mirrors) ? mirrors : []
+
+  try {
+    const metadata = await activeVaultGet('mirror-metadata', vaultId)
+
+    const isDefault = metadata?.isDefault ?? false
+
+    const enrichedMirrors = mirrorsArray.map((mirror) => ({
+      ...mirror,
+      isDefault
+    }))
+
+    return enrichedMirrors
+  } catch (error) {
+    throw new Error(
+      `[getBlindMirrors]: Failed to get mirror metadata: ${error?.message || 'Unexpected error'}`
+    )
+  }
+}
+
+/**
+ * @param {boolean} isDefault
+ * @param {string} [vaultId]
+ * @returns {Promise<void>}
+ */
+const setMirrorMetadata = async (isDefault, vaultId) => {
+  await activeVaultAdd(
+    'mirror-metadata',
+    { isDefault },
+    undefined,
+    undefined,
+    vaultId
+  )
+}
+
+/**
+ * @param {Array<string>} mirrors
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const addBlindMirrors = async (mirrors, vaultId) => {
+  const instance = getVaultInstance(
+    vaultId,
+    '[addBlindMirrors]: Vault not initialised'
+  )
+
+  if (!Array.isArray(mirrors) || mirrors.length === 0) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      '[addBlindMirrors]: No mirrors provided'
+    )
+  }
+
+  await Promise.all(mirrors.map((mirror) => instance.addMirror(mirror)))
+
+  await setMirrorMetadata(false, vaultId)
+}
+
+/**
+ * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const removeBlindMirror = async (key, vaultId) => {
+  const instance = getVaultInstance(
+    vaultId,
+    '[removeBlindMirror]: Vault not initialised'
+  )
+
+  if (!key) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      '[removeBlindMirror]: mirror key not provided!'
+    )
+  }
+
+  await instance.removeMirror(key)
+}
+
+/**
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const addDefaultBlindMirrors = async (vaultId) => {
+  const instance = getVaultInstance(
+    vaultId,
+    '[addDefaultBlindMirrors]: Vault not initialised'
+  )
+
+  await Promise.all(defaultMirrorKeys.map((key) => instance.addMirror(key)))
+
+  await setMirrorMetadata(true, vaultId)
+}
+
+/**
+ * Remove all blind mirrors from a vault
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<void>}
+ */
+export const removeAllBlindMirrors = async (vaultId) => {
+  const instance = getVaultInstance(
+    vaultId,
+    '[removeAllBlindMirrors]: Vault not initialised'
+  )
+
+  const currentMirrors = await instance.getMirror()
+  const currentKeys = (Array.isArray(currentMirrors) ? currentMirrors : []).map(
+    (m) => m?.key
+  )
+
+  await Promise.all(currentKeys.map((key) => instance.removeMirror(key)))
+
+  await vaultRemove('mirror-metadata', vaultId)
+}
+
+/**
+ * Vault backups
+ */
+
+/**
+ * @param {string} vaultId
+ * @returns {Promise<Object | null>} the vault's entry in the vaults list
+ */
+const readVaultListEntry = async (vaultId) => {
+  if (!isVaultsInitialized) return null
+
+  const res = await vaultsInstance.get(`vault/${vaultId}`)
+  return res?.value ? JSON.parse(res.value) : null
+}
+
+/**
+ * The `vault` entry and the records keep the id of their vault, records also
+ * in their history and in the trash. Rewrites it for a backup restored under
+ * another id.
+ * @param {string} key
+ * @param {string} value
+ * @param {string} vaultId
+ * @returns {string}
+ */
+const withVaultId = (key, value, vaultId) => {
+  const retarget = (record) =>
+    record?.vaultId !== undefined ? { ...record, vaultId } : record
+
+  if (key === 'vault') {
+    return JSON.stringify({ ...JSON.parse(value), id: vaultId })
+  }
+  if (key.startsWith('record/')) {
+    return JSON.stringify(retarget(JSON.parse(value)))
+  }
+  if (key.startsWith(`${RECORD_HISTORY_PREFIX}record/`)) {
+    const version = JSON.parse(value)
+    return JSON.stringify({ ...version, data: retarget(version.data) })
+  }
+  if (key.startsWith(`${TRASH_PREFIX}record/`)) {
+    const trashed = JSON.parse(value)
+    return JSON.stringify({
+      ...trashed,
+      value: JSON.stringify(retarget(JSON.parse(trashed.value)))
+    })
+  }
+  return value
+}
+
+/**
+ * @param {Autopass} instance
+ * @param {string} vaultId
+ * @returns {Promise<Omit<import('./vaultBackup').BackupMeta, 'createdAt'>>}
+ */
+const readBackupMeta = async (instance, vaultId) => {
+  const mirrors = await instance.getMirror()
+
+  return {
+    vaultId,
+    vault: await readVaultListEntry(vaultId),
+    mirrors: (Array.isArray(mirrors) ? mirrors : []).map(({ key }) => key)
+  }
+}
+
+/**
+ * Writes an encrypted backup of every entry of a vault (records with their
+ * history and OTP configs, files, trash, mirror metadata) and its blind
+ * mirrors to a file under the storage root.
+ * @param {Object} params
+ * @param {string} params.password
+ * @param {string} [params.path] - a new `.ppbackup` file under `backups/`,
+ *   defaults to `backups/<vaultId>/<timestamp>.ppbackup`
+ * @param {{ opslimit: number, memlimit: number }} [params.kdfParams]
+ * @param {(progress: import('./vaultBackup').BackupProgress & { path: string }) => void} [onProgress]
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ path: string, vaultId: string, createdAt: number, entryCount: number, size: number }>}
+ */
+export const vaultBackupCreate = async (
+  { password, path, kdfParams } = {},
+  onProgress,
+  vaultId
+) => {
+  const segments = path?.split('/')
+  if (
+    segments &&
+    (segments.length < 2 ||
+      segments[0] !== BACKUP_DIR ||
+      segments.some((segment) => ['', '.', '..'].includes(segment)) ||
+      !path.endsWith(BACKUP_FILE_EXTENSION))
+  ) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      `Backup path must be a ${BACKUP_FILE_EXTENSION} file under ${BACKUP_DIR}/`,
+      { path }
+    )
+  }
+
+  const instance = getVaultInstance(vaultId)
+  const id = vaultId ?? activeVaultId
+  const relativePath =
+    path ?? `${BACKUP_DIR}/${id}/${Date.now()}${BACKUP_FILE_EXTENSION}`
+
+  const result = await writeVaultBackup(instance, buildPath(relativePath), {
+    password,
+    kdfParams,
+    overwrite: false,
+    onProgress: (progress) => onProgress?.({ ...progress, path: relativePath }),
+    meta: await readBackupMeta(instance, id)
+  })
+
+  return { path: relativePath, vaultId: id, ...result }
+}
+
+/**
+ * Removes every entry and blind mirror of a vault.
+ * @param {Autopass} instance
+ * @returns {Promise<void>}
+ */
+const clearVaultEntries = async (instance) => {
+  for (const key of await listEntryKeys(instance)) {
+    await instance.remove(key)
+  }
+  const mirrors = await instance.getMirror()
+  for (const { key } of Array.isArray(mirrors) ? mirrors : []) {
+    await instance.removeMirror(key)
+  }
+}
+
+/**
+ * Backs up a vault about to be replaced, with a random password, so that a
+ * replacement failing half way can be undone.
+ * @param {Autopass} instance
+ * @param {string} vaultId
+ * @returns {Promise<{ rollback: () => Promise<void>, discard: () => Promise<void> }>}
+ */
+const takeRollbackCopy = async (instance, vaultId) => {
+  const filePath = buildPath(
+    `${BACKUP_DIR}/${vaultId}/rollback-${Date.now()}${BACKUP_FILE_EXTENSION}`
+  )
+  const secret = b4a.alloc(32)
+  sodium.randombytes_buf(secret)
+  const password = b4a.toString(secret, 'hex')
+
+  await writeVaultBackup(instance, filePath, {
+    password,
+    kdfParams: SNAPSHOT_KDF_PARAMS,
+    meta: await readBackupMeta(instance, vaultId)
+  })
+
+  return {
+    rollback: async () => {
+      await clearVaultEntries(instance)
+      const { meta } = await readVaultBackup(filePath, {
+        password,
+        onEntry: ({ key, value, file }) => instance.add(key, value, file)
+      })
+      for (const key of meta.mirrors) {
+        await instance.addMirror(key)
+      }
+      markSearchIndexStale(instance)
+    },
+    discard: () => fs.promises.rm(filePath, { force: true })
+  }
+}
+
+/**
+ * Restores the backup at `filePath`, see `vaultBackupRestore`.
+ * @param {string} filePath - absolute
+ * @param {Object} params
+ * @param {string} params.password
+ * @param {boolean} params.overwrite
+ * @param {string} [params.vaultId]
+ * @param {string} [params.encryptionKey]
+ * @param {(progress: import('./vaultBackup').BackupProgress) => void} [onProgress]
+ * @returns {Promise<{ vaultId: string, createdAt: number, entryCount: number }>}
+ */
+const restoreVaultFromBackup = async (
+  filePath,
+  { password, overwrite, vaultId, encryptionKey },
+  onProgress
+) => {
+  let instance = null
+  let targetId = vaultId
+
+  if (overwrite) {
+    instance = getVaultInstance(vaultId)
+    targetId = vaultId ?? activeVaultId
+  } else {
+    if (!encryptionKey) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'Encryption key is required to restore a backup as a new vault'
+      )
+    }
+
+    if (!targetId) {
+      const id = b4a.alloc(16)
+      sodium.randombytes_buf(id)
+      targetId = b4a.toString(id, 'hex')
+    } else if (!VAULT_ID.test(targetId)) {
+      // The id names the vault's storage directory
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid vault id', {
+        vaultId: targetId
+      })
+    }
+
+    if (vaultRegistry.has(targetId) || (await readVaultListEntry(targetId))) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Vault already exists', {
+        vaultId: targetId
+      })
+    }
+  }
+
+  let sourceId = targetId
+  let rollbackCopy = null
+
+  try {
+    const { meta, entryCount } = await readVaultBackup(filePath, {
+      password,
+      onProgress,
+      onVerified: async (meta) => {
+        sourceId = meta.vaultId
+
+        if (!overwrite) {
+          instance = await openVaultInstance({ id: targetId, encryptionKey })
+          return
+        }
+
+        rollbackCopy = await takeRollbackCopy(instance, targetId)
+        await clearVaultEntries(instance)
+      },
+      onEntry: ({ key, value, file }) =>
+        instance.add(
+          key,
+          sourceId === targetId ? value : withVaultId(key, value, targetId),
+          file
+        )
+    })
+
+    for (const key of meta.mirrors) {
+      await instance.addMirror(key)
+    }
+    markSearchIndexStale(instance)
+
+    if (!overwrite && meta.vault && isVaultsInitialized) {
+      await vaultsAdd(`vault/${targetId}`, { ...meta.vault, id: targetId })
+    }
+
+    await rollbackCopy?.discard()
+
+    return { vaultId: targetId, createdAt: meta.createdAt, entryCount }
+  } catch (error) {
+    // A replaced vault gets its entries back
+    if (rollbackCopy) {
+      try {
+        await rollbackCopy.rollback()
+        await rollbackCopy.discard()
+      } catch (rollbackError) {
+        workletLogger.error('restoreVaultFromBackup: rollback failed', {
+          vaultId: targetId,
+          error: rollbackError
+        })
+      }
+    }
+
+    // A new vault that failed half way is removed again
+    if (!overwrite && instance) {
+      await closeVaultInstance(targetId)
+      await fs.promises.rm(buildPath(`vault/${targetId}`), {
+        recursive: true,
+        force: true
+      })
+    }
+    throw error
+  }
+}
+
+/**
+ * Recreates a vault from a backup written by `vaultBackupCreate`. The whole
+ * backup is verified before anything is written.
+ *
+ * By default the backup becomes a new vault, left open but not active, and
+ * is added to the vaults list if the backup has its entry. With `overwrite`
+ * the entries and blind mirrors of the open vault `vaultId` are replaced;
+ * they are put back if the restore fails.
+ * @param {Object} params
+ * @param {string} params.path - relative to the storage root
+ * @param {string} params.password
+ * @param {boolean} [params.overwrite]
+ * @param {string} [params.vaultId] - id of the new vault, 32 hex characters,
+ *   random if omitted; with `overwrite`, the vault to replace, defaults to the active vault
+ * @param {string} [params.encryptionKey] - base64, required for a new vault
+ * @param {(progress: import('./vaultBackup').BackupProgress & { path: string }) => void} [onProgress]
+ * @returns {Promise<{ vaultId: string, createdAt: number, entryCount: number }>}
+ */
+export const vaultBackupRestore = async (
+  { path, password, overwrite = false, vaultId, encryptionKey } = {},
+  onProgress
+) => {
+  if (!path) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Backup path is required')
+  }
+
+  return restoreVaultFromBackup(
+    buildPath(path),
+    { password, overwrite, vaultId, encryptionKey },
+    (progress) => onProgress?.({ ...progress, path })
+  )
+}
+
+/**
+ * Automatic snapshots
+ */
+
+/**
+ * @returns {string} absolute directory holding the snapshots
+ */
+const getSnapshotDir = () => SNAPSHOT_STORAGE_PATH ?? buildPath(SNAPSHOT_DIR)
+
+/**
+ * @param {string} snapshotId
+ * @returns {string}
+ */
+const getSnapshotPath = (snapshotId) => {
+  if (!SNAPSHOT_ID.test(snapshotId ?? '')) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid snapshot id')
+  }
+
+  return barePath.join(getSnapshotDir(), snapshotId)
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<Array<string>>} empty if the directory does not exist
+ */
+const readDirNames = async (path) => {
+  try {
+    return await fs.promises.readdir(path)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+}
+
+/**
+ * @returns {Promise<Array<string>>} newest first
+ */
+const listSnapshotIds = async () =>
+  (await readDirNames(getSnapshotDir()))
+    .filter((name) => SNAPSHOT_ID.test(name))
+    .sort((a, b) => Number(b) - Number(a))
+
+/**
+ * Drops snapshots past the configured count, and snapshots left unfinished.
  * @returns {Promise<void>}
  */
-export const restartActiveVault = async () => {
-  if (!lastActiveVaultId) {
-    throw new Error('[restartActiveVault]: No previous active vault to restart')
-  }
-
-  if (isActiveVaultInitialized) {
-    await closeActiveVaultInstance()
-  }
-
-  await initActiveVaultInstance({
-    id: lastActiveVaultId,
-    encryptionKey: lastActiveVaultEncryptionKey
-  })
+const rotateSnapshots = async () => {
+  const unfinished = (await readDirNames(getSnapshotDir())).filter((name) =>
+    name.endsWith('.tmp')
+  )
+  const expired = (await listSnapshotIds()).slice(snapshotKeep)
 
-  if (lastOnUpdateCallback) {
-    await initListener({
-      vaultId: lastActiveVaultId,
-      onUpdate: lastOnUpdateCallback
+  for (const name of [...unfinished, ...expired]) {
+    await fs.promises.rm(barePath.join(getSnapshotDir(), name), {
+      recursive: true,
+      force: true
     })
   }
 }
 
 /**
- * @returns {Promise<void>}
+ * Snapshots are encrypted with a key derived from the key of the vaults
+ * list. Unlike the hashed master password it survives password changes, so
+ * older snapshots stay readable after one.
+ * @returns {string} hex
  */
-export const closeAllInstances = async () => {
-  if (isActiveVaultInitialized) {
-    await closeActiveVaultInstance()
-  }
-
-  if (isVaultsInitialized) {
-    await closeVaultsInstance()
+const getSnapshotPassword = () => {
+  if (!isVaultsInitialized || !b4a.isBuffer(vaultsInstance.encryptionKey)) {
+    throw vaultError(ERROR_CODES.NOT_AUTHENTICATED, 'Not authenticated')
   }
 
-  if (isEncryptionInitialized) {
-    await encryptionClose()
+  const key = sodium.sodium_malloc(sodium.crypto_generichash_BYTES)
+  try {
+    sodium.crypto_generichash(
+      key,
+      b4a.from(SNAPSHOT_KEY_CONTEXT),
+      vaultsInstance.encryptionKey
+    )
+    return b4a.toString(key, 'hex')
+  } finally {
+    sodium.sodium_memzero(key)
+    sodium.sodium_free(key)
   }
-
-  clearRestartCache()
 }
 
 /**
- * Blind mirrors management
+ * Runs `fn` with an instance of the vault: the open one, or else one opened
+ * read-only for the call, with its key read back through the blind
+ * encryption.
+ * @template T
+ * @param {string} vaultId
+ * @param {(instance: Autopass) => Promise<T>} fn
+ * @returns {Promise<T>}
  */
+const withVaultInstance = async (vaultId, fn) => {
+  const open = vaultRegistry.get(vaultId)
+  if (open) {
+    return fn(open.instance)
+  }
 
-/**
- * @returns {Promise<Array<{key: string, isDefault: boolean}>>}
- */
-export const getBlindMirrors = async () => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('[getBlindMirrors]: Vault not initialised')
+  const instance = await initInstance({
+    path: `vault/${vaultId}`,
+    hashedPassword: await getHashedPasswordHandle(),
+    readOnly: true
+  })
+
+  try {
+    return await fn(instance)
+  } finally {
+    await instance.close()
   }
+}
 
-  const mirrors = await activeVaultInstance.getMirror()
-  const mirrorsArray = Array.isArray(mirrors) ? mirrors : []
+/**
+ * Writes the vaults list and every vault in it to a new snapshot, each as a
+ * backup encrypted with `getSnapshotPassword`. Closed vaults are opened
+ * read-only for it; one that cannot be opened, e.g. because another process
+ * holds its storage, is left out of the snapshot and logged.
+ * @returns {Promise<{ snapshotId: string, createdAt: number, vaultIds: Array<string> }>}
+ */
+const takeSnapshot = async () => {
+  const password = getSnapshotPassword()
+
+  const createdAt = Date.now()
+  const snapshotId = String(createdAt)
+  const snapshotPath = getSnapshotPath(snapshotId)
+  const tempPath = `${snapshotPath}.tmp`
+  const options = { password, kdfParams: SNAPSHOT_KDF_PARAMS }
+  const listedIds = (await vaultsList('vault/'))
+    .map((vault) => vault?.id)
+    .filter((vaultId) => typeof vaultId === 'string' && vaultId)
+  const vaultIds = []
 
   try {
-    const metadata = await activeVaultGet('mirror-metadata')
+    await writeVaultBackup(
+      vaultsInstance,
+      barePath.join(tempPath, VAULTS_SNAPSHOT_FILE),
+      { ...options, meta: { vaultId: 'vaults', vault: null, mirrors: [] } }
+    )
 
-    const isDefault = metadata?.isDefault ?? false
+    for (const vaultId of new Set([...listedIds, ...vaultRegistry.keys()])) {
+      const filePath = barePath.join(
+        tempPath,
+        `${VAULT_SNAPSHOT_PREFIX}${vaultId}${BACKUP_FILE_EXTENSION}`
+      )
 
-    const enrichedMirrors = mirrorsArray.map((mirror) => ({
-      ...mirror,
-      isDefault
-    }))
+      try {
+        await withVaultInstance(vaultId, async (instance) =>
+          writeVaultBackup(instance, filePath, {
+            ...options,
+            meta: await readBackupMeta(instance, vaultId)
+          })
+        )
+      } catch (error) {
+        if (vaultRegistry.has(vaultId)) {
+          throw error
+        }
+        workletLogger.error('takeSnapshot: skipped a closed vault', {
+          vaultId,
+          error
+        })
+        continue
+      }
+      vaultIds.push(vaultId)
+    }
 
-    return enrichedMirrors
+    await fs.promises.rename(tempPath, snapshotPath)
   } catch (error) {
-    throw new Error(
-      `[getBlindMirrors]: Failed to get mirror metadata: ${error?.message || 'Unexpected error'}`
-    )
+    await fs.promises.rm(tempPath, { recursive: true, force: true })
+    throw error
   }
+
+  await rotateSnapshots()
+
+  return { snapshotId, createdAt, vaultIds }
 }
 
 /**
- * @param {boolean} isDefault
- * @returns {Promise<void>}
+ * @returns {{ enabled: boolean, path: string, intervalMinutes: number | null, changeThreshold: number | null, keep: number }}
  */
-const setMirrorMetadata = async (isDefault) => {
-  await activeVaultAdd('mirror-metadata', { isDefault })
-}
+const getAutoBackupSettings = () => ({
+  enabled: backupScheduler.isEnabled,
+  path: getSnapshotDir(),
+  intervalMinutes: backupScheduler.intervalMs
+    ? backupScheduler.intervalMs / 60000
+    : null,
+  changeThreshold: backupScheduler.changeThreshold,
+  keep: snapshotKeep
+})
 
 /**
- * @param {Array<string>} mirrors
- * @returns {Promise<void>}
+ * Configures automatic snapshots of the vaults list and of every vault,
+ * taken every `intervalMinutes` and after `changeThreshold` vault updates.
+ * The last `keep` snapshots are kept. Settings live in memory, so they are
+ * sent again on each start.
+ * @param {Object} params
+ * @param {boolean} [params.enabled]
+ * @param {string | null} [params.path] - absolute directory for the
+ *   snapshots; null for `snapshots` under the storage root
+ * @param {number | null} [params.intervalMinutes]
+ * @param {number | null} [params.changeThreshold]
+ * @param {number} [params.keep]
+ * @returns {{ enabled: boolean, path: string, intervalMinutes: number | null, changeThreshold: number | null, keep: number }}
  */
-export const addBlindMirrors = async (mirrors) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('[addBlindMirrors]: Vault not initialised')
+export const autoBackupConfigure = ({
+  enabled = true,
+  path,
+  intervalMinutes = null,
+  changeThreshold = null,
+  keep = DEFAULT_SNAPSHOT_KEEP
+} = {}) => {
+  const isValidInterval =
+    intervalMinutes === null ||
+    (Number.isFinite(intervalMinutes) && intervalMinutes > 0)
+  const isValidThreshold =
+    changeThreshold === null ||
+    (Number.isInteger(changeThreshold) && changeThreshold > 0)
+
+  if (
+    !isValidInterval ||
+    !isValidThreshold ||
+    !(Number.isInteger(keep) && keep > 0)
+  ) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Invalid automatic backup settings'
+    )
   }
 
-  if (!Array.isArray(mirrors) || mirrors.length === 0) {
-    throw new Error('[addBlindMirrors]: No mirrors provided')
+  if (enabled && intervalMinutes === null && changeThreshold === null) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'An interval or a change threshold is required'
+    )
   }
 
-  await Promise.all(
-    mirrors.map((mirror) => activeVaultInstance.addMirror(mirror))
+  if (path !== undefined) {
+    SNAPSHOT_STORAGE_PATH = path
+      ? toWritableDirectory(
+          path,
+          'Backup path points to a restricted system directory'
+        )
+      : null
+  }
+  snapshotKeep = keep
+  backupScheduler.configure(
+    enabled
+      ? {
+          intervalMs: intervalMinutes && intervalMinutes * 60000,
+          changeThreshold
+        }
+      : {}
   )
 
-  await setMirrorMetadata(false)
+  return getAutoBackupSettings()
 }
 
 /**
- * @returns {Promise<void>}
+ * Takes a snapshot now, after the one in progress if any.
+ * @returns {Promise<{ snapshotId: string, createdAt: number, vaultIds: Array<string> }>}
  */
-export const removeBlindMirror = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('[removeBlindMirror]: Vault not initialised')
-  }
+export const autoBackupSnapshot = () => backupScheduler.run()
 
-  if (!key) {
-    throw new Error('[removeBlindMirror]: mirror key not provided!')
+/**
+ * @returns {Promise<Array<{ snapshotId: string, createdAt: number, vaultIds: Array<string> }>>}
+ *   newest first
+ */
+export const autoBackupList = async () => {
+  const snapshots = []
+
+  for (const snapshotId of await listSnapshotIds()) {
+    const vaultIds = (await readDirNames(getSnapshotPath(snapshotId)))
+      .filter(
+        (name) =>
+          name.startsWith(VAULT_SNAPSHOT_PREFIX) &&
+          name.endsWith(BACKUP_FILE_EXTENSION)
+      )
+      .map((name) =>
+        name.slice(VAULT_SNAPSHOT_PREFIX.length, -BACKUP_FILE_EXTENSION.length)
+      )
+
+    snapshots.push({ snapshotId, createdAt: Number(snapshotId), vaultIds })
   }
 
-  await activeVaultInstance.removeMirror(key)
+  return snapshots
 }
 
 /**
- * @returns {Promise<void>}
+ * Restores from a snapshot. With `vaultId`, that vault is restored as by
+ * `vaultBackupRestore`: in place with `overwrite`, otherwise as a new vault
+ * `newVaultId`. Without it, entries of the vaults list removed since the
+ * snapshot are added back; entries that still exist are left alone.
+ *
+ * Snapshots are not tied to the master password, they still open after it
+ * changed.
+ * @param {Object} params
+ * @param {string} params.snapshotId
+ * @param {string} [params.vaultId]
+ * @param {boolean} [params.overwrite]
+ * @param {string} [params.newVaultId] - random if omitted
+ * @param {string} [params.encryptionKey] - base64, required for a new vault
+ * @param {(progress: import('./vaultBackup').BackupProgress & { snapshotId: string }) => void} [onProgress]
+ * @returns {Promise<{ vaultId: string, createdAt: number, entryCount: number } | { restoredKeys: Array<string> }>}
  */
-export const addDefaultBlindMirrors = async () => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('[addDefaultBlindMirrors]: Vault not initialised')
+export const autoBackupRestore = async (
+  { snapshotId, vaultId, overwrite = false, newVaultId, encryptionKey } = {},
+  onProgress
+) => {
+  const snapshotPath = getSnapshotPath(snapshotId)
+  const names = await readDirNames(snapshotPath)
+  if (!names.length) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Snapshot not found', {
+      snapshotId
+    })
   }
 
-  await Promise.all(
-    defaultMirrorKeys.map((key) => activeVaultInstance.addMirror(key))
-  )
+  const password = getSnapshotPassword()
+  const progress = (update) => onProgress?.({ ...update, snapshotId })
+
+  if (vaultId) {
+    const fileName = `${VAULT_SNAPSHOT_PREFIX}${vaultId}${BACKUP_FILE_EXTENSION}`
+    if (!names.includes(fileName)) {
+      throw vaultError(ERROR_CODES.VAULT_NOT_FOUND, 'Vault not in snapshot', {
+        snapshotId,
+        vaultId
+      })
+    }
+
+    return restoreVaultFromBackup(
+      barePath.join(snapshotPath, fileName),
+      {
+        password,
+        overwrite,
+        vaultId: overwrite ? vaultId : newVaultId,
+        encryptionKey
+      },
+      progress
+    )
+  }
+
+  const restoredKeys = []
+  await readVaultBackup(barePath.join(snapshotPath, VAULTS_SNAPSHOT_FILE), {
+    password,
+    onProgress: progress,
+    onEntry: async ({ key, value }) => {
+      if (key.startsWith('vault/') && !(await vaultsInstance.get(key))) {
+        await vaultsAdd(key, JSON.parse(value))
+        restoredKeys.push(key)
+      }
+    }
+  })
 
-  await setMirrorMetadata(true)
+  return { restoredKeys }
 }
 
 /**
- * Remove all blind mirrors from the active vault
- * @returns {Promise<void>}
+ * The hashed master password, read once per unlock and kept in secure
+ * memory; writing `masterEncryption` or locking disposes it, so callers
+ * must not keep the handle. Reading it parses the `masterEncryption` entry,
+ * which leaves one string copy on the JS heap per unlock until it is
+ * garbage collected.
+ * @returns {Promise<SecretHandle | null>}
  */
-export const removeAllBlindMirrors = async () => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('[removeAllBlindMirrors]: Vault not initialised')
+export const getHashedPasswordHandle = async () => {
+  if (!hashedPasswordCache) {
+    const masterEncryption = await vaultsGet('masterEncryption')
+    const handle = SecretHandle.from(masterEncryption?.hashedPassword, 'utf-8')
+
+    // Another call may have filled the cache while this one was reading
+    if (hashedPasswordCache) {
+      handle?.dispose()
+    } else {
+      hashedPasswordCache = handle
+    }
   }
 
-  const currentMirrors = await activeVaultInstance.getMirror()
-  const currentKeys = (Array.isArray(currentMirrors) ? currentMirrors : []).map(
-    (m) => m?.key
-  )
+  return hashedPasswordCache
+}
 
-  await Promise.all(
-    currentKeys.map((key) => activeVaultInstance.removeMirror(key))
-  )
+/**
+ * The hashed master password as a string, for APIs that only take strings.
+ * Every call leaves a copy on the JS heap that cannot be wiped; prefer
+ * `getHashedPasswordHandle`.
+ * @returns {Promise<string | undefined>}
+ */
+export const getHashedPassword = async () =>
+  (await getHashedPasswordHandle())?.toString('utf-8')
 
-  await vaultRemove('mirror-metadata')
-}
+/**
+ * Decodes hex characters into `target` without a string in between, so
+ * secrets kept as hex bytes stay off the JS heap.
+ * @param {Buffer} target - receives `target.byteLength` bytes
+ * @param {Uint8Array} hex - ASCII hex characters
+ * @returns {void}
+ */
+const decodeHexInto = (target, hex) => {
+  const nibble = (code) => (code <= 57 ? code - 48 : (code | 32) - 87)
 
-export const getHashedPassword = async () => {
-  const masterEncryption = await vaultsGet('masterEncryption')
-  return masterEncryption?.hashedPassword
+  for (let i = 0; i < target.byteLength; i++) {
+    target[i] = (nibble(hex[2 * i]) << 4) | nibble(hex[2 * i + 1])
+  }
 }
 
 /**
@@ -1039,8 +2866,8 @@ export const buildJobPath = (relativePath) => {
  * @returns {Promise<Array>}
  */
 export const readAndDecryptJobFile = async () => {
-  const hashedPasswordHex = await getHashedPassword()
-  if (!hashedPasswordHex) {
+  const hashedPassword = await getHashedPasswordHandle()
+  if (!hashedPassword) {
     return []
   }
 
@@ -1086,7 +2913,7 @@ export const readAndDecryptJobFile = async () => {
   )
 
   try {
-    key.write(hashedPasswordHex, 'hex')
+    hashedPassword.use((hex) => decodeHexInto(key, hex))
 
     const opened = sodium.crypto_secretbox_open_easy(
       plaintext,
@@ -1116,9 +2943,9 @@ export const readAndDecryptJobFile = async () => {
  * @returns {Promise<void>}
  */
 export const writeAndEncryptJobFile = async (jobs) => {
-  const hashedPasswordHex = await getHashedPassword()
-  if (!hashedPasswordHex) {
-    throw new Error('Not authenticated')
+  const hashedPassword = await getHashedPasswordHandle()
+  if (!hashedPassword) {
+    throw vaultError(ERROR_CODES.NOT_AUTHENTICATED, 'Not authenticated')
   }
 
   const filePath = buildJobPath(JOB_FILE_NAME)
@@ -1143,7 +2970,7 @@ export const writeAndEncryptJobFile = async (jobs) => {
 
   try {
     sodium.randombytes_buf(nonce)
-    key.write(hashedPasswordHex, 'hex')
+    hashedPassword.use((hex) => decodeHexInto(key, hex))
 
     sodium.crypto_secretbox_easy(ciphertext, jsonBuffer, nonce, key)
 
@@ -1171,30 +2998,56 @@ export const writeAndEncryptJobFile = async (jobs) => {
 }
 
 /**
- * Reads a raw record from the active vault by key without enrichment.
+ * Reads a raw record from a vault by key without enrichment.
  * @param {string} key
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<object|null>}
  */
-const activeVaultGetRaw = async (key) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+const activeVaultGetRaw = async (key, vaultId) => {
+  const instance = getVaultInstance(vaultId)
 
-  const res = await activeVaultInstance.get(key)
+  const res = await instance.get(key)
   if (!res || !res.value) return null
-  return JSON.parse(res.value)
+  return migrateStoredRecord(JSON.parse(res.value))
+}
+
+/**
+ * Applies `enrichRecordForClient` to a stored value by its key, so the
+ * history versions and trashed copies of records lose their secrets too.
+ * @param {string} key
+ * @param {any} value - the parsed stored value
+ * @returns {any}
+ */
+const toClientValue = (key, value) => {
+  if (key?.startsWith(RECORD_KEY_PREFIX)) {
+    return enrichRecordForClient(value)
+  }
+  if (key?.startsWith(`${RECORD_HISTORY_PREFIX}${RECORD_KEY_PREFIX}`)) {
+    return { ...value, data: enrichRecordForClient(value?.data) }
+  }
+  if (
+    key?.startsWith(`${TRASH_PREFIX}${RECORD_KEY_PREFIX}`) &&
+    typeof value?.value === 'string'
+  ) {
+    return {
+      ...value,
+      value: JSON.stringify(enrichRecordForClient(JSON.parse(value.value)))
+    }
+  }
+  return value
 }
 
 /**
  * Enriches a record for client consumption.
  * If the record has an OTP config, generates the current code,
  * strips the secret, and attaches `otpPublic` to the record.
+ * A passkey is replaced by `passkeyPublic`, without its private key.
  * The original record in storage is never mutated.
  * @param {object} record
  * @returns {object}
  */
 export const enrichRecordForClient = (record) => {
-  if (!record?.data?.otp) {
+  if (!record?.data?.otp && !record?.data?.passkey) {
     return record
   }
 
@@ -1204,10 +3057,20 @@ export const enrichRecordForClient = (record) => {
     data: { ...record.data }
   }
 
+  if (record.data.passkey) {
+    enriched.passkeyPublic = toPasskeyPublic(record.data.passkey)
+    delete enriched.data.passkey
+  }
+
+  if (!otp) {
+    return enriched
+  }
+
   try {
     const otpPublic = {
       type: otp.type,
       digits: otp.digits,
+      encoder: otp.encoder,
       issuer: otp.issuer,
       label: otp.label
     }
@@ -1235,24 +3098,28 @@ export const enrichRecordForClient = (record) => {
 /**
  * Generates OTP codes for a list of record IDs.
  * @param {string[]} recordIds
- * @returns {Promise<Array<{ recordId: string, code: string, timeRemaining?: number }>>}
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<Array<{ recordId: string, code: string, timeRemaining?: number, period?: number }>>}
  */
-export const generateOtpCodesByIds = async (recordIds) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
+export const generateOtpCodesByIds = async (recordIds, vaultId) => {
+  getVaultInstance(vaultId)
 
   const results = []
 
   for (const recordId of recordIds) {
     try {
-      const record = await activeVaultGetRaw(`record/${recordId}`)
+      const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
       if (!record?.data?.otp) continue
 
       const otp = record.data.otp
       if (otp.type === OTP_TYPE.TOTP) {
         const { code, timeRemaining } = generateTOTP(otp)
-        results.push({ recordId, code, timeRemaining })
+        results.push({
+          recordId,
+          code,
+          timeRemaining,
+          period: otp.period || 30
+        })
       } else if (otp.type === OTP_TYPE.HOTP) {
         const { code } = generateHOTP(otp)
         results.push({ recordId, code })
@@ -1268,19 +3135,52 @@ export const generateOtpCodesByIds = async (recordIds) => {
   return results
 }
 
+/**
+ * Pushes the TOTP codes of records to `onCodes` at each period boundary until
+ * unsubscribed or the vault is closed. Timers stop while instances are
+ * suspended; codes that changed meanwhile are sent on resume.
+ * @param {Array<string>} recordIds
+ * @param {(payload: { subscriptionId: string, vaultId: string, codes: Array<Object> }) => void} onCodes
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ subscriptionId: string, codes: Array<Object> }>} the
+ *   current codes, HOTP ones included
+ */
+export const subscribeOtpCodes = async (recordIds, onCodes, vaultId) => {
+  if (!Array.isArray(recordIds) || !recordIds.length) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'recordIds must not be empty')
+  }
+
+  getVaultInstance(vaultId)
+  // Pin the subscription to the vault that is active now
+  const targetVaultId = vaultId ?? activeVaultId
+
+  const { subscriptionId, codes } = await otpTicker.subscribe({
+    recordIds,
+    vaultId: targetVaultId,
+    onCodes: (changed) =>
+      onCodes({ subscriptionId, vaultId: targetVaultId, codes: changed })
+  })
+
+  return { subscriptionId, codes }
+}
+
+/**
+ * @param {string} subscriptionId
+ * @returns {boolean} whether the subscription existed
+ */
+export const unsubscribeOtpCodes = (subscriptionId) =>
+  otpTicker.unsubscribe(subscriptionId)
+
 /**
  * Generates the next HOTP code for a record and increments the counter.
  * @param {string} recordId
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<{ code: string, counter: number }>}
  */
-export const generateHotpNext = async (recordId) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
-
-  const record = await activeVaultGetRaw(`record/${recordId}`)
+export const generateHotpNext = async (recordId, vaultId) => {
+  const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
   if (!record) {
-    throw new Error('Record not found')
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found')
   }
   if (!record.data?.otp || record.data.otp.type !== OTP_TYPE.HOTP) {
     throw new Error('Record does not have HOTP configuration')
@@ -1292,7 +3192,13 @@ export const generateHotpNext = async (recordId) => {
   const { code } = generateHOTP({ ...otp, counter: newCounter })
 
   record.data.otp = { ...otp, counter: newCounter }
-  await activeVaultAdd(`record/${recordId}`, record)
+  await activeVaultAdd(
+    `record/${recordId}`,
+    record,
+    undefined,
+    undefined,
+    vaultId
+  )
 
   return { code, counter: newCounter }
 }
@@ -1300,39 +3206,417 @@ export const generateHotpNext = async (recordId) => {
 /**
  * Adds an OTP configuration to a record.
  * @param {string} recordId
- * @param {string} otpInput - otpauth:// URI or raw Base32 secret
+ * @param {string} otpInput - otpauth:// URI, steam:// URI or raw Base32 secret
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<void>}
  */
-export const addOtpToRecord = async (recordId, otpInput) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
-  }
-
-  const record = await activeVaultGetRaw(`record/${recordId}`)
+export const addOtpToRecord = async (recordId, otpInput, vaultId) => {
+  const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
   if (!record?.data) {
-    throw new Error('Record not found')
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found')
   }
 
   const otpConfig = parseOtpInput(otpInput)
   record.data.otp = otpConfig
-  await activeVaultAdd(`record/${recordId}`, record)
+  await activeVaultAdd(
+    `record/${recordId}`,
+    record,
+    undefined,
+    undefined,
+    vaultId
+  )
 }
 
 /**
  * Removes OTP configuration from a record.
  * @param {string} recordId
+ * @param {string} [vaultId] - defaults to the active vault
  * @returns {Promise<void>}
  */
-export const removeOtpFromRecord = async (recordId) => {
-  if (!isActiveVaultInitialized) {
-    throw new Error('Vault not initialised')
+export const removeOtpFromRecord = async (recordId, vaultId) => {
+  const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
+  if (!record?.data) {
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found')
+  }
+
+  delete record.data.otp
+  await activeVaultAdd(
+    `record/${recordId}`,
+    record,
+    undefined,
+    undefined,
+    vaultId
+  )
+}
+
+/**
+ * @param {string} [value]
+ * @returns {string} lowercase letters and digits only
+ */
+const normalizeOtpMatchValue = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '')
+
+/**
+ * @param {string} website
+ * @returns {string} host without `www.`, e.g. `github.com`
+ */
+const websiteHost = (website) =>
+  String(website)
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/:?#]/)[0]
+
+/**
+ * Whether an imported OTP entry belongs to a record. The issuer has to match
+ * the title or a website; the label has to match the username or email when
+ * both sides have one.
+ * @param {Object} record
+ * @param {{ issuer?: string, label?: string }} entry
+ * @returns {boolean}
+ */
+const otpEntryMatchesRecord = (record, { issuer, label }) => {
+  const normalizedIssuer = normalizeOtpMatchValue(issuer)
+  if (!normalizedIssuer) return false
+
+  const hosts = (record.data?.websites ?? []).map(websiteHost)
+  const issuerMatches =
+    normalizeOtpMatchValue(record.data?.title) === normalizedIssuer ||
+    hosts.some(
+      (host) =>
+        normalizeOtpMatchValue(host) === normalizedIssuer ||
+        normalizeOtpMatchValue(host.split('.')[0]) === normalizedIssuer
+    )
+  if (!issuerMatches) return false
+
+  const accounts = [record.data?.username, record.data?.email]
+    .map(normalizeOtpMatchValue)
+    .filter(Boolean)
+  const normalizedLabel = normalizeOtpMatchValue(label)
+
+  return (
+    !normalizedLabel || !accounts.length || accounts.includes(normalizedLabel)
+  )
+}
+
+/**
+ * Imports every token of an authenticator export. Each entry is attached to
+ * the one record without OTP that matches its issuer and label, or stored in
+ * a new login record. Tokens whose secret is already in the vault are skipped.
+ * @param {string | Array<string> | Object} input - `otpauth-migration://`
+ *   URIs, or an Aegis or 2FAS JSON export
+ * @param {Object} [options]
+ * @param {string} [options.password] - for encrypted exports
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ format: string, report: Array<{ issuer?: string, label?: string, status: string, recordId?: string, error?: string }> }>}
+ */
+export const importOtpEntries = async (input, { password } = {}, vaultId) => {
+  const instance = getVaultInstance(vaultId)
+  const { format, entries } = parseOtpExport(input, password)
+
+  const records = await collectValuesByFilter(instance, (key) =>
+    key?.startsWith('record/')
+  )
+  const report = []
+
+  for (const { issuer, label, otp, error } of entries) {
+    if (error) {
+      report.push({ issuer, label, status: OTP_IMPORT_STATUS.FAILED, error })
+      continue
+    }
+
+    const existing = records.find(
+      (record) => record.data?.otp?.secret === otp.secret
+    )
+    if (existing) {
+      report.push({
+        issuer,
+        label,
+        status: OTP_IMPORT_STATUS.SKIPPED,
+        recordId: existing.id
+      })
+      continue
+    }
+
+    const matches = records.filter(
+      (record) =>
+        record.id &&
+        record.data &&
+        !record.data.otp &&
+        otpEntryMatchesRecord(record, { issuer, label })
+    )
+
+    try {
+      if (matches.length === 1) {
+        const [record] = matches
+        record.data.otp = otp
+        await activeVaultAdd(
+          `record/${record.id}`,
+          record,
+          undefined,
+          undefined,
+          vaultId
+        )
+        report.push({
+          issuer,
+          label,
+          status: OTP_IMPORT_STATUS.ATTACHED,
+          recordId: record.id
+        })
+        continue
+      }
+
+      const id = b4a.alloc(16)
+      sodium.randombytes_buf(id)
+      const now = Date.now()
+      const record = {
+        id: b4a.toString(id, 'hex'),
+        type: RECORD_TYPE.LOGIN,
+        vaultId: vaultId ?? activeVaultId,
+        data: { title: issuer || label, username: label, otp },
+        createdAt: now,
+        updatedAt: now
+      }
+      await activeVaultAdd(
+        `record/${record.id}`,
+        record,
+        undefined,
+        undefined,
+        vaultId
+      )
+      records.push(record)
+      report.push({
+        issuer,
+        label,
+        status: OTP_IMPORT_STATUS.CREATED,
+        recordId: record.id
+      })
+    } catch (importError) {
+      workletLogger.error('Failed to import OTP entry:', importError)
+      report.push({
+        issuer,
+        label,
+        status: OTP_IMPORT_STATUS.FAILED,
+        error: importError.message
+      })
+    }
+  }
+
+  return { format, report }
+}
+
+/**
+ * Imports the records of a 1Password, Bitwarden, LastPass, KeePass, Chrome or
+ * Firefox export. Every item is checked against the record schemas first;
+ * items that fail to parse or to validate are listed in `errors` and
+ * skipped. With `dryRun` nothing is written and `records` previews what
+ * would be imported.
+ *
+ * Records are then written one by one. If a write fails the import stops:
+ * `stoppedAt` is the index of the item that failed, and the items after it
+ * are not written either. `records` lists those that were.
+ * @param {Object} params
+ * @param {string | Uint8Array} params.input - the export file
+ * @param {string} [params.format] - one of `IMPORT_FORMAT`, detected if omitted
+ * @param {string} [params.password] - for KeePass databases and password
+ *   protected Bitwarden exports
+ * @param {string} [params.accountKey] - for account restricted Bitwarden exports
+ * @param {boolean} [params.dryRun]
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ format: string, dryRun: boolean, importedCount: number, records: Array<{ index: number, type: string, title: string, folder?: string, recordId?: string }>, errors: Array<{ index: number, title?: string, error: string, field?: string }>, stoppedAt: number | null }>}
+ */
+export const activeVaultImportRecords = async (
+  { input, format, password, accountKey, dryRun = false },
+  vaultId
+) => {
+  getVaultInstance(vaultId)
+  const parsed = await parseImport({ input, format, password, accountKey })
+  const errors = [...parsed.errors]
+  const prepared = []
+
+  // Every item is checked before the first write, in dry runs as well
+  for (const item of parsed.items) {
+    const preview = {
+      index: item.index,
+      type: item.type,
+      title: item.data.title,
+      ...(item.folder ? { folder: item.folder } : {})
+    }
+
+    const id = b4a.alloc(16)
+    sodium.randombytes_buf(id)
+    const now = Date.now()
+    const record = {
+      id: b4a.toString(id, 'hex'),
+      type: item.type,
+      vaultId: vaultId ?? activeVaultId,
+      ...(item.folder ? { folder: item.folder } : {}),
+      isFavorite: Boolean(item.isFavorite),
+      data: item.data,
+      createdAt: now,
+      updatedAt: now
+    }
+    const key = `${RECORD_KEY_PREFIX}${record.id}`
+
+    try {
+      prepared.push({ preview, key, value: prepareRecordForWrite(key, record) })
+    } catch (validationError) {
+      errors.push({
+        index: item.index,
+        title: item.data.title,
+        error: validationError.message,
+        ...(validationError.details?.field
+          ? { field: validationError.details.field }
+          : {})
+      })
+    }
+  }
+
+  if (dryRun) {
+    return {
+      format: parsed.format,
+      dryRun,
+      importedCount: 0,
+      records: prepared.map(({ preview }) => preview),
+      errors,
+      stoppedAt: null
+    }
+  }
+
+  const records = []
+  let stoppedAt = null
+
+  // A write that fails after validation is a storage failure the next write
+  // would hit as well, so the import stops there
+  for (const { preview, key, value } of prepared) {
+    try {
+      await activeVaultAdd(key, value, undefined, undefined, vaultId)
+      records.push({ ...preview, recordId: value.id })
+    } catch (importError) {
+      workletLogger.error('Failed to import record:', importError)
+      errors.push({
+        index: preview.index,
+        title: preview.title,
+        error: importError.message
+      })
+      stoppedAt = preview.index
+      break
+    }
+  }
+
+  return {
+    format: parsed.format,
+    dryRun,
+    importedCount: records.length,
+    records,
+    errors,
+    stoppedAt
   }
+}
 
-  const record = await activeVaultGetRaw(`record/${recordId}`)
+/**
+ * Generates a passkey for a relying party and stores it in a record,
+ * replacing any passkey the record had.
+ * @param {string} recordId
+ * @param {Object} options
+ * @param {string} options.rpId
+ * @param {string} [options.algorithm] - `ES256` (default) or `EdDSA`
+ * @param {string} [options.userHandle] - base64url user.id from the relying party
+ * @param {string} [options.userName]
+ * @param {string} [options.userDisplayName]
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<object>} the public passkey with `authenticatorData` and
+ *   `attestationObject` for the registration response
+ */
+export const addPasskeyToRecord = async (recordId, options, vaultId) => {
+  const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
   if (!record?.data) {
-    throw new Error('Record not found')
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found')
   }
 
-  delete record.data.otp
-  await activeVaultAdd(`record/${recordId}`, record)
+  const passkey = createPasskey(options)
+  record.data.passkey = passkey
+  await activeVaultAdd(
+    `record/${recordId}`,
+    record,
+    undefined,
+    undefined,
+    vaultId
+  )
+
+  return { ...toPasskeyPublic(passkey), ...getPasskeyRegistration(passkey) }
+}
+
+// Assertions read, bump and write the counter, one at a time
+let passkeyCounterWrites = Promise.resolve()
+
+/**
+ * Signs a WebAuthn assertion with the passkey of a record and stores the
+ * incremented signature counter. The private key never leaves the worklet.
+ * @param {string} recordId
+ * @param {Object} params
+ * @param {string} params.rpId - must match the relying party of the passkey
+ * @param {string} params.clientDataHash - base64url SHA-256 of clientDataJSON
+ * @param {boolean} [params.userVerified]
+ * @param {string} [vaultId] - defaults to the active vault
+ * @returns {Promise<{ credentialId: string, userHandle?: string, authenticatorData: string, signature: string, signCount: number }>}
+ */
+export const signWebauthnAssertion = (recordId, params, vaultId) => {
+  const signing = passkeyCounterWrites.then(() =>
+    signAndStoreCounter(recordId, params, vaultId)
+  )
+  passkeyCounterWrites = signing.catch(() => {})
+  return signing
+}
+
+/**
+ * @param {string} recordId
+ * @param {{ rpId: string, clientDataHash: string, userVerified?: boolean }} params
+ * @param {string} [vaultId]
+ * @returns {Promise<{ credentialId: string, userHandle?: string, authenticatorData: string, signature: string, signCount: number }>}
+ */
+const signAndStoreCounter = async (
+  recordId,
+  { rpId, clientDataHash, userVerified } = {},
+  vaultId
+) => {
+  const record = await activeVaultGetRaw(`record/${recordId}`, vaultId)
+  if (!record) {
+    throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'Record not found')
+  }
+
+  const passkey = record.data?.passkey
+  if (!passkey) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Record does not have a passkey'
+    )
+  }
+  if (rpId !== passkey.rpId) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Passkey does not belong to this relying party',
+      { rpId }
+    )
+  }
+
+  const assertion = signPasskeyAssertion(passkey, {
+    clientDataHash,
+    userVerified
+  })
+
+  // A counter bump is not an edit, so it stays out of the record history
+  record.data.passkey = { ...passkey, signCount: assertion.signCount }
+  await getVaultInstance(vaultId).add(
+    `record/${recordId}`,
+    JSON.stringify(record)
+  )
+
+  return {
+    credentialId: passkey.credentialId,
+    userHandle: passkey.userHandle,
+    ...assertion
+  }
 }
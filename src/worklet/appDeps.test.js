@@ -1,5 +1,5 @@
 // bare-fs uses `using` declarations Jest's parser can't handle; stub the
-// methods appDeps.js actually calls (mkdir, sync helpers, promises.mkdir).
+// methods appDeps.js actually calls (mkdir, sync helpers, promises).
 jest.mock('bare-fs', () => ({
   __esModule: true,
   default: {
@@ -8,7 +8,10 @@ jest.mock('bare-fs', () => ({
     writeFileSync: jest.fn(),
     renameSync: jest.fn(),
     promises: {
-      mkdir: jest.fn().mockResolvedValue(undefined)
+      mkdir: jest.fn().mockResolvedValue(undefined),
+      readdir: jest.fn().mockResolvedValue([]),
+      rename: jest.fn().mockResolvedValue(undefined),
+      rm: jest.fn().mockResolvedValue(undefined)
     }
   }
 }))
@@ -186,7 +189,8 @@ jest.mock('bare-path', () => ({
       }
     }
     return '/' + resolved.join('/')
-  }
+  },
+  dirname: (path) => path.slice(0, path.lastIndexOf('/')) || '/'
 }))
 
 jest.mock('@tetherto/swarmconf', () =>
@@ -203,6 +207,10 @@ jest.mock('blind-encryption-sodium', () =>
   jest.fn().mockImplementation(() => ({}))
 )
 
+jest.mock('@tetherto/pearpass-utils-password-check', () => ({
+  checkPasswordStrength: () => ({ strengthType: 'safe' })
+}))
+
 jest.mock('./utils/isPearWorker', () => ({
   isPearWorker: jest.fn().mockReturnValue(false)
 }))
@@ -227,12 +235,62 @@ jest.mock('./utils/workletLogger', () => ({
   WorkletLogger: jest.fn()
 }))
 
+// File I/O of backups is covered in vaultBackup.test.js
+jest.mock('./vaultBackup', () => ({
+  ...jest.requireActual('./vaultBackup'),
+  writeVaultBackup: jest.fn(),
+  readVaultBackup: jest.fn()
+}))
+
 // Mock Bare global for platform detection
 global.Bare = {
   platform: 'posix' // Unix-like for tests
 }
 
+import Autopass from 'autopass'
+import fs from 'bare-fs'
+import BlindEncryptionSodium from 'blind-encryption-sodium'
+import Corestore from 'corestore'
+import sodium from 'sodium-native'
+
 import * as appDeps from './appDeps'
+import { SecretHandle } from './secretHandle'
+import { readVaultBackup, writeVaultBackup } from './vaultBackup'
+import { ERROR_CODES } from '../constants/errorCodes'
+
+// Backs add/get/remove/list/find of a vault instance with a sorted in-memory
+// map of `key -> { value, file }`
+const useStore = (instance) => {
+  const store = new Map()
+  const sortedEntries = () =>
+    [...store.entries()].sort(([a], [b]) => (a < b ? -1 : 1))
+
+  instance.add = jest.fn(async (key, value, file) =>
+    store.set(key, { value, file })
+  )
+  instance.get = jest.fn(async (key) => store.get(key) ?? null)
+  instance.remove = jest.fn(async (key) => store.delete(key))
+  instance.list = jest.fn(async () => ({
+    on: (event, callback) => {
+      if (event === 'data') {
+        sortedEntries().forEach(([key, { value }]) => callback({ key, value }))
+      }
+      if (event === 'end') {
+        callback()
+      }
+    }
+  }))
+  instance.base.view.find = jest.fn((collection, { gte, lt }) => {
+    const entries = sortedEntries().filter(
+      ([key]) => key >= gte.key && key < lt.key
+    )
+    return (async function* () {
+      for (const [key, { value }] of entries) yield { key, value }
+    })()
+  })
+
+  return store
+}
 
 describe('appDeps module functions (excluding encryption)', () => {
   beforeEach(async () => {
@@ -329,7 +387,7 @@ describe('appDeps module functions (excluding encryption)', () => {
 
   describe('Active vault functions', () => {
     beforeEach(async () => {
-      // initActiveVaultInstance calls getHashedPassword → vaultsGet,
+      // initActiveVaultInstance calls getHashedPasswordHandle → vaultsGet,
       // so vaults must be initialized first.
       await appDeps.setStoragePath('/home/testuser/vaultdata')
       await appDeps.masterVaultInit({
@@ -377,6 +435,28 @@ describe('appDeps module functions (excluding encryption)', () => {
       )
     })
 
+    test('activeVaultAdd keeps the code and details of write errors', async () => {
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+
+      const mockInstance = appDeps.getActiveVaultInstance()
+      mockInstance.add = jest.fn().mockRejectedValue(
+        Object.assign(new Error('Too large'), {
+          code: ERROR_CODES.QUOTA_EXCEEDED,
+          details: { maxBytes: 4 }
+        })
+      )
+
+      await expect(
+        appDeps.activeVaultAdd('key1', 'data', Buffer.from('x'), 'a.pdf')
+      ).rejects.toMatchObject({
+        code: ERROR_CODES.QUOTA_EXCEEDED,
+        details: { maxBytes: 4, fileName: 'a.pdf' }
+      })
+    })
+
     test('vaultsGet calls get on vaultsInstance and returns result', async () => {
       const result = await appDeps.vaultsGet('key4')
       expect(result.id).toEqual('vault-id')
@@ -581,32 +661,94 @@ describe('appDeps module functions (excluding encryption)', () => {
     })
   })
 
-  describe('Pairing functions', () => {
-    afterEach(async () => {
-      await appDeps.closeAllInstances()
-    })
-
-    test('pair calls pair with invite code and returns vault id', async () => {
+  describe('activeVaultAudit', () => {
+    beforeEach(async () => {
       await appDeps.setStoragePath('/home/testuser/vaultdata')
       await appDeps.masterVaultInit({
         encryptionKey: 'key',
         hashedPassword: 'pw'
       })
-      // PearPassPairer.pairInstance reads hashedPassword via vaultsGet.
-      const vaultsInst = appDeps.getVaultsInstance()
-      vaultsInst.get = jest.fn().mockResolvedValue({
-        value: JSON.stringify({ hashedPassword: 'hashed-pw' })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
       })
 
-      const { vaultId, encryptionKey } = await appDeps.pairActiveVault(
-        'vault-id/invite-code'
+      const records = [
+        { id: 'r1', data: { password: 'hunter2' } },
+        { id: 'r2', data: { password: 'hunter2' } }
+      ]
+      appDeps.getActiveVaultInstance().list = jest.fn().mockResolvedValue({
+        on: (event, callback) => {
+          if (event === 'data') {
+            records.forEach((record) =>
+              callback({
+                key: `record/${record.id}`,
+                value: JSON.stringify(record)
+              })
+            )
+          }
+          if (event === 'end') {
+            callback()
+          }
+        }
+      })
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('audits the records against the breach list', async () => {
+      fs.readFileSync.mockReturnValueOnce(
+        'F3BBBD66A63D4BF1747940578EC3D0103530E21D:17'
       )
-      expect(vaultId).toBe('vault-id')
-      expect(encryptionKey).toBe('encryption-key')
+
+      const audit = await appDeps.activeVaultAudit({
+        breachListPath: 'audit/breaches.txt'
+      })
+
+      expect(fs.readFileSync).toHaveBeenCalledWith(
+        '/home/testuser/vaultdata/audit/breaches.txt',
+        'utf-8'
+      )
+      expect(audit).toMatchObject({
+        auditedCount: 2,
+        reused: [['r1', 'r2']],
+        breached: [
+          { id: 'r1', count: 17 },
+          { id: 'r2', count: 17 }
+        ]
+      })
+    })
+
+    test('rejects a missing breach list', async () => {
+      fs.readFileSync.mockImplementationOnce(() => {
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' })
+      })
+
+      await expect(
+        appDeps.activeVaultAudit({ breachListPath: 'missing.txt' })
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
     })
   })
 
-  describe('Blind mirrors management', () => {
+  describe('activeVaultSearch', () => {
+    const listOf = (entries) => ({
+      on: (event, callback) => {
+        if (event === 'data') {
+          entries.forEach(callback)
+        }
+        if (event === 'end') {
+          callback()
+        }
+      }
+    })
+
+    const recordEntry = (id, title) => ({
+      key: `record/${id}`,
+      value: JSON.stringify({ id, type: 'login', data: { title } })
+    })
+
     beforeEach(async () => {
       await appDeps.setStoragePath('/home/testuser/vaultdata')
       await appDeps.masterVaultInit({
@@ -617,119 +759,237 @@ describe('appDeps module functions (excluding encryption)', () => {
         id: 'vault1',
         encryptionKey: 'key'
       })
-
-      const inst = appDeps.getActiveVaultInstance()
-      inst.getMirror = jest.fn().mockResolvedValue([{ key: 'a' }, { key: 'b' }])
-      inst.addMirror = jest.fn().mockResolvedValue()
-      inst.removeMirror = jest.fn().mockResolvedValue()
     })
 
     afterEach(async () => {
       await appDeps.closeAllInstances()
     })
 
-    test('getBlindMirrors returns mirrors from instance', async () => {
-      const res = await appDeps.getBlindMirrors()
-      expect(res).toEqual([
-        { key: 'a', isDefault: false },
-        { key: 'b', isDefault: false }
-      ])
-    })
+    test('searches only record entries', async () => {
+      const instance = appDeps.getActiveVaultInstance()
+      instance.list = jest
+        .fn()
+        .mockResolvedValue(
+          listOf([
+            recordEntry('r1', 'GitHub'),
+            { key: 'vault', value: JSON.stringify({ id: 'github' }) }
+          ])
+        )
+
+      const { results, total } = await appDeps.activeVaultSearch({
+        query: 'github'
+      })
 
-    test('addBlindMirrors adds provided keys', async () => {
-      const inst = appDeps.getActiveVaultInstance()
-      await appDeps.addBlindMirrors(['k1', 'k2'])
-      expect(inst.addMirror).toHaveBeenCalledWith('k1')
-      expect(inst.addMirror).toHaveBeenCalledWith('k2')
+      expect(total).toBe(1)
+      expect(results[0]).toMatchObject({ id: 'r1', title: 'GitHub' })
     })
 
-    test('removeBlindMirror removes key', async () => {
-      const inst = appDeps.getActiveVaultInstance()
-      await appDeps.removeBlindMirror('k1')
-      expect(inst.removeMirror).toHaveBeenCalledWith('k1')
-    })
+    test('reuses the index until the vault changes', async () => {
+      const instance = appDeps.getActiveVaultInstance()
+      instance.list = jest
+        .fn()
+        .mockResolvedValue(listOf([recordEntry('r1', 'GitHub')]))
 
-    test('addDefaultBlindMirrors adds defaults', async () => {
-      const inst = appDeps.getActiveVaultInstance()
-      await appDeps.addDefaultBlindMirrors()
-      expect(inst.addMirror).toHaveBeenCalled()
+      await appDeps.activeVaultSearch({ query: 'git' })
+      await appDeps.activeVaultSearch({ query: 'hub' })
+      expect(instance.list).toHaveBeenCalledTimes(1)
+
+      instance.list.mockResolvedValue(
+        listOf([recordEntry('r1', 'GitHub'), recordEntry('r2', 'GitLab')])
+      )
+      await appDeps.activeVaultAdd('record/r2', {
+        id: 'r2',
+        type: 'login',
+        data: { title: 'GitLab' }
+      })
+
+      const { total } = await appDeps.activeVaultSearch({ query: 'git' })
+      expect(instance.list).toHaveBeenCalledTimes(2)
+      expect(total).toBe(2)
     })
 
-    test('removeAllBlindMirrors removes all current mirrors', async () => {
-      const inst = appDeps.getActiveVaultInstance()
-      inst.getMirror = jest
+    test('rebuilds the index after an update event', async () => {
+      const onUpdate = jest.fn()
+      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
+
+      const instance = appDeps.getActiveVaultInstance()
+      instance.list = jest
         .fn()
-        .mockResolvedValue([{ key: 'a' }, { key: 'b' }, { key: 'c' }])
+        .mockResolvedValue(listOf([recordEntry('r1', 'GitHub')]))
 
-      await appDeps.removeAllBlindMirrors()
-      expect(inst.removeMirror).toHaveBeenCalledWith('a')
-      expect(inst.removeMirror).toHaveBeenCalledWith('b')
-      expect(inst.removeMirror).toHaveBeenCalledWith('c')
+      await appDeps.activeVaultSearch({ query: 'git' })
+
+      const [, updateHandler] = instance.on.mock.calls
+        .filter(([event]) => event === 'update')
+        .pop()
+      updateHandler()
+
+      await appDeps.activeVaultSearch({ query: 'git' })
+      expect(instance.list).toHaveBeenCalledTimes(2)
+      expect(onUpdate).toHaveBeenCalled()
+    })
+
+    test('throws if vault not initialised', async () => {
+      await expect(
+        appDeps.activeVaultSearch({ query: 'git', vaultId: 'missing' })
+      ).rejects.toThrow('Vault not initialised')
     })
   })
 
-  describe('restartActiveVault', () => {
-    afterEach(async () => {
-      await appDeps.closeAllInstances()
+  describe('record history', () => {
+    let store
+
+    const historyKeys = () =>
+      [...store.keys()].filter((key) => key.startsWith('history/record/r1/'))
+
+    const record = (data) => ({
+      id: 'r1',
+      type: 'login',
+      data: { title: 'r1', ...data }
     })
 
-    test('restarts instance when same vault is active', async () => {
+    const stored = (data) => ({ ...record(data), schemaVersion: 1 })
+
+    beforeEach(async () => {
       await appDeps.setStoragePath('/home/testuser/vaultdata')
       await appDeps.masterVaultInit({
         encryptionKey: 'key',
         hashedPassword: 'pw'
       })
       await appDeps.initActiveVaultInstance({
-        id: 'vaultX',
-        encryptionKey: 'encKey'
+        id: 'vault1',
+        encryptionKey: 'key'
       })
-
-      const onUpdate = jest.fn()
-      await appDeps.initListener({ vaultId: 'vaultX', onUpdate })
-
-      await appDeps.restartActiveVault()
-      expect(appDeps.getIsActiveVaultInitialized()).toBe(true)
+      store = useStore(appDeps.getActiveVaultInstance())
     })
 
-    test('throws if no previous vault to restart', async () => {
-      await appDeps.setStoragePath('/home/testuser/vaultdata')
-      await appDeps.closeAllInstances()
-      await expect(appDeps.restartActiveVault()).rejects.toThrow(
-        '[restartActiveVault]: No previous active vault to restart'
-      )
-    })
-  })
-  describe('initListener', () => {
     afterEach(async () => {
+      jest.restoreAllMocks()
       await appDeps.closeAllInstances()
     })
 
-    test('initListener should not reinitialize if vaultId matches previous value', async () => {
-      await appDeps.setStoragePath('/home/testuser/vaultdata')
-      await appDeps.masterVaultInit({
-        encryptionKey: 'key',
-        hashedPassword: 'pw'
+    test('keeps a version for every record write, newest first', async () => {
+      jest
+        .spyOn(Date, 'now')
+        .mockReturnValueOnce(1000)
+        .mockReturnValueOnce(2000)
+
+      await appDeps.activeVaultAdd('record/r1', record({ password: 'a' }))
+      await appDeps.activeVaultAdd('record/r1', record({ password: 'b' }))
+
+      const history = await appDeps.activeVaultRecordHistory('record/r1')
+
+      expect(history).toEqual([
+        {
+          versionId: '0000000002000-aabbccdd',
+          timestamp: 2000,
+          writerKey: appDeps.activeVaultGetWriterKey(),
+          data: stored({ password: 'b' })
+        },
+        expect.objectContaining({
+          timestamp: 1000,
+          data: stored({ password: 'a' })
+        })
+      ])
+    })
+
+    test('saves the value a record had before history was kept', async () => {
+      store.set('record/r1', {
+        value: JSON.stringify({ id: 'r1', updatedAt: 500 })
       })
-      await appDeps.initActiveVaultInstance({
-        id: 'vault1',
-        encryptionKey: 'key'
+
+      await appDeps.activeVaultAdd('record/r1', {
+        ...record(),
+        updatedAt: 900
       })
 
-      const active = appDeps.getActiveVaultInstance()
-      const removeAllListenersSpy = jest.spyOn(active, 'removeAllListeners')
+      const history = await appDeps.activeVaultRecordHistory('record/r1')
+      expect(history[1]).toEqual({
+        versionId: '0000000000500-legacy',
+        timestamp: 500,
+        writerKey: null,
+        data: { id: 'r1', updatedAt: 500 }
+      })
+    })
 
-      const onUpdate = jest.fn()
-      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
+    test('does not keep versions of non record keys', async () => {
+      await appDeps.activeVaultAdd('vault', { id: 'vault1' })
 
-      removeAllListenersSpy.mockClear()
+      expect([...store.keys()]).toEqual(['vault'])
+    })
 
-      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
-      expect(removeAllListenersSpy).not.toHaveBeenCalled()
+    test('drops the oldest versions past the limit', async () => {
+      let now = 0
+      jest.spyOn(Date, 'now').mockImplementation(() => ++now)
+
+      for (let i = 0; i < 25; i++) {
+        await appDeps.activeVaultAdd('record/r1', record({ note: `${i}` }))
+      }
+
+      const history = await appDeps.activeVaultRecordHistory('record/r1')
+      expect(historyKeys()).toHaveLength(20)
+      expect(history[0].data.data.note).toBe('24')
+      expect(history[19].data.data.note).toBe('5')
+    })
+
+    test('restores a version as a new write', async () => {
+      jest
+        .spyOn(Date, 'now')
+        .mockReturnValueOnce(1000)
+        .mockReturnValueOnce(2000)
+      await appDeps.activeVaultAdd('record/r1', record({ password: 'a' }))
+      await appDeps.activeVaultAdd('record/r1', record({ password: 'b' }))
+      const [, first] = await appDeps.activeVaultRecordHistory('record/r1')
+
+      const restored = await appDeps.activeVaultRecordRestore(
+        'record/r1',
+        first.versionId
+      )
+
+      expect(restored).toEqual(stored({ password: 'a' }))
+      expect(JSON.parse(store.get('record/r1').value)).toEqual(restored)
+      expect(historyKeys()).toHaveLength(3)
+    })
+
+    test('throws RECORD_NOT_FOUND for an unknown version', async () => {
+      await expect(
+        appDeps.activeVaultRecordRestore('record/r1', 'missing')
+      ).rejects.toMatchObject({ code: ERROR_CODES.RECORD_NOT_FOUND })
+    })
+
+    test('rejects invalid records without writing them', async () => {
+      await expect(
+        appDeps.activeVaultAdd('record/r1', { ...record(), tags: 'work' })
+      ).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_INPUT,
+        details: { key: 'record/r1', field: 'tags' }
+      })
+      await expect(
+        appDeps.activeVaultAdd('record/r1', record({ password: 1 }))
+      ).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_INPUT,
+        details: { field: 'data.password' }
+      })
+
+      expect([...store.keys()]).toEqual([])
     })
   })
 
-  describe('closeAllInstances', () => {
-    test('closeAllInstances closes all initialized instances and clears restart cache', async () => {
+  describe('chunked files', () => {
+    let store
+
+    const chunkKeys = () =>
+      [...store.keys()].filter((key) => key.startsWith('file-chunk/'))
+
+    const readAll = async (content) => {
+      const chunks = []
+      for await (const chunk of content) {
+        chunks.push(chunk)
+      }
+      return Buffer.concat(chunks).toString()
+    }
+
+    beforeEach(async () => {
       await appDeps.setStoragePath('/home/testuser/vaultdata')
       await appDeps.masterVaultInit({
         encryptionKey: 'key',
@@ -739,30 +999,1897 @@ describe('appDeps module functions (excluding encryption)', () => {
         id: 'vault1',
         encryptionKey: 'key'
       })
-      await appDeps.encryptionInit()
+      store = useStore(appDeps.getActiveVaultInstance())
+    })
 
-      const activeVault = appDeps.getActiveVaultInstance()
-      const vaults = appDeps.getVaultsInstance()
-      const encryption = appDeps.getEncryptionInstance()
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
 
-      const closeSpy1 = jest.spyOn(activeVault, 'close')
-      const closeSpy2 = jest.spyOn(vaults, 'close')
-      const closeSpy3 = jest.spyOn(encryption, 'close')
+    test('activeVaultAddFile stores a manifest and chunks', async () => {
+      const manifest = await appDeps.activeVaultAddFile(
+        'file/f1',
+        Buffer.from('file content')
+      )
 
-      await appDeps.closeAllInstances()
+      expect(manifest).toMatchObject({ size: 12, chunkCount: 1 })
+      expect(JSON.parse(store.get('file/f1').value)).toEqual(manifest)
+      expect(chunkKeys()).toHaveLength(1)
+    })
 
-      expect(closeSpy1).toHaveBeenCalled()
-      expect(closeSpy2).toHaveBeenCalled()
-      expect(closeSpy3).toHaveBeenCalled()
+    test('activeVaultAddFile stores the file metadata', async () => {
+      const manifest = await appDeps.activeVaultAddFile(
+        'file/f1',
+        Buffer.from('file content'),
+        { name: 'scan.pdf', mimeType: 'application/pdf', recordId: 'r1' }
+      )
 
-      expect(appDeps.getIsActiveVaultInitialized()).toBe(false)
-      expect(appDeps.getIsVaultsInitialized()).toBe(false)
-      expect(appDeps.getIsEncryptionInitialized()).toBe(false)
+      expect(manifest).toMatchObject({
+        name: 'scan.pdf',
+        mimeType: 'application/pdf',
+        recordId: 'r1',
+        hash: expect.stringMatching(/^[0-9a-f]{64}$/)
+      })
 
-      await expect(appDeps.restartActiveVault()).rejects.toThrow(
-        '[restartActiveVault]: No previous active vault to restart'
+      const file = await appDeps.activeVaultReadFile('file/f1')
+      expect(file.metadata).toMatchObject({
+        name: 'scan.pdf',
+        hash: manifest.hash,
+        createdAt: manifest.createdAt
+      })
+    })
+
+    test('activeVaultGetFile rejects content that does not match its hash', async () => {
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('file content'))
+      const [chunkKey] = chunkKeys()
+      store.get(chunkKey).file = Buffer.from('tampered')
+
+      await expect(appDeps.activeVaultGetFile('file/f1')).rejects.toMatchObject(
+        { code: ERROR_CODES.FILE_INTEGRITY_MISMATCH }
       )
     })
+
+    test('reports attachment usage including the trash', async () => {
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('12345'))
+      await appDeps.activeVaultAddFile('file/f2', Buffer.from('123'))
+      await appDeps.activeVaultRemoveFile('file/f2')
+      await appDeps.activeVaultSetAttachmentQuota(100)
+
+      expect(await appDeps.activeVaultGetAttachmentUsage()).toEqual({
+        usedBytes: 5,
+        trashBytes: 3,
+        fileCount: 1,
+        quotaBytes: 100
+      })
+    })
+
+    test('rejects uploads past the quota', async () => {
+      await appDeps.activeVaultSetAttachmentQuota(10)
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('123456'))
+
+      await expect(
+        appDeps.activeVaultAddFile('file/f2', Buffer.from('123456'), {
+          name: 'big.pdf'
+        })
+      ).rejects.toMatchObject({
+        code: ERROR_CODES.QUOTA_EXCEEDED,
+        details: { maxBytes: 4, fileName: 'big.pdf' }
+      })
+      expect(await appDeps.activeVaultGetAttachmentUsage()).toMatchObject({
+        usedBytes: 6,
+        fileCount: 1
+      })
+    })
+
+    test('rejects announced sizes past the quota before reading content', async () => {
+      await appDeps.activeVaultSetAttachmentQuota(10)
+      const content = { [Symbol.asyncIterator]: jest.fn() }
+
+      await expect(
+        appDeps.activeVaultAddFile('file/f1', content, { size: 11 })
+      ).rejects.toMatchObject({ code: ERROR_CODES.QUOTA_EXCEEDED })
+      expect(content[Symbol.asyncIterator]).not.toHaveBeenCalled()
+    })
+
+    test('replacing a file frees its size for the quota', async () => {
+      await appDeps.activeVaultSetAttachmentQuota(10)
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('12345678'))
+
+      await expect(
+        appDeps.activeVaultAddFile('file/f1', Buffer.from('123456789'))
+      ).resolves.toMatchObject({ size: 9 })
+    })
+
+    test('removing the quota lifts the limit', async () => {
+      await appDeps.activeVaultSetAttachmentQuota(1)
+      await appDeps.activeVaultSetAttachmentQuota(null)
+
+      await expect(
+        appDeps.activeVaultAddFile('file/f1', Buffer.from('123'))
+      ).resolves.toMatchObject({ size: 3 })
+      expect(
+        (await appDeps.activeVaultGetAttachmentUsage()).quotaBytes
+      ).toBeNull()
+    })
+
+    test('activeVaultSetAttachmentQuota rejects invalid values', async () => {
+      await expect(
+        appDeps.activeVaultSetAttachmentQuota(-1)
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+    })
+
+    test('activeVaultAddFile adds the file name to errors', async () => {
+      async function* failing() {
+        yield Buffer.from('partial')
+        throw new Error('stream closed')
+      }
+
+      await expect(
+        appDeps.activeVaultAddFile('file/f1', failing(), { name: 'scan.pdf' })
+      ).rejects.toMatchObject({
+        message: 'stream closed',
+        details: { fileName: 'scan.pdf' }
+      })
+    })
+
+    test('activeVaultReadFile reads a byte range', async () => {
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('file content'))
+
+      const file = await appDeps.activeVaultReadFile('file/f1', {
+        start: 5,
+        end: 9
+      })
+
+      expect(file).toMatchObject({ size: 12, start: 5, end: 9 })
+      expect(await readAll(file.content)).toBe('cont')
+    })
+
+    test('activeVaultReadFile serves files stored before chunking', async () => {
+      store.set('file/f1', { value: '{}', file: Buffer.from('legacy file') })
+
+      const file = await appDeps.activeVaultReadFile('file/f1', { start: 7 })
+
+      expect(file).toMatchObject({ size: 11, start: 7, end: 11 })
+      expect(await readAll(file.content)).toBe('file')
+      expect((await appDeps.activeVaultGetFile('file/f1')).toString()).toBe(
+        'legacy file'
+      )
+    })
+
+    test('activeVaultReadFile returns null for a missing file', async () => {
+      expect(await appDeps.activeVaultReadFile('file/missing')).toBeNull()
+      expect(await appDeps.activeVaultGetFile('file/missing')).toBeNull()
+    })
+
+    test('activeVaultGetFile joins the chunks', async () => {
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('file content'))
+
+      expect((await appDeps.activeVaultGetFile('file/f1')).toString()).toBe(
+        'file content'
+      )
+    })
+
+    test('removed files keep their chunks until purged', async () => {
+      await appDeps.activeVaultAddFile('file/f1', Buffer.from('file content'))
+
+      await appDeps.activeVaultRemoveFile('file/f1')
+      expect(chunkKeys()).toHaveLength(1)
+      expect((await appDeps.activeVaultTrashList())[0].isFile).toBe(true)
+
+      await appDeps.activeVaultTrashRestore('file/f1')
+      expect((await appDeps.activeVaultGetFile('file/f1')).toString()).toBe(
+        'file content'
+      )
+
+      await appDeps.activeVaultRemoveFile('file/f1')
+      await appDeps.activeVaultTrashPurge()
+      expect(chunkKeys()).toEqual([])
+    })
+  })
+
+  describe('trash', () => {
+    let store
+
+    const record = (id) => ({ id, type: 'login', data: { title: id } })
+
+    const recordValue = (id) => JSON.stringify(record(id))
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      store = useStore(appDeps.getActiveVaultInstance())
+    })
+
+    afterEach(async () => {
+      jest.restoreAllMocks()
+      appDeps.setTrashRetention(30)
+      await appDeps.closeAllInstances()
+    })
+
+    test('vaultRemove moves records to the trash', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000)
+      store.set('record/r1', { value: recordValue('r1') })
+
+      await appDeps.vaultRemove('record/r1')
+
+      expect(store.has('record/r1')).toBe(false)
+      expect(await appDeps.activeVaultTrashList()).toEqual([
+        {
+          key: 'record/r1',
+          deletedAt: 1000,
+          isFile: false,
+          data: record('r1')
+        }
+      ])
+    })
+
+    test('vaultRemove deletes non record keys right away', async () => {
+      store.set('mirror-metadata', { value: '{}' })
+
+      await appDeps.vaultRemove('mirror-metadata')
+
+      expect([...store.keys()]).toEqual([])
+    })
+
+    test('activeVaultRemoveFile keeps the file in the trash', async () => {
+      const file = Buffer.from('content')
+      store.set('file/f1', { value: '{}', file })
+
+      await appDeps.activeVaultRemoveFile('file/f1')
+
+      expect(store.get('trash/file/f1').file).toBe(file)
+      const [entry] = await appDeps.activeVaultTrashList()
+      expect(entry).toMatchObject({ key: 'file/f1', isFile: true })
+    })
+
+    test('restores an entry under its original key', async () => {
+      const file = Buffer.from('content')
+      store.set('record/r1', { value: recordValue('r1') })
+      store.set('file/f1', { value: '{}', file })
+      await appDeps.vaultRemove('record/r1')
+      await appDeps.activeVaultRemoveFile('file/f1')
+
+      await appDeps.activeVaultTrashRestore('record/r1')
+      await appDeps.activeVaultTrashRestore('file/f1')
+
+      expect(JSON.parse(store.get('record/r1').value)).toEqual({
+        ...record('r1'),
+        schemaVersion: 1
+      })
+      expect(store.get('file/f1').file).toBe(file)
+      expect(await appDeps.activeVaultTrashList()).toEqual([])
+    })
+
+    test('restore throws RECORD_NOT_FOUND for keys not in the trash', async () => {
+      await expect(
+        appDeps.activeVaultTrashRestore('record/missing')
+      ).rejects.toMatchObject({ code: ERROR_CODES.RECORD_NOT_FOUND })
+    })
+
+    test('purges given keys with their record history', async () => {
+      await appDeps.activeVaultAdd('record/r1', record('r1'))
+      await appDeps.activeVaultAdd('record/r2', record('r2'))
+      await appDeps.vaultRemove('record/r1')
+      await appDeps.vaultRemove('record/r2')
+
+      const purged = await appDeps.activeVaultTrashPurge(['record/r1'])
+
+      expect(purged).toBe(1)
+      expect(await appDeps.activeVaultRecordHistory('record/r1')).toEqual([])
+      expect(
+        (await appDeps.activeVaultTrashList()).map(({ key }) => key)
+      ).toEqual(['record/r2'])
+    })
+
+    test('purge leaves live records and their history alone', async () => {
+      await appDeps.activeVaultAdd('record/r1', record('r1'))
+
+      expect(await appDeps.activeVaultTrashPurge(['record/r1'])).toBe(0)
+      expect(await appDeps.activeVaultRecordHistory('record/r1')).toHaveLength(
+        1
+      )
+    })
+
+    test('purge without keys empties the trash', async () => {
+      store.set('record/r1', { value: recordValue('r1') })
+      store.set('record/r2', { value: recordValue('r2') })
+      await appDeps.vaultRemove('record/r1')
+      await appDeps.vaultRemove('record/r2')
+
+      expect(await appDeps.activeVaultTrashPurge()).toBe(2)
+      expect(await appDeps.activeVaultTrashList()).toEqual([])
+    })
+
+    test('opening a vault purges entries past the retention window', async () => {
+      const day = 24 * 60 * 60 * 1000
+      jest.spyOn(Date, 'now').mockReturnValue(10 * day)
+      appDeps.setTrashRetention(7)
+
+      let openedStore
+      const createInstance = Autopass.getMockImplementation()
+      Autopass.mockImplementationOnce((...args) => {
+        const instance = createInstance(...args)
+        openedStore = useStore(instance)
+        const trashEntry = (key, deletedAt) =>
+          openedStore.set(`trash/${key}`, {
+            value: JSON.stringify({
+              key,
+              deletedAt,
+              isFile: false,
+              value: recordValue(key)
+            })
+          })
+        trashEntry('record/old', 2 * day)
+        trashEntry('record/new', 5 * day)
+        return instance
+      })
+
+      await appDeps.openVaultInstance({ id: 'vault2', encryptionKey: 'key' })
+
+      expect([...openedStore.keys()]).toEqual(['trash/record/new'])
+    })
+
+    test('setTrashRetention rejects invalid values', () => {
+      expect(() => appDeps.setTrashRetention(-1)).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+      )
+      expect(() => appDeps.setTrashRetention(null)).not.toThrow()
+    })
+  })
+
+  describe('passkeys', () => {
+    let store
+
+    const storedPasskey = () =>
+      JSON.parse(store.get('record/r1').value).data.passkey
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      store = useStore(appDeps.getActiveVaultInstance())
+      store.set('record/r1', {
+        value: JSON.stringify({
+          id: 'r1',
+          type: 'login',
+          data: { title: 'Example' }
+        })
+      })
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('addPasskeyToRecord stores the key and returns the registration', async () => {
+      const registration = await appDeps.addPasskeyToRecord('r1', {
+        rpId: 'example.com',
+        userName: 'octocat'
+      })
+
+      expect(registration).toMatchObject({
+        credentialId: storedPasskey().credentialId,
+        rpId: 'example.com',
+        algorithm: 'ES256',
+        userName: 'octocat',
+        authenticatorData: expect.any(String),
+        attestationObject: expect.any(String)
+      })
+      expect(registration).not.toHaveProperty('privateKey')
+      expect(storedPasskey().privateKey).toEqual(expect.any(String))
+    })
+
+    test('records sent to the client carry passkeyPublic only', async () => {
+      await appDeps.addPasskeyToRecord('r1', { rpId: 'example.com' })
+
+      const record = await appDeps.activeVaultGet('record/r1')
+
+      expect(record.data).not.toHaveProperty('passkey')
+      expect(record.passkeyPublic).toMatchObject({ rpId: 'example.com' })
+      expect(record.passkeyPublic).not.toHaveProperty('privateKey')
+    })
+
+    test('history and trash sent to the client carry passkeyPublic only', async () => {
+      await appDeps.addPasskeyToRecord('r1', { rpId: 'example.com' })
+      const { privateKey } = storedPasskey()
+      await appDeps.vaultRemove('record/r1')
+
+      const keys = [...store.keys()]
+      const sent = [
+        await appDeps.activeVaultList(),
+        await appDeps.activeVaultList('history/'),
+        await appDeps.activeVaultFind({ gte: { key: '' }, lt: { key: '~' } }),
+        ...(await Promise.all(keys.map((key) => appDeps.activeVaultGet(key))))
+      ]
+
+      expect(keys).toEqual(
+        expect.arrayContaining([
+          expect.stringMatching(/^history\/record\/r1\//),
+          'trash/record/r1'
+        ])
+      )
+      expect(JSON.stringify(sent)).not.toContain(privateKey)
+      expect(JSON.stringify(sent)).toContain('passkeyPublic')
+    })
+
+    test('signWebauthnAssertion signs and stores the counter', async () => {
+      await appDeps.addPasskeyToRecord('r1', { rpId: 'example.com' })
+      const params = {
+        rpId: 'example.com',
+        clientDataHash: Buffer.alloc(32).toString('base64url')
+      }
+
+      await appDeps.signWebauthnAssertion('r1', params)
+      const assertion = await appDeps.signWebauthnAssertion('r1', params)
+
+      expect(assertion).toMatchObject({
+        credentialId: storedPasskey().credentialId,
+        signature: expect.any(String),
+        signCount: 2
+      })
+      expect(storedPasskey().signCount).toBe(2)
+      expect(await appDeps.activeVaultRecordHistory('record/r1')).toHaveLength(
+        2
+      )
+    })
+
+    test('signWebauthnAssertion counts concurrent assertions once each', async () => {
+      await appDeps.addPasskeyToRecord('r1', { rpId: 'example.com' })
+      const params = {
+        rpId: 'example.com',
+        clientDataHash: Buffer.alloc(32).toString('base64url')
+      }
+
+      const assertions = await Promise.all([
+        appDeps.signWebauthnAssertion('r1', params),
+        appDeps
+          .signWebauthnAssertion('r1', { ...params, rpId: 'evil.example' })
+          .catch(() => null),
+        appDeps.signWebauthnAssertion('r1', params)
+      ])
+
+      expect(assertions.map((assertion) => assertion?.signCount)).toEqual([
+        1,
+        undefined,
+        2
+      ])
+      expect(storedPasskey().signCount).toBe(2)
+    })
+
+    test('signWebauthnAssertion rejects another relying party', async () => {
+      await appDeps.addPasskeyToRecord('r1', { rpId: 'example.com' })
+
+      await expect(
+        appDeps.signWebauthnAssertion('r1', {
+          rpId: 'evil.example',
+          clientDataHash: Buffer.alloc(32).toString('base64url')
+        })
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+      expect(storedPasskey().signCount).toBe(0)
+    })
+
+    test('signWebauthnAssertion requires a passkey', async () => {
+      await expect(
+        appDeps.signWebauthnAssertion('r1', { rpId: 'example.com' })
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+      await expect(
+        appDeps.signWebauthnAssertion('missing', { rpId: 'example.com' })
+      ).rejects.toMatchObject({ code: ERROR_CODES.RECORD_NOT_FOUND })
+    })
+  })
+
+  describe('OTP code subscriptions', () => {
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      const store = useStore(appDeps.getActiveVaultInstance())
+      store.set('record/r1', {
+        value: JSON.stringify({
+          id: 'r1',
+          data: {
+            title: 'Example',
+            otp: { secret: 'JBSWY3DPEHPK3PXP', type: 'TOTP', period: 30 }
+          }
+        })
+      })
+    })
+
+    afterEach(async () => {
+      jest.useRealTimers()
+      await appDeps.closeAllInstances()
+    })
+
+    test('pushes codes at the period boundary, paused while suspended', async () => {
+      jest.useFakeTimers({ now: Date.UTC(2026, 0, 1, 0, 0, 10) })
+      const onCodes = jest.fn()
+
+      const { subscriptionId, codes } = await appDeps.subscribeOtpCodes(
+        ['r1'],
+        onCodes
+      )
+
+      expect(codes).toEqual([
+        {
+          recordId: 'r1',
+          code: expect.stringMatching(/^\d{6}$/),
+          timeRemaining: 20,
+          period: 30
+        }
+      ])
+
+      await jest.advanceTimersByTimeAsync(20000)
+      expect(onCodes).toHaveBeenCalledWith({
+        subscriptionId,
+        vaultId: 'vault1',
+        codes: [expect.objectContaining({ recordId: 'r1', timeRemaining: 30 })]
+      })
+
+      await appDeps.suspendAllInstances()
+      await jest.advanceTimersByTimeAsync(60000)
+      expect(onCodes).toHaveBeenCalledTimes(1)
+
+      await appDeps.resumeAllInstances()
+      expect(onCodes).toHaveBeenCalledTimes(2)
+    })
+
+    test('closing the vault ends its subscriptions', async () => {
+      const { subscriptionId } = await appDeps.subscribeOtpCodes(
+        ['r1'],
+        jest.fn()
+      )
+
+      await appDeps.closeActiveVaultInstance()
+
+      expect(appDeps.unsubscribeOtpCodes(subscriptionId)).toBe(false)
+    })
+
+    test('requires record ids', async () => {
+      await expect(
+        appDeps.subscribeOtpCodes([], jest.fn())
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+    })
+  })
+
+  describe('OTP import', () => {
+    let store
+
+    const storedRecord = (id) => JSON.parse(store.get(`record/${id}`).value)
+
+    const service = (name, account, secret) => ({
+      name,
+      secret,
+      otp: { account, tokenType: 'TOTP' }
+    })
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      store = useStore(appDeps.getActiveVaultInstance())
+      const records = [
+        {
+          id: 'github',
+          type: 'login',
+          data: {
+            title: 'Work',
+            username: 'octocat',
+            websites: ['https://www.github.com/login']
+          }
+        },
+        {
+          id: 'bank',
+          type: 'login',
+          data: { title: 'Bank', username: 'alice' }
+        },
+        {
+          id: 'existing',
+          type: 'login',
+          data: { title: 'Mail', otp: { secret: 'JBSWY3DPEHPK3PXP' } }
+        }
+      ]
+      records.forEach((record) =>
+        store.set(`record/${record.id}`, { value: JSON.stringify(record) })
+      )
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('attaches, creates and skips entries and reports each', async () => {
+      const { format, report } = await appDeps.importOtpEntries({
+        services: [
+          service('GitHub', 'octocat', 'GEZDGNBV'),
+          service('Bank', 'bob', 'GEZDGNBW'),
+          service('Mail', 'me', 'JBSWY3DPEHPK3PXP'),
+          { name: 'Broken', secret: '1!' }
+        ]
+      })
+
+      expect(format).toBe('2fas')
+      expect(report).toEqual([
+        {
+          issuer: 'GitHub',
+          label: 'octocat',
+          status: 'attached',
+          recordId: 'github'
+        },
+        {
+          issuer: 'Bank',
+          label: 'bob',
+          status: 'created',
+          recordId: expect.any(String)
+        },
+        {
+          issuer: 'Mail',
+          label: 'me',
+          status: 'skipped',
+          recordId: 'existing'
+        },
+        {
+          issuer: 'Broken',
+          label: undefined,
+          status: 'failed',
+          error: 'Invalid OTP secret'
+        }
+      ])
+      expect(storedRecord('github').data.otp.secret).toBe('GEZDGNBV')
+      expect(storedRecord(report[1].recordId)).toMatchObject({
+        type: 'login',
+        vaultId: 'vault1',
+        data: {
+          title: 'Bank',
+          username: 'bob',
+          otp: { secret: 'GEZDGNBW', type: 'TOTP' }
+        }
+      })
+      expect(storedRecord('bank').data).not.toHaveProperty('otp')
+    })
+
+    test('does not import the same secret twice', async () => {
+      const input = { services: [service('Shop', 'me', 'GEZDGNBV')] }
+
+      await appDeps.importOtpEntries(input)
+      const { report } = await appDeps.importOtpEntries(input)
+
+      expect(report[0].status).toBe('skipped')
+    })
+
+    test('rejects unsupported input', async () => {
+      await expect(appDeps.importOtpEntries('nope')).rejects.toMatchObject({
+        code: ERROR_CODES.INVALID_INPUT
+      })
+    })
+  })
+
+  describe('Record import', () => {
+    let store
+
+    const lastPassCsv = [
+      'url,username,password,totp,extra,name,grouping,fav',
+      'https://github.com,octocat,hunter2,,,GitHub,Work,1',
+      ',,,,,Empty,,0',
+      'http://sn,,,,Door code 1234,Door,,0'
+    ].join('\n')
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      store = useStore(appDeps.getActiveVaultInstance())
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    const storedRecords = () =>
+      [...store.keys()]
+        .filter((key) => key.startsWith('record/'))
+        .map((key) => JSON.parse(store.get(key).value))
+
+    test('previews a dry run without writing', async () => {
+      const result = await appDeps.activeVaultImportRecords({
+        input: lastPassCsv,
+        dryRun: true
+      })
+
+      expect(result).toEqual({
+        format: 'lastpass',
+        dryRun: true,
+        importedCount: 0,
+        records: [
+          { index: 0, type: 'login', title: 'GitHub', folder: 'Work' },
+          { index: 2, type: 'note', title: 'Door' }
+        ],
+        errors: [{ index: 1, title: 'Empty', error: 'Empty entry' }],
+        stoppedAt: null
+      })
+      expect(storedRecords()).toEqual([])
+    })
+
+    test('validates items against the record schemas in dry runs', async () => {
+      const input = JSON.stringify({
+        encrypted: false,
+        items: [
+          { type: 1, name: 'Mail', login: { username: 'alice' } },
+          { type: 1, name: 'Broken', login: { username: 42 } }
+        ]
+      })
+
+      for (const dryRun of [true, false]) {
+        const result = await appDeps.activeVaultImportRecords({ input, dryRun })
+
+        expect(result.records.map(({ title }) => title)).toEqual(['Mail'])
+        expect(result.errors).toEqual([
+          {
+            index: 1,
+            title: 'Broken',
+            error: 'Invalid record field',
+            field: 'data.username'
+          }
+        ])
+      }
+      expect(storedRecords()).toHaveLength(1)
+    })
+
+    test('stops at the first write that fails', async () => {
+      const instance = appDeps.getActiveVaultInstance()
+      const add = instance.add.getMockImplementation()
+      instance.add
+        .mockImplementationOnce(add)
+        .mockImplementationOnce(add)
+        .mockRejectedValueOnce(new Error('disk full'))
+
+      const result = await appDeps.activeVaultImportRecords({
+        input: lastPassCsv
+      })
+
+      expect(result).toMatchObject({
+        importedCount: 1,
+        records: [{ index: 0, title: 'GitHub' }],
+        stoppedAt: 2
+      })
+      expect(result.errors).toContainEqual({
+        index: 2,
+        title: 'Door',
+        error: 'disk full'
+      })
+      expect(storedRecords().map(({ data }) => data.title)).toEqual(['GitHub'])
+    })
+
+    test('writes the parsed records into the vault', async () => {
+      const result = await appDeps.activeVaultImportRecords({
+        input: lastPassCsv
+      })
+
+      expect(result.importedCount).toBe(2)
+      expect(result.errors).toHaveLength(1)
+
+      const github = storedRecords().find(
+        (record) => record.id === result.records[0].recordId
+      )
+      expect(github).toMatchObject({
+        type: 'login',
+        vaultId: 'vault1',
+        folder: 'Work',
+        isFavorite: true,
+        data: {
+          title: 'GitHub',
+          username: 'octocat',
+          password: 'hunter2',
+          websites: ['https://github.com']
+        }
+      })
+    })
+
+    test('imports Bitwarden exports and reports skipped items', async () => {
+      const result = await appDeps.activeVaultImportRecords({
+        input: JSON.stringify({
+          encrypted: false,
+          folders: [{ id: 'f1', name: 'Shared' }],
+          items: [
+            {
+              type: 1,
+              name: 'Mail',
+              folderId: 'f1',
+              login: { username: 'alice', totp: 'JBSWY3DPEHPK3PXP' }
+            },
+            { type: 2, name: 'Gone', deletedDate: '2025-01-01T00:00:00Z' }
+          ]
+        })
+      })
+
+      expect(result).toMatchObject({
+        format: 'bitwarden',
+        importedCount: 1,
+        errors: [{ index: 1, title: 'Gone', error: 'Item is in the trash' }]
+      })
+      expect(storedRecords()).toEqual([
+        expect.objectContaining({
+          type: 'login',
+          folder: 'Shared',
+          data: expect.objectContaining({
+            username: 'alice',
+            otp: expect.objectContaining({ secret: 'JBSWY3DPEHPK3PXP' })
+          })
+        })
+      ])
+    })
+
+    test('rejects unsupported input', async () => {
+      await expect(
+        appDeps.activeVaultImportRecords({ input: 'a,b\n1,2' })
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+    })
+  })
+
+  describe('Pairing functions', () => {
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('pair calls pair with invite code and returns vault id', async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      // PearPassPairer.pairInstance reads hashedPassword via vaultsGet.
+      const vaultsInst = appDeps.getVaultsInstance()
+      vaultsInst.get = jest.fn().mockResolvedValue({
+        value: JSON.stringify({ hashedPassword: 'hashed-pw' })
+      })
+
+      const { vaultId, encryptionKey } = await appDeps.pairActiveVault(
+        'vault-id/invite-code'
+      )
+      expect(vaultId).toBe('vault-id')
+      expect(encryptionKey).toBe('encryption-key')
+    })
+  })
+
+  describe('Blind mirrors management', () => {
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+
+      const inst = appDeps.getActiveVaultInstance()
+      inst.getMirror = jest.fn().mockResolvedValue([{ key: 'a' }, { key: 'b' }])
+      inst.addMirror = jest.fn().mockResolvedValue()
+      inst.removeMirror = jest.fn().mockResolvedValue()
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('getBlindMirrors returns mirrors from instance', async () => {
+      const res = await appDeps.getBlindMirrors()
+      expect(res).toEqual([
+        { key: 'a', isDefault: false },
+        { key: 'b', isDefault: false }
+      ])
+    })
+
+    test('addBlindMirrors adds provided keys', async () => {
+      const inst = appDeps.getActiveVaultInstance()
+      await appDeps.addBlindMirrors(['k1', 'k2'])
+      expect(inst.addMirror).toHaveBeenCalledWith('k1')
+      expect(inst.addMirror).toHaveBeenCalledWith('k2')
+    })
+
+    test('removeBlindMirror removes key', async () => {
+      const inst = appDeps.getActiveVaultInstance()
+      await appDeps.removeBlindMirror('k1')
+      expect(inst.removeMirror).toHaveBeenCalledWith('k1')
+    })
+
+    test('addDefaultBlindMirrors adds defaults', async () => {
+      const inst = appDeps.getActiveVaultInstance()
+      await appDeps.addDefaultBlindMirrors()
+      expect(inst.addMirror).toHaveBeenCalled()
+    })
+
+    test('removeAllBlindMirrors removes all current mirrors', async () => {
+      const inst = appDeps.getActiveVaultInstance()
+      inst.getMirror = jest
+        .fn()
+        .mockResolvedValue([{ key: 'a' }, { key: 'b' }, { key: 'c' }])
+
+      await appDeps.removeAllBlindMirrors()
+      expect(inst.removeMirror).toHaveBeenCalledWith('a')
+      expect(inst.removeMirror).toHaveBeenCalledWith('b')
+      expect(inst.removeMirror).toHaveBeenCalledWith('c')
+    })
+  })
+
+  describe('Vault backups', () => {
+    let store
+    let vaultsStore
+
+    const VAULT2_ID = 'ab'.repeat(16)
+
+    const meta = {
+      vaultId: 'vault1',
+      vault: { id: 'vault1', name: 'Personal' },
+      mirrors: ['mirror-1'],
+      createdAt: 1000
+    }
+    const backupEntries = [
+      {
+        key: 'record/r1',
+        value: JSON.stringify({ id: 'r1', vaultId: 'vault1', data: {} })
+      },
+      { key: 'file-chunk/f1/00000000', value: '{}', file: Buffer.from('x') }
+    ]
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      vaultsStore = useStore(appDeps.getVaultsInstance())
+      vaultsStore.set('masterEncryption', {
+        value: JSON.stringify({ hashedPassword: 'pw' })
+      })
+      vaultsStore.set('vault/vault1', { value: JSON.stringify(meta.vault) })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      store = useStore(appDeps.getActiveVaultInstance())
+
+      fs.promises.rm.mockClear()
+      writeVaultBackup.mockReset()
+      readVaultBackup.mockReset()
+      readVaultBackup.mockImplementation(
+        async (filePath, { onVerified, onEntry, onProgress }) => {
+          onProgress({ phase: 'verify', processed: 0, total: 2 })
+          await onVerified(meta)
+          for (const entry of backupEntries) {
+            await onEntry(entry)
+          }
+          return { meta, entryCount: backupEntries.length }
+        }
+      )
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('vaultBackupCreate writes the vault under the backups directory', async () => {
+      const instance = appDeps.getActiveVaultInstance()
+      instance.getMirror = jest.fn().mockResolvedValue([{ key: 'mirror-1' }])
+      writeVaultBackup.mockImplementation(
+        async (inst, path, { onProgress }) => {
+          onProgress({ phase: 'write', processed: 0, total: 0 })
+          return { createdAt: 1000, entryCount: 0, size: 10 }
+        }
+      )
+      const onProgress = jest.fn()
+
+      const result = await appDeps.vaultBackupCreate(
+        { password: 'pw' },
+        onProgress
+      )
+
+      expect(result).toEqual({
+        path: expect.stringMatching(/^backups\/vault1\/\d+\.ppbackup$/),
+        vaultId: 'vault1',
+        createdAt: 1000,
+        entryCount: 0,
+        size: 10
+      })
+      expect(writeVaultBackup).toHaveBeenCalledWith(
+        instance,
+        `/home/testuser/vaultdata/${result.path}`,
+        expect.objectContaining({
+          password: 'pw',
+          meta: { vaultId: 'vault1', vault: meta.vault, mirrors: ['mirror-1'] }
+        })
+      )
+      expect(onProgress).toHaveBeenCalledWith({
+        phase: 'write',
+        processed: 0,
+        total: 0,
+        path: result.path
+      })
+    })
+
+    test('vaultBackupCreate only writes new backup files under backups/', async () => {
+      const paths = [
+        '../backup.ppbackup',
+        'backups/../encryption/key.ppbackup',
+        'vaults/vault1.ppbackup',
+        'backups/vault1/backup.json',
+        '/backups/vault1.ppbackup'
+      ]
+
+      for (const path of paths) {
+        await expect(
+          appDeps.vaultBackupCreate({ password: 'pw', path })
+        ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+      }
+      expect(writeVaultBackup).not.toHaveBeenCalled()
+
+      await appDeps.vaultBackupCreate({
+        password: 'pw',
+        path: 'backups/vault1/manual.ppbackup'
+      })
+      expect(writeVaultBackup).toHaveBeenCalledWith(
+        expect.anything(),
+        '/home/testuser/vaultdata/backups/vault1/manual.ppbackup',
+        expect.objectContaining({ overwrite: false })
+      )
+    })
+
+    test('vaultBackupRestore recreates the backup as a new vault', async () => {
+      const result = await appDeps.vaultBackupRestore({
+        path: 'backups/b.ppbackup',
+        password: 'pw',
+        vaultId: VAULT2_ID,
+        encryptionKey: 'key2'
+      })
+
+      expect(result).toEqual({
+        vaultId: VAULT2_ID,
+        createdAt: 1000,
+        entryCount: 2
+      })
+      expect(appDeps.getIsVaultOpen(VAULT2_ID)).toBe(true)
+
+      const restored = appDeps.getVaultInstance(VAULT2_ID)
+      expect(restored.add).toHaveBeenCalledWith(
+        'record/r1',
+        JSON.stringify({ id: 'r1', vaultId: VAULT2_ID, data: {} }),
+        undefined
+      )
+      expect(restored.add).toHaveBeenCalledWith(
+        'file-chunk/f1/00000000',
+        '{}',
+        backupEntries[1].file
+      )
+      expect(restored.addMirror).toHaveBeenCalledWith('mirror-1')
+      expect(JSON.parse(vaultsStore.get(`vault/${VAULT2_ID}`).value)).toEqual({
+        id: VAULT2_ID,
+        name: 'Personal'
+      })
+      expect(store.size).toBe(0)
+    })
+
+    test('vaultBackupRestore gives the restored vault entry the new id', async () => {
+      readVaultBackup.mockImplementation(
+        async (filePath, { onVerified, onEntry }) => {
+          await onVerified(meta)
+          await onEntry({ key: 'vault', value: JSON.stringify(meta.vault) })
+          return { meta, entryCount: 1 }
+        }
+      )
+
+      await appDeps.vaultBackupRestore({
+        path: 'backups/b.ppbackup',
+        password: 'pw',
+        vaultId: VAULT2_ID,
+        encryptionKey: 'key2'
+      })
+
+      const instance = appDeps.getVaultInstance(VAULT2_ID)
+      const [, vault] = instance.add.mock.calls.find(([key]) => key === 'vault')
+      useStore(instance).set('vault', { value: vault })
+
+      expect(JSON.parse(vault)).toEqual({ id: VAULT2_ID, name: 'Personal' })
+      await expect(appDeps.createInvite(VAULT2_ID)).resolves.toBe(
+        `${VAULT2_ID}/invite-code`
+      )
+    })
+
+    test('vaultBackupRestore rejects existing ids and missing keys', async () => {
+      vaultsStore.set(`vault/${VAULT2_ID}`, { value: '{}' })
+
+      await expect(
+        appDeps.vaultBackupRestore({
+          path: 'backups/b.ppbackup',
+          password: 'pw',
+          vaultId: VAULT2_ID,
+          encryptionKey: 'key'
+        })
+      ).rejects.toMatchObject({ message: 'Vault already exists' })
+      await expect(
+        appDeps.vaultBackupRestore({
+          path: 'backups/b.ppbackup',
+          password: 'pw'
+        })
+      ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+      expect(readVaultBackup).not.toHaveBeenCalled()
+    })
+
+    test('vaultBackupRestore rejects ids that are not vault ids', async () => {
+      for (const vaultId of ['..', '../vaults', 'vault2', VAULT2_ID + '/x']) {
+        await expect(
+          appDeps.vaultBackupRestore({
+            path: 'backups/b.ppbackup',
+            password: 'pw',
+            vaultId,
+            encryptionKey: 'key2'
+          })
+        ).rejects.toMatchObject({ message: 'Invalid vault id' })
+      }
+      expect(readVaultBackup).not.toHaveBeenCalled()
+      expect(fs.promises.rm).not.toHaveBeenCalled()
+    })
+
+    test('vaultBackupRestore with overwrite replaces the vault contents', async () => {
+      store.set('record/old', { value: '{}' })
+      const instance = appDeps.getActiveVaultInstance()
+      instance.getMirror = jest.fn().mockResolvedValue([{ key: 'old-mirror' }])
+      const onProgress = jest.fn()
+
+      await appDeps.vaultBackupRestore(
+        { path: 'backups/b.ppbackup', password: 'pw', overwrite: true },
+        onProgress
+      )
+
+      expect([...store.keys()]).toEqual(['record/r1', 'file-chunk/f1/00000000'])
+      expect(store.get('record/r1').value).toBe(backupEntries[0].value)
+      expect(instance.removeMirror).toHaveBeenCalledWith('old-mirror')
+      expect(instance.addMirror).toHaveBeenCalledWith('mirror-1')
+      expect(onProgress).toHaveBeenCalledWith({
+        phase: 'verify',
+        processed: 0,
+        total: 2,
+        path: 'backups/b.ppbackup'
+      })
+      expect(fs.promises.rm).toHaveBeenCalledWith(
+        expect.stringMatching(/\/backups\/vault1\/rollback-\d+\.ppbackup$/),
+        { force: true }
+      )
+    })
+
+    test('vaultBackupRestore with overwrite puts the vault back on failure', async () => {
+      store.set('record/old', { value: '{}' })
+      const instance = appDeps.getActiveVaultInstance()
+      instance.getMirror = jest
+        .fn()
+        .mockResolvedValueOnce([{ key: 'old-mirror' }])
+        .mockResolvedValue([])
+      instance.add.mockRejectedValueOnce(new Error('disk full'))
+
+      const backupMeta = { ...meta, mirrors: ['old-mirror'] }
+      readVaultBackup
+        .mockImplementationOnce(async (filePath, { onVerified, onEntry }) => {
+          await onVerified(meta)
+          await onEntry(backupEntries[0])
+        })
+        .mockImplementationOnce(async (filePath, { onEntry }) => {
+          await onEntry({ key: 'record/old', value: '{}' })
+          return { meta: backupMeta, entryCount: 1 }
+        })
+
+      await expect(
+        appDeps.vaultBackupRestore({
+          path: 'backups/b.ppbackup',
+          password: 'pw',
+          overwrite: true
+        })
+      ).rejects.toThrow('disk full')
+
+      const [[, rollbackPath, { password }]] = writeVaultBackup.mock.calls
+      expect(readVaultBackup).toHaveBeenLastCalledWith(
+        rollbackPath,
+        expect.objectContaining({ password })
+      )
+      expect([...store.keys()]).toEqual(['record/old'])
+      expect(instance.addMirror).toHaveBeenLastCalledWith('old-mirror')
+      expect(fs.promises.rm).toHaveBeenCalledWith(rollbackPath, { force: true })
+    })
+  })
+
+  describe('Automatic snapshots', () => {
+    let vaultsStore
+
+    const snapshotDir = '/home/testuser/vaultdata/snapshots'
+    const vaultsKey = Buffer.alloc(32, 7)
+    const snapshotPassword = (() => {
+      const out = Buffer.alloc(32)
+      sodium.crypto_generichash(
+        out,
+        Buffer.from('pearpass-snapshot'),
+        vaultsKey
+      )
+      return out.toString('hex')
+    })()
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      appDeps.getVaultsInstance().encryptionKey = vaultsKey
+      vaultsStore = useStore(appDeps.getVaultsInstance())
+      vaultsStore.set('masterEncryption', {
+        value: JSON.stringify({ hashedPassword: 'hashed' })
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      appDeps.getActiveVaultInstance().getMirror = jest
+        .fn()
+        .mockResolvedValue([])
+
+      writeVaultBackup.mockReset()
+      writeVaultBackup.mockResolvedValue({
+        createdAt: 5000,
+        entryCount: 0,
+        size: 10
+      })
+      readVaultBackup.mockReset()
+      fs.promises.readdir.mockReset()
+      fs.promises.readdir.mockResolvedValue([])
+      fs.promises.rename.mockClear()
+      fs.promises.rm.mockClear()
+    })
+
+    afterEach(async () => {
+      appDeps.autoBackupConfigure({ enabled: false, path: null })
+      jest.restoreAllMocks()
+      await appDeps.closeAllInstances()
+    })
+
+    test('autoBackupConfigure validates and returns the settings', () => {
+      expect(() =>
+        appDeps.autoBackupConfigure({ intervalMinutes: -1 })
+      ).toThrow('Invalid automatic backup settings')
+      expect(() => appDeps.autoBackupConfigure({ keep: 0 })).toThrow(
+        'Invalid automatic backup settings'
+      )
+      expect(() => appDeps.autoBackupConfigure({})).toThrow(
+        'An interval or a change threshold is required'
+      )
+
+      expect(
+        appDeps.autoBackupConfigure({ intervalMinutes: 30, keep: 3 })
+      ).toEqual({
+        enabled: true,
+        path: snapshotDir,
+        intervalMinutes: 30,
+        changeThreshold: null,
+        keep: 3
+      })
+      expect(
+        appDeps.autoBackupConfigure({ enabled: false, path: '/data/snaps' })
+      ).toMatchObject({ enabled: false, path: '/data/snaps' })
+    })
+
+    test('autoBackupConfigure rejects restricted system directories', () => {
+      for (const path of ['/etc', '/bin/backups']) {
+        expect(() =>
+          appDeps.autoBackupConfigure({ intervalMinutes: 30, path })
+        ).toThrow(
+          expect.objectContaining({ code: ERROR_CODES.STORAGE_PATH_INVALID })
+        )
+      }
+      expect(appDeps.autoBackupConfigure({ enabled: false }).path).toBe(
+        snapshotDir
+      )
+    })
+
+    test('autoBackupSnapshot writes every vault and drops old snapshots', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(5000)
+      appDeps.autoBackupConfigure({ changeThreshold: 10, keep: 2 })
+      fs.promises.readdir.mockResolvedValue([
+        '1000',
+        '3000',
+        '5000',
+        '4000.tmp'
+      ])
+
+      const result = await appDeps.autoBackupSnapshot()
+
+      expect(result).toEqual({
+        snapshotId: '5000',
+        createdAt: 5000,
+        vaultIds: ['vault1']
+      })
+      expect(writeVaultBackup).toHaveBeenCalledWith(
+        appDeps.getVaultsInstance(),
+        `${snapshotDir}/5000.tmp/vaults.ppbackup`,
+        expect.objectContaining({
+          password: snapshotPassword,
+          meta: { vaultId: 'vaults', vault: null, mirrors: [] }
+        })
+      )
+      expect(writeVaultBackup).toHaveBeenCalledWith(
+        appDeps.getActiveVaultInstance(),
+        `${snapshotDir}/5000.tmp/vault-vault1.ppbackup`,
+        expect.objectContaining({ password: snapshotPassword })
+      )
+      expect(fs.promises.rename).toHaveBeenCalledWith(
+        `${snapshotDir}/5000.tmp`,
+        `${snapshotDir}/5000`
+      )
+      expect(fs.promises.rm.mock.calls.map(([path]) => path)).toEqual([
+        `${snapshotDir}/4000.tmp`,
+        `${snapshotDir}/1000`
+      ])
+    })
+
+    test('autoBackupSnapshot opens closed vaults of the list read-only', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(5000)
+      vaultsStore.set('vault/vault1', { value: '{"id":"vault1"}' })
+      vaultsStore.set('vault/vault2', { value: '{"id":"vault2"}' })
+      vaultsStore.set('vault/vault3', { value: '{"id":"vault3"}' })
+
+      const createInstance = Autopass.getMockImplementation()
+      let closedInstance
+      Autopass.mockImplementationOnce((...args) => {
+        closedInstance = createInstance(...args)
+        return closedInstance
+      }).mockImplementationOnce((...args) => ({
+        ...createInstance(...args),
+        ready: jest.fn().mockRejectedValue(new Error('ELOCKED'))
+      }))
+      Corestore.mockClear()
+
+      const result = await appDeps.autoBackupSnapshot()
+
+      expect(result.vaultIds).toEqual(['vault1', 'vault2'])
+      expect(Corestore).toHaveBeenCalledWith(
+        '/home/testuser/vaultdata/vault/vault2',
+        expect.objectContaining({ readOnly: true })
+      )
+      expect(Autopass).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ encryptionKey: undefined })
+      )
+      expect(writeVaultBackup).toHaveBeenCalledWith(
+        closedInstance,
+        `${snapshotDir}/5000.tmp/vault-vault2.ppbackup`,
+        expect.objectContaining({ password: snapshotPassword })
+      )
+      expect(closedInstance.close).toHaveBeenCalled()
+      expect(appDeps.getIsVaultOpen('vault2')).toBe(false)
+    })
+
+    test('autoBackupSnapshot requires the vaults list to be unlocked', async () => {
+      appDeps.getVaultsInstance().encryptionKey = undefined
+
+      await expect(appDeps.autoBackupSnapshot()).rejects.toMatchObject({
+        code: ERROR_CODES.NOT_AUTHENTICATED
+      })
+      expect(writeVaultBackup).not.toHaveBeenCalled()
+    })
+
+    test('vault updates past the change threshold take a snapshot', async () => {
+      appDeps.autoBackupConfigure({ changeThreshold: 2 })
+
+      await appDeps.vaultsAdd('vault/a', { id: 'a' })
+      expect(writeVaultBackup).not.toHaveBeenCalled()
+
+      await appDeps.vaultsAdd('vault/b', { id: 'b' })
+      await new Promise((resolve) => setImmediate(resolve))
+      expect(writeVaultBackup).toHaveBeenCalled()
+    })
+
+    test('autoBackupList lists snapshots newest first', async () => {
+      fs.promises.readdir.mockImplementation(async (path) =>
+        path === snapshotDir
+          ? ['1000', '2000', '3000.tmp']
+          : ['vaults.ppbackup', 'vault-vault1.ppbackup']
+      )
+
+      await expect(appDeps.autoBackupList()).resolves.toEqual([
+        { snapshotId: '2000', createdAt: 2000, vaultIds: ['vault1'] },
+        { snapshotId: '1000', createdAt: 1000, vaultIds: ['vault1'] }
+      ])
+    })
+
+    test('autoBackupRestore restores a vault from a snapshot', async () => {
+      fs.promises.readdir.mockResolvedValue([
+        'vaults.ppbackup',
+        'vault-vault1.ppbackup'
+      ])
+      readVaultBackup.mockImplementation(async (path, { onVerified }) => {
+        const meta = { vaultId: 'vault1', vault: null, mirrors: [] }
+        await onVerified(meta)
+        return { meta: { ...meta, createdAt: 1000 }, entryCount: 0 }
+      })
+      const onProgress = jest.fn()
+
+      await expect(
+        appDeps.autoBackupRestore(
+          { snapshotId: '1000', vaultId: 'vault1', overwrite: true },
+          onProgress
+        )
+      ).resolves.toEqual({ vaultId: 'vault1', createdAt: 1000, entryCount: 0 })
+      expect(readVaultBackup).toHaveBeenCalledWith(
+        `${snapshotDir}/1000/vault-vault1.ppbackup`,
+        expect.objectContaining({ password: snapshotPassword })
+      )
+
+      await expect(
+        appDeps.autoBackupRestore({ snapshotId: '1000', vaultId: 'vault9' })
+      ).rejects.toMatchObject({ code: ERROR_CODES.VAULT_NOT_FOUND })
+    })
+
+    test('autoBackupRestore without a vault adds back removed vaults', async () => {
+      vaultsStore.set('vault/vault1', { value: '{"id":"vault1"}' })
+      fs.promises.readdir.mockResolvedValue(['vaults.ppbackup'])
+      readVaultBackup.mockImplementation(async (path, { onEntry }) => {
+        await onEntry({ key: 'masterEncryption', value: '{}' })
+        await onEntry({ key: 'vault/vault1', value: '{"id":"old"}' })
+        await onEntry({ key: 'vault/vault2', value: '{"id":"vault2"}' })
+      })
+
+      await expect(
+        appDeps.autoBackupRestore({ snapshotId: '1000' })
+      ).resolves.toEqual({ restoredKeys: ['vault/vault2'] })
+      expect(JSON.parse(vaultsStore.get('vault/vault1').value)).toEqual({
+        id: 'vault1'
+      })
+      expect(JSON.parse(vaultsStore.get('vault/vault2').value)).toEqual({
+        id: 'vault2'
+      })
+    })
+
+    test('autoBackupRestore rejects unknown snapshots', async () => {
+      await expect(
+        appDeps.autoBackupRestore({ snapshotId: '1000' })
+      ).rejects.toMatchObject({ message: 'Snapshot not found' })
+      await expect(
+        appDeps.autoBackupRestore({ snapshotId: '../1000' })
+      ).rejects.toMatchObject({ message: 'Invalid snapshot id' })
+    })
+  })
+
+  describe('restartActiveVault', () => {
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('restarts instance when same vault is active', async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vaultX',
+        encryptionKey: 'encKey'
+      })
+
+      const onUpdate = jest.fn()
+      await appDeps.initListener({ vaultId: 'vaultX', onUpdate })
+
+      await appDeps.restartActiveVault()
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(true)
+    })
+
+    test('throws if no previous vault to restart', async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.closeAllInstances()
+      await expect(appDeps.restartActiveVault()).rejects.toThrow(
+        '[restartActiveVault]: No previous active vault to restart'
+      )
+    })
+  })
+  describe('Open vault registry', () => {
+    const VAULT1_KEY = Buffer.alloc(32, 1).toString('base64')
+    const VAULT2_KEY = Buffer.alloc(32, 2).toString('base64')
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: VAULT1_KEY
+      })
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('openVaultInstance opens a vault next to the active one', async () => {
+      const instance = await appDeps.openVaultInstance({
+        id: 'vault2',
+        encryptionKey: 'key2'
+      })
+
+      expect(appDeps.getOpenVaultIds()).toEqual(['vault1', 'vault2'])
+      expect(appDeps.getVaultInstance('vault2')).toBe(instance)
+      expect(appDeps.getVaultInstance()).toBe(appDeps.getActiveVaultInstance())
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(true)
+    })
+
+    test('openVaultInstance returns the open instance for an open vault', async () => {
+      const first = await appDeps.openVaultInstance({ id: 'vault2' })
+      const second = await appDeps.openVaultInstance({ id: 'vault2' })
+
+      expect(second).toBe(first)
+    })
+
+    test('vault-scoped functions target the vault given by vaultId', async () => {
+      const instance = await appDeps.openVaultInstance({ id: 'vault2' })
+      instance.add = jest.fn().mockResolvedValue()
+
+      await appDeps.activeVaultAdd(
+        'key1',
+        { data: 'test' },
+        undefined,
+        undefined,
+        'vault2'
+      )
+
+      expect(instance.add).toHaveBeenCalledWith(
+        'key1',
+        JSON.stringify({ data: 'test' }),
+        undefined
+      )
+      expect(appDeps.getActiveVaultInstance().add).not.toHaveBeenCalled()
+    })
+
+    test('getVaultInstance throws for a vault that is not open', () => {
+      expect(() => appDeps.getVaultInstance('missing')).toThrow(
+        'Vault not initialised'
+      )
+    })
+
+    test('closeVaultInstance closes only the given vault', async () => {
+      const instance = await appDeps.openVaultInstance({ id: 'vault2' })
+
+      await appDeps.closeVaultInstance('vault2')
+
+      expect(instance.close).toHaveBeenCalled()
+      expect(appDeps.getIsVaultOpen('vault2')).toBe(false)
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(true)
+    })
+
+    test('closeAllVaultInstances closes every vault and reports what was open', async () => {
+      await appDeps.openVaultInstance({
+        id: 'vault2',
+        encryptionKey: VAULT2_KEY
+      })
+
+      const closed = await appDeps.closeAllVaultInstances()
+
+      expect(closed).toEqual([
+        { id: 'vault1', encryptionKey: VAULT1_KEY, isActive: true },
+        { id: 'vault2', encryptionKey: VAULT2_KEY, isActive: false }
+      ])
+      expect(appDeps.getOpenVaultIds()).toEqual([])
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(false)
+    })
+
+    test('closeAllInstances wipes the cached vault keys', async () => {
+      const dispose = jest.spyOn(SecretHandle.prototype, 'dispose')
+      await appDeps.openVaultInstance({
+        id: 'vault2',
+        encryptionKey: VAULT2_KEY
+      })
+
+      await appDeps.closeAllInstances()
+
+      // Both registry entries and the restart cache
+      expect(dispose).toHaveBeenCalledTimes(3)
+      expect(dispose.mock.contexts.every((handle) => handle.isDisposed)).toBe(
+        true
+      )
+      await expect(appDeps.restartActiveVault()).rejects.toThrow(
+        'No previous active vault to restart'
+      )
+
+      dispose.mockRestore()
+    })
+
+    test('restartVault reopens a vault with its cached key', async () => {
+      await appDeps.openVaultInstance({
+        id: 'vault2',
+        encryptionKey: VAULT2_KEY
+      })
+
+      await appDeps.restartVault('vault2')
+
+      expect(Autopass).toHaveBeenLastCalledWith(
+        expect.anything(),
+        expect.objectContaining({
+          encryptionKey: Buffer.from(VAULT2_KEY, 'base64')
+        })
+      )
+    })
+
+    test('restartVault reopens a non-active vault', async () => {
+      const before = await appDeps.openVaultInstance({ id: 'vault2' })
+
+      await appDeps.restartVault('vault2')
+
+      expect(before.close).toHaveBeenCalled()
+      expect(appDeps.getIsVaultOpen('vault2')).toBe(true)
+      expect(appDeps.getVaultInstance('vault2')).not.toBe(before)
+    })
+  })
+
+  describe('initListener', () => {
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('initListener should not reinitialize if vaultId matches previous value', async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+
+      const active = appDeps.getActiveVaultInstance()
+      const removeAllListenersSpy = jest.spyOn(active, 'removeAllListeners')
+
+      const onUpdate = jest.fn()
+      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
+
+      removeAllListenersSpy.mockClear()
+
+      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
+      expect(removeAllListenersSpy).not.toHaveBeenCalled()
+    })
+
+    test('initListener follows the active vault to an open vault', async () => {
+      const emitUpdate = (instance) =>
+        instance.on.mock.calls
+          .filter(([event]) => event === 'update')
+          .at(-1)[1]()
+
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      const onUpdate = jest.fn()
+      await appDeps.initListener({ vaultId: 'vault1', onUpdate })
+      const vault1 = appDeps.getActiveVaultInstance()
+      const vault2 = await appDeps.openVaultInstance({
+        id: 'vault2',
+        encryptionKey: 'key'
+      })
+
+      await appDeps.initActiveVaultInstance({
+        id: 'vault2',
+        encryptionKey: 'key'
+      })
+      expect(onUpdate).toHaveBeenCalledWith('vault2')
+      onUpdate.mockClear()
+
+      emitUpdate(vault2)
+      emitUpdate(vault1)
+      expect(onUpdate.mock.calls).toEqual([['vault2']])
+
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      onUpdate.mockClear()
+
+      emitUpdate(vault1)
+      emitUpdate(vault2)
+      expect(onUpdate.mock.calls).toEqual([['vault1']])
+    })
+  })
+
+  describe('closeAllInstances', () => {
+    test('closeAllInstances closes all initialized instances and clears restart cache', async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+      await appDeps.encryptionInit()
+
+      const activeVault = appDeps.getActiveVaultInstance()
+      const vaults = appDeps.getVaultsInstance()
+      const encryption = appDeps.getEncryptionInstance()
+
+      const closeSpy1 = jest.spyOn(activeVault, 'close')
+      const closeSpy2 = jest.spyOn(vaults, 'close')
+      const closeSpy3 = jest.spyOn(encryption, 'close')
+
+      await appDeps.closeAllInstances()
+
+      expect(closeSpy1).toHaveBeenCalled()
+      expect(closeSpy2).toHaveBeenCalled()
+      expect(closeSpy3).toHaveBeenCalled()
+
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(false)
+      expect(appDeps.getIsVaultsInitialized()).toBe(false)
+      expect(appDeps.getIsEncryptionInitialized()).toBe(false)
+
+      await expect(appDeps.restartActiveVault()).rejects.toThrow(
+        '[restartActiveVault]: No previous active vault to restart'
+      )
+    })
+  })
+
+  describe('Auto-lock', () => {
+    const unlock = async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      await appDeps.initActiveVaultInstance({
+        id: 'vault1',
+        encryptionKey: 'key'
+      })
+    }
+
+    afterEach(async () => {
+      appDeps.autoLockConfigure({})
+      await appDeps.resumeAllInstances()
+      await appDeps.closeAllInstances()
+    })
+
+    test('locks on suspend and tells the client', async () => {
+      const onLocked = jest.fn()
+      await unlock()
+      appDeps.autoLockConfigure({ lockOnSuspend: true, onLocked })
+
+      await appDeps.suspendAllInstances()
+
+      expect(onLocked).toHaveBeenCalledWith({ reason: 'suspend' })
+      expect(appDeps.getIsVaultsInitialized()).toBe(false)
+      expect(appDeps.getIsActiveVaultInitialized()).toBe(false)
+      await expect(appDeps.restartActiveVault()).rejects.toThrow(
+        '[restartActiveVault]: No previous active vault to restart'
+      )
+    })
+
+    test('lockAllInstances leaves locked storage alone', async () => {
+      const onLocked = jest.fn()
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.encryptionInit()
+      appDeps.autoLockConfigure({ onLocked })
+
+      await appDeps.lockAllInstances('idle')
+
+      expect(onLocked).not.toHaveBeenCalled()
+      expect(appDeps.getIsEncryptionInitialized()).toBe(true)
+    })
+
+    test('autoLockConfigure validates and returns the settings', () => {
+      expect(() => appDeps.autoLockConfigure({ idleMinutes: 0 })).toThrow(
+        'Invalid auto-lock settings'
+      )
+      expect(() => appDeps.autoLockConfigure({ idleMinutes: 1441 })).toThrow(
+        expect.objectContaining({
+          code: ERROR_CODES.INVALID_INPUT,
+          details: { maxIdleMinutes: 1440 }
+        })
+      )
+      expect(() => appDeps.autoLockConfigure({ lockOnSuspend: 'yes' })).toThrow(
+        'Invalid auto-lock settings'
+      )
+      expect(
+        appDeps.autoLockConfigure({ idleMinutes: 5, lockOnSuspend: true })
+      ).toEqual({ idleMinutes: 5, lockOnSuspend: true })
+      expect(appDeps.autoLockConfigure({ idleMinutes: 1440 })).toEqual({
+        idleMinutes: 1440,
+        lockOnSuspend: false
+      })
+    })
+  })
+
+  describe('Hashed password', () => {
+    const hashedPassword = 'ab'.repeat(32)
+
+    beforeEach(async () => {
+      await appDeps.setStoragePath('/home/testuser/vaultdata')
+      await appDeps.masterVaultInit({
+        encryptionKey: 'key',
+        hashedPassword: 'pw'
+      })
+      useStore(appDeps.getVaultsInstance()).set('masterEncryption', {
+        value: JSON.stringify({ hashedPassword })
+      })
+      appDeps.setJobStoragePath('/home/testuser/jobs')
+    })
+
+    afterEach(async () => {
+      await appDeps.closeAllInstances()
+    })
+
+    test('opens vaults with the cached handle as blind encryption key', async () => {
+      const handle = await appDeps.getHashedPasswordHandle()
+      BlindEncryptionSodium.mockClear()
+
+      await appDeps.openVaultInstance({ id: 'vault2', encryptionKey: 'key' })
+
+      expect(handle.toString('utf-8')).toBe(hashedPassword)
+      expect(BlindEncryptionSodium).toHaveBeenCalledWith(
+        Buffer.alloc(32, hashedPassword, 'utf-8')
+      )
+    })
+
+    test('encrypts the job file with the decoded hashed password', async () => {
+      await appDeps.writeAndEncryptJobFile([{ id: 'job1' }])
+
+      const [, output] = fs.writeFileSync.mock.calls.at(-1)
+      const nonce = output.subarray(16, 16 + sodium.crypto_secretbox_NONCEBYTES)
+      const ciphertext = output.subarray(16 + nonce.byteLength)
+      const plaintext = Buffer.alloc(
+        ciphertext.byteLength - sodium.crypto_secretbox_MACBYTES
+      )
+
+      expect(
+        sodium.crypto_secretbox_open_easy(
+          plaintext,
+          ciphertext,
+          nonce,
+          Buffer.from(hashedPassword, 'hex')
+        )
+      ).toBe(true)
+
+      fs.readFileSync.mockReturnValueOnce(output)
+      await expect(appDeps.readAndDecryptJobFile()).resolves.toEqual([
+        { id: 'job1' }
+      ])
+    })
   })
 
   describe('suspendAllInstances/resumeAllInstances', () => {
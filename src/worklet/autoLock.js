@@ -0,0 +1,107 @@
+import { workletLogger } from './utils/workletLogger'
+
+export const LOCK_REASON = {
+  IDLE: 'idle',
+  SUSPEND: 'suspend'
+}
+
+/**
+ * Locks after `idleTimeoutMs` without activity and, with `lockOnSuspend`,
+ * when the app goes to the background. Timers do not run while the worklet
+ * is suspended, so an idle timeout that passed meanwhile locks on resume.
+ */
+export class AutoLock {
+  /**
+   * @param {(reason: string) => Promise<void>} lock
+   */
+  constructor(lock) {
+    this.lock = lock
+    this.idleTimeoutMs = null
+    this.lockOnSuspend = false
+    this.lastActivityAt = Date.now()
+    this.timer = null
+    this.isPaused = false
+  }
+
+  /**
+   * Replaces the settings and restarts the idle timer.
+   * @param {Object} settings
+   * @param {number | null} [settings.idleTimeoutMs] - null never locks on
+   *   idle
+   * @param {boolean} [settings.lockOnSuspend]
+   */
+  configure({ idleTimeoutMs = null, lockOnSuspend = false }) {
+    this.idleTimeoutMs = idleTimeoutMs
+    this.lockOnSuspend = lockOnSuspend
+    this.recordActivity()
+  }
+
+  /**
+   * Restarts the idle timer.
+   */
+  recordActivity() {
+    this.lastActivityAt = Date.now()
+    this._schedule()
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async suspend() {
+    this.isPaused = true
+    clearTimeout(this.timer)
+    this.timer = null
+
+    if (this.lockOnSuspend) {
+      await this._lock(LOCK_REASON.SUSPEND)
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (!this.isPaused) {
+      return
+    }
+
+    this.isPaused = false
+    if (
+      this.idleTimeoutMs &&
+      Date.now() - this.lastActivityAt >= this.idleTimeoutMs
+    ) {
+      await this._lock(LOCK_REASON.IDLE)
+      return
+    }
+    this._schedule()
+  }
+
+  /**
+   * @param {string} reason - one of `LOCK_REASON`
+   * @returns {Promise<void>}
+   */
+  async _lock(reason) {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    try {
+      await this.lock(reason)
+    } catch (error) {
+      workletLogger.error('Auto-lock failed:', error)
+    }
+  }
+
+  _schedule() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    if (!this.idleTimeoutMs || this.isPaused) {
+      return
+    }
+
+    this.timer = setTimeout(
+      () => this._lock(LOCK_REASON.IDLE),
+      Math.max(0, this.lastActivityAt + this.idleTimeoutMs - Date.now())
+    )
+  }
+}
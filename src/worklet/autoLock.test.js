@@ -0,0 +1,83 @@
+import { AutoLock, LOCK_REASON } from './autoLock'
+import { workletLogger } from './utils/workletLogger'
+
+jest.mock('./utils/workletLogger', () => ({
+  workletLogger: { error: jest.fn(), log: jest.fn() }
+}))
+
+const MINUTE = 60 * 1000
+
+describe('AutoLock', () => {
+  let lock
+  let autoLock
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 })
+    lock = jest.fn().mockResolvedValue()
+    autoLock = new AutoLock(lock)
+  })
+
+  afterEach(() => {
+    autoLock.configure({})
+    jest.clearAllMocks()
+    jest.useRealTimers()
+  })
+
+  it('locks after the idle timeout', async () => {
+    autoLock.configure({ idleTimeoutMs: 5 * MINUTE })
+
+    await jest.advanceTimersByTimeAsync(4 * MINUTE)
+    autoLock.recordActivity()
+    await jest.advanceTimersByTimeAsync(4 * MINUTE)
+    expect(lock).not.toHaveBeenCalled()
+
+    await jest.advanceTimersByTimeAsync(MINUTE)
+    expect(lock).toHaveBeenCalledWith(LOCK_REASON.IDLE)
+  })
+
+  it('never locks on idle without a timeout', async () => {
+    autoLock.configure({ lockOnSuspend: false })
+
+    await jest.advanceTimersByTimeAsync(24 * 60 * MINUTE)
+    await autoLock.suspend()
+    await autoLock.resume()
+
+    expect(lock).not.toHaveBeenCalled()
+  })
+
+  it('locks on suspend when asked to', async () => {
+    autoLock.configure({ idleTimeoutMs: 5 * MINUTE, lockOnSuspend: true })
+
+    await autoLock.suspend()
+    expect(lock).toHaveBeenCalledWith(LOCK_REASON.SUSPEND)
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE)
+    expect(lock).toHaveBeenCalledTimes(1)
+  })
+
+  it('locks on resume once the timeout passed while suspended', async () => {
+    autoLock.configure({ idleTimeoutMs: 5 * MINUTE })
+
+    await autoLock.suspend()
+    jest.setSystemTime(3 * MINUTE)
+    await autoLock.resume()
+    expect(lock).not.toHaveBeenCalled()
+
+    await autoLock.suspend()
+    jest.setSystemTime(6 * MINUTE)
+    await autoLock.resume()
+    expect(lock).toHaveBeenCalledWith(LOCK_REASON.IDLE)
+  })
+
+  it('logs a failed lock', async () => {
+    lock.mockRejectedValueOnce(new Error('busy'))
+    autoLock.configure({ idleTimeoutMs: MINUTE })
+
+    await jest.advanceTimersByTimeAsync(MINUTE)
+
+    expect(workletLogger.error).toHaveBeenCalledWith(
+      'Auto-lock failed:',
+      expect.any(Error)
+    )
+  })
+})
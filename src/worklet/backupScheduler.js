@@ -0,0 +1,148 @@
+import { workletLogger } from './utils/workletLogger'
+
+/**
+ * Triggers automatic backups every `intervalMs` and after `changeThreshold`
+ * vault updates. Backups never overlap: triggers while one is waiting to
+ * start share it. Interval backups are skipped while nothing changed since
+ * the previous backup.
+ */
+export class BackupScheduler {
+  /**
+   * @param {() => Promise<any>} takeBackup
+   */
+  constructor(takeBackup) {
+    this.takeBackup = takeBackup
+    this.intervalMs = null
+    this.changeThreshold = null
+    this.changeCount = 0
+    this.lastRunAt = null
+    this.nextDueAt = null
+    this.timer = null
+    this.isPaused = false
+    this.queued = null
+    this.current = Promise.resolve()
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get isEnabled() {
+    return Boolean(this.intervalMs || this.changeThreshold)
+  }
+
+  /**
+   * Replaces the triggers; without any, automatic backups stop.
+   * @param {Object} triggers
+   * @param {number | null} [triggers.intervalMs]
+   * @param {number | null} [triggers.changeThreshold]
+   */
+  configure({ intervalMs = null, changeThreshold = null }) {
+    this.intervalMs = intervalMs
+    this.changeThreshold = changeThreshold
+    this.changeCount = 0
+    this.nextDueAt = intervalMs ? Date.now() + intervalMs : null
+    this._schedule()
+  }
+
+  /**
+   * Counts a vault update towards `changeThreshold`.
+   */
+  recordChange() {
+    if (!this.isEnabled) {
+      return
+    }
+
+    this.changeCount++
+    if (
+      this.changeThreshold &&
+      this.changeCount >= this.changeThreshold &&
+      !this.isPaused
+    ) {
+      this._trigger()
+    }
+  }
+
+  /**
+   * Takes a backup once the running one, if any, has finished.
+   * @returns {Promise<any>} the result of `takeBackup`
+   */
+  run() {
+    if (this.queued) {
+      return this.queued
+    }
+
+    const run = this.current.then(async () => {
+      this.queued = null
+      this.changeCount = 0
+      this.lastRunAt = Date.now()
+      this.nextDueAt = this.intervalMs ? this.lastRunAt + this.intervalMs : null
+
+      try {
+        return await this.takeBackup()
+      } finally {
+        this._schedule()
+      }
+    })
+
+    this.queued = run
+    this.current = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Stops the timer while the app is in the background.
+   */
+  pause() {
+    this.isPaused = true
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  /**
+   * Restarts the timer; a backup that fell due while paused is taken now.
+   */
+  resume() {
+    if (!this.isPaused) {
+      return
+    }
+
+    this.isPaused = false
+    if (this.changeThreshold && this.changeCount >= this.changeThreshold) {
+      this._trigger()
+      return
+    }
+    this._schedule()
+  }
+
+  _trigger() {
+    this.run().catch((error) => {
+      workletLogger.error('Automatic backup failed:', error)
+    })
+  }
+
+  _schedule() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    if (!this.intervalMs || this.isPaused) {
+      return
+    }
+
+    this.timer = setTimeout(
+      () => this._tick(),
+      Math.max(0, this.nextDueAt - Date.now())
+    )
+  }
+
+  _tick() {
+    this.timer = null
+
+    if (this.lastRunAt !== null && this.changeCount === 0) {
+      this.nextDueAt = Date.now() + this.intervalMs
+      this._schedule()
+      return
+    }
+
+    this._trigger()
+  }
+}
@@ -0,0 +1,116 @@
+import { BackupScheduler } from './backupScheduler'
+import { workletLogger } from './utils/workletLogger'
+
+jest.mock('./utils/workletLogger', () => ({
+  workletLogger: { error: jest.fn(), log: jest.fn() }
+}))
+
+const MINUTE = 60 * 1000
+
+describe('BackupScheduler', () => {
+  let takeBackup
+  let scheduler
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 })
+    takeBackup = jest.fn().mockResolvedValue('done')
+    scheduler = new BackupScheduler(takeBackup)
+  })
+
+  afterEach(() => {
+    scheduler.configure({})
+    jest.useRealTimers()
+  })
+
+  it('takes a backup every interval while the vaults change', async () => {
+    scheduler.configure({ intervalMs: MINUTE })
+
+    await jest.advanceTimersByTimeAsync(MINUTE)
+    expect(takeBackup).toHaveBeenCalledTimes(1)
+
+    await jest.advanceTimersByTimeAsync(MINUTE)
+    expect(takeBackup).toHaveBeenCalledTimes(1)
+
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(MINUTE)
+    expect(takeBackup).toHaveBeenCalledTimes(2)
+  })
+
+  it('takes a backup after the change threshold', async () => {
+    scheduler.configure({ changeThreshold: 3 })
+
+    scheduler.recordChange()
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(takeBackup).not.toHaveBeenCalled()
+
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(takeBackup).toHaveBeenCalledTimes(1)
+    expect(scheduler.changeCount).toBe(0)
+  })
+
+  it('ignores changes while disabled', async () => {
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(MINUTE)
+
+    expect(scheduler.changeCount).toBe(0)
+    expect(takeBackup).not.toHaveBeenCalled()
+  })
+
+  it('runs one backup at a time and shares waiting ones', async () => {
+    let finish
+    takeBackup.mockImplementationOnce(
+      () => new Promise((resolve) => (finish = resolve))
+    )
+
+    const first = scheduler.run()
+    await jest.advanceTimersByTimeAsync(0)
+    const second = scheduler.run()
+    const third = scheduler.run()
+
+    expect(second).toBe(third)
+    expect(takeBackup).toHaveBeenCalledTimes(1)
+
+    finish('first')
+    await expect(first).resolves.toBe('first')
+    await expect(second).resolves.toBe('done')
+    expect(takeBackup).toHaveBeenCalledTimes(2)
+  })
+
+  it('logs failed automatic backups and keeps the schedule', async () => {
+    takeBackup.mockRejectedValueOnce(new Error('disk full'))
+    scheduler.configure({ intervalMs: MINUTE, changeThreshold: 1 })
+
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(workletLogger.error).toHaveBeenCalledWith(
+      'Automatic backup failed:',
+      expect.any(Error)
+    )
+
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(takeBackup).toHaveBeenCalledTimes(2)
+  })
+
+  it('waits while paused and catches up on resume', async () => {
+    scheduler.configure({ intervalMs: MINUTE, changeThreshold: 2 })
+    scheduler.pause()
+
+    scheduler.recordChange()
+    scheduler.recordChange()
+    await jest.advanceTimersByTimeAsync(2 * MINUTE)
+    expect(takeBackup).not.toHaveBeenCalled()
+
+    scheduler.resume()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(takeBackup).toHaveBeenCalledTimes(1)
+
+    scheduler.pause()
+    scheduler.recordChange()
+    scheduler.resume()
+    await jest.advanceTimersByTimeAsync(MINUTE)
+    expect(takeBackup).toHaveBeenCalledTimes(2)
+  })
+})
@@ -169,6 +169,30 @@ const parseCipherString = (s) => {
   return { iv, ct, mac }
 }
 
+// Verify-then-decrypt a type 2 CipherString (AES-256-CBC + HMAC-SHA256).
+// Also used for the per-field CipherStrings of account-restricted exports,
+// where a MAC mismatch means the account key is wrong.
+export const decryptCipherString = (cipherString, encKey, macKey) => {
+  const { iv, ct, mac } = parseCipherString(cipherString)
+
+  const expected = crypto
+    .createHmac('sha256', macKey)
+    .update(iv)
+    .update(ct)
+    .digest()
+
+  if (expected.length !== mac.length || !sodium.sodium_memcmp(expected, mac)) {
+    throw bwError('BW_BAD_PASSWORD', 'Incorrect password')
+  }
+
+  const plain = Buffer.from(cbc(encKey, iv).decrypt(ct))
+  try {
+    return plain.toString('utf8')
+  } finally {
+    plain.fill(0)
+  }
+}
+
 export const decryptBitwardenExport = ({
   password,
   salt,
@@ -197,37 +221,13 @@ export const decryptBitwardenExport = ({
     encKey = toSecureBuffer(hkdfExpandOneBlock(masterKey, Buffer.from('enc')))
     macKey = toSecureBuffer(hkdfExpandOneBlock(masterKey, Buffer.from('mac')))
 
-    const { iv, ct, mac } = parseCipherString(cipherString)
-    workletLogger.info(
-      `[bw-worklet] parsed ivLen=${iv.length} ctLen=${ct.length} macLen=${mac.length}`
-    )
-
-    const expected = crypto
-      .createHmac('sha256', macKey)
-      .update(iv)
-      .update(ct)
-      .digest()
-
-    if (
-      expected.length !== mac.length ||
-      !sodium.sodium_memcmp(expected, mac)
-    ) {
-      workletLogger.info('[bw-worklet] MAC mismatch -> Incorrect password')
-      throw bwError('BW_BAD_PASSWORD', 'Incorrect password')
-    }
-
-    workletLogger.info('[bw-worklet] AES-CBC: start decrypt')
     const tAes = Date.now()
-    const plain = Buffer.from(cbc(encKey, iv).decrypt(ct))
+    const plain = decryptCipherString(cipherString, encKey, macKey)
     workletLogger.info(
-      `[bw-worklet] AES-CBC done in ${Date.now() - tAes}ms plainLen=${plain.length}`
+      `[bw-worklet] decrypt done in ${Date.now() - tAes}ms plainLen=${plain.length}`
     )
 
-    try {
-      return plain.toString('utf8')
-    } finally {
-      plain.fill(0)
-    }
+    return plain
   } finally {
     sodium.sodium_memzero(masterKey)
     sodium.sodium_free(masterKey)
@@ -10,8 +10,10 @@ jest.mock('sodium-native', () => ({
   crypto_secretbox_MACBYTES: 16,
   crypto_pwhash_SALTBYTES: 16,
   crypto_pwhash_OPSLIMIT_INTERACTIVE: 2,
+  crypto_pwhash_OPSLIMIT_SENSITIVE: 4,
   crypto_pwhash_MEMLIMIT_INTERACTIVE: 67108864,
   crypto_pwhash_ALG_DEFAULT: 2,
+  crypto_pwhash_ALG_ARGON2ID13: 2,
   crypto_pwhash: jest.fn(),
   crypto_secretbox_easy: jest.fn(),
   crypto_secretbox_open_easy: jest.fn(),
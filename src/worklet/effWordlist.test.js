@@ -0,0 +1,16 @@
+import { wordlist } from './effWordlist'
+
+describe('wordlist', () => {
+  it('holds the 7776 distinct words of the EFF large list', () => {
+    expect(wordlist).toHaveLength(7776)
+    expect(new Set(wordlist).size).toBe(7776)
+    expect(wordlist.slice(0, 2)).toEqual(['abacus', 'abdomen'])
+    expect(wordlist.slice(-2)).toEqual(['zoology', 'zoom'])
+  })
+
+  it('only holds lowercase words', () => {
+    for (const word of wordlist) {
+      expect(word).toMatch(/^[a-z]+(-[a-z]+)?$/)
+    }
+  })
+})
@@ -1,53 +1,364 @@
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
 import { decryptVaultKey } from './decryptVaultKey'
-import { encryptVaultWithKey } from './encryptVaultWithKey'
 import { getDecryptionKey } from './getDecryptionKey'
-import { hashPassword } from './hashPassword'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+const EXPORT_VERSION_1 = '1.0'
+const EXPORT_VERSION_2 = '2.0'
+const EXPORT_ALGORITHM = 'XChaCha20-Poly1305-IETF'
+const EXPORT_KDF = 'Argon2id'
+
+// The Argon2id cost v1 used implicitly; v2 records it in the header
+const DEFAULT_KDF_PARAMS = {
+  opslimit: sodium.crypto_pwhash_OPSLIMIT_SENSITIVE,
+  memlimit: sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
+}
+
+export const DEFAULT_EXPORT_CHUNK_SIZE = 64 * 1024
+const MAX_EXPORT_CHUNK_SIZE = 16 * 1024 * 1024
+
+const NONCE_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
+const TAG_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES
+
+const DECRYPTION_FAILED =
+  'Decryption failed - invalid password or corrupted data'
 
 /**
- * @param {string} data
- * @param {string} password
- * @returns {Object}
+ * Header of a v2 export. Every field is authenticated with each chunk.
+ * @typedef {Object} ExportHeader
+ * @property {string} version - `'2.0'`
+ * @property {boolean} encrypted
+ * @property {string} algorithm - `'XChaCha20-Poly1305-IETF'`
+ * @property {string} kdf - `'Argon2id'`
+ * @property {{ opslimit: number, memlimit: number }} kdfParams
+ * @property {string} salt - base64
+ * @property {string} nonce - base64, 24 bytes
+ * @property {number} chunkSize - plaintext bytes per chunk
+ */
+
+/**
+ * @param {{ opslimit: number, memlimit: number }} kdfParams
+ * @returns {boolean}
+ */
+const isValidKdfParams = (kdfParams) =>
+  Number.isInteger(kdfParams?.opslimit) &&
+  Number.isInteger(kdfParams?.memlimit) &&
+  kdfParams.opslimit >= sodium.crypto_pwhash_OPSLIMIT_MIN &&
+  kdfParams.opslimit <= sodium.crypto_pwhash_OPSLIMIT_SENSITIVE &&
+  kdfParams.memlimit >= sodium.crypto_pwhash_MEMLIMIT_MIN &&
+  kdfParams.memlimit <= sodium.crypto_pwhash_MEMLIMIT_SENSITIVE
+
+/**
+ * @param {number} chunkSize
+ * @returns {boolean}
  */
-export const encryptExportData = (data, password) => {
-  const { hashedPassword, salt } = hashPassword(
-    Buffer.from(password, 'utf8').toString('base64')
+const isValidChunkSize = (chunkSize) =>
+  Number.isInteger(chunkSize) &&
+  chunkSize > 0 &&
+  chunkSize <= MAX_EXPORT_CHUNK_SIZE
+
+/**
+ * @param {ExportHeader} header
+ * @throws {Error} if the header is not a v2 header this version can read
+ */
+const assertHeader = (header) => {
+  const valid =
+    header.encrypted === true &&
+    header.algorithm === EXPORT_ALGORITHM &&
+    header.kdf === EXPORT_KDF &&
+    isValidKdfParams(header.kdfParams) &&
+    isValidChunkSize(header.chunkSize) &&
+    typeof header.salt === 'string' &&
+    b4a.byteLength(header.salt, 'base64') === sodium.crypto_pwhash_SALTBYTES &&
+    typeof header.nonce === 'string' &&
+    b4a.byteLength(header.nonce, 'base64') === NONCE_BYTES
+
+  if (!valid) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported export header')
+  }
+}
+
+/**
+ * @param {ExportHeader} header
+ * @returns {Buffer} the associated data shared by all chunks
+ */
+const headerAssociatedData = (header) =>
+  b4a.from(
+    JSON.stringify([
+      header.version,
+      header.encrypted,
+      header.algorithm,
+      header.kdf,
+      header.kdfParams.opslimit,
+      header.kdfParams.memlimit,
+      header.salt,
+      header.nonce,
+      header.chunkSize
+    ])
   )
 
-  const dataBuffer = Buffer.from(data, 'utf8')
-  const { ciphertext, nonce } = encryptVaultWithKey(
-    hashedPassword,
-    dataBuffer.toString('base64')
+/**
+ * @param {string} password
+ * @param {ExportHeader} header
+ * @returns {Buffer} the key, in secure memory
+ */
+const deriveExportKey = (password, header) => {
+  const passwordBuffer = sodium.sodium_malloc(b4a.byteLength(password))
+  const key = sodium.sodium_malloc(
+    sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES
   )
 
-  return {
-    version: '1.0',
+  try {
+    passwordBuffer.write(password)
+    sodium.crypto_pwhash(
+      key,
+      passwordBuffer,
+      b4a.from(header.salt, 'base64'),
+      header.kdfParams.opslimit,
+      header.kdfParams.memlimit,
+      sodium.crypto_pwhash_ALG_ARGON2ID13
+    )
+    return key
+  } finally {
+    sodium.sodium_memzero(passwordBuffer)
+    sodium.sodium_free(passwordBuffer)
+  }
+}
+
+/**
+ * @param {Buffer} key
+ */
+const freeKey = (key) => {
+  sodium.sodium_memzero(key)
+  sodium.sodium_free(key)
+}
+
+/**
+ * Per-chunk nonce and associated data. The chunk index and the final flag
+ * are authenticated, so chunks cannot be reordered, dropped or appended.
+ * @param {ExportHeader} header
+ */
+const createChunkContext = (header) => {
+  const baseNonce = b4a.from(header.nonce, 'base64')
+  const associatedData = headerAssociatedData(header)
+
+  return (index, isFinal) => {
+    const counter = b4a.alloc(8)
+    new DataView(counter.buffer, counter.byteOffset, 8).setBigUint64(
+      0,
+      BigInt(index),
+      true
+    )
+
+    const nonce = b4a.from(baseNonce)
+    for (let i = 0; i < 8; i++) {
+      nonce[NONCE_BYTES - 8 + i] ^= counter[i]
+    }
+
+    return {
+      nonce,
+      ad: b4a.concat([associatedData, counter, b4a.from([isFinal ? 1 : 0])])
+    }
+  }
+}
+
+/**
+ * Starts a v2 export. Plaintext can be fed in pieces of any size; the
+ * output of `update` and `final`, concatenated, is the ciphertext.
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {{ opslimit: number, memlimit: number }} [options.kdfParams]
+ * @param {number} [options.chunkSize]
+ * @returns {{ header: ExportHeader, update: (data: Uint8Array) => Buffer, final: () => Buffer }}
+ */
+export const createExportEncryptor = (
+  password,
+  { kdfParams = DEFAULT_KDF_PARAMS, chunkSize = DEFAULT_EXPORT_CHUNK_SIZE } = {}
+) => {
+  if (!isValidKdfParams(kdfParams) || !isValidChunkSize(chunkSize)) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Export KDF parameters or chunk size are out of range'
+    )
+  }
+
+  const salt = b4a.alloc(sodium.crypto_pwhash_SALTBYTES)
+  const nonce = b4a.alloc(NONCE_BYTES)
+  sodium.randombytes_buf(salt)
+  sodium.randombytes_buf(nonce)
+
+  const header = {
+    version: EXPORT_VERSION_2,
     encrypted: true,
-    algorithm: 'XSalsa20-Poly1305',
-    kdf: 'Argon2id',
-    salt,
-    nonce,
-    ciphertext
+    algorithm: EXPORT_ALGORITHM,
+    kdf: EXPORT_KDF,
+    kdfParams: { opslimit: kdfParams.opslimit, memlimit: kdfParams.memlimit },
+    salt: b4a.toString(salt, 'base64'),
+    nonce: b4a.toString(nonce, 'base64'),
+    chunkSize
+  }
+  const key = deriveExportKey(password, header)
+  const chunkContext = createChunkContext(header)
+  let pending = b4a.alloc(0)
+  let index = 0
+  let finished = false
+
+  // The key is freed when the export ends, also when it ends with an error
+  const finish = () => {
+    if (!finished) {
+      finished = true
+      freeKey(key)
+    }
+  }
+
+  const seal = (plaintext, isFinal) => {
+    const { nonce: chunkNonce, ad } = chunkContext(index++, isFinal)
+    const sealed = b4a.alloc(plaintext.byteLength + TAG_BYTES)
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+      sealed,
+      plaintext,
+      ad,
+      null,
+      chunkNonce,
+      key
+    )
+    return sealed
+  }
+
+  return {
+    header,
+    update: (data) => {
+      if (finished) {
+        throw vaultError(ERROR_CODES.INVALID_INPUT, 'Export already finished')
+      }
+
+      try {
+        pending = b4a.concat([pending, data])
+        const sealed = []
+        // The last full chunk waits, it may turn out to be the final one
+        while (pending.byteLength > chunkSize) {
+          sealed.push(seal(pending.subarray(0, chunkSize), false))
+          pending = pending.subarray(chunkSize)
+        }
+        return b4a.concat(sealed)
+      } catch (error) {
+        finish()
+        throw error
+      }
+    },
+    final: () => {
+      if (finished) {
+        throw vaultError(ERROR_CODES.INVALID_INPUT, 'Export already finished')
+      }
+
+      try {
+        return seal(pending, true)
+      } finally {
+        finish()
+      }
+    }
   }
 }
 
 /**
- * @param {Object} encryptedData
- * @param {string} encryptedData.version
- * @param {boolean} encryptedData.encrypted
- * @param {string} encryptedData.algorithm
- * @param {string} encryptedData.kdf
- * @param {string} encryptedData.salt
- * @param {string} encryptedData.nonce
- * @param {string} encryptedData.ciphertext
+ * Opens a v2 export produced by `createExportEncryptor`. Ciphertext can be fed
+ * in pieces of any size.
+ * @param {ExportHeader} header
  * @param {string} password
- * @returns {string}
- * @throws {Error}
+ * @returns {{ update: (data: Uint8Array) => Buffer, final: () => Buffer }}
  */
-export const decryptExportData = (encryptedData, password) => {
-  if (!encryptedData.encrypted) {
-    throw new Error('Data is not encrypted')
+export const createExportDecryptor = (header, password) => {
+  assertHeader(header)
+
+  const key = deriveExportKey(password, header)
+  const chunkContext = createChunkContext(header)
+  const sealedChunkSize = header.chunkSize + TAG_BYTES
+  let pending = b4a.alloc(0)
+  let index = 0
+  let finished = false
+
+  const fail = (message, code = ERROR_CODES.INVALID_INPUT) => {
+    if (!finished) {
+      finished = true
+      freeKey(key)
+    }
+    return vaultError(code, message)
   }
 
+  const open = (sealed, isFinal) => {
+    const { nonce, ad } = chunkContext(index++, isFinal)
+    const plaintext = b4a.alloc(sealed.byteLength - TAG_BYTES)
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+        plaintext,
+        null,
+        sealed,
+        ad,
+        nonce,
+        key
+      )
+    } catch {
+      throw fail(DECRYPTION_FAILED, ERROR_CODES.BAD_PASSWORD)
+    }
+    return plaintext
+  }
+
+  return {
+    update: (data) => {
+      if (finished) throw fail('Export already finished')
+
+      try {
+        pending = b4a.concat([pending, data])
+      } catch (error) {
+        fail(error.message)
+        throw error
+      }
+      const opened = []
+      while (pending.byteLength > sealedChunkSize) {
+        opened.push(open(pending.subarray(0, sealedChunkSize), false))
+        pending = pending.subarray(sealedChunkSize)
+      }
+      return b4a.concat(opened)
+    },
+    final: () => {
+      if (finished) throw fail('Export already finished')
+      if (pending.byteLength < TAG_BYTES) throw fail(DECRYPTION_FAILED)
+
+      const plaintext = open(pending, true)
+      finished = true
+      freeKey(key)
+      return plaintext
+    }
+  }
+}
+
+/**
+ * Encrypts export data in the v2 format: Argon2id with the parameters in the
+ * header, and XChaCha20-Poly1305 with the header as associated data.
+ * @param {string} data
+ * @param {string} password
+ * @param {Object} [options] - see `createExportEncryptor`
+ * @returns {ExportHeader & { ciphertext: string }}
+ */
+export const encryptExportData = (data, password, options) => {
+  const encryptor = createExportEncryptor(password, options)
+  const ciphertext = b4a.concat([
+    encryptor.update(b4a.from(data, 'utf8')),
+    encryptor.final()
+  ])
+
+  return { ...encryptor.header, ciphertext: b4a.toString(ciphertext, 'base64') }
+}
+
+/**
+ * @param {Object} encryptedData - a v1 export
+ * @param {string} password
+ * @returns {string}
+ */
+const decryptExportDataV1 = (encryptedData, password) => {
   const hashedPassword = getDecryptionKey({
     password: Buffer.from(password, 'utf8').toString('base64'),
     salt: encryptedData.salt
@@ -60,10 +371,51 @@ export const decryptExportData = (encryptedData, password) => {
   })
 
   if (!decryptedBase64) {
-    throw new Error('Decryption failed - invalid password or corrupted data')
+    throw vaultError(ERROR_CODES.BAD_PASSWORD, DECRYPTION_FAILED)
   }
 
   const decryptedData = Buffer.from(decryptedBase64, 'base64').toString('utf8')
 
   return decryptedData
 }
+
+/**
+ * Decrypts a v2 export, or a v1 export (`XSalsa20-Poly1305` with implicit
+ * Argon2id parameters).
+ * @param {Object} encryptedData
+ * @param {string} encryptedData.version
+ * @param {boolean} encryptedData.encrypted
+ * @param {string} encryptedData.algorithm
+ * @param {string} encryptedData.kdf
+ * @param {{ opslimit: number, memlimit: number }} [encryptedData.kdfParams] - v2
+ * @param {number} [encryptedData.chunkSize] - v2
+ * @param {string} encryptedData.salt
+ * @param {string} encryptedData.nonce
+ * @param {string} encryptedData.ciphertext
+ * @param {string} password
+ * @returns {string}
+ * @throws {Error}
+ */
+export const decryptExportData = (encryptedData, password) => {
+  if (!encryptedData.encrypted) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Data is not encrypted')
+  }
+
+  if (encryptedData.version === EXPORT_VERSION_1) {
+    return decryptExportDataV1(encryptedData, password)
+  }
+
+  if (encryptedData.version !== EXPORT_VERSION_2) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported export version', {
+      version: encryptedData.version
+    })
+  }
+
+  const decryptor = createExportDecryptor(encryptedData, password)
+  const plaintext = b4a.concat([
+    decryptor.update(b4a.from(encryptedData.ciphertext ?? '', 'base64')),
+    decryptor.final()
+  ])
+
+  return b4a.toString(plaintext, 'utf8')
+}
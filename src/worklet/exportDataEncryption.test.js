@@ -1,89 +1,55 @@
+import sodium from 'sodium-native'
+
 import { decryptVaultKey } from './decryptVaultKey'
-import { encryptVaultWithKey } from './encryptVaultWithKey'
-import { encryptExportData, decryptExportData } from './exportDataEncryption'
+import {
+  createExportDecryptor,
+  createExportEncryptor,
+  decryptExportData,
+  encryptExportData
+} from './exportDataEncryption'
 import { getDecryptionKey } from './getDecryptionKey'
-import { hashPassword } from './hashPassword'
+import { ERROR_CODES } from '../constants/errorCodes'
 
-jest.mock('./hashPassword')
-jest.mock('./encryptVaultWithKey')
 jest.mock('./getDecryptionKey')
 jest.mock('./decryptVaultKey')
 
+// Cheapest Argon2id cost, so the real derivation stays fast under Jest
+const options = {
+  kdfParams: {
+    opslimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+    memlimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+  }
+}
+
 describe('exportDataEncryption', () => {
   beforeEach(() => {
     jest.clearAllMocks()
   })
 
   describe('encryptExportData', () => {
-    it('should encrypt data with password', () => {
-      const testData = 'test data to encrypt'
-      const testPassword = 'mySecurePassword'
-
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
-
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const result = encryptExportData(testData, testPassword)
-
-      expect(hashPassword).toHaveBeenCalledWith(
-        Buffer.from(testPassword, 'utf8').toString('base64')
-      )
-      expect(encryptVaultWithKey).toHaveBeenCalledWith(
-        'hashedPassword123',
-        Buffer.from(testData, 'utf8').toString('base64')
-      )
+    it('should write a v2 header with explicit KDF parameters', () => {
+      const result = encryptExportData('test data', 'password', options)
 
       expect(result).toEqual({
-        version: '1.0',
+        version: '2.0',
         encrypted: true,
-        algorithm: 'XSalsa20-Poly1305',
+        algorithm: 'XChaCha20-Poly1305-IETF',
         kdf: 'Argon2id',
-        salt: 'salt123',
-        nonce: 'nonce123',
-        ciphertext: 'encryptedCiphertext'
+        kdfParams: options.kdfParams,
+        salt: expect.any(String),
+        nonce: expect.any(String),
+        chunkSize: 64 * 1024,
+        ciphertext: expect.any(String)
       })
+      expect(Buffer.from(result.nonce, 'base64')).toHaveLength(24)
     })
 
-    it('should handle different data types', () => {
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
-
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const jsonData = JSON.stringify({ key: 'value', array: [1, 2, 3] })
-      const result = encryptExportData(jsonData, 'password')
-
-      expect(result).toHaveProperty('encrypted', true)
-      expect(result).toHaveProperty('version', '1.0')
-    })
-
-    it('should return proper encryption metadata', () => {
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
-
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const result = encryptExportData('test', 'password')
-
-      expect(result.algorithm).toBe('XSalsa20-Poly1305')
-      expect(result.kdf).toBe('Argon2id')
-      expect(result.version).toBe('1.0')
+    it('should reject out of range KDF parameters', () => {
+      expect(() =>
+        encryptExportData('data', 'password', {
+          kdfParams: { opslimit: 0, memlimit: 1 }
+        })
+      ).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT }))
     })
   })
 
@@ -171,122 +137,128 @@ describe('exportDataEncryption', () => {
     })
   })
 
-  describe('encrypt/decrypt roundtrip', () => {
-    it('should successfully encrypt and decrypt data', () => {
-      const originalData = 'This is my sensitive data'
-      const password = 'securePassword123'
+  describe('v2 roundtrip', () => {
+    it.each([
+      ['empty', ''],
+      ['special characters', '™£€¥©®§¶•ªº–≠'],
+      ['JSON', JSON.stringify({ records: [{ data: { password: 'x' } }] })]
+    ])('should roundtrip %s data', (_, data) => {
+      const encrypted = encryptExportData(data, 'password', options)
 
-      // Mock encryption
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
+      expect(decryptExportData(encrypted, 'password')).toBe(data)
+    })
 
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
+    it('should split large data into authenticated chunks', () => {
+      const data = 'x'.repeat(100000)
+      const encrypted = encryptExportData(data, 'password', {
+        ...options,
+        chunkSize: 4096
       })
 
-      const encrypted = encryptExportData(originalData, password)
-
-      expect(encrypted.encrypted).toBe(true)
-
-      // Mock decryption
-      getDecryptionKey.mockReturnValue('hashedPassword123')
-      decryptVaultKey.mockReturnValue(
-        Buffer.from(originalData, 'utf8').toString('base64')
+      expect(Buffer.from(encrypted.ciphertext, 'base64')).toHaveLength(
+        100000 + 25 * 16
       )
+      expect(decryptExportData(encrypted, 'password')).toBe(data)
+    })
 
-      const decrypted = decryptExportData(encrypted, password)
+    it('should reject a wrong password', () => {
+      const encrypted = encryptExportData('secret', 'password', options)
 
-      expect(decrypted).toBe(originalData)
+      expect(() => decryptExportData(encrypted, 'wrong')).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD })
+      )
     })
 
-    it('should handle JSON data in encrypt/decrypt roundtrip', () => {
-      const originalData = JSON.stringify({
-        records: [
-          { type: 'password', data: { username: 'test', password: 'test123' } }
-        ],
-        metadata: { version: '1.0' }
-      })
-      const password = 'password123'
-
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
+    it('should authenticate the header', () => {
+      const encrypted = encryptExportData('secret', 'password', options)
+
+      expect(() =>
+        decryptExportData({ ...encrypted, chunkSize: 1024 }, 'password')
+      ).toThrow('Decryption failed - invalid password or corrupted data')
+      expect(() =>
+        decryptExportData(
+          { ...encrypted, algorithm: 'XSalsa20-Poly1305' },
+          'password'
+        )
+      ).toThrow('Unsupported export header')
+    })
 
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
+    it('should reject truncated and reordered chunks', () => {
+      const encrypted = encryptExportData('y'.repeat(300), 'password', {
+        ...options,
+        chunkSize: 100
       })
-
-      const encrypted = encryptExportData(originalData, password)
-
-      getDecryptionKey.mockReturnValue('hashedPassword123')
-      decryptVaultKey.mockReturnValue(
-        Buffer.from(originalData, 'utf8').toString('base64')
+      const sealed = Buffer.from(encrypted.ciphertext, 'base64')
+      const chunks = [0, 1, 2].map((i) =>
+        sealed.subarray(i * 116, i * 116 + 116)
       )
 
-      const decrypted = decryptExportData(encrypted, password)
+      for (const ciphertext of [
+        Buffer.concat(chunks.slice(0, 2)),
+        Buffer.concat([chunks[1], chunks[0], chunks[2]])
+      ]) {
+        expect(() =>
+          decryptExportData(
+            { ...encrypted, ciphertext: ciphertext.toString('base64') },
+            'password'
+          )
+        ).toThrow(expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD }))
+      }
+    })
 
-      expect(JSON.parse(decrypted)).toEqual(JSON.parse(originalData))
+    it('should reject unknown versions', () => {
+      expect(() =>
+        decryptExportData({ version: '3.0', encrypted: true }, 'password')
+      ).toThrow('Unsupported export version')
     })
   })
 
-  describe('edge cases', () => {
-    it('should handle empty string data', () => {
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
+  describe('streaming', () => {
+    it('should encrypt and decrypt data fed in arbitrary pieces', () => {
+      const data = Buffer.from('streamed export '.repeat(1000))
+      const encryptor = createExportEncryptor('password', {
+        ...options,
+        chunkSize: 1000
       })
 
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const result = encryptExportData('', 'password')
+      const sealed = []
+      for (let offset = 0; offset < data.length; offset += 777) {
+        sealed.push(encryptor.update(data.subarray(offset, offset + 777)))
+      }
+      sealed.push(encryptor.final())
+      const ciphertext = Buffer.concat(sealed)
+
+      const decryptor = createExportDecryptor(encryptor.header, 'password')
+      const opened = []
+      for (let offset = 0; offset < ciphertext.length; offset += 1234) {
+        opened.push(
+          decryptor.update(ciphertext.subarray(offset, offset + 1234))
+        )
+      }
+      opened.push(decryptor.final())
 
-      expect(result.encrypted).toBe(true)
-      expect(encryptVaultWithKey).toHaveBeenCalledWith(
-        'hashedPassword123',
-        Buffer.from('', 'utf8').toString('base64')
+      expect(Buffer.concat(opened)).toEqual(data)
+      expect(() => encryptor.update(Buffer.from('late'))).toThrow(
+        'Export already finished'
       )
     })
 
-    it('should handle special characters in data', () => {
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
-
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const specialData = '™£€¥©®§¶•ªº–≠'
-      const result = encryptExportData(specialData, 'password')
+    it('should free the key when a piece cannot be encrypted', () => {
+      const encryptor = createExportEncryptor('password', options)
+      const free = jest.spyOn(sodium, 'sodium_free')
 
-      expect(result.encrypted).toBe(true)
+      expect(() => encryptor.update('not a buffer')).toThrow()
+      expect(free).toHaveBeenCalledTimes(1)
+      expect(() => encryptor.final()).toThrow('Export already finished')
+      free.mockRestore()
     })
 
-    it('should handle large data payloads', () => {
-      hashPassword.mockReturnValue({
-        hashedPassword: 'hashedPassword123',
-        salt: 'salt123'
-      })
-
-      encryptVaultWithKey.mockReturnValue({
-        ciphertext: 'encryptedCiphertext',
-        nonce: 'nonce123'
-      })
-
-      const largeData = 'x'.repeat(1000000) // 1MB of data
-      const result = encryptExportData(largeData, 'password')
+    it('should reject headers that do not mark the data encrypted', () => {
+      const { header } = encryptExportData('secret', 'password', options)
 
-      expect(result.encrypted).toBe(true)
+      expect(() =>
+        createExportDecryptor({ ...header, encrypted: false }, 'password')
+      ).toThrow('Unsupported export header')
     })
   })
 })
@@ -0,0 +1,307 @@
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * Autopass rejects files over 6 MB per entry, so attachments are stored as
+ * chunks of this size. Chunks are vault entries like any other and are
+ * encrypted with the vault key.
+ */
+export const FILE_CHUNK_SIZE = 1024 * 1024
+export const FILE_CHUNK_PREFIX = 'file-chunk/'
+
+/**
+ * Stored as the value of a file's key; the content lives in
+ * `file-chunk/<fileId>/<index>` entries.
+ * @typedef {Object} FileManifest
+ * @property {string} fileId
+ * @property {number} size
+ * @property {number} chunkSize
+ * @property {number} chunkCount
+ * @property {string} hash - hex BLAKE2b-256 of the content
+ * @property {string[]} [chunkHashes] - hex BLAKE2b-256 of each chunk, missing
+ *   for files written before chunks were hashed
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {string} [name]
+ * @property {string} [mimeType]
+ * @property {string} [recordId] - record the file is attached to
+ */
+
+/**
+ * @typedef {Object} FileMetadata
+ * @property {string} [name]
+ * @property {string} [mimeType]
+ * @property {string} [recordId]
+ */
+
+/**
+ * @param {string} fileId
+ * @param {number} index
+ * @returns {string}
+ */
+const chunkKey = (fileId, index) =>
+  `${FILE_CHUNK_PREFIX}${fileId}/${String(index).padStart(8, '0')}`
+
+/**
+ * @returns {string}
+ */
+const createFileId = () => {
+  const id = b4a.alloc(16)
+  sodium.randombytes_buf(id)
+  return b4a.toString(id, 'hex')
+}
+
+/**
+ * Incremental BLAKE2b-256, so content can be hashed chunk by chunk.
+ * @returns {{ update: (data: Buffer) => void, digest: () => string }}
+ */
+const createContentHash = () => {
+  const state = b4a.alloc(sodium.crypto_generichash_STATEBYTES)
+  sodium.crypto_generichash_init(state, null, sodium.crypto_generichash_BYTES)
+
+  return {
+    update: (data) => sodium.crypto_generichash_update(state, data),
+    digest: () => {
+      const out = b4a.alloc(sodium.crypto_generichash_BYTES)
+      sodium.crypto_generichash_final(state, out)
+      return b4a.toString(out, 'hex')
+    }
+  }
+}
+
+/**
+ * @param {Buffer} chunk
+ * @returns {string} hex BLAKE2b-256
+ */
+const hashChunk = (chunk) => {
+  const out = b4a.alloc(sodium.crypto_generichash_BYTES)
+  sodium.crypto_generichash(out, chunk)
+  return b4a.toString(out, 'hex')
+}
+
+/**
+ * @param {any} value - parsed value of a file entry
+ * @returns {boolean} false for files stored whole before chunking
+ */
+export const isFileManifest = (value) =>
+  typeof value?.fileId === 'string' && Number.isInteger(value?.chunkCount)
+
+/**
+ * @param {number} size
+ * @param {{ start?: number, end?: number }} [range] - `end` is exclusive
+ * @returns {{ start: number, end: number }}
+ */
+export const resolveByteRange = (size, { start = 0, end = size } = {}) => {
+  if (
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    start > end ||
+    end > size
+  ) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid byte range', {
+      start,
+      end,
+      size
+    })
+  }
+
+  return { start, end }
+}
+
+/**
+ * Regroups incoming pieces of any size into `chunkSize` chunks, holding at
+ * most one chunk plus the latest piece in memory.
+ * @param {AsyncIterable<Buffer> | Iterable<Buffer>} content
+ * @param {number} chunkSize
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* toChunks(content, chunkSize) {
+  let parts = []
+  let length = 0
+
+  for await (const data of content) {
+    parts.push(data)
+    length += data.byteLength
+    if (length < chunkSize) continue
+
+    const joined = b4a.concat(parts)
+    let offset = 0
+    while (joined.byteLength - offset >= chunkSize) {
+      yield joined.subarray(offset, offset + chunkSize)
+      offset += chunkSize
+    }
+
+    parts = [joined.subarray(offset)]
+    length = joined.byteLength - offset
+  }
+
+  if (length) {
+    yield b4a.concat(parts)
+  }
+}
+
+/**
+ * @param {Autopass} instance
+ * @param {string} key
+ * @returns {Promise<FileManifest | null>}
+ */
+export const readFileManifest = async (instance, key) => {
+  const res = await instance.get(key)
+  if (!res?.value) return null
+
+  const value = JSON.parse(res.value)
+  return isFileManifest(value) ? value : null
+}
+
+/**
+ * @param {Autopass} instance
+ * @param {Pick<FileManifest, 'fileId' | 'chunkCount'>} manifest
+ * @returns {Promise<void>}
+ */
+export const removeFileChunks = async (instance, { fileId, chunkCount }) => {
+  for (let index = 0; index < chunkCount; index++) {
+    await instance.remove(chunkKey(fileId, index))
+  }
+}
+
+/**
+ * Writes `content` as chunks while it is being read, then points `key` at
+ * them with a manifest. Chunks of a file previously stored at `key` are
+ * removed once the new manifest is written; a failed write removes the
+ * chunks written so far.
+ * @param {Autopass} instance
+ * @param {string} key
+ * @param {AsyncIterable<Buffer> | Buffer} content
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize]
+ * @param {number} [options.maxBytes] - fails with `QUOTA_EXCEEDED` once the
+ *   content grows past this
+ * @param {FileMetadata} [options.metadata]
+ * @returns {Promise<FileManifest>}
+ */
+export const writeChunkedFile = async (
+  instance,
+  key,
+  content,
+  { chunkSize = FILE_CHUNK_SIZE, maxBytes = Infinity, metadata = {} } = {}
+) => {
+  const fileId = createFileId()
+  const hash = createContentHash()
+  const chunkHashes = []
+  let size = 0
+  let chunkCount = 0
+
+  try {
+    const source = b4a.isBuffer(content) ? [content] : content
+
+    for await (const chunk of toChunks(source, chunkSize)) {
+      if (size + chunk.byteLength > maxBytes) {
+        throw vaultError(
+          ERROR_CODES.QUOTA_EXCEEDED,
+          'File exceeds the attachment quota of the vault',
+          { maxBytes }
+        )
+      }
+
+      hash.update(chunk)
+      chunkHashes.push(hashChunk(chunk))
+      await instance.add(
+        chunkKey(fileId, chunkCount),
+        JSON.stringify({ fileId, index: chunkCount }),
+        chunk
+      )
+      size += chunk.byteLength
+      chunkCount++
+    }
+  } catch (error) {
+    await removeFileChunks(instance, { fileId, chunkCount })
+    throw error
+  }
+
+  const previous = await readFileManifest(instance, key)
+  const now = Date.now()
+  const manifest = {
+    fileId,
+    size,
+    chunkSize,
+    chunkCount,
+    hash: hash.digest(),
+    chunkHashes,
+    name: metadata.name,
+    mimeType: metadata.mimeType,
+    recordId: metadata.recordId,
+    createdAt: previous?.createdAt ?? now,
+    updatedAt: now
+  }
+
+  await instance.add(key, JSON.stringify(manifest))
+
+  if (previous) {
+    await removeFileChunks(instance, previous)
+  }
+
+  return manifest
+}
+
+/**
+ * Reads the bytes `start` to `end` of a chunked file, loading only the chunks
+ * that overlap the range. Each chunk is checked against its hash before any
+ * of it is yielded, failing with `FILE_INTEGRITY_MISMATCH`. Files without
+ * chunk hashes are only checked on whole-file reads, after the last chunk.
+ * @param {Autopass} instance
+ * @param {FileManifest} manifest
+ * @param {{ start: number, end: number }} range - from `resolveByteRange`
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* readChunkedFile(
+  instance,
+  { fileId, size, chunkSize, chunkCount, hash: expectedHash, chunkHashes },
+  { start, end }
+) {
+  const hash =
+    !chunkHashes && expectedHash && start === 0 && end === size
+      ? createContentHash()
+      : null
+
+  for (
+    let index = Math.floor(start / chunkSize);
+    index < chunkCount && index * chunkSize < end;
+    index++
+  ) {
+    const res = await instance.get(chunkKey(fileId, index))
+    if (!res?.file) {
+      throw vaultError(ERROR_CODES.RECORD_NOT_FOUND, 'File chunk not found', {
+        fileId,
+        index
+      })
+    }
+
+    if (chunkHashes && hashChunk(res.file) !== chunkHashes[index]) {
+      throw vaultError(
+        ERROR_CODES.FILE_INTEGRITY_MISMATCH,
+        'File chunk does not match its hash',
+        { fileId, index }
+      )
+    }
+
+    hash?.update(res.file)
+
+    const offset = index * chunkSize
+    yield res.file.subarray(
+      Math.max(0, start - offset),
+      Math.min(res.file.byteLength, end - offset)
+    )
+  }
+
+  if (hash && hash.digest() !== expectedHash) {
+    throw vaultError(
+      ERROR_CODES.FILE_INTEGRITY_MISMATCH,
+      'File content does not match its hash',
+      { fileId }
+    )
+  }
+}
@@ -0,0 +1,263 @@
+import {
+  FILE_CHUNK_PREFIX,
+  isFileManifest,
+  readChunkedFile,
+  readFileManifest,
+  resolveByteRange,
+  writeChunkedFile
+} from './fileChunks'
+import { ERROR_CODES } from '../constants/errorCodes'
+
+const createInstance = () => {
+  const entries = new Map()
+
+  return {
+    entries,
+    add: jest.fn(async (key, value, file) => entries.set(key, { value, file })),
+    get: jest.fn(async (key) => entries.get(key) ?? null),
+    remove: jest.fn(async (key) => entries.delete(key))
+  }
+}
+
+const chunkKeys = (instance) =>
+  [...instance.entries.keys()].filter((key) =>
+    key.startsWith(FILE_CHUNK_PREFIX)
+  )
+
+async function* pieces(...parts) {
+  for (const part of parts) {
+    yield Buffer.from(part)
+  }
+}
+
+const readAll = async (source) => {
+  const chunks = []
+  for await (const chunk of source) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks).toString()
+}
+
+describe('writeChunkedFile', () => {
+  it('regroups streamed pieces into fixed size chunks', async () => {
+    const instance = createInstance()
+
+    const manifest = await writeChunkedFile(
+      instance,
+      'file/f1',
+      pieces('ab', 'cdefg', 'h', 'ij'),
+      { chunkSize: 4 }
+    )
+
+    expect(manifest).toMatchObject({
+      fileId: expect.stringMatching(/^[0-9a-f]{32}$/),
+      size: 10,
+      chunkSize: 4,
+      chunkCount: 3
+    })
+    expect(
+      chunkKeys(instance).map((key) =>
+        instance.entries.get(key).file.toString()
+      )
+    ).toEqual(['abcd', 'efgh', 'ij'])
+    expect(await readFileManifest(instance, 'file/f1')).toEqual(manifest)
+  })
+
+  it('stores the BLAKE2b hash, metadata and timestamps', async () => {
+    const instance = createInstance()
+    jest.spyOn(Date, 'now').mockReturnValue(1000)
+
+    const manifest = await writeChunkedFile(
+      instance,
+      'file/f1',
+      pieces('abc'),
+      { metadata: { name: 'a.txt', mimeType: 'text/plain', recordId: 'r1' } }
+    )
+
+    expect(manifest).toMatchObject({
+      // BLAKE2b-256 of 'abc'
+      hash: 'bddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319',
+      name: 'a.txt',
+      mimeType: 'text/plain',
+      recordId: 'r1',
+      createdAt: 1000,
+      updatedAt: 1000
+    })
+    jest.restoreAllMocks()
+  })
+
+  it('keeps createdAt when a file is replaced', async () => {
+    const instance = createInstance()
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000)
+
+    await writeChunkedFile(instance, 'file/f1', pieces('old'))
+    const manifest = await writeChunkedFile(instance, 'file/f1', pieces('new'))
+
+    expect(manifest).toMatchObject({ createdAt: 1000, updatedAt: 2000 })
+    jest.restoreAllMocks()
+  })
+
+  it('fails with QUOTA_EXCEEDED past maxBytes and removes written chunks', async () => {
+    const instance = createInstance()
+
+    await expect(
+      writeChunkedFile(instance, 'file/f1', pieces('abcdefghij'), {
+        chunkSize: 4,
+        maxBytes: 6
+      })
+    ).rejects.toMatchObject({ code: ERROR_CODES.QUOTA_EXCEEDED })
+    expect([...instance.entries.keys()]).toEqual([])
+  })
+
+  it('accepts a buffer', async () => {
+    const instance = createInstance()
+
+    const manifest = await writeChunkedFile(
+      instance,
+      'file/f1',
+      Buffer.from('abcdef'),
+      { chunkSize: 4 }
+    )
+
+    expect(manifest.chunkCount).toBe(2)
+  })
+
+  it('removes the chunks of the file it replaces', async () => {
+    const instance = createInstance()
+    await writeChunkedFile(instance, 'file/f1', pieces('old data'), {
+      chunkSize: 4
+    })
+
+    const manifest = await writeChunkedFile(instance, 'file/f1', pieces('new'))
+
+    expect(chunkKeys(instance)).toEqual([
+      `${FILE_CHUNK_PREFIX}${manifest.fileId}/00000000`
+    ])
+  })
+
+  it('removes written chunks when the source fails', async () => {
+    const instance = createInstance()
+    async function* failing() {
+      yield Buffer.from('abcdefgh')
+      throw new Error('stream closed')
+    }
+
+    await expect(
+      writeChunkedFile(instance, 'file/f1', failing(), { chunkSize: 4 })
+    ).rejects.toThrow('stream closed')
+    expect([...instance.entries.keys()]).toEqual([])
+  })
+})
+
+describe('readChunkedFile', () => {
+  const write = async () => {
+    const instance = createInstance()
+    const manifest = await writeChunkedFile(
+      instance,
+      'file/f1',
+      pieces('0123456789'),
+      { chunkSize: 4 }
+    )
+    return { instance, manifest }
+  }
+
+  it('reads the whole file', async () => {
+    const { instance, manifest } = await write()
+
+    expect(
+      await readAll(readChunkedFile(instance, manifest, { start: 0, end: 10 }))
+    ).toBe('0123456789')
+  })
+
+  it('reads a range across chunk boundaries loading only needed chunks', async () => {
+    const { instance, manifest } = await write()
+    instance.get.mockClear()
+
+    expect(
+      await readAll(readChunkedFile(instance, manifest, { start: 3, end: 6 }))
+    ).toBe('345')
+    expect(instance.get).toHaveBeenCalledTimes(2)
+  })
+
+  it('fails on a corrupted chunk before yielding any of it', async () => {
+    const { instance, manifest } = await write()
+    instance.entries.get(chunkKeys(instance)[1]).file = Buffer.from('XXXX')
+    const yielded = []
+
+    await expect(async () => {
+      for await (const chunk of readChunkedFile(instance, manifest, {
+        start: 0,
+        end: 10
+      })) {
+        yielded.push(chunk.toString())
+      }
+    }).rejects.toMatchObject({
+      code: ERROR_CODES.FILE_INTEGRITY_MISMATCH,
+      details: { fileId: manifest.fileId, index: 1 }
+    })
+    expect(yielded).toEqual(['0123'])
+  })
+
+  it('verifies the chunks a ranged read loads', async () => {
+    const { instance, manifest } = await write()
+    instance.entries.get(chunkKeys(instance)[1]).file = Buffer.from('XXXX')
+
+    await expect(
+      readAll(readChunkedFile(instance, manifest, { start: 5, end: 6 }))
+    ).rejects.toMatchObject({ code: ERROR_CODES.FILE_INTEGRITY_MISMATCH })
+  })
+
+  it('checks files without chunk hashes on whole-file reads', async () => {
+    const { instance, manifest } = await write()
+    const { chunkHashes, ...legacy } = manifest
+    instance.entries.get(chunkKeys(instance)[1]).file = Buffer.from('XXXX')
+
+    expect(chunkHashes).toHaveLength(3)
+    await expect(
+      readAll(readChunkedFile(instance, legacy, { start: 0, end: 10 }))
+    ).rejects.toMatchObject({ code: ERROR_CODES.FILE_INTEGRITY_MISMATCH })
+    expect(
+      await readAll(readChunkedFile(instance, legacy, { start: 0, end: 4 }))
+    ).toBe('0123')
+  })
+
+  it('does not load chunks outside a ranged read', async () => {
+    const { instance, manifest } = await write()
+    instance.entries.get(chunkKeys(instance)[2]).file = Buffer.from('XX')
+
+    expect(
+      await readAll(readChunkedFile(instance, manifest, { start: 0, end: 4 }))
+    ).toBe('0123')
+  })
+
+  it('throws RECORD_NOT_FOUND for a missing chunk', async () => {
+    const { instance, manifest } = await write()
+    instance.entries.delete(chunkKeys(instance)[1])
+
+    await expect(
+      readAll(readChunkedFile(instance, manifest, { start: 0, end: 10 }))
+    ).rejects.toMatchObject({ code: ERROR_CODES.RECORD_NOT_FOUND })
+  })
+})
+
+describe('resolveByteRange', () => {
+  it('defaults to the whole file', () => {
+    expect(resolveByteRange(10)).toEqual({ start: 0, end: 10 })
+    expect(resolveByteRange(10, { start: 4 })).toEqual({ start: 4, end: 10 })
+  })
+
+  it('rejects ranges outside the file', () => {
+    for (const range of [{ start: -1 }, { end: 11 }, { start: 5, end: 4 }]) {
+      expect(() => resolveByteRange(10, range)).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+      )
+    }
+  })
+})
+
+describe('isFileManifest', () => {
+  it('tells manifests from values of files stored whole', () => {
+    expect(isFileManifest({ fileId: 'a', chunkCount: 1 })).toBe(true)
+    expect(isFileManifest({})).toBe(false)
+  })
+})
@@ -1,13 +1,19 @@
 import sodium from 'sodium-native'
 
+import { resolveKdfParams } from './kdfParams'
+
 /**
  * @param {{
  *   salt: string      // base64-encoded salt
  *   password: string  // base64-encoded password
+ *   kdf?: import('./kdfParams').KdfParams // stored with the salt, legacy
+ *                                         // parameters when missing
  * }} data
  * @returns {string}   // hex-encoded derived key
  */
 export const getDecryptionKey = (data) => {
+  const { opslimit, memlimit, alg } = resolveKdfParams(data.kdf)
+
   const salt = Buffer.from(data.salt, 'base64')
 
   const passwordLen = Buffer.byteLength(data.password, 'base64')
@@ -15,9 +21,6 @@ export const getDecryptionKey = (data) => {
 
   const hashedPassword = sodium.sodium_malloc(sodium.crypto_secretbox_KEYBYTES)
 
-  const opslimit = sodium.crypto_pwhash_OPSLIMIT_SENSITIVE
-  const memlimit = sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
-  const algo = sodium.crypto_pwhash_ALG_DEFAULT
   try {
     password.write(data.password, 'base64')
     sodium.crypto_pwhash(
@@ -26,7 +29,7 @@ export const getDecryptionKey = (data) => {
       salt,
       opslimit,
       memlimit,
-      algo
+      alg
     )
 
     return Buffer.from(hashedPassword).toString('hex')
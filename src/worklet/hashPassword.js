@@ -1,21 +1,23 @@
 import sodium from 'sodium-native'
 
+import { LEGACY_KDF_PARAMS, resolveKdfParams } from './kdfParams'
+
 /**
  * @param {string} password - Base64 encoded password
+ * @param {import('./kdfParams').KdfParams} [kdf] - store these next to the
+ *   salt
  * @returns {{
  *   salt: string
  *   hashedPassword: string
  * }}
  */
-export const hashPassword = (password) => {
+export const hashPassword = (password, kdf = LEGACY_KDF_PARAMS) => {
+  const { opslimit, memlimit, alg } = resolveKdfParams(kdf)
+
   const passwordBuffer = Buffer.from(password, 'base64')
   const salt = sodium.sodium_malloc(sodium.crypto_pwhash_SALTBYTES)
   const hashedPassword = sodium.sodium_malloc(sodium.crypto_secretbox_KEYBYTES)
 
-  const opslimit = sodium.crypto_pwhash_OPSLIMIT_SENSITIVE
-  const memlimit = sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
-  const algo = sodium.crypto_pwhash_ALG_DEFAULT
-
   try {
     sodium.randombytes_buf(salt)
 
@@ -25,7 +27,7 @@ export const hashPassword = (password) => {
       salt,
       opslimit,
       memlimit,
-      algo
+      alg
     )
 
     return {
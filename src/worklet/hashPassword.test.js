@@ -12,6 +12,7 @@ jest.mock('sodium-native', () => ({
   crypto_pwhash_OPSLIMIT_SENSITIVE: 4,
   crypto_pwhash_MEMLIMIT_INTERACTIVE: 67108864,
   crypto_pwhash_ALG_DEFAULT: 2,
+  crypto_pwhash_ALG_ARGON2ID13: 2,
   randombytes_buf: jest.fn((buf) => {
     buf.set(mockSalt)
   }),
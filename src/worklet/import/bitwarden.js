@@ -0,0 +1,373 @@
+import b4a from 'b4a'
+
+import { createImportItem } from './records'
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { RECORD_TYPE } from '../../constants/recordType'
+import { vaultError } from '../../utils/vaultError'
+import {
+  decryptBitwardenExport,
+  decryptCipherString
+} from '../decryptBitwardenExport'
+import { importPasskey } from '../passkey/index'
+
+// Bitwarden item types
+const ITEM_TYPE = {
+  LOGIN: 1,
+  SECURE_NOTE: 2,
+  CARD: 3,
+  IDENTITY: 4,
+  SSH_KEY: 5
+}
+
+// Bitwarden custom field types
+const FIELD_TYPE_BOOLEAN = 2
+const FIELD_TYPE_LINKED = 3
+
+const CIPHER_STRING = /^\d+\.[A-Za-z0-9+/=]+\|/
+
+// ECPrivateKey: version 1, then the 32 byte private key
+const EC_PRIVATE_KEY_PREFIX = [0x02, 0x01, 0x01, 0x04, 0x20]
+
+/**
+ * @param {string} text
+ * @returns {Object | null} the export, if the text is a Bitwarden JSON export
+ */
+export const readBitwardenExport = (text) => {
+  if (!/^\s*\{/.test(text)) return null
+
+  try {
+    const json = JSON.parse(text)
+    return json?.encrypted === true || Array.isArray(json?.items) ? json : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Maps the errors of the CipherString helpers onto vault error codes.
+ * @param {Function} fn
+ * @param {string} badKeyMessage
+ */
+export const withVaultErrors = (fn, badKeyMessage) => {
+  try {
+    return fn()
+  } catch (error) {
+    if (error.code === 'BW_BAD_PASSWORD') {
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, badKeyMessage)
+    }
+    if (error.code?.startsWith('BW_')) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, error.message)
+    }
+    throw error
+  }
+}
+
+/**
+ * Decrypts every CipherString of an account-restricted export with the
+ * account's symmetric key.
+ * @param {Object} json
+ * @param {string} [accountKey] - base64, 64 bytes: encryption then MAC key
+ * @returns {Object} the export with plaintext values
+ */
+const decryptAccountExport = (json, accountKey) => {
+  const key = accountKey ? b4a.from(accountKey, 'base64') : null
+  if (key?.byteLength !== 64) {
+    throw vaultError(
+      ERROR_CODES.BAD_PASSWORD,
+      'The export is restricted to a Bitwarden account, its account key is required',
+      { accountKeyRequired: true }
+    )
+  }
+
+  const encKey = key.subarray(0, 32)
+  const macKey = key.subarray(32)
+  const decrypt = (value) =>
+    withVaultErrors(
+      () => decryptCipherString(value, encKey, macKey),
+      'Incorrect account key'
+    )
+
+  if (json.encKeyValidation_DO_NOT_EDIT) {
+    decrypt(json.encKeyValidation_DO_NOT_EDIT)
+  }
+
+  const visit = (value) => {
+    if (typeof value === 'string') {
+      return CIPHER_STRING.test(value) ? decrypt(value) : value
+    }
+    if (Array.isArray(value)) {
+      return value.map(visit)
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([name, item]) => [name, visit(item)])
+      )
+    }
+    return value
+  }
+
+  return { ...json, folders: visit(json.folders), items: visit(json.items) }
+}
+
+/**
+ * @param {Object} json
+ * @param {Object} keys
+ * @param {string} [keys.password]
+ * @param {string} [keys.accountKey]
+ * @returns {Object} the plaintext export
+ */
+const decryptExport = (json, { password, accountKey }) => {
+  if (!json.encrypted) return json
+
+  if (!json.passwordProtected) {
+    return decryptAccountExport(json, accountKey)
+  }
+
+  if (!password) {
+    throw vaultError(
+      ERROR_CODES.BAD_PASSWORD,
+      'The export is encrypted, a password is required',
+      { passwordRequired: true }
+    )
+  }
+
+  const plaintext = withVaultErrors(
+    () =>
+      decryptBitwardenExport({
+        password,
+        salt: json.salt,
+        kdfType: json.kdfType,
+        kdfIterations: json.kdfIterations,
+        kdfMemory: json.kdfMemory,
+        kdfParallelism: json.kdfParallelism,
+        cipherString: json.data
+      }),
+    'Incorrect password'
+  )
+
+  try {
+    return JSON.parse(plaintext)
+  } catch {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid Bitwarden export')
+  }
+}
+
+/**
+ * @param {string} credentialId - a GUID, or base64url prefixed with `b64.`
+ * @returns {string} base64url
+ */
+const toCredentialId = (credentialId) =>
+  credentialId.startsWith('b64.')
+    ? credentialId.slice(4)
+    : b4a.toString(b4a.from(credentialId.replace(/-/g, ''), 'hex'), 'base64url')
+
+/**
+ * @param {Object} credential - a Bitwarden `fido2Credentials` entry
+ * @returns {import('../passkey/index').PasskeyConfig | undefined} undefined
+ *   for keys other than P-256
+ */
+const toPasskey = (credential) => {
+  if (credential.keyAlgorithm !== 'ECDSA' || credential.keyCurve !== 'P-256') {
+    return undefined
+  }
+
+  const pkcs8 = b4a.from(credential.keyValue ?? '', 'base64url')
+  const start = pkcs8.findIndex((_, i) =>
+    EC_PRIVATE_KEY_PREFIX.every((byte, j) => pkcs8[i + j] === byte)
+  )
+  if (start === -1) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid passkey private key')
+  }
+
+  const offset = start + EC_PRIVATE_KEY_PREFIX.length
+  return importPasskey({
+    credentialId: toCredentialId(credential.credentialId ?? ''),
+    rpId: credential.rpId,
+    privateKey: pkcs8.subarray(offset, offset + 32),
+    userHandle: credential.userHandle || undefined,
+    userName: credential.userName || undefined,
+    userDisplayName: credential.userDisplayName || undefined,
+    signCount: Number(credential.counter) || 0,
+    createdAt: Date.parse(credential.creationDate) || undefined
+  })
+}
+
+/**
+ * @param {string} [month]
+ * @param {string} [year]
+ * @returns {string | undefined} `MM/YY`
+ */
+const toExpireDate = (month, year) =>
+  month && year
+    ? `${String(month).padStart(2, '0')}/${String(year).slice(-2)}`
+    : undefined
+
+/**
+ * @param {Object} item - a Bitwarden item
+ * @param {number} index
+ * @param {string} [folder]
+ * @returns {import('./records').ImportItem}
+ */
+const toImportItem = (item, index, folder) => {
+  const fields = (item.fields ?? [])
+    .filter((field) => field.type !== FIELD_TYPE_LINKED)
+    .map((field) => ({
+      label: field.name,
+      value:
+        field.type === FIELD_TYPE_BOOLEAN
+          ? String(field.value === 'true')
+          : field.value
+    }))
+  const common = {
+    index,
+    folder,
+    isFavorite: Boolean(item.favorite)
+  }
+
+  if (item.type === ITEM_TYPE.LOGIN) {
+    const login = item.login ?? {}
+    const [credential] = login.fido2Credentials ?? []
+    const passkey = credential ? toPasskey(credential) : undefined
+
+    return createImportItem({
+      type: RECORD_TYPE.LOGIN,
+      data: {
+        title: item.name,
+        username: login.username,
+        password: login.password,
+        websites: (login.uris ?? []).map(({ uri }) => uri).filter(Boolean),
+        note: item.notes,
+        passkey
+      },
+      otp: login.totp || undefined,
+      fields,
+      ...common
+    })
+  }
+
+  if (item.type === ITEM_TYPE.CARD) {
+    const card = item.card ?? {}
+
+    return createImportItem({
+      type: RECORD_TYPE.CREDIT_CARD,
+      data: {
+        title: item.name,
+        name: card.cardholderName,
+        number: card.number,
+        securityCode: card.code,
+        expireDate: toExpireDate(card.expMonth, card.expYear),
+        note: item.notes
+      },
+      fields: [{ label: 'Brand', value: card.brand }, ...fields],
+      ...common
+    })
+  }
+
+  if (item.type === ITEM_TYPE.IDENTITY) {
+    const identity = item.identity ?? {}
+
+    return createImportItem({
+      type: RECORD_TYPE.IDENTITY,
+      data: {
+        title: item.name,
+        fullName: [identity.firstName, identity.middleName, identity.lastName]
+          .filter(Boolean)
+          .join(' '),
+        email: identity.email,
+        phoneNumber: identity.phone,
+        address: [
+          identity.address1,
+          identity.address2,
+          identity.address3,
+          identity.city,
+          identity.state,
+          identity.postalCode,
+          identity.country
+        ]
+          .filter(Boolean)
+          .join(', '),
+        note: item.notes
+      },
+      fields: [
+        { label: 'Company', value: identity.company },
+        { label: 'Username', value: identity.username },
+        { label: 'SSN', value: identity.ssn },
+        { label: 'Passport number', value: identity.passportNumber },
+        { label: 'License number', value: identity.licenseNumber },
+        ...fields
+      ],
+      ...common
+    })
+  }
+
+  if (item.type === ITEM_TYPE.SECURE_NOTE || item.type === ITEM_TYPE.SSH_KEY) {
+    const sshKey = item.sshKey ?? {}
+
+    return createImportItem({
+      type: RECORD_TYPE.NOTE,
+      data: { title: item.name, note: item.notes },
+      fields: [
+        { label: 'Private key', value: sshKey.privateKey },
+        { label: 'Public key', value: sshKey.publicKey },
+        { label: 'Fingerprint', value: sshKey.keyFingerprint },
+        ...fields
+      ],
+      ...common
+    })
+  }
+
+  throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported item type', {
+    type: item.type
+  })
+}
+
+/**
+ * Reads a Bitwarden JSON export: unencrypted, password protected, or
+ * restricted to the account it was exported from. Folders, or collections for
+ * organization exports, become folders; items in the trash are skipped.
+ * @param {string} text
+ * @param {Object} [keys]
+ * @param {string} [keys.password] - for password protected exports
+ * @param {string} [keys.accountKey] - for account restricted exports
+ * @returns {{ items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }}
+ */
+export const parseBitwardenExport = (text, keys = {}) => {
+  const json = readBitwardenExport(text)
+  if (!json) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid Bitwarden export')
+  }
+
+  const {
+    folders = [],
+    collections = [],
+    items = []
+  } = decryptExport(json, keys)
+  const folderNames = new Map(
+    [...folders, ...collections].map(({ id, name }) => [id, name])
+  )
+
+  const importItems = []
+  const errors = []
+
+  items.forEach((item, index) => {
+    if (item.deletedDate) {
+      errors.push({ index, title: item.name, error: 'Item is in the trash' })
+      return
+    }
+
+    try {
+      importItems.push(
+        toImportItem(
+          item,
+          index,
+          folderNames.get(item.folderId) ??
+            folderNames.get(item.collectionIds?.[0])
+        )
+      )
+    } catch (error) {
+      errors.push({ index, title: item.name, error: error.message })
+    }
+  })
+
+  return { items: importItems, errors }
+}
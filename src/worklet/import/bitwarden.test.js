@@ -0,0 +1,244 @@
+import nodeCrypto from 'crypto'
+
+import { parseBitwardenExport, readBitwardenExport } from './bitwarden'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+jest.mock('bare-crypto', () => require('crypto'))
+
+jest.mock('../utils/workletLogger', () => ({
+  workletLogger: { info: jest.fn(), error: jest.fn() }
+}))
+
+const { privateKey } = nodeCrypto.generateKeyPairSync('ec', {
+  namedCurve: 'P-256'
+})
+
+const plainExport = {
+  encrypted: false,
+  folders: [{ id: 'f1', name: 'Work' }],
+  items: [
+    {
+      id: 'i1',
+      type: 1,
+      name: 'GitHub',
+      folderId: 'f1',
+      favorite: true,
+      notes: 'recovery codes in the safe',
+      fields: [
+        { name: 'Team', value: 'core', type: 0 },
+        { name: 'Admin', value: 'true', type: 2 },
+        { name: 'Username', value: null, type: 3, linkedId: 100 }
+      ],
+      login: {
+        uris: [{ match: null, uri: 'https://github.com/login' }],
+        username: 'octocat',
+        password: 'hunter2',
+        totp: 'otpauth://totp/GitHub:octocat?secret=JBSWY3DPEHPK3PXP',
+        fido2Credentials: [
+          {
+            credentialId: 'b64.Y3JlZGVudGlhbA',
+            keyType: 'public-key',
+            keyAlgorithm: 'ECDSA',
+            keyCurve: 'P-256',
+            keyValue: privateKey
+              .export({ type: 'pkcs8', format: 'der' })
+              .toString('base64url'),
+            rpId: 'github.com',
+            userHandle: 'dXNlcg',
+            userName: 'octocat',
+            counter: '3',
+            creationDate: '2025-01-02T03:04:05.000Z'
+          }
+        ]
+      }
+    },
+    {
+      id: 'i2',
+      type: 3,
+      name: 'Visa',
+      card: {
+        cardholderName: 'Alice Doe',
+        brand: 'Visa',
+        number: '4111111111111111',
+        expMonth: '3',
+        expYear: '2027',
+        code: '123'
+      }
+    },
+    {
+      id: 'i3',
+      type: 4,
+      name: 'Me',
+      identity: {
+        firstName: 'Alice',
+        lastName: 'Doe',
+        email: 'alice@example.com',
+        city: 'Zurich',
+        country: 'CH',
+        passportNumber: 'X123'
+      }
+    },
+    { id: 'i4', type: 2, name: 'Wifi', notes: 'password123' },
+    { id: 'i5', type: 1, name: 'Old', deletedDate: '2025-01-01T00:00:00Z' },
+    { id: 'i6', type: 99, name: 'Future' }
+  ]
+}
+
+const encryptCipherString = (plaintext, encKey, macKey) => {
+  const iv = nodeCrypto.randomBytes(16)
+  const cipher = nodeCrypto.createCipheriv('aes-256-cbc', encKey, iv)
+  const ct = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  const mac = nodeCrypto
+    .createHmac('sha256', macKey)
+    .update(iv)
+    .update(ct)
+    .digest()
+  return `2.${iv.toString('base64')}|${ct.toString('base64')}|${mac.toString('base64')}`
+}
+
+describe('readBitwardenExport', () => {
+  test('recognises Bitwarden JSON only', () => {
+    expect(readBitwardenExport(JSON.stringify(plainExport))).toBeTruthy()
+    expect(readBitwardenExport('{"encrypted":true}')).toBeTruthy()
+    expect(readBitwardenExport('{"services":[]}')).toBeNull()
+    expect(readBitwardenExport('name,url')).toBeNull()
+  })
+})
+
+describe('parseBitwardenExport', () => {
+  test('maps every item type and reports skipped items', () => {
+    const { items, errors } = parseBitwardenExport(JSON.stringify(plainExport))
+
+    expect(items[0]).toEqual({
+      index: 0,
+      type: 'login',
+      data: {
+        title: 'GitHub',
+        username: 'octocat',
+        password: 'hunter2',
+        websites: ['https://github.com/login'],
+        note: 'recovery codes in the safe',
+        passkey: expect.objectContaining({
+          credentialId: 'Y3JlZGVudGlhbA',
+          rpId: 'github.com',
+          algorithm: 'ES256',
+          privateKey: privateKey.export({ format: 'jwk' }).d,
+          userHandle: 'dXNlcg',
+          signCount: 3,
+          createdAt: Date.parse('2025-01-02T03:04:05.000Z')
+        }),
+        otp: expect.objectContaining({ secret: 'JBSWY3DPEHPK3PXP' }),
+        customFields: [
+          { type: 'note', note: 'Team: core' },
+          { type: 'note', note: 'Admin: true' }
+        ]
+      },
+      folder: 'Work',
+      isFavorite: true
+    })
+    expect(items.slice(1).map(({ type, data }) => ({ type, data }))).toEqual([
+      {
+        type: 'creditCard',
+        data: {
+          title: 'Visa',
+          name: 'Alice Doe',
+          number: '4111111111111111',
+          securityCode: '123',
+          expireDate: '03/27',
+          customFields: [{ type: 'note', note: 'Brand: Visa' }]
+        }
+      },
+      {
+        type: 'identity',
+        data: {
+          title: 'Me',
+          fullName: 'Alice Doe',
+          email: 'alice@example.com',
+          address: 'Zurich, CH',
+          customFields: [{ type: 'note', note: 'Passport number: X123' }]
+        }
+      },
+      { type: 'note', data: { title: 'Wifi', note: 'password123' } }
+    ])
+    expect(errors).toEqual([
+      { index: 4, title: 'Old', error: 'Item is in the trash' },
+      { index: 5, title: 'Future', error: 'Unsupported item type' }
+    ])
+  })
+
+  test('decrypts a password protected export', () => {
+    const json = JSON.stringify({
+      encrypted: true,
+      passwordProtected: true,
+      salt: 'jane.doe@example.com',
+      kdfType: 0,
+      kdfIterations: 100000,
+      data: '2.ABEiM0RVZneImaq7zN3u/w==|Un9ItCKAY/JooUc6FaVUxbhvg/i0jusfSejD/tytiNU+sqB+KXMeQo9jiExxv9IOI3JP2tXzIW/Ch6mQJ1fle35HZaavB1lGA4KnSav6hKXVO9wagQonndBZAjIzI+WMmhX21vGA5/zMYa8iLBcOwcpr58Ehvmn34HpZUX7+I2mTDiI3rzNDrb8h9w4+wHyF|YRUfEUT1wKvVPiXm7eS18yHAmSjktCyR8BdBDkH6QKM='
+    })
+
+    expect(
+      parseBitwardenExport(json, { password: 'correct horse battery staple' })
+        .items
+    ).toEqual([
+      {
+        index: 0,
+        type: 'login',
+        data: { title: 'Example Login', username: 'jane', password: 'hunter2' }
+      }
+    ])
+    expect(() => parseBitwardenExport(json, { password: 'wrong' })).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD })
+    )
+    expect(() => parseBitwardenExport(json)).toThrow(
+      expect.objectContaining({ details: { passwordRequired: true } })
+    )
+  })
+
+  test('decrypts an account restricted export with the account key', () => {
+    const key = nodeCrypto.randomBytes(64)
+    const encrypt = (value) =>
+      encryptCipherString(value, key.subarray(0, 32), key.subarray(32))
+    const json = JSON.stringify({
+      encrypted: true,
+      encKeyValidation_DO_NOT_EDIT: encrypt('validation'),
+      folders: [{ id: 'f1', name: encrypt('Personal') }],
+      items: [
+        {
+          id: 'i1',
+          type: 1,
+          folderId: 'f1',
+          name: encrypt('Mail'),
+          login: {
+            username: encrypt('alice'),
+            password: encrypt('s3cret'),
+            uris: [{ uri: encrypt('https://mail.example.com') }]
+          }
+        }
+      ]
+    })
+
+    expect(
+      parseBitwardenExport(json, { accountKey: key.toString('base64') }).items
+    ).toEqual([
+      {
+        index: 0,
+        type: 'login',
+        data: {
+          title: 'Mail',
+          username: 'alice',
+          password: 's3cret',
+          websites: ['https://mail.example.com']
+        },
+        folder: 'Personal'
+      }
+    ])
+    expect(() =>
+      parseBitwardenExport(json, {
+        accountKey: nodeCrypto.randomBytes(64).toString('base64')
+      })
+    ).toThrow(expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD }))
+    expect(() => parseBitwardenExport(json)).toThrow(
+      expect.objectContaining({ details: { accountKeyRequired: true } })
+    )
+  })
+})
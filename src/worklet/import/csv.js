@@ -0,0 +1,77 @@
+/**
+ * Parses RFC 4180 CSV: quoted fields may contain commas, newlines and doubled
+ * quotes. Blank lines are dropped.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row)
+    }
+    row = []
+    field = ''
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      endRow()
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== '' || row.length) {
+    endRow()
+  }
+
+  return rows
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<string>} the lowercased header row
+ */
+export const readCsvHeader = (text) =>
+  (parseCsv(text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0])[0] ?? []).map(
+    (column) => column.trim().toLowerCase()
+  )
+
+/**
+ * Reads a CSV with a header row into objects keyed by lowercased column name.
+ * @param {string} text
+ * @returns {Array<Record<string, string>>}
+ */
+export const readCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''))
+  const columns = header.map((column) => column.trim().toLowerCase())
+
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((column, i) => [column, row[i] ?? '']))
+  )
+}
@@ -0,0 +1,28 @@
+import { parseCsv, readCsvHeader, readCsvObjects } from './csv'
+
+describe('parseCsv', () => {
+  test('reads quoted fields with commas, quotes and newlines', () => {
+    expect(
+      parseCsv('a,"b, c","say ""hi""","two\nlines"\r\n\r\n1,2,3,4')
+    ).toEqual([
+      ['a', 'b, c', 'say "hi"', 'two\nlines'],
+      ['1', '2', '3', '4']
+    ])
+  })
+
+  test('keeps empty fields', () => {
+    expect(parseCsv(',,x\n')).toEqual([['', '', 'x']])
+  })
+})
+
+describe('readCsvObjects', () => {
+  test('maps rows to the lowercased header, ignoring a BOM', () => {
+    const text = '\uFEFFName,URL\nGitHub,https://github.com\nShort'
+
+    expect(readCsvHeader(text)).toEqual(['name', 'url'])
+    expect(readCsvObjects(text)).toEqual([
+      { name: 'GitHub', url: 'https://github.com' },
+      { name: 'Short', url: '' }
+    ])
+  })
+})
@@ -0,0 +1,221 @@
+import { readCsvHeader, readCsvObjects } from './csv'
+import { createImportItem, hostOf } from './records'
+import { IMPORT_FORMAT } from '../../constants/importFormat'
+import { RECORD_TYPE } from '../../constants/recordType'
+
+// LastPass stores secure notes as rows with this URL
+const LASTPASS_NOTE_URL = 'http://sn'
+
+const MONTHS = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december'
+]
+
+/**
+ * @param {Array<string>} header
+ * @param {Array<string>} columns
+ * @returns {boolean}
+ */
+const hasColumns = (header, columns) =>
+  columns.every((column) => header.includes(column))
+
+/**
+ * Tells the CSV exports apart by their header row.
+ * @param {string} text
+ * @returns {string | null} one of `IMPORT_FORMAT`
+ */
+export const detectCsvFormat = (text) => {
+  const header = readCsvHeader(text)
+
+  if (
+    hasColumns(header, ['url', 'username', 'password', 'extra', 'grouping'])
+  ) {
+    return IMPORT_FORMAT.LASTPASS
+  }
+  if (hasColumns(header, ['url', 'username', 'password', 'httprealm'])) {
+    return IMPORT_FORMAT.FIREFOX
+  }
+  if (hasColumns(header, ['name', 'url', 'username', 'password'])) {
+    return IMPORT_FORMAT.CHROME
+  }
+
+  return null
+}
+
+/**
+ * Reads `Key:Value` lines of a LastPass secure note. Lines without a key
+ * belong to the value before them, and `Notes` runs to the end.
+ * @param {string} extra
+ * @returns {Record<string, string>}
+ */
+const readLastPassNoteFields = (extra) => {
+  const fields = {}
+  let lastKey = null
+
+  for (const line of extra.split(/\r?\n/)) {
+    const match = /^([A-Za-z][A-Za-z ]*):(.*)$/.exec(line)
+    if (match && lastKey !== 'Notes') {
+      lastKey = match[1]
+      fields[lastKey] = match[2]
+    } else if (lastKey) {
+      fields[lastKey] += `\n${line}`
+    }
+  }
+
+  return fields
+}
+
+/**
+ * @param {string} [value] - e.g. `January,2027`
+ * @returns {string | undefined} `MM/YY`
+ */
+const toExpireDate = (value) => {
+  const [month, year] = String(value ?? '').split(',')
+  const monthIndex = MONTHS.indexOf(month?.trim().toLowerCase())
+  if (monthIndex === -1 || !/^\d{4}$/.test(year?.trim() ?? '')) {
+    return undefined
+  }
+
+  return `${String(monthIndex + 1).padStart(2, '0')}/${year.trim().slice(2)}`
+}
+
+/**
+ * @param {Record<string, string>} row
+ * @param {number} index
+ * @returns {import('./records').ImportItem}
+ */
+const lastPassNoteItem = (row, index) => {
+  const folder = row.grouping || undefined
+  const isFavorite = row.fav === '1'
+
+  if (!row.extra.startsWith('NoteType:')) {
+    return createImportItem({
+      index,
+      type: RECORD_TYPE.NOTE,
+      data: { title: row.name, note: row.extra },
+      folder,
+      isFavorite
+    })
+  }
+
+  const {
+    NoteType: noteType,
+    Notes: note,
+    ...fields
+  } = readLastPassNoteFields(row.extra)
+
+  if (noteType === 'Credit Card') {
+    return createImportItem({
+      index,
+      type: RECORD_TYPE.CREDIT_CARD,
+      data: {
+        title: row.name,
+        name: fields['Name on Card'],
+        number: fields.Number,
+        securityCode: fields['Security Code'],
+        expireDate: toExpireDate(fields['Expiration Date']),
+        note
+      },
+      folder,
+      isFavorite
+    })
+  }
+
+  return createImportItem({
+    index,
+    type: RECORD_TYPE.NOTE,
+    data: { title: row.name, note },
+    fields: Object.entries(fields)
+      .filter(([label]) => label !== 'Language')
+      .map(([label, value]) => ({ label, value })),
+    folder,
+    isFavorite
+  })
+}
+
+/**
+ * @param {string} text - LastPass CSV export
+ * @returns {{ items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }}
+ */
+export const parseLastPassCsv = (text) => {
+  const items = []
+  const errors = []
+
+  readCsvObjects(text).forEach((row, index) => {
+    if (row.url === LASTPASS_NOTE_URL) {
+      items.push(lastPassNoteItem(row, index))
+      return
+    }
+
+    if (!row.url && !row.username && !row.password) {
+      errors.push({ index, title: row.name, error: 'Empty entry' })
+      return
+    }
+
+    items.push(
+      createImportItem({
+        index,
+        type: RECORD_TYPE.LOGIN,
+        data: {
+          title: row.name,
+          username: row.username,
+          password: row.password,
+          websites: row.url ? [row.url] : [],
+          note: row.extra
+        },
+        otp: row.totp,
+        folder: row.grouping || undefined,
+        isFavorite: row.fav === '1'
+      })
+    )
+  })
+
+  return { items, errors }
+}
+
+/**
+ * Chrome and Firefox password exports: one login per row.
+ * @param {string} text
+ * @returns {{ items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }}
+ */
+export const parseBrowserCsv = (text) => {
+  const items = []
+  const errors = []
+
+  readCsvObjects(text).forEach((row, index) => {
+    if (!row.password && !row.username) {
+      errors.push({
+        index,
+        title: row.name || hostOf(row.url),
+        error: 'Empty entry'
+      })
+      return
+    }
+
+    items.push(
+      createImportItem({
+        index,
+        type: RECORD_TYPE.LOGIN,
+        data: {
+          title: row.name || hostOf(row.url),
+          username: row.username,
+          password: row.password,
+          websites: row.url ? [row.url] : [],
+          note: row.note
+        }
+      })
+    )
+  })
+
+  return { items, errors }
+}
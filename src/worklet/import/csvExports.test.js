@@ -0,0 +1,127 @@
+import {
+  detectCsvFormat,
+  parseBrowserCsv,
+  parseLastPassCsv
+} from './csvExports'
+
+const LASTPASS_HEADER = 'url,username,password,totp,extra,name,grouping,fav'
+
+describe('detectCsvFormat', () => {
+  test('tells the exports apart by their header', () => {
+    expect(detectCsvFormat(LASTPASS_HEADER)).toBe('lastpass')
+    expect(detectCsvFormat('name,url,username,password,note')).toBe('chrome')
+    expect(
+      detectCsvFormat(
+        '"url","username","password","httpRealm","formActionOrigin","guid"'
+      )
+    ).toBe('firefox')
+    expect(detectCsvFormat('title,secret')).toBeNull()
+  })
+})
+
+describe('parseLastPassCsv', () => {
+  test('reads logins with folders, favorites and TOTP', () => {
+    const { items, errors } = parseLastPassCsv(
+      [
+        LASTPASS_HEADER,
+        'https://github.com,octocat,hunter2,JBSWY3DPEHPK3PXP,recovery codes,GitHub,Work\\Dev,1'
+      ].join('\n')
+    )
+
+    expect(errors).toEqual([])
+    expect(items).toEqual([
+      {
+        index: 0,
+        type: 'login',
+        data: {
+          title: 'GitHub',
+          username: 'octocat',
+          password: 'hunter2',
+          websites: ['https://github.com'],
+          note: 'recovery codes',
+          otp: expect.objectContaining({ secret: 'JBSWY3DPEHPK3PXP' })
+        },
+        folder: 'Work\\Dev',
+        isFavorite: true
+      }
+    ])
+  })
+
+  test('reads secure notes and credit cards', () => {
+    const card = [
+      'NoteType:Credit Card',
+      'Language:en-US',
+      'Name on Card:Alice Doe',
+      'Type:Visa',
+      'Number:4111111111111111',
+      'Security Code:123',
+      'Expiration Date:March,2027',
+      'Notes:Main card',
+      'second line'
+    ].join('\n')
+    const { items } = parseLastPassCsv(
+      [
+        LASTPASS_HEADER,
+        'http://sn,,,,Door code 1234,Door,,0',
+        `http://sn,,,,"${card}",Visa,,0`
+      ].join('\n')
+    )
+
+    expect(items[0]).toEqual({
+      index: 0,
+      type: 'note',
+      data: { title: 'Door', note: 'Door code 1234' }
+    })
+    expect(items[1]).toEqual({
+      index: 1,
+      type: 'creditCard',
+      data: {
+        title: 'Visa',
+        name: 'Alice Doe',
+        number: '4111111111111111',
+        securityCode: '123',
+        expireDate: '03/27',
+        note: 'Main card\nsecond line'
+      }
+    })
+  })
+
+  test('reports empty rows', () => {
+    const { items, errors } = parseLastPassCsv(
+      `${LASTPASS_HEADER}\n,,,,,Nothing,,0`
+    )
+
+    expect(items).toEqual([])
+    expect(errors).toEqual([
+      { index: 0, title: 'Nothing', error: 'Empty entry' }
+    ])
+  })
+})
+
+describe('parseBrowserCsv', () => {
+  test('reads one login per row, titled by host when unnamed', () => {
+    const { items, errors } = parseBrowserCsv(
+      [
+        'url,username,password,httpRealm',
+        'https://www.example.com/login,alice,s3cret,',
+        'https://empty.example.com,,,'
+      ].join('\n')
+    )
+
+    expect(items).toEqual([
+      {
+        index: 0,
+        type: 'login',
+        data: {
+          title: 'example.com',
+          username: 'alice',
+          password: 's3cret',
+          websites: ['https://www.example.com/login']
+        }
+      }
+    ])
+    expect(errors).toEqual([
+      { index: 1, title: 'empty.example.com', error: 'Empty entry' }
+    ])
+  })
+})
@@ -0,0 +1,88 @@
+import b4a from 'b4a'
+
+import { parseBitwardenExport, readBitwardenExport } from './bitwarden'
+import {
+  detectCsvFormat,
+  parseBrowserCsv,
+  parseLastPassCsv
+} from './csvExports'
+import { isKdbx, parseKdbx } from './kdbx'
+import { parseOnePux } from './onePassword'
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { IMPORT_FORMAT } from '../../constants/importFormat'
+import { vaultError } from '../../utils/vaultError'
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04]
+
+/**
+ * @param {string | Uint8Array} input
+ * @returns {string | null} one of `IMPORT_FORMAT`
+ */
+export const detectImportFormat = (input) => {
+  if (typeof input !== 'string') {
+    if (isKdbx(input)) {
+      return IMPORT_FORMAT.KEEPASS
+    }
+    if (ZIP_SIGNATURE.every((byte, i) => input[i] === byte)) {
+      return IMPORT_FORMAT.ONE_PASSWORD
+    }
+  }
+
+  const text = typeof input === 'string' ? input : b4a.toString(input, 'utf8')
+  if (readBitwardenExport(text)) {
+    return IMPORT_FORMAT.BITWARDEN
+  }
+
+  return detectCsvFormat(text)
+}
+
+/**
+ * Reads the records of a password manager export.
+ * @param {Object} params
+ * @param {string | Uint8Array} params.input - CSV text, or the bytes of any
+ *   supported export
+ * @param {string} [params.format] - one of `IMPORT_FORMAT`, detected if omitted
+ * @param {string} [params.password] - for KeePass databases and password
+ *   protected Bitwarden exports
+ * @param {string} [params.accountKey] - base64 account key, for account
+ *   restricted Bitwarden exports
+ * @returns {Promise<{ format: string, items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }>}
+ */
+export const parseImport = async ({ input, format, password, accountKey }) => {
+  if (!input?.length) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Import data is required')
+  }
+
+  const detectedFormat = format ?? detectImportFormat(input)
+  const bytes = typeof input === 'string' ? b4a.from(input, 'utf8') : input
+  const text = () =>
+    typeof input === 'string' ? input : b4a.toString(input, 'utf8')
+
+  switch (detectedFormat) {
+    case IMPORT_FORMAT.KEEPASS:
+      return { format: detectedFormat, ...(await parseKdbx(bytes, password)) }
+
+    case IMPORT_FORMAT.BITWARDEN:
+      return {
+        format: detectedFormat,
+        ...parseBitwardenExport(text(), { password, accountKey })
+      }
+
+    case IMPORT_FORMAT.ONE_PASSWORD:
+      return { format: detectedFormat, ...parseOnePux(bytes) }
+
+    case IMPORT_FORMAT.LASTPASS:
+      return { format: detectedFormat, ...parseLastPassCsv(text()) }
+
+    case IMPORT_FORMAT.CHROME:
+    case IMPORT_FORMAT.FIREFOX:
+      return { format: detectedFormat, ...parseBrowserCsv(text()) }
+
+    default:
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'Unsupported import format',
+        format ? { format } : undefined
+      )
+  }
+}
@@ -0,0 +1,60 @@
+import { strToU8, zipSync } from 'fflate'
+
+import { detectImportFormat, parseImport } from './index'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+jest.mock('bare-crypto', () => require('crypto'))
+
+jest.mock('../utils/workletLogger', () => ({
+  workletLogger: { info: jest.fn(), error: jest.fn() }
+}))
+
+describe('detectImportFormat', () => {
+  test('recognises binary exports by their signature', () => {
+    expect(
+      detectImportFormat(
+        new Uint8Array([
+          0x03, 0xd9, 0xa2, 0x9a, 0x67, 0xfb, 0x4b, 0xb5, 1, 0, 4, 0
+        ])
+      )
+    ).toBe('keepass')
+    expect(detectImportFormat(zipSync({ 'export.data': strToU8('{}') }))).toBe(
+      '1password'
+    )
+  })
+
+  test('recognises CSV exports as text or bytes', () => {
+    expect(detectImportFormat('name,url,username,password')).toBe('chrome')
+    expect(detectImportFormat(strToU8('name,url,username,password'))).toBe(
+      'chrome'
+    )
+    expect(detectImportFormat('{"encrypted":false,"items":[]}')).toBe(
+      'bitwarden'
+    )
+    expect(detectImportFormat('a,b')).toBeNull()
+  })
+})
+
+describe('parseImport', () => {
+  test('parses with an explicit format', async () => {
+    const { format, items } = await parseImport({
+      input: 'name,url,username,password\nSite,https://a.example,me,pw',
+      format: 'chrome'
+    })
+
+    expect(format).toBe('chrome')
+    expect(items).toHaveLength(1)
+  })
+
+  test('rejects empty and unknown input', async () => {
+    await expect(parseImport({ input: '' })).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT
+    })
+    await expect(
+      parseImport({ input: 'a,b', format: 'dashlane' })
+    ).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT,
+      details: { format: 'dashlane' }
+    })
+  })
+})
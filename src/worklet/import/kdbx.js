@@ -0,0 +1,538 @@
+import { cbc } from '@noble/ciphers/aes.js'
+import { chacha20 } from '@noble/ciphers/chacha.js'
+import { salsa20 } from '@noble/ciphers/salsa.js'
+import { argon2dAsync, argon2idAsync } from '@noble/hashes/argon2.js'
+import { hmac } from '@noble/hashes/hmac.js'
+import { sha256, sha512 } from '@noble/hashes/sha2.js'
+import b4a from 'b4a'
+import crypto from 'bare-crypto'
+import { gunzipSync } from 'fflate'
+import sodium from 'sodium-native'
+
+import { createImportItem } from './records'
+import { childElement, childElements, parseXml } from './xml'
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { RECORD_TYPE } from '../../constants/recordType'
+import { vaultError } from '../../utils/vaultError'
+
+const SIGNATURE_1 = 0x9aa2d903
+const SIGNATURE_2 = 0xb54bfb67
+
+// Outer header field ids
+const HEADER_END = 0
+const HEADER_CIPHER_ID = 2
+const HEADER_COMPRESSION = 3
+const HEADER_MASTER_SEED = 4
+const HEADER_ENCRYPTION_IV = 7
+const HEADER_KDF_PARAMETERS = 11
+
+// Inner header field ids
+const INNER_HEADER_END = 0
+const INNER_HEADER_STREAM_ID = 1
+const INNER_HEADER_STREAM_KEY = 2
+
+const CIPHER_AES256 = '31c1f2e6bf714350be5805216afc5aff'
+const CIPHER_CHACHA20 = 'd6038a2b8b6f4cb5a524339a31dbb59a'
+
+const KDF_AES = [
+  'c9d9f39a628a4460bf740d08c18a4fea',
+  '7c02bb8279a74ac0927d114a00648238'
+]
+const KDF_ARGON2D = 'ef636ddf8c29444b91f7a9a403e30a0c'
+const KDF_ARGON2ID = '9e298b1956db4773b23dfc3ec6f0a1e6'
+
+const INNER_STREAM_SALSA20 = 2
+const INNER_STREAM_CHACHA20 = 3
+const SALSA20_NONCE = b4a.from('e830094b97205d2a', 'hex')
+
+// The database is user supplied, so cap the KDF cost it can ask for. KeePass
+// and KeePassXC default to a few million AES rounds, or 64 MiB of Argon2
+// with a handful of iterations.
+const MAX_AES_KDF_ROUNDS = 10_000_000
+const MAX_ARGON2_ITERATIONS = 32
+const MAX_ARGON2_MEMORY_BYTES = 256 * 1024 * 1024
+const MAX_ARGON2_PARALLELISM = 8
+const ARGON2_VERSION = 0x13
+// AES rounds between two yields to the event loop
+const AES_KDF_ROUNDS_PER_TICK = 100_000
+
+// Entry strings with a place in a login record
+const STANDARD_FIELDS = ['Title', 'UserName', 'Password', 'URL', 'Notes']
+const OTP_FIELDS = ['otp', 'TOTP Seed']
+
+/**
+ * @param {string} message
+ * @returns {Error}
+ */
+const invalidDatabase = (message = 'Invalid KeePass database') =>
+  vaultError(ERROR_CODES.INVALID_INPUT, message)
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export const isKdbx = (bytes) => {
+  if (bytes.byteLength < 12) return false
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  return (
+    view.getUint32(0, true) === SIGNATURE_1 &&
+    view.getUint32(4, true) === SIGNATURE_2
+  )
+}
+
+/**
+ * Sequential little endian reader over a byte array.
+ * @param {Uint8Array} bytes
+ */
+const createReader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let offset = 0
+
+  const take = (length) => {
+    if (offset + length > bytes.byteLength) {
+      throw invalidDatabase('Truncated KeePass database')
+    }
+    const start = offset
+    offset += length
+    return start
+  }
+
+  return {
+    get offset() {
+      return offset
+    },
+    u8: () => view.getUint8(take(1)),
+    u16: () => view.getUint16(take(2), true),
+    u32: () => view.getUint32(take(4), true),
+    bytes: (length) => {
+      const start = take(length)
+      return bytes.subarray(start, start + length)
+    }
+  }
+}
+
+/**
+ * Reads a KDBX VariantDictionary, used for the KDF parameters.
+ * @param {Uint8Array} bytes
+ * @returns {Record<string, number | boolean | string | Uint8Array>}
+ */
+const readVariantDictionary = (bytes) => {
+  const reader = createReader(bytes)
+  const dictionary = {}
+
+  if (reader.u16() >> 8 !== 1) {
+    throw invalidDatabase('Unsupported KDF parameters version')
+  }
+
+  for (let type = reader.u8(); type !== 0; type = reader.u8()) {
+    const key = b4a.toString(reader.bytes(reader.u32()), 'utf8')
+    const value = reader.bytes(reader.u32())
+    const view = new DataView(value.buffer, value.byteOffset, value.byteLength)
+
+    if (type === 0x04) dictionary[key] = view.getUint32(0, true)
+    else if (type === 0x05) dictionary[key] = Number(view.getBigUint64(0, true))
+    else if (type === 0x08) dictionary[key] = value[0] !== 0
+    else if (type === 0x0c) dictionary[key] = view.getInt32(0, true)
+    else if (type === 0x0d) dictionary[key] = Number(view.getBigInt64(0, true))
+    else if (type === 0x18) dictionary[key] = b4a.toString(value, 'utf8')
+    else dictionary[key] = value
+  }
+
+  return dictionary
+}
+
+/**
+ * Lets RPCs and timers run during a long key derivation.
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/**
+ * libsodium's Argon2id runs off the JS thread, but only takes 16 byte salts
+ * and a single lane. KeePass writes 32 byte salts, so most databases go
+ * through the JS implementation, which yields between blocks.
+ * @param {Record<string, any>} params
+ * @returns {boolean}
+ */
+const isSodiumArgon2id = (params) =>
+  params.S?.byteLength === sodium.crypto_pwhash_SALTBYTES &&
+  params.P === 1 &&
+  params.V === ARGON2_VERSION &&
+  params.M % 1024 === 0 &&
+  params.M >= sodium.crypto_pwhash_MEMLIMIT_MIN
+
+/**
+ * @param {Uint8Array} compositeKey
+ * @param {Record<string, any>} params - KDF parameters from the header
+ * @returns {Promise<Uint8Array>} the transformed key
+ */
+const transformKey = async (compositeKey, params) => {
+  const uuid = b4a.toString(params.$UUID ?? b4a.alloc(0), 'hex')
+
+  if (KDF_AES.includes(uuid)) {
+    if (!(params.R > 0 && params.R <= MAX_AES_KDF_ROUNDS)) {
+      throw invalidDatabase('KeePass KDF parameters are out of range')
+    }
+
+    const cipher = crypto.createCipheriv('aes-256-ecb', params.S, b4a.alloc(0))
+    cipher.setAutoPadding(false)
+
+    let key = compositeKey
+    for (let round = 0; round < params.R; round++) {
+      if (round > 0 && round % AES_KDF_ROUNDS_PER_TICK === 0) {
+        await yieldToEventLoop()
+      }
+      key = cipher.update(key)
+    }
+    return sha256(key)
+  }
+
+  if (uuid === KDF_ARGON2D || uuid === KDF_ARGON2ID) {
+    const memoryKib = Math.floor(params.M / 1024)
+    if (
+      !(params.I > 0 && params.I <= MAX_ARGON2_ITERATIONS) ||
+      !(params.M > 0 && params.M <= MAX_ARGON2_MEMORY_BYTES) ||
+      !(params.P > 0 && params.P <= MAX_ARGON2_PARALLELISM)
+    ) {
+      throw invalidDatabase('KeePass KDF parameters are out of range')
+    }
+
+    if (uuid === KDF_ARGON2ID && isSodiumArgon2id(params)) {
+      const key = b4a.alloc(32)
+      await sodium.crypto_pwhash_async(
+        key,
+        b4a.from(compositeKey),
+        params.S,
+        params.I,
+        params.M,
+        sodium.crypto_pwhash_ALG_ARGON2ID13
+      )
+      return key
+    }
+
+    const argon2 = uuid === KDF_ARGON2D ? argon2dAsync : argon2idAsync
+    return argon2(compositeKey, params.S, {
+      t: params.I,
+      m: memoryKib,
+      p: params.P,
+      version: params.V,
+      dkLen: 32
+    })
+  }
+
+  throw invalidDatabase('Unsupported KeePass key derivation function')
+}
+
+/**
+ * @param {bigint} value
+ * @returns {Buffer} 8 bytes, little endian
+ */
+const u64le = (value) => {
+  const bytes = b4a.alloc(8)
+  new DataView(bytes.buffer, bytes.byteOffset, 8).setBigUint64(0, value, true)
+  return bytes
+}
+
+/**
+ * @param {Uint8Array} baseKey - SHA-512(masterSeed | transformedKey | 0x01)
+ * @param {bigint} index - block index, all ones for the header
+ * @returns {Uint8Array}
+ */
+const blockHmacKey = (baseKey, index) =>
+  sha512(b4a.concat([u64le(index), baseKey]))
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+const equalMacs = (a, b) =>
+  a.byteLength === b.byteLength &&
+  sodium.sodium_memcmp(b4a.from(a), b4a.from(b))
+
+/**
+ * Unmasks protected values. They share one keystream, consumed in document
+ * order, so all of them are passed at once.
+ * @param {number} streamId
+ * @param {Uint8Array} key
+ * @param {Array<Uint8Array>} values
+ * @returns {Array<Uint8Array>}
+ */
+const unprotectValues = (streamId, key, values) => {
+  const masked = b4a.concat(values)
+  let plain
+  if (streamId === INNER_STREAM_CHACHA20) {
+    const hash = sha512(key)
+    plain = chacha20(hash.subarray(0, 32), hash.subarray(32, 44), masked)
+  } else if (streamId === INNER_STREAM_SALSA20) {
+    plain = salsa20(sha256(key), SALSA20_NONCE, masked)
+  } else {
+    throw invalidDatabase('Unsupported KeePass inner stream cipher')
+  }
+
+  let offset = 0
+  return values.map((value) => {
+    offset += value.byteLength
+    return plain.subarray(offset - value.byteLength, offset)
+  })
+}
+
+/**
+ * Decrypts a KDBX 4 database to its XML document.
+ * @param {Uint8Array} bytes
+ * @param {string} password
+ * @returns {Promise<{ xml: string, streamId: number, streamKey: Uint8Array }>}
+ */
+const decryptKdbx = async (bytes, password) => {
+  if (!isKdbx(bytes)) {
+    throw invalidDatabase()
+  }
+
+  const reader = createReader(bytes)
+  reader.bytes(8)
+  reader.u16()
+  if (reader.u16() !== 4) {
+    throw invalidDatabase('Only KDBX 4 databases are supported')
+  }
+
+  const header = {}
+  for (;;) {
+    const id = reader.u8()
+    const data = reader.bytes(reader.u32())
+    if (id === HEADER_END) break
+    header[id] = data
+  }
+
+  const headerBytes = bytes.subarray(0, reader.offset)
+  const headerHash = reader.bytes(32)
+  const headerMac = reader.bytes(32)
+  if (!b4a.equals(sha256(headerBytes), headerHash)) {
+    throw invalidDatabase('The KeePass database is corrupted')
+  }
+
+  const masterSeed = header[HEADER_MASTER_SEED]
+  const iv = header[HEADER_ENCRYPTION_IV]
+  const cipherId = b4a.toString(header[HEADER_CIPHER_ID] ?? b4a.alloc(0), 'hex')
+  if (!masterSeed || !iv || !header[HEADER_KDF_PARAMETERS]) {
+    throw invalidDatabase()
+  }
+  if (cipherId !== CIPHER_AES256 && cipherId !== CIPHER_CHACHA20) {
+    throw invalidDatabase('Unsupported KeePass cipher')
+  }
+
+  const compositeKey = sha256(sha256(b4a.from(password, 'utf8')))
+  const transformedKey = await transformKey(
+    compositeKey,
+    readVariantDictionary(header[HEADER_KDF_PARAMETERS])
+  )
+  const macBaseKey = sha512(
+    b4a.concat([masterSeed, transformedKey, b4a.from([1])])
+  )
+
+  if (
+    !equalMacs(
+      hmac(sha256, blockHmacKey(macBaseKey, 0xffffffffffffffffn), headerBytes),
+      headerMac
+    )
+  ) {
+    throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Incorrect password')
+  }
+
+  const blocks = []
+  for (let index = 0n; ; index++) {
+    const mac = reader.bytes(32)
+    const sizeOffset = reader.offset
+    const size = reader.u32()
+    const data = reader.bytes(size)
+    const signed = b4a.concat([
+      u64le(index),
+      bytes.subarray(sizeOffset, sizeOffset + 4),
+      data
+    ])
+    if (
+      !equalMacs(hmac(sha256, blockHmacKey(macBaseKey, index), signed), mac)
+    ) {
+      throw invalidDatabase('The KeePass database is corrupted')
+    }
+    if (size === 0) break
+    blocks.push(data)
+  }
+
+  const encryptionKey = sha256(b4a.concat([masterSeed, transformedKey]))
+  const payload = b4a.concat(blocks)
+  let plaintext
+  try {
+    plaintext =
+      cipherId === CIPHER_AES256
+        ? cbc(encryptionKey, iv).decrypt(payload)
+        : chacha20(encryptionKey, iv, payload)
+  } catch {
+    throw invalidDatabase('The KeePass database is corrupted')
+  }
+
+  const compression = header[HEADER_COMPRESSION]
+  if (
+    compression &&
+    new DataView(compression.buffer, compression.byteOffset, 4).getUint32(
+      0,
+      true
+    ) === 1
+  ) {
+    plaintext = gunzipSync(plaintext)
+  }
+
+  const inner = createReader(plaintext)
+  let streamId
+  let streamKey
+  for (;;) {
+    const id = inner.u8()
+    const data = inner.bytes(inner.u32())
+    if (id === INNER_HEADER_END) break
+    if (id === INNER_HEADER_STREAM_ID) {
+      streamId = new DataView(data.buffer, data.byteOffset, 4).getUint32(
+        0,
+        true
+      )
+    } else if (id === INNER_HEADER_STREAM_KEY) {
+      streamKey = data
+    }
+  }
+
+  return {
+    xml: b4a.toString(plaintext.subarray(inner.offset), 'utf8'),
+    streamId,
+    streamKey
+  }
+}
+
+/**
+ * Replaces the text of every `Protected="True"` value with its plaintext.
+ * @param {import('./xml').XmlElement} document
+ * @param {number} streamId
+ * @param {Uint8Array} streamKey
+ */
+const revealProtectedValues = (document, streamId, streamKey) => {
+  const protectedValues = []
+  const visit = (element) => {
+    if (element.attributes.Protected === 'True') {
+      protectedValues.push(element)
+    }
+    element.children.forEach(visit)
+  }
+  visit(document)
+
+  if (!protectedValues.length) return
+
+  const plain = unprotectValues(
+    streamId,
+    streamKey,
+    protectedValues.map((element) => b4a.from(element.text, 'base64'))
+  )
+  protectedValues.forEach((element, i) => {
+    element.text = b4a.toString(plain[i], 'utf8')
+  })
+}
+
+/**
+ * @param {import('./xml').XmlElement} entry
+ * @param {number} index
+ * @param {string} [folder]
+ * @returns {import('./records').ImportItem}
+ */
+const toImportItem = (entry, index, folder) => {
+  const strings = Object.fromEntries(
+    childElements(entry, 'String').map((string) => [
+      childElement(string, 'Key')?.text,
+      childElement(string, 'Value')?.text ?? ''
+    ])
+  )
+  const otpField = OTP_FIELDS.find((field) => strings[field])
+  const isLogin = Boolean(strings.UserName || strings.Password || strings.URL)
+
+  return createImportItem({
+    index,
+    type: isLogin ? RECORD_TYPE.LOGIN : RECORD_TYPE.NOTE,
+    data: isLogin
+      ? {
+          title: strings.Title,
+          username: strings.UserName,
+          password: strings.Password,
+          websites: strings.URL ? [strings.URL] : [],
+          note: strings.Notes
+        }
+      : { title: strings.Title, note: strings.Notes },
+    otp: otpField && strings[otpField],
+    fields: Object.entries(strings)
+      .filter(
+        ([key]) =>
+          !STANDARD_FIELDS.includes(key) &&
+          !OTP_FIELDS.includes(key) &&
+          key !== 'TOTP Settings'
+      )
+      .map(([label, value]) => ({ label, value })),
+    folder
+  })
+}
+
+/**
+ * Reads the entries of a KeePass KDBX 4 database, with AES-KDF or Argon2 and
+ * AES-256 or ChaCha20. Groups become folders; the recycle bin and entry
+ * history are skipped.
+ * @param {Uint8Array} bytes
+ * @param {string} password
+ * @returns {Promise<{ items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }>}
+ */
+export const parseKdbx = async (bytes, password) => {
+  if (!password) {
+    throw vaultError(
+      ERROR_CODES.BAD_PASSWORD,
+      'The database is encrypted, a password is required',
+      { passwordRequired: true }
+    )
+  }
+
+  const { xml, streamId, streamKey } = await decryptKdbx(bytes, password)
+  const document = parseXml(xml)
+  revealProtectedValues(document, streamId, streamKey)
+
+  const meta = childElement(document, 'Meta')
+  const recycleBinUuid =
+    childElement(meta, 'RecycleBinEnabled')?.text !== 'False'
+      ? childElement(meta, 'RecycleBinUUID')?.text
+      : undefined
+
+  const items = []
+  const errors = []
+  let index = 0
+
+  const visitGroup = (group, path) => {
+    if (
+      recycleBinUuid &&
+      childElement(group, 'UUID')?.text === recycleBinUuid
+    ) {
+      return
+    }
+
+    const folder = path.join('/') || undefined
+    for (const entry of childElements(group, 'Entry')) {
+      try {
+        items.push(toImportItem(entry, index, folder))
+      } catch (error) {
+        errors.push({ index, error: error.message })
+      }
+      index++
+    }
+
+    for (const child of childElements(group, 'Group')) {
+      visitGroup(child, [...path, childElement(child, 'Name')?.text ?? ''])
+    }
+  }
+
+  // The top group is the database itself, not a folder
+  for (const group of childElements(childElement(document, 'Root'), 'Group')) {
+    visitGroup(group, [])
+  }
+
+  return { items, errors }
+}
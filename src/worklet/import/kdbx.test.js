@@ -0,0 +1,327 @@
+import { cbc } from '@noble/ciphers/aes.js'
+import { chacha20 } from '@noble/ciphers/chacha.js'
+import { argon2d, argon2id } from '@noble/hashes/argon2.js'
+import { hmac } from '@noble/hashes/hmac.js'
+import { sha256, sha512 } from '@noble/hashes/sha2.js'
+import b4a from 'b4a'
+import crypto from 'bare-crypto'
+import { gzipSync } from 'fflate'
+import sodium from 'sodium-native'
+
+import { isKdbx, parseKdbx } from './kdbx'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+jest.mock('bare-crypto', () => require('crypto'))
+
+const PASSWORD = 'correct horse'
+
+const u32 = (value) => {
+  const bytes = b4a.alloc(4)
+  bytes.writeUInt32LE(value)
+  return bytes
+}
+
+const u64 = (value) => {
+  const bytes = b4a.alloc(8)
+  bytes.writeBigUInt64LE(value)
+  return bytes
+}
+
+const field = (id, data) => b4a.concat([b4a.from([id]), u32(data.length), data])
+
+const variantDictionary = (entries) =>
+  b4a.concat([
+    b4a.from([0x00, 0x01]),
+    ...entries.map(([type, key, value]) =>
+      b4a.concat([
+        b4a.from([type]),
+        u32(key.length),
+        b4a.from(key),
+        u32(value.length),
+        value
+      ])
+    ),
+    b4a.from([0])
+  ])
+
+const KDFS = {
+  // `declaredRounds` only changes the header, for databases to be rejected
+  aes: (seed, { declaredRounds = 10n } = {}) => ({
+    params: variantDictionary([
+      [0x42, '$UUID', b4a.from('c9d9f39a628a4460bf740d08c18a4fea', 'hex')],
+      [0x05, 'R', u64(declaredRounds)],
+      [0x42, 'S', seed]
+    ]),
+    transform: (key) => {
+      const cipher = crypto.createCipheriv('aes-256-ecb', seed, b4a.alloc(0))
+      cipher.setAutoPadding(false)
+      for (let round = 0; round < 10; round++) key = cipher.update(key)
+      return sha256(key)
+    }
+  }),
+  argon2d: (seed) => ({
+    params: variantDictionary([
+      [0x42, '$UUID', b4a.from('ef636ddf8c29444b91f7a9a403e30a0c', 'hex')],
+      [0x05, 'I', u64(1n)],
+      [0x05, 'M', u64(64n * 1024n)],
+      [0x04, 'P', u32(1)],
+      [0x04, 'V', u32(0x13)],
+      [0x42, 'S', seed]
+    ]),
+    transform: (key) => argon2d(key, seed, { t: 1, m: 64, p: 1, dkLen: 32 })
+  }),
+  // `saltBytes` 16 and one lane, as libsodium takes them
+  argon2id: (seed, { saltBytes = 32, lanes = 2 } = {}) => {
+    const salt = seed.subarray(0, saltBytes)
+    return {
+      params: variantDictionary([
+        [0x42, '$UUID', b4a.from('9e298b1956db4773b23dfc3ec6f0a1e6', 'hex')],
+        [0x05, 'I', u64(1n)],
+        [0x05, 'M', u64(64n * 1024n)],
+        [0x04, 'P', u32(lanes)],
+        [0x04, 'V', u32(0x13)],
+        [0x42, 'S', salt]
+      ]),
+      transform: (key) =>
+        argon2id(key, salt, { t: 1, m: 64, p: lanes, dkLen: 32 })
+    }
+  }
+}
+
+const ENTRY_XML = ({ title, username, password, url, extra = '' }) => `
+  <Entry>
+    <UUID>${title}</UUID>
+    <String><Key>Title</Key><Value>${title}</Value></String>
+    <String><Key>UserName</Key><Value>${username}</Value></String>
+    <String><Key>Password</Key><Value Protected="True">${password}</Value></String>
+    <String><Key>URL</Key><Value>${url}</Value></String>
+    ${extra}
+    <History><Entry><String><Key>Title</Key><Value>old</Value></String></Entry></History>
+  </Entry>`
+
+/**
+ * Builds a KDBX 4 database holding a login in a sub-group, a note with a
+ * protected TOTP seed, and a login in the recycle bin.
+ */
+const buildKdbx = ({
+  kdf = 'aes',
+  kdfOptions,
+  cipher = 'aes',
+  compress = true
+} = {}) => {
+  const streamKey = b4a.alloc(64, 7)
+  const streamHash = sha512(streamKey)
+  const protectedPlain = ['hunter2', 'JBSWY3DPEHPK3PXP', 'deleted'].map((v) =>
+    b4a.from(v)
+  )
+  const masked = chacha20(
+    streamHash.subarray(0, 32),
+    streamHash.subarray(32, 44),
+    b4a.concat(protectedPlain)
+  )
+  let offset = 0
+  const [password, seed, deleted] = protectedPlain.map((value) => {
+    offset += value.length
+    return b4a.toString(
+      masked.subarray(offset - value.length, offset),
+      'base64'
+    )
+  })
+
+  const xml = `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<KeePassFile>
+  <Meta>
+    <RecycleBinEnabled>True</RecycleBinEnabled>
+    <RecycleBinUUID>bin</RecycleBinUUID>
+  </Meta>
+  <Root>
+    <Group>
+      <UUID>root</UUID>
+      <Name>Database</Name>
+      <Group>
+        <UUID>work</UUID>
+        <Name>Work</Name>
+        <Group>
+          <UUID>dev</UUID>
+          <Name>Dev</Name>
+          ${ENTRY_XML({
+            title: 'GitHub',
+            username: 'octocat',
+            password,
+            url: 'https://github.com',
+            extra:
+              '<String><Key>Recovery</Key><Value>abc &amp; def</Value></String>'
+          })}
+        </Group>
+      </Group>
+      <Entry>
+        <String><Key>Title</Key><Value>Server</Value></String>
+        <String><Key>Notes</Key><Value>ssh in</Value></String>
+        <String><Key>TOTP Seed</Key><Value Protected="True">${seed}</Value></String>
+      </Entry>
+      <Group>
+        <UUID>bin</UUID>
+        <Name>Recycle Bin</Name>
+        ${ENTRY_XML({ title: 'Old', username: 'x', password: deleted, url: '' })}
+      </Group>
+    </Group>
+  </Root>
+</KeePassFile>`
+
+  const innerHeader = b4a.concat([
+    field(1, u32(3)),
+    field(2, streamKey),
+    field(0, b4a.alloc(0))
+  ])
+  let plaintext = b4a.concat([innerHeader, b4a.from(xml)])
+  if (compress) plaintext = gzipSync(plaintext)
+
+  const masterSeed = b4a.alloc(32, 1)
+  const kdfSeed = b4a.alloc(32, 2)
+  const iv = b4a.alloc(cipher === 'aes' ? 16 : 12, 3)
+  const { params, transform } = KDFS[kdf](kdfSeed, kdfOptions)
+
+  const headerBytes = b4a.concat([
+    u32(0x9aa2d903),
+    u32(0xb54bfb67),
+    b4a.from([0x01, 0x00, 0x04, 0x00]),
+    field(
+      2,
+      b4a.from(
+        cipher === 'aes'
+          ? '31c1f2e6bf714350be5805216afc5aff'
+          : 'd6038a2b8b6f4cb5a524339a31dbb59a',
+        'hex'
+      )
+    ),
+    field(3, u32(compress ? 1 : 0)),
+    field(4, masterSeed),
+    field(7, iv),
+    field(11, params),
+    field(0, b4a.from('\r\n\r\n'))
+  ])
+
+  const transformedKey = transform(sha256(sha256(b4a.from(PASSWORD))))
+  const encryptionKey = sha256(b4a.concat([masterSeed, transformedKey]))
+  const macBaseKey = sha512(
+    b4a.concat([masterSeed, transformedKey, b4a.from([1])])
+  )
+  const macKey = (index) => sha512(b4a.concat([u64(index), macBaseKey]))
+
+  const payload =
+    cipher === 'aes'
+      ? cbc(encryptionKey, iv).encrypt(plaintext)
+      : chacha20(encryptionKey, iv, plaintext)
+  const block = (index, data) => {
+    const signed = b4a.concat([u64(index), u32(data.length), data])
+    return b4a.concat([
+      hmac(sha256, macKey(index), signed),
+      u32(data.length),
+      data
+    ])
+  }
+
+  return b4a.concat([
+    headerBytes,
+    sha256(headerBytes),
+    hmac(sha256, macKey(0xffffffffffffffffn), headerBytes),
+    block(0n, payload),
+    block(1n, b4a.alloc(0))
+  ])
+}
+
+const EXPECTED_ITEMS = [
+  {
+    index: 0,
+    type: 'note',
+    data: {
+      title: 'Server',
+      note: 'ssh in',
+      otp: expect.objectContaining({ secret: 'JBSWY3DPEHPK3PXP' })
+    }
+  },
+  {
+    index: 1,
+    type: 'login',
+    data: {
+      title: 'GitHub',
+      username: 'octocat',
+      password: 'hunter2',
+      websites: ['https://github.com'],
+      customFields: [{ type: 'note', note: 'Recovery: abc & def' }]
+    },
+    folder: 'Work/Dev'
+  }
+]
+
+describe('parseKdbx', () => {
+  test('reads an AES-KDF, AES-256 database', async () => {
+    const bytes = buildKdbx()
+
+    expect(isKdbx(bytes)).toBe(true)
+    expect(await parseKdbx(bytes, PASSWORD)).toEqual({
+      items: EXPECTED_ITEMS,
+      errors: []
+    })
+  })
+
+  test('reads an Argon2d, ChaCha20, uncompressed database', async () => {
+    const bytes = buildKdbx({
+      kdf: 'argon2d',
+      cipher: 'chacha20',
+      compress: false
+    })
+
+    expect((await parseKdbx(bytes, PASSWORD)).items).toEqual(EXPECTED_ITEMS)
+  })
+
+  test('reads Argon2id databases, through libsodium when it can', async () => {
+    const pwhash = jest.spyOn(sodium, 'crypto_pwhash_async')
+
+    const keepass = buildKdbx({ kdf: 'argon2id' })
+    expect((await parseKdbx(keepass, PASSWORD)).items).toEqual(EXPECTED_ITEMS)
+    expect(pwhash).not.toHaveBeenCalled()
+
+    const sodiumCompatible = buildKdbx({
+      kdf: 'argon2id',
+      kdfOptions: { saltBytes: 16, lanes: 1 }
+    })
+    expect((await parseKdbx(sodiumCompatible, PASSWORD)).items).toEqual(
+      EXPECTED_ITEMS
+    )
+    expect(pwhash).toHaveBeenCalledTimes(1)
+
+    pwhash.mockRestore()
+  })
+
+  test('rejects databases asking for too costly a KDF', async () => {
+    const bytes = buildKdbx({ kdfOptions: { declaredRounds: 10_000_001n } })
+
+    await expect(parseKdbx(bytes, PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT,
+      message: 'KeePass KDF parameters are out of range'
+    })
+  })
+
+  test('rejects a wrong or missing password', async () => {
+    const bytes = buildKdbx()
+
+    await expect(parseKdbx(bytes, 'wrong')).rejects.toMatchObject({
+      code: ERROR_CODES.BAD_PASSWORD
+    })
+    await expect(parseKdbx(bytes)).rejects.toMatchObject({
+      code: ERROR_CODES.BAD_PASSWORD,
+      details: { passwordRequired: true }
+    })
+  })
+
+  test('rejects a tampered database', async () => {
+    const bytes = buildKdbx()
+    bytes[bytes.length - 40] ^= 1
+
+    await expect(parseKdbx(bytes, PASSWORD)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT
+    })
+    expect(isKdbx(b4a.from('not a database'))).toBe(false)
+  })
+})
@@ -0,0 +1,197 @@
+import b4a from 'b4a'
+import { unzipSync } from 'fflate'
+
+import { createImportItem } from './records'
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { RECORD_TYPE } from '../../constants/recordType'
+import { vaultError } from '../../utils/vaultError'
+
+const EXPORT_DATA_FILE = 'export.data'
+// The export is user supplied; refuse to inflate past this
+const MAX_EXPORT_DATA_BYTES = 256 * 1024 * 1024
+
+// 1Password item categories
+const CATEGORY = {
+  LOGIN: '001',
+  CREDIT_CARD: '002',
+  SECURE_NOTE: '003',
+  IDENTITY: '004',
+  PASSWORD: '005'
+}
+
+/**
+ * Flattens a 1Password field value, an object with a single typed key.
+ * @param {Object} [value] - e.g. `{ concealed: '...' }`, `{ monthYear: 202712 }`
+ * @returns {string | undefined}
+ */
+const fieldText = (value) => {
+  const [[kind, content] = []] = Object.entries(value ?? {})
+
+  if (content === undefined || content === null || content === '') {
+    return undefined
+  }
+  if (kind === 'monthYear') {
+    const text = String(content)
+    return `${text.slice(4, 6)}/${text.slice(2, 4)}`
+  }
+  if (kind === 'email') {
+    return content.email_address ?? undefined
+  }
+  if (kind === 'address') {
+    return [content.street, content.city, content.state, content.zip]
+      .concat(content.country)
+      .filter(Boolean)
+      .join(', ')
+  }
+  if (typeof content === 'object') {
+    return undefined
+  }
+
+  return String(content)
+}
+
+/**
+ * @param {Object} item - an item of export.data
+ * @param {number} index
+ * @param {string} [folder] - the 1Password vault name
+ * @returns {import('./records').ImportItem}
+ */
+const toImportItem = (item, index, folder) => {
+  const { overview = {}, details = {} } = item
+  const sectionFields = (details.sections ?? []).flatMap(
+    (section) => section.fields ?? []
+  )
+  const byId = Object.fromEntries(
+    sectionFields.map((field) => [field.id, fieldText(field.value)])
+  )
+  const used = new Set()
+  const take = (id) => {
+    used.add(id)
+    return byId[id]
+  }
+
+  const totpField = sectionFields.find((field) => field.value?.totp)
+  if (totpField) {
+    used.add(totpField.id)
+  }
+
+  const common = {
+    index,
+    folder,
+    isFavorite: Boolean(item.favIndex),
+    otp: totpField?.value.totp
+  }
+  let type = RECORD_TYPE.NOTE
+  let data = { title: overview.title, note: details.notesPlain }
+
+  if (
+    item.categoryUuid === CATEGORY.LOGIN ||
+    item.categoryUuid === CATEGORY.PASSWORD
+  ) {
+    const loginField = (designation) =>
+      details.loginFields?.find((field) => field.designation === designation)
+        ?.value
+    const websites = [
+      ...new Set(
+        [overview.url, ...(overview.urls ?? []).map(({ url }) => url)].filter(
+          Boolean
+        )
+      )
+    ]
+
+    type = RECORD_TYPE.LOGIN
+    data = {
+      title: overview.title,
+      username: loginField('username'),
+      password: loginField('password') ?? details.password,
+      websites,
+      note: details.notesPlain
+    }
+  } else if (item.categoryUuid === CATEGORY.CREDIT_CARD) {
+    type = RECORD_TYPE.CREDIT_CARD
+    data = {
+      title: overview.title,
+      name: take('cardholder'),
+      number: take('ccnum'),
+      securityCode: take('cvv'),
+      expireDate: take('expiry'),
+      pinCode: take('pin'),
+      note: details.notesPlain
+    }
+  } else if (item.categoryUuid === CATEGORY.IDENTITY) {
+    type = RECORD_TYPE.IDENTITY
+    data = {
+      title: overview.title,
+      fullName: [take('firstname'), take('lastname')].filter(Boolean).join(' '),
+      email: take('email'),
+      phoneNumber: take('defphone'),
+      address: take('address'),
+      note: details.notesPlain
+    }
+  }
+
+  return createImportItem({
+    type,
+    data,
+    fields: sectionFields
+      .filter((field) => !used.has(field.id))
+      .map((field) => ({ label: field.title, value: fieldText(field.value) })),
+    ...common
+  })
+}
+
+/**
+ * Reads a 1Password `.1pux` export, a ZIP archive holding `export.data`.
+ * Attachments in `files/` are not imported.
+ * @param {Uint8Array} bytes
+ * @returns {{ items: Array<import('./records').ImportItem>, errors: Array<import('./records').ImportItemError> }}
+ */
+export const parseOnePux = (bytes) => {
+  let files
+  try {
+    files = unzipSync(bytes, {
+      filter: (file) =>
+        file.name === EXPORT_DATA_FILE &&
+        file.originalSize <= MAX_EXPORT_DATA_BYTES
+    })
+  } catch {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid 1Password export')
+  }
+
+  if (!files[EXPORT_DATA_FILE]) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'The 1Password export has no readable export.data'
+    )
+  }
+
+  let exportData
+  try {
+    exportData = JSON.parse(b4a.toString(files[EXPORT_DATA_FILE], 'utf8'))
+  } catch {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid 1Password export')
+  }
+
+  const items = []
+  const errors = []
+  let index = 0
+
+  for (const account of exportData.accounts ?? []) {
+    for (const vault of account.vaults ?? []) {
+      for (const item of vault.items ?? []) {
+        try {
+          items.push(toImportItem(item, index, vault.attrs?.name))
+        } catch (error) {
+          errors.push({
+            index,
+            title: item?.overview?.title,
+            error: error.message
+          })
+        }
+        index++
+      }
+    }
+  }
+
+  return { items, errors }
+}
@@ -0,0 +1,148 @@
+import { strToU8, zipSync } from 'fflate'
+
+import { parseOnePux } from './onePassword'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+const toPux = (items) =>
+  zipSync({
+    'export.attributes': strToU8('{"version":3}'),
+    'export.data': strToU8(
+      JSON.stringify({
+        accounts: [{ vaults: [{ attrs: { name: 'Personal' }, items }] }]
+      })
+    )
+  })
+
+describe('parseOnePux', () => {
+  test('reads logins with TOTP and extra fields', () => {
+    const { items, errors } = parseOnePux(
+      toPux([
+        {
+          categoryUuid: '001',
+          favIndex: 1,
+          overview: {
+            title: 'GitHub',
+            url: 'https://github.com',
+            urls: [
+              { url: 'https://github.com' },
+              { url: 'https://gist.github.com' }
+            ]
+          },
+          details: {
+            loginFields: [
+              { designation: 'username', value: 'octocat' },
+              { designation: 'password', value: 'hunter2' }
+            ],
+            notesPlain: 'work account',
+            sections: [
+              {
+                fields: [
+                  {
+                    id: 'totp',
+                    title: 'one-time password',
+                    value: { totp: 'JBSWY3DPEHPK3PXP' }
+                  },
+                  {
+                    id: 'pin',
+                    title: 'Recovery PIN',
+                    value: { concealed: '4321' }
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      ])
+    )
+
+    expect(errors).toEqual([])
+    expect(items).toEqual([
+      {
+        index: 0,
+        type: 'login',
+        data: {
+          title: 'GitHub',
+          username: 'octocat',
+          password: 'hunter2',
+          websites: ['https://github.com', 'https://gist.github.com'],
+          note: 'work account',
+          otp: expect.objectContaining({ secret: 'JBSWY3DPEHPK3PXP' }),
+          customFields: [{ type: 'note', note: 'Recovery PIN: 4321' }]
+        },
+        folder: 'Personal',
+        isFavorite: true
+      }
+    ])
+  })
+
+  test('maps credit cards, identities and other categories', () => {
+    const field = (id, value) => ({ id, title: id, value })
+    const { items } = parseOnePux(
+      toPux([
+        {
+          categoryUuid: '002',
+          overview: { title: 'Visa' },
+          details: {
+            sections: [
+              {
+                fields: [
+                  field('cardholder', { string: 'Alice Doe' }),
+                  field('ccnum', { creditCardNumber: '4111111111111111' }),
+                  field('cvv', { concealed: '123' }),
+                  field('expiry', { monthYear: 202703 })
+                ]
+              }
+            ]
+          }
+        },
+        {
+          categoryUuid: '004',
+          overview: { title: 'Me' },
+          details: {
+            sections: [
+              {
+                fields: [
+                  field('firstname', { string: 'Alice' }),
+                  field('lastname', { string: 'Doe' }),
+                  field('email', { email: { email_address: 'a@example.com' } })
+                ]
+              }
+            ]
+          }
+        },
+        {
+          categoryUuid: '003',
+          overview: { title: 'Wifi' },
+          details: { notesPlain: 'password123' }
+        }
+      ])
+    )
+
+    expect(items.map(({ type, data }) => ({ type, data }))).toEqual([
+      {
+        type: 'creditCard',
+        data: {
+          title: 'Visa',
+          name: 'Alice Doe',
+          number: '4111111111111111',
+          securityCode: '123',
+          expireDate: '03/27'
+        }
+      },
+      {
+        type: 'identity',
+        data: { title: 'Me', fullName: 'Alice Doe', email: 'a@example.com' }
+      },
+      { type: 'note', data: { title: 'Wifi', note: 'password123' } }
+    ])
+  })
+
+  test('rejects archives without export.data', () => {
+    expect(() => parseOnePux(zipSync({ 'other.txt': strToU8('hi') }))).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+    expect(() => parseOnePux(new Uint8Array([1, 2, 3]))).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+})
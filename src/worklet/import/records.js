@@ -0,0 +1,105 @@
+import { RECORD_TYPE } from '../../constants/recordType'
+import { parseOtpInput } from '../otp/index'
+
+/**
+ * A record read from an export, before it gets an id and a vault.
+ * @typedef {Object} ImportItem
+ * @property {number} index - position of the item in the export
+ * @property {string} type - one of `RECORD_TYPE`
+ * @property {Object} data - `record.data`
+ * @property {string} [folder]
+ * @property {boolean} [isFavorite]
+ */
+
+/**
+ * @typedef {Object} ImportItemError
+ * @property {number} index - position of the item in the export
+ * @property {string} [title]
+ * @property {string} error
+ */
+
+/**
+ * @param {string} [url]
+ * @returns {string | undefined} the host, without `www.`
+ */
+export const hostOf = (url) => {
+  const host = String(url ?? '')
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .replace(/^www\./i, '')
+    .split(/[/:?#]/)[0]
+
+  return host || undefined
+}
+
+/**
+ * @param {Array<{ label?: string, value?: string }>} fields
+ * @returns {Array<{ type: 'note', note: string }>}
+ */
+const toCustomFields = (fields) =>
+  fields
+    .filter(({ value }) => value !== undefined && String(value).trim() !== '')
+    .map(({ label, value }) => ({
+      type: 'note',
+      note: label ? `${label}: ${value}` : String(value)
+    }))
+
+/**
+ * Builds an import item, dropping empty values. A TOTP URI or secret becomes
+ * `data.otp`; one that does not parse is kept as a custom field.
+ * @param {Object} params
+ * @param {number} params.index
+ * @param {string} params.type - one of `RECORD_TYPE`
+ * @param {Object} params.data
+ * @param {string} [params.otp] - otpauth:// URI or Base32 secret
+ * @param {Array<{ label?: string, value?: string }>} [params.fields] - extra
+ *   fields without a place in the record type
+ * @param {string} [params.folder]
+ * @param {boolean} [params.isFavorite]
+ * @returns {ImportItem}
+ */
+export const createImportItem = ({
+  index,
+  type,
+  data,
+  otp,
+  fields = [],
+  folder,
+  isFavorite
+}) => {
+  const itemData = {}
+  for (const [key, value] of Object.entries(data)) {
+    if (
+      Array.isArray(value) ? value.length : value !== undefined && value !== ''
+    ) {
+      itemData[key] = value
+    }
+  }
+
+  if (!itemData.title) {
+    itemData.title =
+      hostOf(itemData.websites?.[0]) || itemData.username || 'Untitled'
+  }
+
+  const extraFields = [...fields]
+  if (otp) {
+    try {
+      itemData.otp = parseOtpInput(otp)
+    } catch {
+      extraFields.push({ label: 'OTP', value: otp })
+    }
+  }
+
+  const customFields = toCustomFields(extraFields)
+  if (customFields.length) {
+    itemData.customFields = customFields
+  }
+
+  return {
+    index,
+    type: type ?? RECORD_TYPE.NOTE,
+    data: itemData,
+    ...(folder ? { folder } : {}),
+    ...(isFavorite ? { isFavorite: true } : {})
+  }
+}
@@ -0,0 +1,126 @@
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { vaultError } from '../../utils/vaultError'
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name
+ * @property {Record<string, string>} attributes
+ * @property {Array<XmlElement>} children
+ * @property {string} text - concatenated character data
+ */
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+const decodeEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint =
+        entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(codePoint)
+    }
+
+    return ENTITIES[entity] ?? match
+  })
+
+/**
+ * Parses the XML subset used by password manager exports: elements,
+ * attributes, character data, CDATA and comments. DTDs are skipped, so no
+ * external entities are ever resolved.
+ * @param {string} xml
+ * @returns {XmlElement} the root element
+ */
+export const parseXml = (xml) => {
+  const root = { name: '', attributes: {}, children: [], text: '' }
+  const stack = [root]
+  const invalid = () =>
+    vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid XML document')
+  let offset = 0
+
+  while (offset < xml.length) {
+    const open = xml.indexOf('<', offset)
+    const current = stack[stack.length - 1]
+
+    if (open === -1) {
+      current.text += decodeEntities(xml.slice(offset))
+      break
+    }
+    if (open > offset) {
+      current.text += decodeEntities(xml.slice(offset, open))
+    }
+
+    if (xml.startsWith('<!--', open)) {
+      const end = xml.indexOf('-->', open)
+      if (end === -1) throw invalid()
+      offset = end + 3
+    } else if (xml.startsWith('<![CDATA[', open)) {
+      const end = xml.indexOf(']]>', open)
+      if (end === -1) throw invalid()
+      current.text += xml.slice(open + 9, end)
+      offset = end + 3
+    } else if (xml.startsWith('<?', open)) {
+      const end = xml.indexOf('?>', open)
+      if (end === -1) throw invalid()
+      offset = end + 2
+    } else if (xml.startsWith('<!', open)) {
+      const end = xml.indexOf('>', open)
+      if (end === -1) throw invalid()
+      offset = end + 1
+    } else if (xml[open + 1] === '/') {
+      const end = xml.indexOf('>', open)
+      const name = xml.slice(open + 2, end).trim()
+      if (end === -1 || stack.length < 2 || current.name !== name) {
+        throw invalid()
+      }
+      stack.pop()
+      offset = end + 1
+    } else {
+      const match =
+        /^<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(
+          xml.slice(open, open + 4096)
+        )
+      if (!match) throw invalid()
+
+      const attributes = {}
+      for (const [, key, , doubleQuoted, singleQuoted] of match[2].matchAll(
+        /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      )) {
+        attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted)
+      }
+
+      const element = { name: match[1], attributes, children: [], text: '' }
+      current.children.push(element)
+      if (!match[3]) {
+        stack.push(element)
+      }
+      offset = open + match[0].length
+    }
+  }
+
+  if (stack.length !== 1 || root.children.length !== 1) {
+    throw invalid()
+  }
+
+  return root.children[0]
+}
+
+/**
+ * @param {XmlElement | undefined} element
+ * @param {string} name
+ * @returns {XmlElement | undefined} the first child element with that name
+ */
+export const childElement = (element, name) =>
+  element?.children.find((child) => child.name === name)
+
+/**
+ * @param {XmlElement | undefined} element
+ * @param {string} name
+ * @returns {Array<XmlElement>}
+ */
+export const childElements = (element, name) =>
+  element?.children.filter((child) => child.name === name) ?? []
@@ -0,0 +1,91 @@
+import sodium from 'sodium-native'
+
+import { ERROR_CODES } from '../constants/errorCodes'
+import { KDF_PROFILE } from '../constants/kdfProfile'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * Argon2 parameters stored next to a salt, so a password is derived with the
+ * parameters it was hashed with.
+ * @typedef {Object} KdfParams
+ * @property {string} alg
+ * @property {number} opslimit
+ * @property {number} memlimit
+ */
+
+export const KDF_ALG = 'argon2id13'
+
+const SODIUM_ALGS = {
+  [KDF_ALG]: sodium.crypto_pwhash_ALG_ARGON2ID13
+}
+
+// Records without parameters were hashed with these
+export const LEGACY_KDF_PARAMS = {
+  alg: KDF_ALG,
+  opslimit: sodium.crypto_pwhash_OPSLIMIT_SENSITIVE,
+  memlimit: sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
+}
+
+const KDF_PROFILE_PARAMS = {
+  [KDF_PROFILE.MOBILE]: LEGACY_KDF_PARAMS,
+  [KDF_PROFILE.DESKTOP]: {
+    alg: KDF_ALG,
+    opslimit: sodium.crypto_pwhash_OPSLIMIT_SENSITIVE,
+    memlimit: sodium.crypto_pwhash_MEMLIMIT_MODERATE
+  },
+  [KDF_PROFILE.PARANOID]: {
+    alg: KDF_ALG,
+    opslimit: sodium.crypto_pwhash_OPSLIMIT_SENSITIVE,
+    memlimit: sodium.crypto_pwhash_MEMLIMIT_SENSITIVE
+  }
+}
+
+/**
+ * @param {string} profile - one of `KDF_PROFILE`
+ * @returns {KdfParams}
+ */
+export const getKdfProfileParams = (profile) => {
+  const params = KDF_PROFILE_PARAMS[profile]
+
+  if (!params) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unknown KDF profile', {
+      profile
+    })
+  }
+
+  return params
+}
+
+/**
+ * Checks parameters read from storage before they reach `crypto_pwhash`.
+ * @param {KdfParams | undefined} kdf - missing on legacy records
+ * @returns {{ opslimit: number, memlimit: number, alg: number }} `alg` as
+ *   the sodium constant
+ */
+export const resolveKdfParams = (kdf = LEGACY_KDF_PARAMS) => {
+  const alg = SODIUM_ALGS[kdf.alg]
+
+  if (
+    alg === undefined ||
+    !Number.isInteger(kdf.opslimit) ||
+    !Number.isInteger(kdf.memlimit) ||
+    kdf.opslimit < sodium.crypto_pwhash_OPSLIMIT_MIN ||
+    kdf.opslimit > sodium.crypto_pwhash_OPSLIMIT_SENSITIVE ||
+    kdf.memlimit < sodium.crypto_pwhash_MEMLIMIT_MIN ||
+    kdf.memlimit > sodium.crypto_pwhash_MEMLIMIT_SENSITIVE
+  ) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported KDF parameters')
+  }
+
+  return { opslimit: kdf.opslimit, memlimit: kdf.memlimit, alg }
+}
+
+/**
+ * @param {KdfParams | undefined} kdf - missing on legacy records
+ * @param {KdfParams} policy
+ * @returns {boolean}
+ */
+export const isWeakerKdf = (kdf = LEGACY_KDF_PARAMS, policy) =>
+  kdf.alg !== policy.alg ||
+  kdf.opslimit < policy.opslimit ||
+  kdf.memlimit < policy.memlimit
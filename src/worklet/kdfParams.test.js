@@ -0,0 +1,49 @@
+import sodium from 'sodium-native'
+
+import {
+  LEGACY_KDF_PARAMS,
+  getKdfProfileParams,
+  isWeakerKdf,
+  resolveKdfParams
+} from './kdfParams'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { KDF_PROFILE } from '../constants/kdfProfile'
+
+describe('kdfParams', () => {
+  it('orders the profiles from the legacy parameters up', () => {
+    const mobile = getKdfProfileParams(KDF_PROFILE.MOBILE)
+    const desktop = getKdfProfileParams(KDF_PROFILE.DESKTOP)
+    const paranoid = getKdfProfileParams(KDF_PROFILE.PARANOID)
+
+    expect(mobile).toEqual(LEGACY_KDF_PARAMS)
+    expect(isWeakerKdf(undefined, mobile)).toBe(false)
+    expect(isWeakerKdf(undefined, desktop)).toBe(true)
+    expect(isWeakerKdf(desktop, paranoid)).toBe(true)
+    expect(isWeakerKdf(paranoid, desktop)).toBe(false)
+  })
+
+  it('resolves stored parameters for crypto_pwhash', () => {
+    expect(resolveKdfParams()).toEqual({
+      opslimit: sodium.crypto_pwhash_OPSLIMIT_SENSITIVE,
+      memlimit: sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE,
+      alg: sodium.crypto_pwhash_ALG_ARGON2ID13
+    })
+  })
+
+  it('rejects unknown algorithms and out of range parameters', () => {
+    for (const kdf of [
+      { ...LEGACY_KDF_PARAMS, alg: 'scrypt' },
+      { ...LEGACY_KDF_PARAMS, opslimit: 0 },
+      { ...LEGACY_KDF_PARAMS, memlimit: Number.MAX_SAFE_INTEGER },
+      { ...LEGACY_KDF_PARAMS, memlimit: '67108864' }
+    ]) {
+      expect(() => resolveKdfParams(kdf)).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+      )
+    }
+
+    expect(() => getKdfProfileParams('fast')).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+})
@@ -0,0 +1,287 @@
+import { constantTimeHashCompare } from '@tetherto/pearpass-utils-password-check'
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+import { decryptVaultKey } from './decryptVaultKey'
+import { encryptVaultWithKey } from './encryptVaultWithKey'
+import { getDecryptionKey } from './getDecryptionKey'
+import { hashPassword } from './hashPassword'
+import { generateRecoveryKey, getRecoveryKeySecret } from './recoveryKey'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { KEY_SLOT_TYPE } from '../constants/keySlotType'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * Like LUKS keyslots, every slot wraps the same vault key with a key derived
+ * from a different secret, so any one of them unlocks the vaults and a
+ * secret is changed or revoked without touching the others.
+ * @typedef {Object} KeySlot
+ * @property {string} id
+ * @property {string} type - one of `KEY_SLOT_TYPE`
+ * @property {string} ciphertext
+ * @property {string} nonce
+ * @property {string} [salt] - Argon2id salt of password and PIN slots
+ * @property {import('./kdfParams').KdfParams} [kdf] - Argon2id parameters of
+ *   password and PIN slots, legacy ones when missing
+ * @property {{ ciphertext: string, nonce: string }} [sealedHashedPassword] -
+ *   PIN slots only, so the PIN alone opens the vaults list
+ * @property {string} [label]
+ * @property {number | null} createdAt
+ */
+
+const DEVICE_KEY_BYTES = 32
+const SLOT_ID_BYTES = 8
+
+export const PASSWORD_SLOT_ID = 'password'
+
+// Types with at most one slot; a new slot replaces the previous one
+export const SINGLE_SLOT_TYPES = [
+  KEY_SLOT_TYPE.PASSWORD,
+  KEY_SLOT_TYPE.RECOVERY,
+  KEY_SLOT_TYPE.PIN
+]
+
+/**
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const isKeySlotType = (type) =>
+  Object.values(KEY_SLOT_TYPE).includes(type)
+
+/**
+ * @returns {{ secret: string, wrappingKey: string }} `secret` base64, for the
+ *   OS keystore
+ */
+const generateDeviceKey = () => {
+  const key = sodium.sodium_malloc(DEVICE_KEY_BYTES)
+
+  try {
+    sodium.randombytes_buf(key)
+
+    return { secret: key.toString('base64'), wrappingKey: key.toString('hex') }
+  } finally {
+    sodium.sodium_memzero(key)
+    sodium.sodium_free(key)
+  }
+}
+
+/**
+ * @param {string} deviceKey - base64
+ * @returns {string} hex
+ */
+const getDeviceKeySecret = (deviceKey) => {
+  const key =
+    typeof deviceKey === 'string' ? b4a.from(deviceKey, 'base64') : null
+
+  if (key?.byteLength !== DEVICE_KEY_BYTES) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid device key')
+  }
+
+  return b4a.toString(key, 'hex')
+}
+
+/**
+ * @param {unknown} deviceKey
+ * @returns {boolean} whether `deviceKey` is a base64 device key
+ */
+export const isDeviceKey = (deviceKey) =>
+  typeof deviceKey === 'string' &&
+  b4a.byteLength(deviceKey, 'base64') === DEVICE_KEY_BYTES
+
+/**
+ * A PIN is too short to survive an offline guess on its own, so its slot is
+ * bound to a device key kept in the OS keystore as well.
+ * @param {string} pinKey - hex, Argon2id of the PIN
+ * @param {string} deviceKey - base64
+ * @returns {string} hex
+ */
+const bindToDevice = (pinKey, deviceKey) => {
+  const key = b4a.from(getDeviceKeySecret(deviceKey), 'hex')
+  const bound = sodium.sodium_malloc(sodium.crypto_secretbox_KEYBYTES)
+
+  try {
+    sodium.crypto_generichash(bound, b4a.from(pinKey, 'hex'), key)
+
+    return bound.toString('hex')
+  } finally {
+    sodium.sodium_memzero(key)
+    sodium.sodium_memzero(bound)
+    sodium.sodium_free(bound)
+  }
+}
+
+/**
+ * @param {KeySlot} slot
+ * @param {string} secret - base64 password or PIN, recovery words, or base64
+ *   device key
+ * @param {string} [deviceKey] - base64, the second factor of PIN slots
+ * @returns {string} hex key wrapping the vault key
+ */
+const deriveWrappingKey = (slot, secret, deviceKey) => {
+  switch (slot.type) {
+    case KEY_SLOT_TYPE.PASSWORD:
+      return getDecryptionKey({
+        salt: slot.salt,
+        password: secret,
+        kdf: slot.kdf
+      })
+    case KEY_SLOT_TYPE.PIN:
+      return bindToDevice(
+        getDecryptionKey({ salt: slot.salt, password: secret, kdf: slot.kdf }),
+        deviceKey
+      )
+    case KEY_SLOT_TYPE.RECOVERY:
+      return getRecoveryKeySecret(secret)
+    case KEY_SLOT_TYPE.DEVICE:
+      return getDeviceKeySecret(secret)
+    default:
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported key slot type')
+  }
+}
+
+/**
+ * @param {string} wrappingKey - hex
+ * @param {string} vaultKey - base64
+ * @returns {{ ciphertext: string, nonce: string }}
+ */
+export const wrapVaultKey = (wrappingKey, vaultKey) => {
+  const { ciphertext, nonce } = encryptVaultWithKey(wrappingKey, vaultKey)
+
+  const verifyKey = decryptVaultKey({
+    ciphertext,
+    nonce,
+    hashedPassword: wrappingKey
+  })
+
+  if (!constantTimeHashCompare(verifyKey, vaultKey, 'base64')) {
+    throw new Error('Failed to verify key slot encryption')
+  }
+
+  return { ciphertext, nonce }
+}
+
+/**
+ * Creates a PIN, recovery or device slot. Recovery keys and device keys are
+ * generated and returned as `secret`; they are not stored anywhere else. PIN
+ * slots get a device key of their own.
+ * @param {Object} params
+ * @param {string} params.type
+ * @param {string} [params.secret] - base64 PIN
+ * @param {string} params.vaultKey - base64
+ * @param {string} [params.hashedPassword] - required for PIN slots
+ * @param {import('./kdfParams').KdfParams} [params.kdf] - for the PIN
+ * @param {string} [params.label]
+ * @returns {{ slot: KeySlot, secret?: string }}
+ */
+export const createKeySlot = ({
+  type,
+  secret,
+  vaultKey,
+  hashedPassword,
+  kdf,
+  label
+}) => {
+  let wrappingKey
+  let salt
+  let generated
+  let sealedHashedPassword
+
+  switch (type) {
+    case KEY_SLOT_TYPE.PIN: {
+      if (!secret || !hashedPassword) {
+        throw vaultError(
+          ERROR_CODES.INVALID_INPUT,
+          'PIN and hashed password are required'
+        )
+      }
+      const { hashedPassword: pinKey, salt: pinSalt } = hashPassword(
+        secret,
+        kdf
+      )
+      const { secret: deviceKey } = generateDeviceKey()
+
+      salt = pinSalt
+      generated = deviceKey
+      wrappingKey = bindToDevice(pinKey, deviceKey)
+      sealedHashedPassword = encryptVaultWithKey(
+        wrappingKey,
+        b4a.toString(b4a.from(hashedPassword, 'hex'), 'base64')
+      )
+      break
+    }
+    case KEY_SLOT_TYPE.RECOVERY:
+      ;({ recoveryKey: generated, secret: wrappingKey } = generateRecoveryKey())
+      break
+    case KEY_SLOT_TYPE.DEVICE:
+      ;({ secret: generated, wrappingKey } = generateDeviceKey())
+      break
+    default:
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported key slot type')
+  }
+
+  const id = b4a.alloc(SLOT_ID_BYTES)
+  sodium.randombytes_buf(id)
+
+  const slot = {
+    id: b4a.toString(id, 'hex'),
+    type,
+    ...wrapVaultKey(wrappingKey, vaultKey),
+    ...(salt ? { salt } : {}),
+    ...(salt && kdf ? { kdf } : {}),
+    ...(sealedHashedPassword ? { sealedHashedPassword } : {}),
+    ...(label ? { label } : {}),
+    createdAt: Date.now()
+  }
+
+  return generated ? { slot, secret: generated } : { slot }
+}
+
+/**
+ * @param {KeySlot} slot
+ * @param {string} secret
+ * @param {string} [deviceKey] - base64, required for PIN slots
+ * @returns {{ vaultKey: string | undefined, wrappingKey: string, hashedPassword: string | undefined }}
+ *   `vaultKey` is undefined when `secret` does not open the slot.
+ *   `hashedPassword` is only known to password and PIN slots.
+ */
+export const unwrapKeySlot = (slot, secret, deviceKey) => {
+  const wrappingKey = deriveWrappingKey(slot, secret, deviceKey)
+
+  const vaultKey = decryptVaultKey({
+    ciphertext: slot.ciphertext,
+    nonce: slot.nonce,
+    hashedPassword: wrappingKey
+  })
+
+  if (!vaultKey) {
+    return { vaultKey, wrappingKey, hashedPassword: undefined }
+  }
+
+  if (slot.type === KEY_SLOT_TYPE.PASSWORD) {
+    return { vaultKey, wrappingKey, hashedPassword: wrappingKey }
+  }
+
+  const sealed = slot.sealedHashedPassword
+    ? decryptVaultKey({
+        ...slot.sealedHashedPassword,
+        hashedPassword: wrappingKey
+      })
+    : undefined
+
+  return {
+    vaultKey,
+    wrappingKey,
+    hashedPassword: sealed && b4a.toString(b4a.from(sealed, 'base64'), 'hex')
+  }
+}
+
+/**
+ * @param {KeySlot} slot
+ * @returns {{ id: string, type: string, label: string | null, createdAt: number | null }}
+ */
+export const describeKeySlot = ({ id, type, label, createdAt }) => ({
+  id,
+  type,
+  label: label ?? null,
+  createdAt: createdAt ?? null
+})
@@ -0,0 +1,89 @@
+import sodium from 'sodium-native'
+
+import { createKeySlot, describeKeySlot, unwrapKeySlot } from './keySlots'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { KEY_SLOT_TYPE } from '../constants/keySlotType'
+
+jest.mock('@tetherto/pearpass-utils-password-check', () => ({
+  constantTimeHashCompare: (a, b) => a === b
+}))
+
+const randomVaultKey = () => {
+  const key = Buffer.alloc(32)
+  sodium.randombytes_buf(key)
+  return key.toString('base64')
+}
+
+describe('keySlots', () => {
+  const vaultKey = randomVaultKey()
+
+  it('wraps the vault key with a generated device key', () => {
+    const { slot, secret } = createKeySlot({
+      type: KEY_SLOT_TYPE.DEVICE,
+      vaultKey,
+      label: 'Phone'
+    })
+
+    expect(describeKeySlot(slot)).toEqual({
+      id: expect.stringMatching(/^[0-9a-f]{16}$/),
+      type: KEY_SLOT_TYPE.DEVICE,
+      label: 'Phone',
+      createdAt: expect.any(Number)
+    })
+    expect(slot.salt).toBeUndefined()
+    expect(unwrapKeySlot(slot, secret).vaultKey).toBe(vaultKey)
+    expect(
+      unwrapKeySlot(slot, Buffer.alloc(32).toString('base64')).vaultKey
+    ).toBeUndefined()
+    expect(() => unwrapKeySlot(slot, 'c2hvcnQ=')).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+
+  it('wraps the vault key with a generated recovery key', () => {
+    const { slot, secret } = createKeySlot({
+      type: KEY_SLOT_TYPE.RECOVERY,
+      vaultKey
+    })
+
+    expect(secret.split(' ')).toHaveLength(24)
+    expect(unwrapKeySlot(slot, secret.toUpperCase()).vaultKey).toBe(vaultKey)
+  })
+
+  it('binds a PIN slot to a generated device key', () => {
+    const pin = Buffer.from('123456').toString('base64')
+    const hashedPassword = 'ab'.repeat(32)
+    const { slot, secret: deviceKey } = createKeySlot({
+      type: KEY_SLOT_TYPE.PIN,
+      secret: pin,
+      vaultKey,
+      hashedPassword
+    })
+
+    expect(Buffer.from(deviceKey, 'base64')).toHaveLength(32)
+    expect(slot.salt).toEqual(expect.any(String))
+    expect(unwrapKeySlot(slot, pin, deviceKey)).toMatchObject({
+      vaultKey,
+      hashedPassword
+    })
+    expect(
+      unwrapKeySlot(slot, pin, Buffer.alloc(32).toString('base64')).vaultKey
+    ).toBeUndefined()
+    expect(() => unwrapKeySlot(slot, pin)).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+
+  it('rejects password slots and incomplete PIN slots', () => {
+    for (const params of [
+      { type: KEY_SLOT_TYPE.PASSWORD, secret: 'cHc=' },
+      { type: KEY_SLOT_TYPE.PIN, hashedPassword: 'ab'.repeat(32) },
+      { type: KEY_SLOT_TYPE.PIN, secret: 'MTIzNA==' },
+      { type: 'fingerprint' }
+    ]) {
+      expect(() => createKeySlot({ ...params, vaultKey })).toThrow(
+        expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+      )
+    }
+  })
+})
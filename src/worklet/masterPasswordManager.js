@@ -6,6 +6,9 @@ import {
   getIsEncryptionInitialized,
   encryptionInit,
   rateLimitRecordFailure,
+  pinRateLimitRecordFailure,
+  getPinRemainingAttempts,
+  resetPinRateLimit,
   vaultsAdd,
   closeVaultsInstance,
   vaultsGet,
@@ -13,10 +16,11 @@ import {
   masterVaultInit,
   masterVaultInitWithNewBlindEncryption,
   vaultsList,
-  closeActiveVaultInstance,
+  closeAllVaultInstances,
   initActiveVaultInstance,
-  getIsActiveVaultInitialized,
+  openVaultInstance,
   activeVaultGet,
+  getIsActiveVaultInitialized,
   initInstanceWithNewBlindEncryption
 } from './appDeps'
 import { decryptVaultKey } from './decryptVaultKey'
@@ -24,8 +28,53 @@ import { encryptVaultKeyWithHashedPassword } from './encryptVaultKeyWithHashedPa
 import { encryptVaultWithKey } from './encryptVaultWithKey'
 import { getDecryptionKey } from './getDecryptionKey'
 import { hashPassword } from './hashPassword'
+import { getKdfProfileParams, isWeakerKdf } from './kdfParams'
+import {
+  PASSWORD_SLOT_ID,
+  SINGLE_SLOT_TYPES,
+  createKeySlot,
+  describeKeySlot,
+  isDeviceKey,
+  isKeySlotType,
+  unwrapKeySlot
+} from './keySlots'
+import { workletLogger } from './utils/workletLogger'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { KDF_PROFILE } from '../constants/kdfProfile'
+import { KEY_SLOT_TYPE } from '../constants/keySlotType'
+import { vaultError } from '../utils/vaultError'
 
 class MasterPasswordManager {
+  constructor() {
+    this.kdfProfile = KDF_PROFILE.MOBILE
+    /**
+     * Key slots are tried one attempt at a time, so that concurrent guesses
+     * each count against the rate limits.
+     * @type {Promise<void>}
+     */
+    this.keySlotAttempts = Promise.resolve()
+  }
+
+  /**
+   * Chooses the Argon2 parameters of new password and PIN hashes. Passwords
+   * hashed with weaker ones are re-hashed on the next unlock. Lives in
+   * memory, so it is sent again on each start.
+   * @param {{ profile: string }} params - one of `KDF_PROFILE`
+   * @returns {{ profile: string, kdf: import('./kdfParams').KdfParams }}
+   */
+  setKdfProfile({ profile }) {
+    const kdf = getKdfProfileParams(profile)
+    this.kdfProfile = profile
+
+    return { profile, kdf }
+  }
+
+  /**
+   * @returns {import('./kdfParams').KdfParams}
+   */
+  getKdfPolicy() {
+    return getKdfProfileParams(this.kdfProfile)
+  }
   async ensureEncryptionInitialized() {
     if (!getIsEncryptionInitialized()) {
       await encryptionInit()
@@ -53,17 +102,21 @@ class MasterPasswordManager {
 
   async createMasterPassword({ passwordBase64 }) {
     if (!passwordBase64) {
-      throw new Error('Password is required')
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Password is required')
     }
 
     await this.ensureEncryptionInitialized()
 
     const existing = await encryptionGet('masterPassword')
     if (existing) {
-      throw new Error('Master password already exists')
+      throw vaultError(
+        ERROR_CODES.MASTER_PASSWORD_EXISTS,
+        'Master password already exists'
+      )
     }
 
-    const { hashedPassword, salt } = hashPassword(passwordBase64)
+    const kdf = this.getKdfPolicy()
+    const { hashedPassword, salt } = hashPassword(passwordBase64, kdf)
     const { ciphertext, nonce } =
       encryptVaultKeyWithHashedPassword(hashedPassword)
 
@@ -74,7 +127,7 @@ class MasterPasswordManager {
     })
 
     if (!decryptedKey) {
-      throw new Error('Error decrypting vault key')
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Error decrypting vault key')
     }
 
     await this.ensureVaultsInitialized({
@@ -86,109 +139,405 @@ class MasterPasswordManager {
       ciphertext,
       nonce,
       salt,
+      kdf,
       hashedPassword
     })
 
     await closeVaultsInstance()
 
+    await this.savePasswordSlot({ ciphertext, nonce, salt, kdf })
+
+    return { hashedPassword, salt, ciphertext, nonce }
+  }
+
+  /**
+   * @returns {Promise<Array<import('./keySlots').KeySlot>>}
+   */
+  async readKeySlots() {
+    const table = await encryptionGet('keySlots')
+    if (Array.isArray(table?.slots)) {
+      return table.slots
+    }
+
+    // Stores created before key slots only hold the password
+    const legacy = await encryptionGet('masterPassword')
+    if (!legacy) {
+      return []
+    }
+
+    const { ciphertext, nonce, salt, kdf } = legacy
+    return [
+      {
+        id: PASSWORD_SLOT_ID,
+        type: KEY_SLOT_TYPE.PASSWORD,
+        ciphertext,
+        nonce,
+        salt,
+        ...(kdf ? { kdf } : {}),
+        createdAt: null
+      }
+    ]
+  }
+
+  /**
+   * @param {Array<import('./keySlots').KeySlot>} slots
+   * @returns {Promise<void>}
+   */
+  async writeKeySlots(slots) {
+    await encryptionAdd('keySlots', { slots })
+  }
+
+  /**
+   * Replaces the password slot. `masterPassword` keeps a copy for clients
+   * that read it directly. PIN slots seal the previous hashed password and
+   * are dropped; the PIN is set up again.
+   * @param {{ ciphertext: string, nonce: string, salt: string, kdf: import('./kdfParams').KdfParams }} params
+   * @returns {Promise<void>}
+   */
+  async savePasswordSlot({ ciphertext, nonce, salt, kdf }) {
+    const slots = await this.readKeySlots()
+
+    await this.writeKeySlots([
+      {
+        id: PASSWORD_SLOT_ID,
+        type: KEY_SLOT_TYPE.PASSWORD,
+        ciphertext,
+        nonce,
+        salt,
+        kdf,
+        createdAt: Date.now()
+      },
+      ...slots.filter(
+        ({ type }) =>
+          type !== KEY_SLOT_TYPE.PASSWORD && type !== KEY_SLOT_TYPE.PIN
+      )
+    ])
+
     await encryptionAdd('masterPassword', {
       ciphertext,
       nonce,
-      salt
+      salt,
+      kdf
     })
+  }
 
-    return { hashedPassword, salt, ciphertext, nonce }
+  /**
+   * Unwraps the vault key with the first slot of `slotType` that `secret`
+   * opens. Wrong PINs always count, towards a cap of their own; once it is
+   * reached the PIN slots are wiped.
+   * @param {Object} params
+   * @param {string} params.slotType
+   * @param {string} params.secret
+   * @param {string} [params.slotId] - only try this slot
+   * @param {string} [params.deviceKey] - base64, required for PIN slots
+   * @param {boolean} [params.recordFailure] - count a wrong secret towards
+   *   the failed master password attempts
+   * @returns {Promise<{ slot: import('./keySlots').KeySlot, vaultKey: string, wrappingKey: string, hashedPassword: string | undefined }>}
+   */
+  openKeySlot(params) {
+    const attempt = this.keySlotAttempts.then(() => this.tryKeySlots(params))
+    this.keySlotAttempts = attempt.catch(() => {})
+    return attempt
   }
 
-  async initWithPassword({ passwordBase64 }) {
-    if (!passwordBase64) {
-      throw new Error('Password is required')
+  /**
+   * `openKeySlot` without waiting for other attempts. A PIN attempt is
+   * counted before the PIN is derived and cleared once it opens a slot.
+   */
+  async tryKeySlots({
+    slotType,
+    secret,
+    slotId,
+    deviceKey,
+    recordFailure = false
+  }) {
+    if (!isKeySlotType(slotType) || !secret) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'A key slot type and secret are required'
+      )
     }
 
-    if (getIsVaultsInitialized()) {
-      const masterEncryption = await vaultsGet('masterEncryption')
+    await this.ensureEncryptionInitialized()
+
+    const slots = (await this.readKeySlots()).filter(
+      ({ id, type }) => type === slotType && (!slotId || id === slotId)
+    )
 
-      if (!masterEncryption) {
-        throw new Error('Master encryption not found')
+    if (!slots.length) {
+      if (slotType === KEY_SLOT_TYPE.PASSWORD) {
+        throw vaultError(
+          ERROR_CODES.MASTER_PASSWORD_NOT_SET,
+          'Master password not set'
+        )
       }
 
-      const derived = getDecryptionKey({
-        salt: masterEncryption.salt,
-        password: passwordBase64
+      throw vaultError(ERROR_CODES.KEY_SLOT_NOT_FOUND, 'Key slot not found', {
+        slotType,
+        slotId
       })
+    }
 
-      if (!constantTimeHashCompare(masterEncryption.hashedPassword, derived)) {
-        throw new Error(
-          'Provided credentials do not match existing master encryption'
-        )
+    const isPin = slotType === KEY_SLOT_TYPE.PIN
+    if (isPin && !isDeviceKey(deviceKey)) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid device key')
+    }
+
+    const remainingAttempts = isPin
+      ? await pinRateLimitRecordFailure()
+      : undefined
+
+    for (const slot of slots) {
+      const opened = unwrapKeySlot(slot, secret, deviceKey)
+      if (opened.vaultKey) {
+        if (isPin) {
+          await resetPinRateLimit()
+        }
+
+        return { slot, ...opened }
       }
+    }
 
-      return { success: true }
+    if (isPin) {
+      await this.failPinAttempt(remainingAttempts)
+    } else if (recordFailure) {
+      await rateLimitRecordFailure()
     }
 
-    await this.ensureEncryptionInitialized()
+    throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Error decrypting vault key')
+  }
 
-    const encryptionGetRes = await encryptionGet('masterPassword')
-    if (!encryptionGetRes) {
-      throw new Error('Master password not set')
+  /**
+   * @param {number} remainingAttempts - left after the failed attempt
+   * @returns {Promise<void>} throws, wiping the PIN slots once the last
+   *   attempt is used up
+   */
+  async failPinAttempt(remainingAttempts) {
+    if (remainingAttempts > 0) {
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Invalid PIN', {
+        remainingAttempts
+      })
     }
 
-    const { ciphertext, nonce, salt } = encryptionGetRes
+    const slots = await this.readKeySlots()
+    await this.writeKeySlots(
+      slots.filter(({ type }) => type !== KEY_SLOT_TYPE.PIN)
+    )
+    await resetPinRateLimit()
 
-    const hashedPassword = getDecryptionKey({
-      salt,
-      password: passwordBase64
-    })
+    throw vaultError(
+      ERROR_CODES.KEY_SLOT_WIPED,
+      'Too many failed PIN attempts, the PIN was removed'
+    )
+  }
 
-    const decryptVaultKeyRes = decryptVaultKey({
-      ciphertext,
-      nonce,
-      hashedPassword
-    })
+  /**
+   * @returns {Promise<{ isSet: boolean, remainingAttempts: number }>}
+   */
+  async getPinStatus() {
+    const slots = await this.listKeySlots()
 
-    if (!decryptVaultKeyRes) {
-      await rateLimitRecordFailure()
-      throw new Error('Error decrypting vault key')
+    return {
+      isSet: slots.some(({ type }) => type === KEY_SLOT_TYPE.PIN),
+      remainingAttempts: await getPinRemainingAttempts()
     }
+  }
 
+  /**
+   * Reads the hashed password blind encryption needs from the vaults list,
+   * opening it for a moment when the vaults are locked.
+   * @param {string} vaultKey - base64
+   * @returns {Promise<string>}
+   */
+  async readHashedPassword(vaultKey) {
+    const isOpen = getIsVaultsInitialized()
+    if (!isOpen) {
+      await masterVaultInit({ encryptionKey: vaultKey })
+    }
+
+    const masterEncryption = await vaultsGet('masterEncryption')
+
+    if (!isOpen) {
+      await closeVaultsInstance()
+    }
+
+    if (!masterEncryption?.hashedPassword) {
+      throw vaultError(
+        ERROR_CODES.MASTER_PASSWORD_NOT_SET,
+        'Master encryption not found'
+      )
+    }
+
+    return masterEncryption.hashedPassword
+  }
+
+  /**
+   * Opens the vaults list with the vault key. Only password and PIN slots
+   * yield the hashed password blind encryption needs, for other slots it is
+   * read from the vaults list first.
+   * @param {{ vaultKey: string, hashedPassword?: string }} params
+   * @returns {Promise<void>}
+   */
+  async initVaults({ vaultKey, hashedPassword }) {
     await masterVaultInit({
-      encryptionKey: decryptVaultKeyRes,
-      hashedPassword
+      encryptionKey: vaultKey,
+      hashedPassword:
+        hashedPassword ?? (await this.readHashedPassword(vaultKey))
     })
+  }
+
+  /**
+   * Unlocks the vaults with any key slot. When they are already unlocked,
+   * only checks the secret.
+   * @param {Object} params
+   * @param {string} params.slotType - one of `KEY_SLOT_TYPE`
+   * @param {string} params.secret - base64 password or PIN, recovery words,
+   *   or base64 device key
+   * @param {string} [params.slotId] - only try this slot
+   * @param {string} [params.deviceKey] - base64, required for PIN slots
+   * @returns {Promise<{ success: true }>}
+   */
+  async unlock({ slotType, secret, slotId, deviceKey }) {
+    if (!secret) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Secret is required')
+    }
+
+    if (slotType === KEY_SLOT_TYPE.PASSWORD && getIsVaultsInitialized()) {
+      return this.verifyPassword(secret)
+    }
+
+    const opened = await this.openKeySlot({
+      slotType,
+      secret,
+      slotId,
+      deviceKey,
+      recordFailure: true
+    })
+
+    if (!getIsVaultsInitialized()) {
+      await this.initVaults({
+        vaultKey: opened.vaultKey,
+        hashedPassword: opened.hashedPassword
+      })
+    }
+
+    if (
+      slotType === KEY_SLOT_TYPE.PASSWORD &&
+      isWeakerKdf(opened.slot.kdf, this.getKdfPolicy())
+    ) {
+      await this.upgradeKdf({ password: secret, ...opened })
+    }
 
     return { success: true }
   }
 
-  async updateMasterPassword({ newPassword, currentPassword }) {
-    if (!newPassword || !currentPassword) {
-      throw new Error('New and current passwords are required')
+  /**
+   * Re-hashes the password with the current KDF profile. Like a password
+   * change it re-keys the blind encryption and drops the PIN slot. The unlock
+   * stands when it fails, the upgrade is tried again next time.
+   * @param {{ password: string, vaultKey: string, hashedPassword: string }} params
+   * @returns {Promise<void>}
+   */
+  async upgradeKdf({ password, vaultKey, hashedPassword }) {
+    try {
+      // No vault is open yet on a cold unlock
+      const activeVault = getIsActiveVaultInitialized()
+        ? await activeVaultGet('vault')
+        : undefined
+
+      await this.rewrapVaultKey({
+        vaultKey,
+        newPassword: password,
+        currentHashedPassword: hashedPassword,
+        activeVaultId: activeVault?.id
+      })
+    } catch (error) {
+      workletLogger.error('KDF upgrade failed:', error)
+    }
+  }
+
+  /**
+   * @deprecated use `unlock` with a password slot
+   */
+  async initWithPassword({ passwordBase64 }) {
+    if (!passwordBase64) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Password is required')
     }
 
+    return this.unlock({
+      slotType: KEY_SLOT_TYPE.PASSWORD,
+      secret: passwordBase64
+    })
+  }
+
+  /**
+   * Checks the password of unlocked vaults against the vaults list.
+   * @param {string} passwordBase64
+   * @returns {Promise<{ success: true }>}
+   */
+  async verifyPassword(passwordBase64) {
+    const masterEncryption = await vaultsGet('masterEncryption')
+
+    if (!masterEncryption) {
+      throw vaultError(
+        ERROR_CODES.MASTER_PASSWORD_NOT_SET,
+        'Master encryption not found'
+      )
+    }
+
+    const derived = getDecryptionKey({
+      salt: masterEncryption.salt,
+      password: passwordBase64,
+      kdf: masterEncryption.kdf
+    })
+
+    if (!constantTimeHashCompare(masterEncryption.hashedPassword, derived)) {
+      throw vaultError(
+        ERROR_CODES.BAD_PASSWORD,
+        'Provided credentials do not match existing master encryption'
+      )
+    }
+
+    return { success: true }
+  }
+
+  /**
+   * Checks `password` against the master encryption and unwraps the vault key
+   * with it.
+   * @param {string} password - base64
+   * @returns {Promise<{ vaultKey: string, currentHashedPassword: string | undefined }>}
+   */
+  async unwrapVaultKey(password) {
     await this.ensureEncryptionInitialized()
 
     const masterEncryption = await this.getExistingMasterEncryption()
 
     if (!masterEncryption) {
-      throw new Error('Master password not found')
+      throw vaultError(
+        ERROR_CODES.MASTER_PASSWORD_NOT_SET,
+        'Master password not found'
+      )
     }
 
     const {
       ciphertext: currentCiphertext,
       nonce: currentNonce,
       salt: currentSalt,
+      kdf: currentKdf,
       hashedPassword: currentHashedPassword
     } = masterEncryption
 
     const derivedCurrent = getDecryptionKey({
       salt: currentSalt,
-      password: currentPassword
+      password,
+      kdf: currentKdf
     })
 
     if (
       currentHashedPassword &&
       !constantTimeHashCompare(currentHashedPassword, derivedCurrent)
     ) {
-      throw new Error('Invalid password')
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Invalid password')
     }
 
     const currentVaultKey = decryptVaultKey({
@@ -198,11 +547,55 @@ class MasterPasswordManager {
     })
 
     if (!currentVaultKey) {
-      throw new Error('Error decrypting vault key')
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Error decrypting vault key')
     }
 
-    const { hashedPassword: newHashedPassword, salt: newSalt } =
-      hashPassword(newPassword)
+    return { vaultKey: currentVaultKey, currentHashedPassword }
+  }
+
+  async updateMasterPassword({ newPassword, currentPassword }) {
+    if (!newPassword || !currentPassword) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'New and current passwords are required'
+      )
+    }
+
+    const { vaultKey, currentHashedPassword } =
+      await this.unwrapVaultKey(currentPassword)
+
+    // Get active vault info before closing anything
+    const activeVault = await activeVaultGet('vault')
+
+    return this.rewrapVaultKey({
+      vaultKey,
+      newPassword,
+      currentHashedPassword,
+      activeVaultId: activeVault?.id
+    })
+  }
+
+  /**
+   * Wraps the vault key with a new master password and re-keys the blind
+   * encryption of the vaults list and of every vault.
+   * @param {Object} params
+   * @param {string} params.vaultKey - base64
+   * @param {string} params.newPassword - base64
+   * @param {string} params.currentHashedPassword
+   * @param {string | undefined} params.activeVaultId - reopened afterwards
+   * @returns {Promise<{ hashedPassword: string, salt: string, ciphertext: string, nonce: string }>}
+   */
+  async rewrapVaultKey({
+    vaultKey: currentVaultKey,
+    newPassword,
+    currentHashedPassword,
+    activeVaultId
+  }) {
+    const kdf = this.getKdfPolicy()
+    const { hashedPassword: newHashedPassword, salt: newSalt } = hashPassword(
+      newPassword,
+      kdf
+    )
 
     const { ciphertext, nonce } = encryptVaultWithKey(
       newHashedPassword,
@@ -219,10 +612,6 @@ class MasterPasswordManager {
       throw new Error('Failed to verify new password encryption')
     }
 
-    // Get active vault info before closing anything
-    const activeVault = await activeVaultGet('vault')
-    const activeVaultId = activeVault?.id
-
     await closeVaultsInstance()
 
     await masterVaultInitWithNewBlindEncryption({
@@ -235,14 +624,11 @@ class MasterPasswordManager {
       ciphertext,
       nonce,
       salt: newSalt,
+      kdf,
       hashedPassword: newHashedPassword
     })
 
-    await encryptionAdd('masterPassword', {
-      ciphertext,
-      nonce,
-      salt: newSalt
-    })
+    await this.savePasswordSlot({ ciphertext, nonce, salt: newSalt, kdf })
 
     // Update blind encryption for all vaults
     await this.updateAllVaultsBlindEncryption({
@@ -260,9 +646,178 @@ class MasterPasswordManager {
     }
   }
 
+  /**
+   * @returns {Promise<Array<{ id: string, type: string, label: string | null, createdAt: number | null }>>}
+   */
+  async listKeySlots() {
+    await this.ensureEncryptionInitialized()
+
+    return (await this.readKeySlots()).map(describeKeySlot)
+  }
+
+  /**
+   * Adds a PIN, recovery or device slot, authorized by a secret of an
+   * existing slot. A new PIN or recovery slot replaces the previous one; the
+   * password slot changes through `updateMasterPassword` only.
+   * @param {Object} params
+   * @param {string} params.slotType
+   * @param {string} [params.secret] - base64 PIN
+   * @param {string} [params.label]
+   * @param {{ slotType: string, secret: string, slotId?: string, deviceKey?: string }} params.auth
+   * @returns {Promise<{ slot: { id: string, type: string, label: string | null, createdAt: number }, secret?: string }>}
+   *   `secret` is the generated recovery key or base64 device key. The
+   *   device key of a PIN slot is needed next to the PIN to unlock.
+   */
+  async addKeySlot({ slotType, secret, label, auth }) {
+    if (!isKeySlotType(slotType) || slotType === KEY_SLOT_TYPE.PASSWORD) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported key slot type')
+    }
+
+    const opened = await this.openKeySlot({ ...auth })
+    const hashedPassword =
+      slotType === KEY_SLOT_TYPE.PIN
+        ? (opened.hashedPassword ??
+          (await this.readHashedPassword(opened.vaultKey)))
+        : undefined
+
+    const created = createKeySlot({
+      type: slotType,
+      secret,
+      vaultKey: opened.vaultKey,
+      hashedPassword,
+      kdf: this.getKdfPolicy(),
+      label
+    })
+    const slots = await this.readKeySlots()
+
+    await this.writeKeySlots([
+      ...slots.filter(
+        ({ type }) =>
+          !(SINGLE_SLOT_TYPES.includes(slotType) && type === slotType)
+      ),
+      created.slot
+    ])
+
+    if (slotType === KEY_SLOT_TYPE.PIN) {
+      await resetPinRateLimit()
+    }
+
+    return { ...created, slot: describeKeySlot(created.slot) }
+  }
+
+  /**
+   * Removes a slot; its secret no longer unlocks the vaults. Requires
+   * unlocked vaults.
+   * @param {{ slotId: string }} params
+   * @returns {Promise<{ success: true }>}
+   */
+  async removeKeySlot({ slotId }) {
+    if (!getIsVaultsInitialized()) {
+      throw vaultError(ERROR_CODES.NOT_AUTHENTICATED, 'Not authenticated')
+    }
+
+    await this.ensureEncryptionInitialized()
+
+    const slots = await this.readKeySlots()
+    const slot = slots.find(({ id }) => id === slotId)
+
+    if (!slot) {
+      throw vaultError(ERROR_CODES.KEY_SLOT_NOT_FOUND, 'Key slot not found', {
+        slotId
+      })
+    }
+
+    if (slot.type === KEY_SLOT_TYPE.PASSWORD) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'The master password slot cannot be removed'
+      )
+    }
+
+    await this.writeKeySlots(slots.filter(({ id }) => id !== slotId))
+
+    return { success: true }
+  }
+
+  /**
+   * Generates a recovery key and adds it as a key slot. A previous recovery
+   * key stops working.
+   * @param {{ password: string }} params - current master password, base64
+   * @returns {Promise<{ recoveryKey: string, createdAt: number }>}
+   */
+  async createRecoveryKey({ password }) {
+    if (!password) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Password is required')
+    }
+
+    const { slot, secret } = await this.addKeySlot({
+      slotType: KEY_SLOT_TYPE.RECOVERY,
+      auth: { slotType: KEY_SLOT_TYPE.PASSWORD, secret: password }
+    })
+
+    return { recoveryKey: secret, createdAt: slot.createdAt }
+  }
+
+  /**
+   * @returns {Promise<{ isSet: boolean, createdAt: number | null }>}
+   */
+  async getRecoveryKeyStatus() {
+    const slot = (await this.listKeySlots()).find(
+      ({ type }) => type === KEY_SLOT_TYPE.RECOVERY
+    )
+
+    return { isSet: !!slot, createdAt: slot?.createdAt ?? null }
+  }
+
+  /**
+   * Sets a new master password with the recovery key, for when the current
+   * one is lost. The recovery key keeps working afterwards. Leaves the vaults
+   * list open, as `initWithPassword` does.
+   * @param {{ recoveryKey: string, newPassword: string }} params -
+   *   `newPassword` base64
+   * @returns {Promise<{ hashedPassword: string, salt: string, ciphertext: string, nonce: string }>}
+   */
+  async recoverWithRecoveryKey({ recoveryKey, newPassword }) {
+    if (!recoveryKey || !newPassword) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'Recovery key and new password are required'
+      )
+    }
+
+    const { vaultKey } = await this.openKeySlot({
+      slotType: KEY_SLOT_TYPE.RECOVERY,
+      secret: recoveryKey,
+      recordFailure: true
+    })
+
+    // The current hashed password is needed to re-key the blind encryption
+    if (!getIsVaultsInitialized()) {
+      await masterVaultInit({ encryptionKey: vaultKey })
+    }
+
+    const masterEncryption = await vaultsGet('masterEncryption')
+    if (!masterEncryption?.hashedPassword) {
+      throw vaultError(
+        ERROR_CODES.MASTER_PASSWORD_NOT_SET,
+        'Master encryption not found'
+      )
+    }
+
+    return this.rewrapVaultKey({
+      vaultKey,
+      newPassword,
+      currentHashedPassword: masterEncryption.hashedPassword,
+      activeVaultId: undefined
+    })
+  }
+
+  /**
+   * @deprecated use `unlock` with a device slot
+   */
   async initWithCredentials({ ciphertext, nonce, hashedPassword }) {
     if (!ciphertext || !nonce || !hashedPassword) {
-      throw new Error('Missing required parameters')
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Missing required parameters')
     }
 
     await this.ensureEncryptionInitialized()
@@ -274,7 +829,7 @@ class MasterPasswordManager {
     })
 
     if (!decryptVaultKeyRes) {
-      throw new Error('Error decrypting vault key')
+      throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Error decrypting vault key')
     }
 
     await masterVaultInit({
@@ -291,9 +846,8 @@ class MasterPasswordManager {
     activeVaultId,
     masterEncryptionKey
   }) {
-    if (getIsActiveVaultInitialized()) {
-      await closeActiveVaultInstance()
-    }
+    // Every open vault holds its storage, close them all before re-keying
+    const openVaults = await closeAllVaultInstances()
 
     const allVaults = await vaultsList('vault/')
 
@@ -325,6 +879,15 @@ class MasterPasswordManager {
       })
     }
 
+    // Reopen vaults that were open next to the active one
+    for (const { id, encryptionKey, isActive } of openVaults) {
+      if (isActive) {
+        continue
+      }
+
+      await openVaultInstance({ id, encryptionKey })
+    }
+
     return { success: true }
   }
 }
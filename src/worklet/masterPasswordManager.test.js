@@ -6,7 +6,9 @@ import * as encryptVaultKeyWithHashedPasswordModule from './encryptVaultKeyWithH
 import * as encryptVaultWithKeyModule from './encryptVaultWithKey'
 import * as getDecryptionKeyModule from './getDecryptionKey'
 import * as hashPasswordModule from './hashPassword'
+import { LEGACY_KDF_PARAMS } from './kdfParams'
 import { masterPasswordManager } from './masterPasswordManager'
+import * as recoveryKeyModule from './recoveryKey'
 
 jest.mock('./appDeps', () => ({
   encryptionAdd: jest.fn(),
@@ -14,6 +16,9 @@ jest.mock('./appDeps', () => ({
   getIsEncryptionInitialized: jest.fn(),
   encryptionInit: jest.fn(),
   rateLimitRecordFailure: jest.fn(),
+  pinRateLimitRecordFailure: jest.fn(),
+  getPinRemainingAttempts: jest.fn(),
+  resetPinRateLimit: jest.fn(),
   vaultsAdd: jest.fn(),
   closeVaultsInstance: jest.fn(),
   vaultsGet: jest.fn(),
@@ -21,10 +26,11 @@ jest.mock('./appDeps', () => ({
   masterVaultInit: jest.fn(),
   masterVaultInitWithNewBlindEncryption: jest.fn(),
   vaultsList: jest.fn(),
-  closeActiveVaultInstance: jest.fn(),
+  closeAllVaultInstances: jest.fn(),
   initActiveVaultInstance: jest.fn(),
-  getIsActiveVaultInitialized: jest.fn(),
+  openVaultInstance: jest.fn(),
   activeVaultGet: jest.fn(),
+  getIsActiveVaultInitialized: jest.fn(),
   initInstanceWithNewBlindEncryption: jest.fn()
 }))
 
@@ -48,10 +54,19 @@ jest.mock('./hashPassword', () => ({
   hashPassword: jest.fn()
 }))
 
+jest.mock('./recoveryKey', () => ({
+  generateRecoveryKey: jest.fn(),
+  getRecoveryKeySecret: jest.fn()
+}))
+
 jest.mock('@tetherto/pearpass-utils-password-check', () => ({
   constantTimeHashCompare: jest.fn()
 }))
 
+jest.mock('./utils/workletLogger', () => ({
+  workletLogger: { error: jest.fn(), log: jest.fn() }
+}))
+
 describe('masterPasswordManager', () => {
   beforeEach(() => {
     jest.clearAllMocks()
@@ -79,7 +94,10 @@ describe('masterPasswordManager', () => {
       })
 
       expect(appDeps.encryptionInit).toHaveBeenCalled()
-      expect(hashPasswordModule.hashPassword).toHaveBeenCalledWith('pw-base64')
+      expect(hashPasswordModule.hashPassword).toHaveBeenCalledWith(
+        'pw-base64',
+        LEGACY_KDF_PARAMS
+      )
       expect(
         encryptVaultKeyWithHashedPasswordModule.encryptVaultKeyWithHashedPassword
       ).toHaveBeenCalledWith('hashed')
@@ -91,12 +109,14 @@ describe('masterPasswordManager', () => {
         ciphertext: 'ct',
         nonce: 'nonce',
         salt: 'salt',
+        kdf: LEGACY_KDF_PARAMS,
         hashedPassword: 'hashed'
       })
       expect(appDeps.encryptionAdd).toHaveBeenCalledWith('masterPassword', {
         ciphertext: 'ct',
         nonce: 'nonce',
-        salt: 'salt'
+        salt: 'salt',
+        kdf: LEGACY_KDF_PARAMS
       })
       expect(result).toEqual({
         hashedPassword: 'hashed',
@@ -184,7 +204,7 @@ describe('masterPasswordManager', () => {
       })
       appDeps.activeVaultGet.mockResolvedValue({ id: 'vault-1' })
       appDeps.vaultsList.mockResolvedValue([])
-      appDeps.getIsActiveVaultInitialized.mockReturnValue(false)
+      appDeps.closeAllVaultInstances.mockResolvedValue([])
       getDecryptionKeyModule.getDecryptionKey.mockReturnValueOnce(
         'derived-current-hash'
       )
@@ -216,7 +236,10 @@ describe('masterPasswordManager', () => {
       expect(
         constantTimeHashCompareModule.constantTimeHashCompare
       ).toHaveBeenCalledWith('current-hash', 'derived-current-hash')
-      expect(hashPasswordModule.hashPassword).toHaveBeenCalledWith('new-pw')
+      expect(hashPasswordModule.hashPassword).toHaveBeenCalledWith(
+        'new-pw',
+        LEGACY_KDF_PARAMS
+      )
       expect(
         encryptVaultWithKeyModule.encryptVaultWithKey
       ).toHaveBeenCalledWith('new-hash', 'vault-key')
@@ -224,12 +247,14 @@ describe('masterPasswordManager', () => {
         ciphertext: 'new-ct',
         nonce: 'new-nonce',
         salt: 'new-salt',
+        kdf: LEGACY_KDF_PARAMS,
         hashedPassword: 'new-hash'
       })
       expect(appDeps.encryptionAdd).toHaveBeenCalledWith('masterPassword', {
         ciphertext: 'new-ct',
         nonce: 'new-nonce',
-        salt: 'new-salt'
+        salt: 'new-salt',
+        kdf: LEGACY_KDF_PARAMS
       })
       expect(result).toEqual({
         hashedPassword: 'new-hash',
@@ -258,7 +283,484 @@ describe('masterPasswordManager', () => {
           newPassword: 'new-pw',
           currentPassword: 'wrong-pw'
         })
-      ).rejects.toThrow('Invalid password')
+      ).rejects.toMatchObject({
+        code: 'BAD_PASSWORD',
+        message: 'Invalid password'
+      })
+    })
+  })
+
+  describe('key slots', () => {
+    const deviceKey = Buffer.alloc(32, 1).toString('base64')
+    const passwordSlot = {
+      id: 'password',
+      type: 'password',
+      ciphertext: 'ct',
+      nonce: 'nonce',
+      salt: 'salt',
+      createdAt: 1
+    }
+    const deviceSlot = {
+      id: 'device-1',
+      type: 'device',
+      ciphertext: 'device-ct',
+      nonce: 'device-nonce',
+      label: 'Phone',
+      createdAt: 2
+    }
+
+    const useSlots = (slots) => {
+      appDeps.encryptionGet.mockImplementation(async (key) =>
+        key === 'keySlots' ? { slots } : null
+      )
+    }
+
+    beforeEach(() => {
+      appDeps.getIsEncryptionInitialized.mockReturnValue(true)
+      appDeps.getIsVaultsInitialized.mockReturnValue(false)
+      constantTimeHashCompareModule.constantTimeHashCompare.mockReturnValue(
+        true
+      )
+    })
+
+    it('unlocks with a device key and reads the hashed password', async () => {
+      useSlots([passwordSlot, deviceSlot])
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+      appDeps.vaultsGet.mockResolvedValue({ hashedPassword: 'hash' })
+
+      await expect(
+        masterPasswordManager.unlock({ slotType: 'device', secret: deviceKey })
+      ).resolves.toEqual({ success: true })
+
+      expect(decryptVaultKeyModule.decryptVaultKey).toHaveBeenCalledWith({
+        ciphertext: 'device-ct',
+        nonce: 'device-nonce',
+        hashedPassword: '01'.repeat(32)
+      })
+      expect(appDeps.masterVaultInit.mock.calls).toEqual([
+        [{ encryptionKey: 'vault-key' }],
+        [{ encryptionKey: 'vault-key', hashedPassword: 'hash' }]
+      ])
+      expect(appDeps.closeVaultsInstance).toHaveBeenCalledTimes(1)
+    })
+
+    it('unlocks with the password of stores without a slot table', async () => {
+      appDeps.encryptionGet.mockImplementation(async (key) =>
+        key === 'masterPassword'
+          ? { ciphertext: 'ct', nonce: 'nonce', salt: 'salt' }
+          : null
+      )
+      getDecryptionKeyModule.getDecryptionKey.mockReturnValue('hash')
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+
+      await masterPasswordManager.unlock({ slotType: 'password', secret: 'pw' })
+
+      expect(appDeps.masterVaultInit).toHaveBeenCalledWith({
+        encryptionKey: 'vault-key',
+        hashedPassword: 'hash'
+      })
+      expect(appDeps.vaultsGet).not.toHaveBeenCalled()
+    })
+
+    describe('PIN', () => {
+      const hashedPassword = 'ab'.repeat(32)
+      const pinSlot = {
+        ...deviceSlot,
+        id: 'pin-1',
+        type: 'pin',
+        salt: 's',
+        sealedHashedPassword: { ciphertext: 'seal-ct', nonce: 'seal-nonce' }
+      }
+      const unlockWithPin = () =>
+        masterPasswordManager.unlock({
+          slotType: 'pin',
+          secret: 'MTIzNDU2',
+          deviceKey
+        })
+
+      beforeEach(() => {
+        useSlots([passwordSlot, pinSlot])
+        getDecryptionKeyModule.getDecryptionKey.mockReturnValue('02'.repeat(32))
+      })
+
+      it('opens the vaults with the sealed hashed password', async () => {
+        decryptVaultKeyModule.decryptVaultKey
+          .mockReturnValueOnce('vault-key')
+          .mockReturnValueOnce(
+            Buffer.from(hashedPassword, 'hex').toString('base64')
+          )
+
+        await expect(unlockWithPin()).resolves.toEqual({ success: true })
+
+        expect(appDeps.masterVaultInit.mock.calls).toEqual([
+          [{ encryptionKey: 'vault-key', hashedPassword }]
+        ])
+        expect(decryptVaultKeyModule.decryptVaultKey).toHaveBeenLastCalledWith({
+          ciphertext: 'seal-ct',
+          nonce: 'seal-nonce',
+          hashedPassword: expect.stringMatching(/^[0-9a-f]{64}$/)
+        })
+        expect(appDeps.resetPinRateLimit).toHaveBeenCalled()
+      })
+
+      it('is added with the hashed password of the password slot', async () => {
+        useSlots([passwordSlot])
+        getDecryptionKeyModule.getDecryptionKey.mockReturnValue(hashedPassword)
+        decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+        hashPasswordModule.hashPassword.mockReturnValue({
+          hashedPassword: '03'.repeat(32),
+          salt: 'pin-salt'
+        })
+        encryptVaultWithKeyModule.encryptVaultWithKey.mockReturnValue({
+          ciphertext: 'pin-ct',
+          nonce: 'pin-nonce'
+        })
+
+        const { slot, secret } = await masterPasswordManager.addKeySlot({
+          slotType: 'pin',
+          secret: 'MTIzNDU2',
+          auth: { slotType: 'password', secret: 'pw' }
+        })
+
+        expect(slot.type).toBe('pin')
+        expect(Buffer.from(secret, 'base64')).toHaveLength(32)
+        expect(
+          encryptVaultWithKeyModule.encryptVaultWithKey
+        ).toHaveBeenCalledWith(
+          expect.any(String),
+          Buffer.from(hashedPassword, 'hex').toString('base64')
+        )
+        expect(appDeps.vaultsGet).not.toHaveBeenCalled()
+        expect(appDeps.resetPinRateLimit).toHaveBeenCalled()
+      })
+
+      it('counts wrong PINs apart from the master password', async () => {
+        decryptVaultKeyModule.decryptVaultKey.mockReturnValue(undefined)
+        appDeps.pinRateLimitRecordFailure.mockResolvedValue(2)
+
+        await expect(unlockWithPin()).rejects.toMatchObject({
+          code: 'BAD_PASSWORD',
+          details: { remainingAttempts: 2 }
+        })
+        expect(appDeps.rateLimitRecordFailure).not.toHaveBeenCalled()
+        expect(appDeps.encryptionAdd).not.toHaveBeenCalled()
+
+        await expect(
+          masterPasswordManager.unlock({
+            slotType: 'device',
+            secret: deviceKey
+          })
+        ).rejects.toMatchObject({ code: 'KEY_SLOT_NOT_FOUND' })
+        expect(appDeps.masterVaultInit).not.toHaveBeenCalled()
+      })
+
+      it('wipes the PIN after the last attempt', async () => {
+        decryptVaultKeyModule.decryptVaultKey.mockReturnValue(undefined)
+        appDeps.pinRateLimitRecordFailure.mockResolvedValue(0)
+
+        await expect(unlockWithPin()).rejects.toMatchObject({
+          code: 'KEY_SLOT_WIPED'
+        })
+        expect(appDeps.encryptionAdd).toHaveBeenCalledWith('keySlots', {
+          slots: [passwordSlot]
+        })
+        expect(appDeps.resetPinRateLimit).toHaveBeenCalled()
+      })
+
+      it('counts a PIN attempt before deriving the PIN', async () => {
+        const events = []
+        appDeps.pinRateLimitRecordFailure.mockImplementation(async () => {
+          events.push('record')
+          return 2
+        })
+        getDecryptionKeyModule.getDecryptionKey.mockImplementation(() => {
+          events.push('derive')
+          return '02'.repeat(32)
+        })
+        decryptVaultKeyModule.decryptVaultKey.mockReturnValue(undefined)
+
+        const attempts = await Promise.allSettled([
+          unlockWithPin(),
+          unlockWithPin(),
+          unlockWithPin()
+        ])
+
+        expect(attempts.map(({ status }) => status)).toEqual([
+          'rejected',
+          'rejected',
+          'rejected'
+        ])
+        expect(events).toEqual([
+          'record',
+          'derive',
+          'record',
+          'derive',
+          'record',
+          'derive'
+        ])
+      })
+
+      it('requires the device key', async () => {
+        await expect(
+          masterPasswordManager.unlock({ slotType: 'pin', secret: 'MTIzNDU2' })
+        ).rejects.toMatchObject({ code: 'INVALID_INPUT' })
+        expect(appDeps.pinRateLimitRecordFailure).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('KDF profile', () => {
+      afterEach(() => {
+        masterPasswordManager.setKdfProfile({ profile: 'mobile' })
+        appDeps.activeVaultGet.mockReset()
+      })
+
+      const unlockWithPassword = () => {
+        getDecryptionKeyModule.getDecryptionKey.mockReturnValue('hash')
+        decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+        hashPasswordModule.hashPassword.mockReturnValue({
+          hashedPassword: 'new-hash',
+          salt: 'new-salt'
+        })
+        encryptVaultWithKeyModule.encryptVaultWithKey.mockReturnValue({
+          ciphertext: 'new-ct',
+          nonce: 'new-nonce'
+        })
+        appDeps.closeAllVaultInstances.mockResolvedValue([])
+        appDeps.vaultsList.mockResolvedValue([])
+
+        return masterPasswordManager.unlock({
+          slotType: 'password',
+          secret: 'pw'
+        })
+      }
+
+      it('re-hashes a password with weaker parameters on unlock', async () => {
+        useSlots([passwordSlot])
+        const { kdf } = masterPasswordManager.setKdfProfile({
+          profile: 'desktop'
+        })
+        expect(kdf.memlimit).toBeGreaterThan(LEGACY_KDF_PARAMS.memlimit)
+
+        await expect(unlockWithPassword()).resolves.toEqual({ success: true })
+
+        expect(getDecryptionKeyModule.getDecryptionKey).toHaveBeenCalledWith({
+          salt: 'salt',
+          password: 'pw',
+          kdf: undefined
+        })
+        expect(hashPasswordModule.hashPassword).toHaveBeenCalledWith('pw', kdf)
+        expect(
+          appDeps.masterVaultInitWithNewBlindEncryption
+        ).toHaveBeenCalledWith({
+          encryptionKey: 'vault-key',
+          newHashedPassword: 'new-hash',
+          currentHashedPassword: 'hash'
+        })
+        expect(appDeps.encryptionAdd).toHaveBeenCalledWith('masterPassword', {
+          ciphertext: 'new-ct',
+          nonce: 'new-nonce',
+          salt: 'new-salt',
+          kdf
+        })
+      })
+
+      it('upgrades the slot on a cold unlock without an active vault', async () => {
+        useSlots([passwordSlot])
+        const { kdf } = masterPasswordManager.setKdfProfile({
+          profile: 'desktop'
+        })
+        appDeps.getIsActiveVaultInitialized.mockReturnValue(false)
+        appDeps.activeVaultGet.mockRejectedValue(
+          Object.assign(new Error('Vault not initialised'), {
+            code: 'VAULT_NOT_INITIALISED'
+          })
+        )
+
+        await expect(unlockWithPassword()).resolves.toEqual({ success: true })
+
+        expect(appDeps.activeVaultGet).not.toHaveBeenCalled()
+        expect(appDeps.encryptionAdd).toHaveBeenCalledWith(
+          'masterPassword',
+          expect.objectContaining({ kdf })
+        )
+      })
+
+      it('keeps a password hashed with the profile parameters', async () => {
+        useSlots([{ ...passwordSlot, kdf: LEGACY_KDF_PARAMS }])
+
+        await unlockWithPassword()
+
+        expect(hashPasswordModule.hashPassword).not.toHaveBeenCalled()
+        expect(appDeps.masterVaultInit).toHaveBeenCalledWith({
+          encryptionKey: 'vault-key',
+          hashedPassword: 'hash'
+        })
+      })
+
+      it('rejects unknown profiles', () => {
+        expect(() =>
+          masterPasswordManager.setKdfProfile({ profile: 'fast' })
+        ).toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }))
+        expect(masterPasswordManager.getKdfPolicy()).toBe(LEGACY_KDF_PARAMS)
+      })
+    })
+
+    it('adds a device slot authorized by the password', async () => {
+      useSlots([passwordSlot])
+      getDecryptionKeyModule.getDecryptionKey.mockReturnValue('hash')
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+      encryptVaultWithKeyModule.encryptVaultWithKey.mockReturnValue({
+        ciphertext: 'new-ct',
+        nonce: 'new-nonce'
+      })
+
+      const { slot, secret } = await masterPasswordManager.addKeySlot({
+        slotType: 'device',
+        label: 'Laptop',
+        auth: { slotType: 'password', secret: 'pw' }
+      })
+
+      expect(slot).toEqual({
+        id: expect.stringMatching(/^[0-9a-f]{16}$/),
+        type: 'device',
+        label: 'Laptop',
+        createdAt: expect.any(Number)
+      })
+      expect(Buffer.from(secret, 'base64')).toHaveLength(32)
+      expect(
+        encryptVaultWithKeyModule.encryptVaultWithKey
+      ).toHaveBeenCalledWith(
+        Buffer.from(secret, 'base64').toString('hex'),
+        'vault-key'
+      )
+      expect(appDeps.encryptionAdd).toHaveBeenCalledWith('keySlots', {
+        slots: [
+          passwordSlot,
+          {
+            ...slot,
+            ciphertext: 'new-ct',
+            nonce: 'new-nonce'
+          }
+        ]
+      })
+    })
+
+    it('replaces the recovery key', async () => {
+      useSlots([passwordSlot, { ...deviceSlot, id: 'old', type: 'recovery' }])
+      getDecryptionKeyModule.getDecryptionKey.mockReturnValue('hash')
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+      recoveryKeyModule.generateRecoveryKey.mockReturnValue({
+        recoveryKey: 'abandon ability',
+        secret: 'recovery-secret'
+      })
+      encryptVaultWithKeyModule.encryptVaultWithKey.mockReturnValue({
+        ciphertext: 'recovery-ct',
+        nonce: 'recovery-nonce'
+      })
+
+      const result = await masterPasswordManager.createRecoveryKey({
+        password: 'pw'
+      })
+
+      expect(result).toEqual({
+        recoveryKey: 'abandon ability',
+        createdAt: expect.any(Number)
+      })
+      expect(
+        encryptVaultWithKeyModule.encryptVaultWithKey
+      ).toHaveBeenCalledWith('recovery-secret', 'vault-key')
+
+      const [[, { slots }]] = appDeps.encryptionAdd.mock.calls
+      expect(slots.map(({ type }) => type)).toEqual(['password', 'recovery'])
+      expect(slots[1].id).not.toBe('old')
+    })
+
+    it('removes slots other than the password one while unlocked', async () => {
+      useSlots([passwordSlot, deviceSlot])
+
+      await expect(
+        masterPasswordManager.removeKeySlot({ slotId: 'device-1' })
+      ).rejects.toMatchObject({ code: 'NOT_AUTHENTICATED' })
+
+      appDeps.getIsVaultsInitialized.mockReturnValue(true)
+      await expect(
+        masterPasswordManager.removeKeySlot({ slotId: 'password' })
+      ).rejects.toMatchObject({ code: 'INVALID_INPUT' })
+      await expect(
+        masterPasswordManager.removeKeySlot({ slotId: 'device-1' })
+      ).resolves.toEqual({ success: true })
+
+      expect(appDeps.encryptionAdd).toHaveBeenCalledWith('keySlots', {
+        slots: [passwordSlot]
+      })
+      await expect(masterPasswordManager.listKeySlots()).resolves.toEqual([
+        { id: 'password', type: 'password', label: null, createdAt: 1 },
+        { id: 'device-1', type: 'device', label: 'Phone', createdAt: 2 }
+      ])
+    })
+
+    it('sets a new master password with the recovery key', async () => {
+      useSlots([passwordSlot, { ...deviceSlot, type: 'recovery' }])
+      recoveryKeyModule.getRecoveryKeySecret.mockReturnValue('recovery-secret')
+      appDeps.vaultsGet.mockResolvedValue({ hashedPassword: 'lost-hash' })
+      appDeps.vaultsList.mockResolvedValue([])
+      appDeps.closeAllVaultInstances.mockResolvedValue([])
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue('vault-key')
+      hashPasswordModule.hashPassword.mockReturnValue({
+        hashedPassword: 'new-hash',
+        salt: 'new-salt'
+      })
+      encryptVaultWithKeyModule.encryptVaultWithKey.mockReturnValue({
+        ciphertext: 'new-ct',
+        nonce: 'new-nonce'
+      })
+
+      const result = await masterPasswordManager.recoverWithRecoveryKey({
+        recoveryKey: 'abandon ability',
+        newPassword: 'new-pw'
+      })
+
+      expect(decryptVaultKeyModule.decryptVaultKey).toHaveBeenCalledWith({
+        ciphertext: 'device-ct',
+        nonce: 'device-nonce',
+        hashedPassword: 'recovery-secret'
+      })
+      expect(appDeps.masterVaultInit).toHaveBeenCalledWith({
+        encryptionKey: 'vault-key'
+      })
+      expect(
+        appDeps.masterVaultInitWithNewBlindEncryption
+      ).toHaveBeenCalledWith({
+        encryptionKey: 'vault-key',
+        newHashedPassword: 'new-hash',
+        currentHashedPassword: 'lost-hash'
+      })
+      expect(appDeps.encryptionAdd).toHaveBeenCalledWith('masterPassword', {
+        ciphertext: 'new-ct',
+        nonce: 'new-nonce',
+        salt: 'new-salt',
+        kdf: LEGACY_KDF_PARAMS
+      })
+      expect(appDeps.activeVaultGet).not.toHaveBeenCalled()
+      expect(result).toMatchObject({ hashedPassword: 'new-hash' })
+    })
+
+    it('records a failure when the recovery key does not match', async () => {
+      useSlots([passwordSlot, { ...deviceSlot, type: 'recovery' }])
+      recoveryKeyModule.getRecoveryKeySecret.mockReturnValue('other-secret')
+      decryptVaultKeyModule.decryptVaultKey.mockReturnValue(undefined)
+
+      await expect(
+        masterPasswordManager.recoverWithRecoveryKey({
+          recoveryKey: 'abandon ability',
+          newPassword: 'new-pw'
+        })
+      ).rejects.toMatchObject({ code: 'BAD_PASSWORD' })
+      expect(appDeps.rateLimitRecordFailure).toHaveBeenCalled()
+      expect(appDeps.masterVaultInit).not.toHaveBeenCalled()
+      await expect(
+        masterPasswordManager.getRecoveryKeyStatus()
+      ).resolves.toEqual({ isSet: true, createdAt: 2 })
     })
   })
 
@@ -0,0 +1,153 @@
+import b4a from 'b4a'
+import * as OTPAuth from 'otpauth/dist/otpauth.esm.js'
+
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { OTP_TYPE } from '../../constants/otpType'
+import { vaultError } from '../../utils/vaultError'
+
+const MIGRATION_URI_PREFIX = 'otpauth-migration://offline?'
+
+// Enum values of Google Authenticator's MigrationPayload.OtpParameters
+const ALGORITHMS = { 0: 'SHA1', 1: 'SHA1', 2: 'SHA256', 3: 'SHA512' }
+const DIGITS = { 0: 6, 1: 6, 2: 8 }
+const TYPES = { 0: OTP_TYPE.TOTP, 1: OTP_TYPE.HOTP, 2: OTP_TYPE.TOTP }
+
+const WIRE_VARINT = 0
+const WIRE_FIXED64 = 1
+const WIRE_LENGTH_DELIMITED = 2
+const WIRE_FIXED32 = 5
+
+/**
+ * @param {string} input
+ * @returns {boolean}
+ */
+export const isOtpauthMigrationUri = (input) =>
+  typeof input === 'string' && input.startsWith(MIGRATION_URI_PREFIX)
+
+/**
+ * Reads the fields of one protobuf message. Varint and length-delimited fields
+ * are decoded; fixed-size ones, which the migration payload does not use, are
+ * skipped.
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ field: number, value: number | Uint8Array }>}
+ */
+const readProtobufFields = (bytes) => {
+  const fields = []
+  let offset = 0
+
+  const readVarint = () => {
+    let value = 0
+    let multiplier = 1
+    let byte
+
+    do {
+      if (offset >= bytes.length) {
+        throw vaultError(
+          ERROR_CODES.INVALID_INPUT,
+          'Truncated migration payload'
+        )
+      }
+      byte = bytes[offset++]
+      value += (byte & 0x7f) * multiplier
+      multiplier *= 128
+    } while (byte & 0x80)
+
+    return value
+  }
+
+  while (offset < bytes.length) {
+    const tag = readVarint()
+    const field = Math.floor(tag / 8)
+    const wireType = tag & 0x07
+
+    if (wireType === WIRE_VARINT) {
+      fields.push({ field, value: readVarint() })
+    } else if (wireType === WIRE_LENGTH_DELIMITED) {
+      const length = readVarint()
+      if (offset + length > bytes.length) {
+        throw vaultError(
+          ERROR_CODES.INVALID_INPUT,
+          'Truncated migration payload'
+        )
+      }
+      fields.push({ field, value: bytes.subarray(offset, offset + length) })
+      offset += length
+    } else if (wireType === WIRE_FIXED64) {
+      offset += 8
+    } else if (wireType === WIRE_FIXED32) {
+      offset += 4
+    } else {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid migration payload', {
+        wireType
+      })
+    }
+  }
+
+  return fields
+}
+
+/**
+ * @param {Uint8Array} bytes - an encoded OtpParameters message
+ * @returns {{ issuer?: string, label?: string, otp?: object, error?: string }}
+ */
+const toImportEntry = (bytes) => {
+  const params = {}
+  for (const { field, value } of readProtobufFields(bytes)) {
+    params[field] = value
+  }
+
+  const name = params[2] ? b4a.toString(params[2], 'utf8') : ''
+  const issuer = params[3] ? b4a.toString(params[3], 'utf8') : undefined
+  // Names are often "Issuer:account"
+  const label =
+    issuer && name.startsWith(`${issuer}:`)
+      ? name.slice(issuer.length + 1)
+      : name || undefined
+
+  const algorithm = ALGORITHMS[params[4] ?? 0]
+  const type = TYPES[params[6] ?? 0]
+  if (!algorithm || !type || !params[1]?.length) {
+    return { issuer, label, error: 'Unsupported OTP parameters' }
+  }
+
+  const otp = {
+    secret: new OTPAuth.Secret({ buffer: new Uint8Array(params[1]).buffer })
+      .base32,
+    type,
+    algorithm,
+    digits: DIGITS[params[5] ?? 0] ?? 6
+  }
+
+  if (type === OTP_TYPE.TOTP) {
+    otp.period = 30
+  } else {
+    otp.counter = params[7] ?? 0
+  }
+  if (issuer) {
+    otp.issuer = issuer
+  }
+  if (label) {
+    otp.label = label
+  }
+
+  return { issuer, label, otp }
+}
+
+/**
+ * Decodes the accounts of a Google Authenticator export QR code. Large exports
+ * are split over several codes; each is parsed on its own.
+ * @param {string} uri - otpauth-migration://offline?data=...
+ * @returns {Array<{ issuer?: string, label?: string, otp?: object, error?: string }>}
+ */
+export const parseOtpauthMigrationUri = (uri) => {
+  const data = /[?&]data=([^&#]*)/.exec(uri)?.[1]
+  if (!isOtpauthMigrationUri(uri) || !data) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid migration URI')
+  }
+
+  const payload = b4a.from(decodeURIComponent(data), 'base64')
+
+  return readProtobufFields(payload)
+    .filter(({ field, value }) => field === 1 && value instanceof Uint8Array)
+    .map(({ value }) => toImportEntry(value))
+}
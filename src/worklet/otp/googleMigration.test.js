@@ -0,0 +1,106 @@
+import {
+  isOtpauthMigrationUri,
+  parseOtpauthMigrationUri
+} from './googleMigration'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+const toUri = (payload) =>
+  `otpauth-migration://offline?data=${encodeURIComponent(
+    Buffer.from(payload).toString('base64')
+  )}`
+
+const lengthDelimited = (field, bytes) => [
+  (field << 3) | 2,
+  bytes.length,
+  ...bytes
+]
+
+describe('isOtpauthMigrationUri', () => {
+  it('detects migration URIs', () => {
+    expect(isOtpauthMigrationUri('otpauth-migration://offline?data=abc')).toBe(
+      true
+    )
+    expect(isOtpauthMigrationUri('otpauth://totp/Test?secret=A')).toBe(false)
+    expect(isOtpauthMigrationUri(null)).toBe(false)
+  })
+})
+
+describe('parseOtpauthMigrationUri', () => {
+  it('decodes a Google Authenticator export', () => {
+    const entries = parseOtpauthMigrationUri(
+      'otpauth-migration://offline?data=CjEKCkhlbGxvId6tvu8SGEV4YW1wbGU6YWxpY2VAZ29vZ2xlLmNvbRoHRXhhbXBsZTAC'
+    )
+
+    expect(entries).toEqual([
+      {
+        issuer: 'Example',
+        label: 'alice@google.com',
+        otp: {
+          secret: 'JBSWY3DPEHPK3PXP',
+          type: 'TOTP',
+          algorithm: 'SHA1',
+          digits: 6,
+          period: 30,
+          issuer: 'Example',
+          label: 'alice@google.com'
+        }
+      }
+    ])
+  })
+
+  it('decodes HOTP entries with algorithm, digits and counter', () => {
+    const params = [
+      ...lengthDelimited(1, [0x48, 0x65, 0x6c, 0x6c, 0x6f]),
+      ...lengthDelimited(2, [...Buffer.from('bob')]),
+      0x20, // algorithm: SHA256
+      2,
+      0x28, // digits: EIGHT
+      2,
+      0x30, // type: HOTP
+      1,
+      0x38, // counter: 300
+      0xac,
+      0x02
+    ]
+
+    const [entry] = parseOtpauthMigrationUri(toUri(lengthDelimited(1, params)))
+
+    expect(entry).toEqual({
+      issuer: undefined,
+      label: 'bob',
+      otp: {
+        secret: 'JBSWY3DP',
+        type: 'HOTP',
+        algorithm: 'SHA256',
+        digits: 8,
+        counter: 300,
+        label: 'bob'
+      }
+    })
+  })
+
+  it('reports entries with unsupported parameters', () => {
+    const params = [
+      ...lengthDelimited(1, [1, 2, 3]),
+      ...lengthDelimited(2, [...Buffer.from('legacy')]),
+      0x20, // algorithm: MD5
+      4
+    ]
+
+    expect(parseOtpauthMigrationUri(toUri(lengthDelimited(1, params)))).toEqual(
+      [
+        {
+          issuer: undefined,
+          label: 'legacy',
+          error: 'Unsupported OTP parameters'
+        }
+      ]
+    )
+  })
+
+  it('rejects truncated payloads', () => {
+    expect(() => parseOtpauthMigrationUri(toUri([0x0a, 0x10, 0x01]))).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+})
@@ -1,7 +1,21 @@
 import * as OTPAuth from 'otpauth/dist/otpauth.esm.js'
 
+import { OTP_ENCODER } from '../../constants/otpEncoder'
 import { OTP_TYPE } from '../../constants/otpType'
 
+/**
+ * Encoders that render codes in their own alphabet instead of decimal digits.
+ */
+const OTP_ENCODERS = {
+  [OTP_ENCODER.STEAM]: {
+    alphabet: '23456789BCDFGHJKMNPQRTVWXY',
+    digits: 5
+  }
+}
+
+// The truncated HOTP value is 31 bits, so 10 decimal digits hold it whole
+const FULL_VALUE_DIGITS = 10
+
 /**
  * @param {string} input
  * @returns {boolean}
@@ -9,13 +23,80 @@ import { OTP_TYPE } from '../../constants/otpType'
 export const isOtpauthUri = (input) =>
   typeof input === 'string' && input.startsWith('otpauth://')
 
+/**
+ * @param {string} input
+ * @returns {boolean}
+ */
+export const isSteamUri = (input) =>
+  typeof input === 'string' && input.startsWith('steam://')
+
+/**
+ * @param {string} [encoder]
+ * @returns {{ alphabet: string, digits: number } | null} null for numeric codes
+ */
+const getEncoder = (encoder) => {
+  if (!encoder) {
+    return null
+  }
+
+  const definition = OTP_ENCODERS[encoder.toLowerCase()]
+  if (!definition) {
+    throw new Error(`Unsupported OTP encoder: ${encoder}`)
+  }
+
+  return definition
+}
+
+/**
+ * Writes the truncated HOTP value in `alphabet`, least significant character
+ * first.
+ * @param {number} value
+ * @param {string} alphabet
+ * @param {number} length
+ * @returns {string}
+ */
+const encodeOtpValue = (value, alphabet, length) => {
+  let code = ''
+
+  for (let i = 0; i < length; i++) {
+    code += alphabet[value % alphabet.length]
+    value = Math.floor(value / alphabet.length)
+  }
+
+  return code
+}
+
+/**
+ * @param {string} [encoder]
+ * @returns {object} the encoder's fields of an OTP config
+ */
+const encoderConfig = (encoder) => {
+  const definition = getEncoder(encoder)
+
+  return definition
+    ? { digits: definition.digits, encoder: encoder.toLowerCase() }
+    : {}
+}
+
 /**
  * Parses an otpauth:// URI into a structured OTP config object.
  * @param {string} uri
  * @returns {object}
  */
 export const parseOtpauthUri = (uri) => {
-  const parsed = OTPAuth.URI.parse(uri)
+  // Some authenticators export Steam tokens as otpauth://steam/
+  const isSteamType = uri.toLowerCase().startsWith('otpauth://steam/')
+  const parsed = OTPAuth.URI.parse(
+    isSteamType ? `otpauth://totp/${uri.slice('otpauth://steam/'.length)}` : uri
+  )
+  const encoderParam = /[?&]encoder=([^&#]*)/i.exec(uri)?.[1]
+  const encoder = isSteamType
+    ? OTP_ENCODER.STEAM
+    : encoderParam && decodeURIComponent(encoderParam)
+
+  if (encoder && !Object.values(OTP_ENCODER).includes(encoder.toLowerCase())) {
+    throw new Error(`Unsupported OTP encoder: ${encoder}`)
+  }
 
   const config = {
     secret: parsed.secret.base32,
@@ -38,12 +119,25 @@ export const parseOtpauthUri = (uri) => {
     config.label = parsed.label
   }
 
-  return config
+  return { ...config, ...encoderConfig(encoder) }
 }
 
 /**
- * Parses OTP input — either an otpauth:// URI or a raw Base32 secret.
- * Raw secrets default to TOTP / SHA1 / 6 digits / 30s period.
+ * Parses a steam://<Base32 secret> URI into a Steam Guard OTP config.
+ * @param {string} uri
+ * @returns {object}
+ */
+export const parseSteamUri = (uri) => ({
+  secret: uri.slice('steam://'.length).replace(/\s/g, '').toUpperCase(),
+  type: OTP_TYPE.TOTP,
+  algorithm: 'SHA1',
+  period: 30,
+  ...encoderConfig(OTP_ENCODER.STEAM)
+})
+
+/**
+ * Parses OTP input — an otpauth:// URI, a steam:// URI or a raw Base32
+ * secret. Raw secrets default to TOTP / SHA1 / 6 digits / 30s period.
  * @param {string} input
  * @returns {object}
  */
@@ -58,6 +152,10 @@ export const parseOtpInput = (input) => {
     return parseOtpauthUri(trimmed)
   }
 
+  if (isSteamUri(trimmed)) {
+    return parseSteamUri(trimmed)
+  }
+
   return {
     secret: trimmed,
     type: OTP_TYPE.TOTP,
@@ -77,22 +175,42 @@ export const getTimeRemaining = (period = 30) => {
   return period - (now % period)
 }
 
+/**
+ * Renders a generated code in the config's encoder alphabet, if any.
+ * @param {object} otpConfig
+ * @param {(digits: number) => string} generate - generates a decimal code
+ * @returns {string}
+ */
+const renderCode = (otpConfig, generate) => {
+  const encoder = getEncoder(otpConfig.encoder)
+
+  if (!encoder) {
+    return generate(otpConfig.digits || 6)
+  }
+
+  return encodeOtpValue(
+    Number(generate(FULL_VALUE_DIGITS)),
+    encoder.alphabet,
+    otpConfig.digits || encoder.digits
+  )
+}
+
 /**
  * Generates a TOTP code from an OTP config object.
  * @param {object} otpConfig
  * @returns {{ code: string, timeRemaining: number }}
  */
 export const generateTOTP = (otpConfig) => {
-  const totp = new OTPAuth.TOTP({
-    secret: OTPAuth.Secret.fromBase32(otpConfig.secret),
-    algorithm: otpConfig.algorithm || 'SHA1',
-    digits: otpConfig.digits || 6,
-    period: otpConfig.period || 30,
-    issuer: otpConfig.issuer,
-    label: otpConfig.label
-  })
-
-  const code = totp.generate()
+  const code = renderCode(otpConfig, (digits) =>
+    new OTPAuth.TOTP({
+      secret: OTPAuth.Secret.fromBase32(otpConfig.secret),
+      algorithm: otpConfig.algorithm || 'SHA1',
+      digits,
+      period: otpConfig.period || 30,
+      issuer: otpConfig.issuer,
+      label: otpConfig.label
+    }).generate()
+  )
   const timeRemaining = getTimeRemaining(otpConfig.period || 30)
 
   return { code, timeRemaining }
@@ -104,16 +222,16 @@ export const generateTOTP = (otpConfig) => {
  * @returns {{ code: string }}
  */
 export const generateHOTP = (otpConfig) => {
-  const hotp = new OTPAuth.HOTP({
-    secret: OTPAuth.Secret.fromBase32(otpConfig.secret),
-    algorithm: otpConfig.algorithm || 'SHA1',
-    digits: otpConfig.digits || 6,
-    counter: otpConfig.counter || 0,
-    issuer: otpConfig.issuer,
-    label: otpConfig.label
-  })
-
-  const code = hotp.generate({ counter: otpConfig.counter || 0 })
+  const code = renderCode(otpConfig, (digits) =>
+    new OTPAuth.HOTP({
+      secret: OTPAuth.Secret.fromBase32(otpConfig.secret),
+      algorithm: otpConfig.algorithm || 'SHA1',
+      digits,
+      counter: otpConfig.counter || 0,
+      issuer: otpConfig.issuer,
+      label: otpConfig.label
+    }).generate({ counter: otpConfig.counter || 0 })
+  )
 
   return { code }
 }
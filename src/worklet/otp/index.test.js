@@ -1,6 +1,8 @@
 import {
   isOtpauthUri,
+  isSteamUri,
   parseOtpauthUri,
+  parseSteamUri,
   parseOtpInput,
   getTimeRemaining,
   generateTOTP,
@@ -55,6 +57,44 @@ describe('parseOtpauthUri', () => {
     expect(result.period).toBe(30)
   })
 
+  it('parses the encoder parameter', () => {
+    const result = parseOtpauthUri(
+      'otpauth://totp/Steam:gaben?secret=JBSWY3DPEHPK3PXP&issuer=Steam&encoder=steam'
+    )
+
+    expect(result).toMatchObject({
+      type: 'TOTP',
+      digits: 5,
+      period: 30,
+      encoder: 'steam',
+      issuer: 'Steam'
+    })
+  })
+
+  it('parses otpauth://steam/ URIs as Steam TOTP', () => {
+    const result = parseOtpauthUri(
+      'otpauth://steam/Steam:gaben?secret=JBSWY3DPEHPK3PXP'
+    )
+
+    expect(result).toMatchObject({
+      secret: 'JBSWY3DPEHPK3PXP',
+      type: 'TOTP',
+      digits: 5,
+      encoder: 'steam'
+    })
+  })
+
+  it('rejects unknown encoders', () => {
+    expect(() =>
+      parseOtpauthUri('otpauth://totp/Test?secret=JBSWY3DPEHPK3PXP&encoder=x')
+    ).toThrow('Unsupported OTP encoder: x')
+    expect(() =>
+      parseOtpauthUri(
+        'otpauth://totp/Test?secret=JBSWY3DPEHPK3PXP&encoder=yandex'
+      )
+    ).toThrow('Unsupported OTP encoder: yandex')
+  })
+
   it('parses an HOTP URI with counter', () => {
     const uri = 'otpauth://hotp/Test?secret=JBSWY3DPEHPK3PXP&counter=42'
     const result = parseOtpauthUri(uri)
@@ -65,6 +105,20 @@ describe('parseOtpauthUri', () => {
   })
 })
 
+describe('parseSteamUri', () => {
+  it('parses a steam:// secret', () => {
+    expect(isSteamUri('steam://JBSWY3DPEHPK3PXP')).toBe(true)
+    expect(parseSteamUri('steam://jbswy3dpehpk3pxp')).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      type: 'TOTP',
+      algorithm: 'SHA1',
+      digits: 5,
+      period: 30,
+      encoder: 'steam'
+    })
+  })
+})
+
 describe('parseOtpInput', () => {
   it('parses raw Base32 secret with defaults', () => {
     const result = parseOtpInput('JBSWY3DPEHPK3PXP')
@@ -88,6 +142,10 @@ describe('parseOtpInput', () => {
     expect(result.issuer).toBe('Test')
   })
 
+  it('parses steam:// URI', () => {
+    expect(parseOtpInput(' steam://JBSWY3DPEHPK3PXP ').encoder).toBe('steam')
+  })
+
   it('trims whitespace', () => {
     const result = parseOtpInput('  JBSWY3DPEHPK3PXP  ')
     expect(result.secret).toBe('JBSWY3DPEHPK3PXP')
@@ -139,6 +197,15 @@ describe('generateTOTP', () => {
 
     expect(result.code).toMatch(/^\d{8}$/)
   })
+
+  it('renders Steam codes in the Steam alphabet', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(30_000)
+
+    const result = generateTOTP(parseSteamUri('steam://JBSWY3DPEHPK3PXP'))
+
+    expect(result.code).toBe('2YXGV')
+    jest.restoreAllMocks()
+  })
 })
 
 describe('generateHOTP', () => {
@@ -154,6 +221,19 @@ describe('generateHOTP', () => {
     expect(result.code).toMatch(/^\d{6}$/)
   })
 
+  it('renders codes with the configured encoder', () => {
+    const result = generateHOTP({
+      secret: 'JBSWY3DPEHPK3PXP',
+      type: 'HOTP',
+      algorithm: 'SHA1',
+      digits: 5,
+      counter: 0,
+      encoder: 'steam'
+    })
+
+    expect(result.code).toBe('VH8YJ')
+  })
+
   it('generates different codes for different counters', () => {
     const result1 = generateHOTP({
       secret: 'JBSWY3DPEHPK3PXP',
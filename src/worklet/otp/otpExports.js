@@ -0,0 +1,315 @@
+import { gcm } from '@noble/ciphers/aes.js'
+import { pbkdf2 } from '@noble/hashes/pbkdf2.js'
+import { scrypt } from '@noble/hashes/scrypt.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+import b4a from 'b4a'
+import * as OTPAuth from 'otpauth/dist/otpauth.esm.js'
+
+import {
+  isOtpauthMigrationUri,
+  parseOtpauthMigrationUri
+} from './googleMigration'
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { OTP_ENCODER } from '../../constants/otpEncoder'
+import { OTP_IMPORT_FORMAT } from '../../constants/otpImport'
+import { OTP_TYPE } from '../../constants/otpType'
+import { vaultError } from '../../utils/vaultError'
+
+const SUPPORTED_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512']
+
+// Exports are user supplied, so cap the KDF cost they can ask for. Aegis
+// defaults to N = 2^15, r = 8, p = 1 (32 MiB).
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024
+const MAX_SCRYPT_PARALLELISM = 16
+
+const AEGIS_PASSWORD_SLOT = 1
+const TWO_FAS_PBKDF2_ITERATIONS = 10000
+
+/**
+ * @typedef {Object} OtpImportEntry
+ * @property {string} [issuer]
+ * @property {string} [label]
+ * @property {object} [otp] - OTP config as stored in `record.data.otp`
+ * @property {string} [error] - why the entry cannot be imported
+ */
+
+/**
+ * @param {Object} params
+ * @param {string} [params.issuer]
+ * @param {string} [params.label]
+ * @param {string} params.type - `totp`, `hotp` or `steam`, any case
+ * @param {string} params.secret - Base32
+ * @param {string} [params.algorithm]
+ * @param {number} [params.digits]
+ * @param {number} [params.period]
+ * @param {number} [params.counter]
+ * @returns {OtpImportEntry}
+ */
+const toImportEntry = ({
+  issuer,
+  label,
+  type,
+  secret,
+  algorithm = 'SHA1',
+  digits,
+  period,
+  counter
+}) => {
+  const entry = { issuer: issuer || undefined, label: label || undefined }
+  const kind = String(type).toLowerCase()
+  const normalizedAlgorithm = String(algorithm).toUpperCase()
+  const normalizedSecret = String(secret ?? '')
+    .replace(/\s/g, '')
+    .toUpperCase()
+
+  if (!['totp', 'hotp', 'steam'].includes(kind)) {
+    return { ...entry, error: `Unsupported OTP type: ${type}` }
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(normalizedAlgorithm)) {
+    return { ...entry, error: `Unsupported OTP algorithm: ${algorithm}` }
+  }
+
+  try {
+    if (!OTPAuth.Secret.fromBase32(normalizedSecret).bytes.length) {
+      throw new Error('Empty secret')
+    }
+  } catch {
+    return { ...entry, error: 'Invalid OTP secret' }
+  }
+
+  const otp = {
+    secret: normalizedSecret,
+    type: kind === 'hotp' ? OTP_TYPE.HOTP : OTP_TYPE.TOTP,
+    algorithm: normalizedAlgorithm,
+    digits: digits || 6
+  }
+
+  if (kind === 'hotp') {
+    otp.counter = counter || 0
+  } else {
+    otp.period = period || 30
+  }
+  if (kind === 'steam') {
+    otp.digits = 5
+    otp.encoder = OTP_ENCODER.STEAM
+  }
+  if (entry.issuer) {
+    otp.issuer = entry.issuer
+  }
+  if (entry.label) {
+    otp.label = entry.label
+  }
+
+  return { ...entry, otp }
+}
+
+/**
+ * @param {Uint8Array} key
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext - with the GCM tag appended
+ * @returns {Uint8Array | null} null when the key does not open it
+ */
+const openGcm = (key, nonce, ciphertext) => {
+  try {
+    return gcm(key, nonce).decrypt(ciphertext)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {string} [password]
+ */
+const requirePassword = (password) => {
+  if (!password) {
+    throw vaultError(
+      ERROR_CODES.BAD_PASSWORD,
+      'The export is encrypted, a password is required',
+      { passwordRequired: true }
+    )
+  }
+}
+
+/**
+ * Opens the master key with the first password slot the password fits, then
+ * the vault database with the master key.
+ * @param {Object} vault - parsed Aegis export
+ * @param {string} password
+ * @returns {Object} the database
+ */
+const decryptAegisDatabase = (vault, password) => {
+  requirePassword(password)
+
+  const slots = (vault.header.slots ?? []).filter(
+    (slot) => slot?.type === AEGIS_PASSWORD_SLOT
+  )
+  if (!slots.length) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'The export has no password slot'
+    )
+  }
+
+  let masterKey = null
+
+  for (const { n, r, p, salt, key, key_params: keyParams } of slots) {
+    if (128 * n * r > MAX_SCRYPT_MEMORY || p > MAX_SCRYPT_PARALLELISM) {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'Export key derivation parameters are out of range',
+        { n, r, p }
+      )
+    }
+
+    const slotKey = scrypt(password, b4a.from(salt, 'hex'), {
+      N: n,
+      r,
+      p,
+      dkLen: 32
+    })
+    masterKey = openGcm(
+      slotKey,
+      b4a.from(keyParams.nonce, 'hex'),
+      b4a.concat([b4a.from(key, 'hex'), b4a.from(keyParams.tag, 'hex')])
+    )
+
+    if (masterKey) break
+  }
+
+  if (!masterKey) {
+    throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Incorrect password')
+  }
+
+  const { nonce, tag } = vault.header.params
+  const database = openGcm(
+    masterKey,
+    b4a.from(nonce, 'hex'),
+    b4a.concat([b4a.from(vault.db, 'base64'), b4a.from(tag, 'hex')])
+  )
+  if (!database) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'The export is corrupted')
+  }
+
+  return JSON.parse(b4a.toString(database, 'utf8'))
+}
+
+/**
+ * @param {Object} vault - parsed Aegis export, plain or encrypted
+ * @param {string} [password]
+ * @returns {Array<OtpImportEntry>}
+ */
+export const parseAegisExport = (vault, password) => {
+  const database =
+    typeof vault.db === 'string'
+      ? decryptAegisDatabase(vault, password)
+      : vault.db
+
+  return (database?.entries ?? []).map(({ type, name, issuer, info = {} }) =>
+    toImportEntry({
+      issuer,
+      label: name,
+      type,
+      secret: info.secret,
+      algorithm: info.algo,
+      digits: info.digits,
+      period: info.period,
+      counter: info.counter
+    })
+  )
+}
+
+/**
+ * @param {string} servicesEncrypted - `ciphertext:salt:iv`, each Base64
+ * @param {string} password
+ * @returns {Array<Object>} the services
+ */
+const decryptTwoFasServices = (servicesEncrypted, password) => {
+  requirePassword(password)
+
+  const [ciphertext, salt, iv] = servicesEncrypted
+    .split(':')
+    .map((part) => b4a.from(part, 'base64'))
+  if (!ciphertext || !salt || !iv) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'The export is corrupted')
+  }
+
+  const key = pbkdf2(sha256, password, salt, {
+    c: TWO_FAS_PBKDF2_ITERATIONS,
+    dkLen: 32
+  })
+  const services = openGcm(key, iv, ciphertext)
+  if (!services) {
+    throw vaultError(ERROR_CODES.BAD_PASSWORD, 'Incorrect password')
+  }
+
+  return JSON.parse(b4a.toString(services, 'utf8'))
+}
+
+/**
+ * @param {Object} backup - parsed 2FAS backup, plain or encrypted
+ * @param {string} [password]
+ * @returns {Array<OtpImportEntry>}
+ */
+export const parseTwoFasExport = (backup, password) => {
+  const services = backup.servicesEncrypted
+    ? decryptTwoFasServices(backup.servicesEncrypted, password)
+    : backup.services
+
+  return (services ?? []).map(({ name, secret, otp = {} }) =>
+    toImportEntry({
+      issuer: otp.issuer || name,
+      label: otp.account || otp.label,
+      type: otp.tokenType ?? 'totp',
+      secret,
+      algorithm: otp.algorithm,
+      digits: otp.digits,
+      period: otp.period,
+      counter: otp.counter
+    })
+  )
+}
+
+/**
+ * Detects the format of an authenticator export and reads its entries.
+ * @param {string | Array<string> | Object} input - one or more
+ *   `otpauth-migration://` URIs, or an Aegis or 2FAS JSON export
+ * @param {string} [password] - for encrypted exports
+ * @returns {{ format: string, entries: Array<OtpImportEntry> }}
+ */
+export const parseOtpExport = (input, password) => {
+  const uris = (Array.isArray(input) ? input : [input]).map((item) =>
+    typeof item === 'string' ? item.trim() : item
+  )
+
+  if (uris.length && uris.every(isOtpauthMigrationUri)) {
+    return {
+      format: OTP_IMPORT_FORMAT.GOOGLE_AUTHENTICATOR,
+      entries: uris.flatMap(parseOtpauthMigrationUri)
+    }
+  }
+
+  let data = input
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input)
+    } catch {
+      data = null
+    }
+  }
+
+  if (data?.header && data?.db) {
+    return {
+      format: OTP_IMPORT_FORMAT.AEGIS,
+      entries: parseAegisExport(data, password)
+    }
+  }
+
+  if (Array.isArray(data?.services) || data?.servicesEncrypted) {
+    return {
+      format: OTP_IMPORT_FORMAT.TWO_FAS,
+      entries: parseTwoFasExport(data, password)
+    }
+  }
+
+  throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported OTP export format')
+}
@@ -0,0 +1,289 @@
+import { gcm } from '@noble/ciphers/aes.js'
+import { pbkdf2 } from '@noble/hashes/pbkdf2.js'
+import { scrypt } from '@noble/hashes/scrypt.js'
+import { sha256 } from '@noble/hashes/sha2.js'
+
+import {
+  parseAegisExport,
+  parseOtpExport,
+  parseTwoFasExport
+} from './otpExports'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+const PASSWORD = 'correct horse'
+
+const aegisDatabase = {
+  version: 3,
+  entries: [
+    {
+      type: 'totp',
+      name: 'alice@example.com',
+      issuer: 'Example',
+      info: {
+        secret: 'JBSWY3DPEHPK3PXP',
+        algo: 'SHA256',
+        digits: 8,
+        period: 60
+      }
+    },
+    {
+      type: 'hotp',
+      name: 'bob',
+      issuer: 'Bank',
+      info: { secret: 'jbsw y3dp', algo: 'SHA1', digits: 6, counter: 12 }
+    },
+    {
+      type: 'steam',
+      name: 'gamer',
+      issuer: 'Steam',
+      info: { secret: 'JBSWY3DPEHPK3PXP', algo: 'SHA1', digits: 5, period: 30 }
+    },
+    {
+      type: 'motp',
+      name: 'legacy',
+      issuer: 'Old',
+      info: { secret: 'JBSWY3DP' }
+    }
+  ]
+}
+
+const encryptGcm = (key, nonce, plaintext) => {
+  const sealed = gcm(key, nonce).encrypt(plaintext)
+  return {
+    ciphertext: Buffer.from(sealed.subarray(0, -16)),
+    tag: Buffer.from(sealed.subarray(-16))
+  }
+}
+
+const encryptAegis = (database, password) => {
+  const masterKey = Buffer.alloc(32, 7)
+  const salt = Buffer.alloc(32, 1)
+  const slotNonce = Buffer.alloc(12, 2)
+  const dbNonce = Buffer.alloc(12, 3)
+  // Small scrypt cost to keep the test fast
+  const slotKey = scrypt(password, salt, { N: 1024, r: 8, p: 1, dkLen: 32 })
+  const key = encryptGcm(slotKey, slotNonce, masterKey)
+  const db = encryptGcm(
+    masterKey,
+    dbNonce,
+    Buffer.from(JSON.stringify(database))
+  )
+
+  return {
+    version: 1,
+    header: {
+      slots: [
+        {
+          type: 1,
+          uuid: 'slot',
+          key: key.ciphertext.toString('hex'),
+          key_params: {
+            nonce: slotNonce.toString('hex'),
+            tag: key.tag.toString('hex')
+          },
+          n: 1024,
+          r: 8,
+          p: 1,
+          salt: salt.toString('hex')
+        }
+      ],
+      params: { nonce: dbNonce.toString('hex'), tag: db.tag.toString('hex') }
+    },
+    db: db.ciphertext.toString('base64')
+  }
+}
+
+const twoFasServices = [
+  {
+    name: 'GitHub',
+    secret: 'JBSWY3DPEHPK3PXP',
+    otp: { account: 'octocat', digits: 6, period: 30, tokenType: 'TOTP' }
+  },
+  {
+    name: 'Counter',
+    secret: 'JBSWY3DP',
+    otp: { label: 'carol', algorithm: 'SHA512', counter: 3, tokenType: 'HOTP' }
+  }
+]
+
+const encryptTwoFas = (services, password) => {
+  const salt = Buffer.alloc(16, 4)
+  const iv = Buffer.alloc(12, 5)
+  const key = pbkdf2(sha256, password, salt, { c: 10000, dkLen: 32 })
+  const sealed = gcm(key, iv).encrypt(Buffer.from(JSON.stringify(services)))
+
+  return {
+    services: [],
+    servicesEncrypted: [Buffer.from(sealed), salt, iv]
+      .map((part) => part.toString('base64'))
+      .join(':'),
+    schemaVersion: 4
+  }
+}
+
+const expectedAegisEntries = [
+  {
+    issuer: 'Example',
+    label: 'alice@example.com',
+    otp: {
+      secret: 'JBSWY3DPEHPK3PXP',
+      type: 'TOTP',
+      algorithm: 'SHA256',
+      digits: 8,
+      period: 60,
+      issuer: 'Example',
+      label: 'alice@example.com'
+    }
+  },
+  {
+    issuer: 'Bank',
+    label: 'bob',
+    otp: {
+      secret: 'JBSWY3DP',
+      type: 'HOTP',
+      algorithm: 'SHA1',
+      digits: 6,
+      counter: 12,
+      issuer: 'Bank',
+      label: 'bob'
+    }
+  },
+  {
+    issuer: 'Steam',
+    label: 'gamer',
+    otp: {
+      secret: 'JBSWY3DPEHPK3PXP',
+      type: 'TOTP',
+      algorithm: 'SHA1',
+      digits: 5,
+      period: 30,
+      encoder: 'steam',
+      issuer: 'Steam',
+      label: 'gamer'
+    }
+  },
+  { issuer: 'Old', label: 'legacy', error: 'Unsupported OTP type: motp' }
+]
+
+describe('parseAegisExport', () => {
+  it('reads a plain export', () => {
+    expect(parseAegisExport({ header: {}, db: aegisDatabase })).toEqual(
+      expectedAegisEntries
+    )
+  })
+
+  it('decrypts an encrypted export', () => {
+    expect(
+      parseAegisExport(encryptAegis(aegisDatabase, PASSWORD), PASSWORD)
+    ).toEqual(expectedAegisEntries)
+  })
+
+  it('rejects a wrong or missing password', () => {
+    const vault = encryptAegis(aegisDatabase, PASSWORD)
+
+    expect(() => parseAegisExport(vault, 'wrong')).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD })
+    )
+    expect(() => parseAegisExport(vault)).toThrow(
+      expect.objectContaining({
+        code: ERROR_CODES.BAD_PASSWORD,
+        details: { passwordRequired: true }
+      })
+    )
+  })
+
+  it('refuses excessive key derivation parameters', () => {
+    const vault = encryptAegis(aegisDatabase, PASSWORD)
+    vault.header.slots[0].n = 2 ** 22
+
+    expect(() => parseAegisExport(vault, PASSWORD)).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+})
+
+describe('parseTwoFasExport', () => {
+  const expectedEntries = [
+    {
+      issuer: 'GitHub',
+      label: 'octocat',
+      otp: {
+        secret: 'JBSWY3DPEHPK3PXP',
+        type: 'TOTP',
+        algorithm: 'SHA1',
+        digits: 6,
+        period: 30,
+        issuer: 'GitHub',
+        label: 'octocat'
+      }
+    },
+    {
+      issuer: 'Counter',
+      label: 'carol',
+      otp: {
+        secret: 'JBSWY3DP',
+        type: 'HOTP',
+        algorithm: 'SHA512',
+        digits: 6,
+        counter: 3,
+        issuer: 'Counter',
+        label: 'carol'
+      }
+    }
+  ]
+
+  it('reads a plain backup', () => {
+    expect(parseTwoFasExport({ services: twoFasServices })).toEqual(
+      expectedEntries
+    )
+  })
+
+  it('decrypts an encrypted backup', () => {
+    expect(
+      parseTwoFasExport(encryptTwoFas(twoFasServices, PASSWORD), PASSWORD)
+    ).toEqual(expectedEntries)
+  })
+
+  it('rejects a wrong password', () => {
+    expect(() =>
+      parseTwoFasExport(encryptTwoFas(twoFasServices, PASSWORD), 'wrong')
+    ).toThrow(expect.objectContaining({ code: ERROR_CODES.BAD_PASSWORD }))
+  })
+
+  it('reports invalid secrets', () => {
+    expect(
+      parseTwoFasExport({ services: [{ name: 'Broken', secret: '1!' }] })
+    ).toEqual([
+      { issuer: 'Broken', label: undefined, error: 'Invalid OTP secret' }
+    ])
+  })
+})
+
+describe('parseOtpExport', () => {
+  const migrationUri =
+    'otpauth-migration://offline?data=CjEKCkhlbGxvId6tvu8SGEV4YW1wbGU6YWxpY2VAZ29vZ2xlLmNvbRoHRXhhbXBsZTAC'
+
+  it('detects Google Authenticator migration URIs', () => {
+    const result = parseOtpExport([migrationUri, migrationUri])
+
+    expect(result.format).toBe('google-authenticator')
+    expect(result.entries).toHaveLength(2)
+    expect(parseOtpExport(migrationUri).entries[0].issuer).toBe('Example')
+  })
+
+  it('detects Aegis and 2FAS exports, as objects or JSON', () => {
+    expect(
+      parseOtpExport(JSON.stringify({ header: {}, db: aegisDatabase })).format
+    ).toBe('aegis')
+    expect(parseOtpExport({ services: twoFasServices }).format).toBe('2fas')
+  })
+
+  it('rejects unknown input', () => {
+    expect(() => parseOtpExport('not an export')).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+    expect(() => parseOtpExport({})).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+})
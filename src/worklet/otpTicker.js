@@ -0,0 +1,210 @@
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+import { workletLogger } from './utils/workletLogger'
+
+/**
+ * @typedef {Object} OtpCode
+ * @property {string} recordId
+ * @property {string} code
+ * @property {number} [timeRemaining] - seconds, TOTP only
+ * @property {number} [period] - seconds, TOTP only
+ */
+
+/**
+ * @typedef {Object} OtpSubscription
+ * @property {Array<string>} recordIds
+ * @property {string} [vaultId]
+ * @property {(codes: Array<OtpCode>) => void} onCodes
+ * @property {Map<string, { step: number, periodMs: number }>} windows -
+ *   recordId -> time step of the last code sent
+ * @property {ReturnType<typeof setTimeout> | null} timer
+ */
+
+/**
+ * Pushes TOTP codes to subscribers at each period boundary so clients do not
+ * have to poll. Each subscription keeps one timer, set to the earliest
+ * boundary among its records, and only sends the codes that changed.
+ */
+export class OtpTicker {
+  /**
+   * @param {(recordIds: Array<string>, vaultId?: string) => Promise<Array<OtpCode>>} generateCodes
+   */
+  constructor(generateCodes) {
+    this.generateCodes = generateCodes
+    /**
+     * @type {Map<string, OtpSubscription>}
+     */
+    this.subscriptions = new Map()
+    this.isPaused = false
+  }
+
+  /**
+   * Registers records and returns their current codes. Later codes are passed
+   * to `onCodes`.
+   * @param {Object} params
+   * @param {Array<string>} params.recordIds
+   * @param {string} [params.vaultId]
+   * @param {(codes: Array<OtpCode>) => void} params.onCodes
+   * @returns {Promise<{ subscriptionId: string, codes: Array<OtpCode> }>}
+   */
+  async subscribe({ recordIds, vaultId, onCodes }) {
+    const id = b4a.alloc(16)
+    sodium.randombytes_buf(id)
+    const subscriptionId = b4a.toString(id, 'hex')
+
+    const now = Date.now()
+    const codes = await this.generateCodes(recordIds, vaultId)
+    const subscription = {
+      recordIds: [...recordIds],
+      vaultId,
+      onCodes,
+      windows: new Map(),
+      timer: null
+    }
+    this.subscriptions.set(subscriptionId, subscription)
+    this._track(subscription, codes, now)
+    this._schedule(subscriptionId)
+
+    return { subscriptionId, codes }
+  }
+
+  /**
+   * @param {string} subscriptionId
+   * @returns {boolean} whether the subscription existed
+   */
+  unsubscribe(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId)
+    if (!subscription) {
+      return false
+    }
+
+    clearTimeout(subscription.timer)
+    this.subscriptions.delete(subscriptionId)
+    return true
+  }
+
+  /**
+   * Drops the subscriptions of a vault that is being closed.
+   * @param {string} vaultId
+   */
+  unsubscribeVault(vaultId) {
+    for (const [subscriptionId, subscription] of this.subscriptions) {
+      if (subscription.vaultId === vaultId) {
+        this.unsubscribe(subscriptionId)
+      }
+    }
+  }
+
+  /**
+   * Stops the timers while the app is in the background. Subscriptions are
+   * kept for `resume`.
+   */
+  pause() {
+    this.isPaused = true
+
+    for (const subscription of this.subscriptions.values()) {
+      clearTimeout(subscription.timer)
+      subscription.timer = null
+    }
+  }
+
+  /**
+   * Sends every code that changed while paused, then restarts the timers.
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (!this.isPaused) {
+      return
+    }
+
+    this.isPaused = false
+    await Promise.all(
+      [...this.subscriptions.keys()].map((id) => this._tick(id))
+    )
+  }
+
+  /**
+   * @param {OtpSubscription} subscription
+   * @param {Array<OtpCode>} codes
+   * @param {number} now - when the codes were generated
+   * @returns {Array<OtpCode>} codes from a time step not sent yet
+   */
+  _track(subscription, codes, now) {
+    return codes.filter(({ recordId, period }) => {
+      if (!period) {
+        return false
+      }
+
+      const periodMs = period * 1000
+      const step = Math.floor(now / periodMs)
+      const last = subscription.windows.get(recordId)
+      if (last?.step === step && last.periodMs === periodMs) {
+        return false
+      }
+
+      subscription.windows.set(recordId, { step, periodMs })
+      return true
+    })
+  }
+
+  /**
+   * @param {string} subscriptionId
+   */
+  _schedule(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId)
+    if (!subscription || this.isPaused) {
+      return
+    }
+
+    const boundaries = [...subscription.windows.values()].map(
+      ({ step, periodMs }) => (step + 1) * periodMs
+    )
+
+    clearTimeout(subscription.timer)
+    subscription.timer = boundaries.length
+      ? setTimeout(
+          () => this._tick(subscriptionId),
+          Math.max(0, Math.min(...boundaries) - Date.now())
+        )
+      : null
+  }
+
+  /**
+   * @param {string} subscriptionId
+   * @returns {Promise<void>}
+   */
+  async _tick(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId)
+    if (!subscription || this.isPaused) {
+      return
+    }
+
+    subscription.timer = null
+
+    try {
+      const now = Date.now()
+      const codes = await this.generateCodes(
+        subscription.recordIds,
+        subscription.vaultId
+      )
+      if (
+        this.isPaused ||
+        this.subscriptions.get(subscriptionId) !== subscription
+      ) {
+        return
+      }
+
+      const changed = this._track(subscription, codes, now)
+      if (changed.length) {
+        subscription.onCodes(changed)
+      }
+    } catch (error) {
+      workletLogger.error('Failed to generate OTP codes, unsubscribing:', error)
+      this.unsubscribe(subscriptionId)
+      return
+    }
+
+    this._schedule(subscriptionId)
+  }
+}
@@ -0,0 +1,129 @@
+import { OtpTicker } from './otpTicker'
+
+jest.mock('./utils/workletLogger', () => ({
+  workletLogger: { error: jest.fn(), log: jest.fn() }
+}))
+
+// 10s into a 30s period
+const START = Date.UTC(2026, 0, 1, 0, 0, 10)
+
+const codesAt = (now, recordIds) =>
+  recordIds.map((recordId) => {
+    const period = recordId === 'slow' ? 60 : 30
+    return {
+      recordId,
+      code: `${recordId}-${Math.floor(now / (period * 1000))}`,
+      period
+    }
+  })
+
+describe('OtpTicker', () => {
+  let generateCodes
+  let ticker
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START })
+    generateCodes = jest.fn(async (recordIds) => codesAt(Date.now(), recordIds))
+    ticker = new OtpTicker(generateCodes)
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('returns the current codes and pushes new ones at each boundary', async () => {
+    const onCodes = jest.fn()
+
+    const { subscriptionId, codes } = await ticker.subscribe({
+      recordIds: ['fast', 'slow'],
+      onCodes
+    })
+
+    expect(subscriptionId).toMatch(/^[0-9a-f]{32}$/)
+    expect(codes.map(({ code }) => code)).toEqual([
+      `fast-${Math.floor(START / 30000)}`,
+      `slow-${Math.floor(START / 60000)}`
+    ])
+
+    await jest.advanceTimersByTimeAsync(19999)
+    expect(onCodes).not.toHaveBeenCalled()
+
+    // 30s: only the 30s code changes
+    await jest.advanceTimersByTimeAsync(1)
+    expect(onCodes).toHaveBeenCalledTimes(1)
+    expect(onCodes.mock.calls[0][0].map(({ recordId }) => recordId)).toEqual([
+      'fast'
+    ])
+
+    // 60s: both change
+    await jest.advanceTimersByTimeAsync(30000)
+    expect(onCodes).toHaveBeenCalledTimes(2)
+    expect(onCodes.mock.calls[1][0].map(({ recordId }) => recordId)).toEqual([
+      'fast',
+      'slow'
+    ])
+  })
+
+  it('stops after unsubscribe', async () => {
+    const onCodes = jest.fn()
+    const { subscriptionId } = await ticker.subscribe({
+      recordIds: ['fast'],
+      onCodes
+    })
+
+    expect(ticker.unsubscribe(subscriptionId)).toBe(true)
+    expect(ticker.unsubscribe(subscriptionId)).toBe(false)
+
+    await jest.advanceTimersByTimeAsync(120000)
+    expect(onCodes).not.toHaveBeenCalled()
+  })
+
+  it('drops the subscriptions of a closed vault', async () => {
+    const onCodes = jest.fn()
+    await ticker.subscribe({ recordIds: ['fast'], vaultId: 'v1', onCodes })
+    await ticker.subscribe({ recordIds: ['fast'], vaultId: 'v2', onCodes })
+
+    ticker.unsubscribeVault('v1')
+    await jest.advanceTimersByTimeAsync(20000)
+
+    expect(onCodes).toHaveBeenCalledTimes(1)
+    expect(ticker.subscriptions.size).toBe(1)
+  })
+
+  it('pauses timers and sends stale codes on resume', async () => {
+    const onCodes = jest.fn()
+    await ticker.subscribe({ recordIds: ['fast'], onCodes })
+
+    ticker.pause()
+    await jest.advanceTimersByTimeAsync(95000)
+    expect(onCodes).not.toHaveBeenCalled()
+
+    await ticker.resume()
+    expect(onCodes).toHaveBeenCalledTimes(1)
+
+    // Back on the period boundaries
+    await jest.advanceTimersByTimeAsync(15000)
+    expect(onCodes).toHaveBeenCalledTimes(2)
+  })
+
+  it('ignores HOTP codes and unsubscribes when codes cannot be generated', async () => {
+    generateCodes.mockResolvedValueOnce([{ recordId: 'hotp', code: '123456' }])
+    const hotp = await ticker.subscribe({
+      recordIds: ['hotp'],
+      onCodes: jest.fn()
+    })
+    expect(ticker.subscriptions.get(hotp.subscriptionId).timer).toBeNull()
+
+    const onCodes = jest.fn()
+    const { subscriptionId } = await ticker.subscribe({
+      recordIds: ['fast'],
+      onCodes
+    })
+    generateCodes.mockRejectedValueOnce(new Error('Vault not initialised'))
+
+    await jest.advanceTimersByTimeAsync(20000)
+
+    expect(onCodes).not.toHaveBeenCalled()
+    expect(ticker.subscriptions.has(subscriptionId)).toBe(false)
+  })
+})
@@ -0,0 +1,399 @@
+import { p256 } from '@noble/curves/nist.js'
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+import { ERROR_CODES } from '../../constants/errorCodes'
+import { PASSKEY_ALGORITHM } from '../../constants/passkeyAlgorithm'
+import { vaultError } from '../../utils/vaultError'
+
+// Authenticator data flags, see https://www.w3.org/TR/webauthn-3/#flags
+const FLAG_USER_PRESENT = 0x01
+const FLAG_USER_VERIFIED = 0x04
+const FLAG_BACKUP_ELIGIBLE = 0x08
+const FLAG_BACKED_UP = 0x10
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40
+
+const CREDENTIAL_ID_BYTES = 32
+
+// "none" attestation, so the authenticator model is not disclosed
+const AAGUID = b4a.alloc(16)
+
+const COSE_ALGORITHM = {
+  [PASSKEY_ALGORITHM.ES256]: -7,
+  [PASSKEY_ALGORITHM.EdDSA]: -8
+}
+
+/**
+ * Stored as `record.data.passkey`. `privateKey` never leaves the worklet.
+ * @typedef {Object} PasskeyConfig
+ * @property {string} credentialId - base64url
+ * @property {string} rpId
+ * @property {string} algorithm - one of `PASSKEY_ALGORITHM`
+ * @property {string} privateKey - base64url; P-256 scalar or Ed25519 seed
+ * @property {string} publicKey - base64url COSE_Key
+ * @property {string} [userHandle] - base64url
+ * @property {string} [userName]
+ * @property {string} [userDisplayName]
+ * @property {number} signCount
+ * @property {number} createdAt
+ */
+
+/**
+ * @param {number} major
+ * @param {number} length
+ * @returns {Buffer}
+ */
+const cborHead = (major, length) => {
+  if (length < 24) return b4a.from([(major << 5) | length])
+  if (length < 0x100) return b4a.from([(major << 5) | 24, length])
+  return b4a.from([(major << 5) | 25, length >> 8, length & 0xff])
+}
+
+/**
+ * Minimal CBOR encoder for COSE keys and attestation objects: small integers,
+ * byte strings, text strings and maps.
+ * @param {number | string | Uint8Array | Map<any, any> | Object} value
+ * @returns {Buffer}
+ */
+const encodeCbor = (value) => {
+  if (typeof value === 'number') {
+    return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value)
+  }
+
+  if (typeof value === 'string') {
+    const bytes = b4a.from(value)
+    return b4a.concat([cborHead(3, bytes.byteLength), bytes])
+  }
+
+  if (value instanceof Uint8Array) {
+    return b4a.concat([cborHead(2, value.byteLength), value])
+  }
+
+  const entries = value instanceof Map ? [...value] : Object.entries(value)
+  return b4a.concat([
+    cborHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])
+  ])
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+const fromBase64Url = (value) => b4a.from(value, 'base64url')
+
+/**
+ * @param {Uint8Array} value
+ * @returns {string}
+ */
+const toBase64Url = (value) => b4a.toString(value, 'base64url')
+
+/**
+ * @param {Uint8Array | string} data
+ * @returns {Buffer}
+ */
+const sha256 = (data) => {
+  const out = b4a.alloc(sodium.crypto_hash_sha256_BYTES)
+  sodium.crypto_hash_sha256(out, b4a.from(data))
+  return out
+}
+
+/**
+ * @param {Uint8Array} point - uncompressed P-256 public key
+ * @returns {Buffer} the COSE_Key
+ */
+const es256CoseKey = (point) =>
+  encodeCbor(
+    new Map([
+      [1, 2], // kty: EC2
+      [3, COSE_ALGORITHM[PASSKEY_ALGORITHM.ES256]],
+      [-1, 1], // crv: P-256
+      [-2, point.subarray(1, 33)],
+      [-3, point.subarray(33, 65)]
+    ])
+  )
+
+/**
+ * @param {Buffer} seed - Ed25519 seed
+ * @returns {{ publicKey: Buffer, secretKey: Buffer }}
+ */
+const ed25519KeyPair = (seed) => {
+  const publicKey = b4a.alloc(sodium.crypto_sign_PUBLICKEYBYTES)
+  const secretKey = sodium.sodium_malloc(sodium.crypto_sign_SECRETKEYBYTES)
+  sodium.crypto_sign_seed_keypair(publicKey, secretKey, seed)
+  return { publicKey, secretKey }
+}
+
+/**
+ * @param {string} algorithm
+ * @returns {{ privateKey: Uint8Array, coseKey: Buffer }}
+ */
+const generateKeyPair = (algorithm) => {
+  if (algorithm === PASSKEY_ALGORITHM.ES256) {
+    const seed = b4a.alloc(p256.lengths.seed)
+    sodium.randombytes_buf(seed)
+    const { secretKey } = p256.keygen(seed)
+    sodium.sodium_memzero(seed)
+
+    return {
+      privateKey: secretKey,
+      coseKey: es256CoseKey(p256.getPublicKey(secretKey, false))
+    }
+  }
+
+  const seed = b4a.alloc(sodium.crypto_sign_SEEDBYTES)
+  sodium.randombytes_buf(seed)
+  const { publicKey, secretKey } = ed25519KeyPair(seed)
+  sodium.sodium_memzero(secretKey)
+
+  return {
+    privateKey: seed,
+    coseKey: encodeCbor(
+      new Map([
+        [1, 1], // kty: OKP
+        [3, COSE_ALGORITHM[algorithm]],
+        [-1, 6], // crv: Ed25519
+        [-2, publicKey]
+      ])
+    )
+  }
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.rpId
+ * @param {number} params.flags
+ * @param {number} params.signCount
+ * @param {Buffer} [params.attestedCredentialData]
+ * @returns {Buffer}
+ */
+export const buildAuthenticatorData = ({
+  rpId,
+  flags,
+  signCount,
+  attestedCredentialData
+}) => {
+  const counter = b4a.alloc(4)
+  new DataView(counter.buffer, counter.byteOffset, 4).setUint32(0, signCount)
+
+  return b4a.concat([
+    sha256(rpId),
+    b4a.from([flags]),
+    counter,
+    ...(attestedCredentialData ? [attestedCredentialData] : [])
+  ])
+}
+
+/**
+ * Generates a new credential for a relying party. Vault records replicate to
+ * every paired device, so passkeys are reported as backed up.
+ * @param {Object} params
+ * @param {string} params.rpId
+ * @param {string} [params.algorithm] - defaults to ES256, which every relying
+ *   party supports
+ * @param {string} [params.userHandle] - base64url user.id from the relying party
+ * @param {string} [params.userName]
+ * @param {string} [params.userDisplayName]
+ * @returns {PasskeyConfig}
+ */
+export const createPasskey = ({
+  rpId,
+  algorithm = PASSKEY_ALGORITHM.ES256,
+  userHandle,
+  userName,
+  userDisplayName
+} = {}) => {
+  if (!rpId || typeof rpId !== 'string') {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Relying party id is required')
+  }
+  if (!COSE_ALGORITHM[algorithm]) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Unsupported passkey algorithm',
+      { algorithm }
+    )
+  }
+
+  const credentialId = b4a.alloc(CREDENTIAL_ID_BYTES)
+  sodium.randombytes_buf(credentialId)
+
+  const { privateKey, coseKey } = generateKeyPair(algorithm)
+
+  return {
+    credentialId: toBase64Url(credentialId),
+    rpId,
+    algorithm,
+    privateKey: toBase64Url(privateKey),
+    publicKey: toBase64Url(coseKey),
+    userHandle,
+    userName,
+    userDisplayName,
+    signCount: 0,
+    createdAt: Date.now()
+  }
+}
+
+/**
+ * Builds the config of an ES256 passkey exported by another authenticator,
+ * so it keeps working with the relying parties it is registered with.
+ * @param {Object} params
+ * @param {string} params.credentialId - base64url
+ * @param {string} params.rpId
+ * @param {Uint8Array} params.privateKey - P-256 scalar
+ * @param {string} [params.userHandle] - base64url
+ * @param {string} [params.userName]
+ * @param {string} [params.userDisplayName]
+ * @param {number} [params.signCount]
+ * @param {number} [params.createdAt]
+ * @returns {PasskeyConfig}
+ */
+export const importPasskey = ({
+  credentialId,
+  rpId,
+  privateKey,
+  userHandle,
+  userName,
+  userDisplayName,
+  signCount = 0,
+  createdAt = Date.now()
+}) => {
+  if (!rpId || !credentialId) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Passkey credential id and relying party id are required'
+    )
+  }
+
+  let coseKey
+  try {
+    coseKey = es256CoseKey(p256.getPublicKey(privateKey, false))
+  } catch {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid passkey private key')
+  }
+
+  return {
+    credentialId,
+    rpId,
+    algorithm: PASSKEY_ALGORITHM.ES256,
+    privateKey: toBase64Url(privateKey),
+    publicKey: toBase64Url(coseKey),
+    userHandle,
+    userName,
+    userDisplayName,
+    signCount,
+    createdAt
+  }
+}
+
+/**
+ * Builds the "none" attestation object the relying party expects from
+ * `navigator.credentials.create()`.
+ * @param {PasskeyConfig} passkey
+ * @returns {{ authenticatorData: string, attestationObject: string }} base64url
+ */
+export const getPasskeyRegistration = (passkey) => {
+  const credentialId = fromBase64Url(passkey.credentialId)
+  const idLength = b4a.from([
+    credentialId.byteLength >> 8,
+    credentialId.byteLength & 0xff
+  ])
+
+  const authenticatorData = buildAuthenticatorData({
+    rpId: passkey.rpId,
+    flags:
+      FLAG_USER_PRESENT |
+      FLAG_USER_VERIFIED |
+      FLAG_BACKUP_ELIGIBLE |
+      FLAG_BACKED_UP |
+      FLAG_ATTESTED_CREDENTIAL_DATA,
+    signCount: passkey.signCount,
+    attestedCredentialData: b4a.concat([
+      AAGUID,
+      idLength,
+      credentialId,
+      fromBase64Url(passkey.publicKey)
+    ])
+  })
+
+  return {
+    authenticatorData: toBase64Url(authenticatorData),
+    attestationObject: toBase64Url(
+      encodeCbor({ fmt: 'none', attStmt: {}, authData: authenticatorData })
+    )
+  }
+}
+
+/**
+ * Signs `authenticatorData || clientDataHash` for `navigator.credentials.get()`
+ * with the next signature counter. The caller stores the returned `signCount`.
+ * @param {PasskeyConfig} passkey
+ * @param {Object} params
+ * @param {string} params.clientDataHash - base64url SHA-256 of clientDataJSON
+ * @param {boolean} [params.userVerified]
+ * @returns {{ authenticatorData: string, signature: string, signCount: number }}
+ */
+export const signPasskeyAssertion = (
+  passkey,
+  { clientDataHash, userVerified = false }
+) => {
+  if (!clientDataHash || typeof clientDataHash !== 'string') {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'clientDataHash is required')
+  }
+
+  const hash = fromBase64Url(clientDataHash)
+  if (hash.byteLength !== sodium.crypto_hash_sha256_BYTES) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'clientDataHash must be a SHA-256 hash'
+    )
+  }
+
+  const signCount = (passkey.signCount || 0) + 1
+  const authenticatorData = buildAuthenticatorData({
+    rpId: passkey.rpId,
+    flags:
+      FLAG_USER_PRESENT |
+      (userVerified ? FLAG_USER_VERIFIED : 0) |
+      FLAG_BACKUP_ELIGIBLE |
+      FLAG_BACKED_UP,
+    signCount
+  })
+  const message = b4a.concat([authenticatorData, hash])
+  const privateKey = fromBase64Url(passkey.privateKey)
+
+  let signature
+  try {
+    if (passkey.algorithm === PASSKEY_ALGORITHM.ES256) {
+      signature = p256.sign(message, privateKey, { format: 'der' })
+    } else if (passkey.algorithm === PASSKEY_ALGORITHM.EdDSA) {
+      const { secretKey } = ed25519KeyPair(privateKey)
+      signature = b4a.alloc(sodium.crypto_sign_BYTES)
+      sodium.crypto_sign_detached(signature, message, secretKey)
+      sodium.sodium_memzero(secretKey)
+    } else {
+      throw vaultError(
+        ERROR_CODES.INVALID_INPUT,
+        'Unsupported passkey algorithm',
+        { algorithm: passkey.algorithm }
+      )
+    }
+  } finally {
+    sodium.sodium_memzero(privateKey)
+  }
+
+  return {
+    authenticatorData: toBase64Url(authenticatorData),
+    signature: toBase64Url(signature),
+    signCount
+  }
+}
+
+/**
+ * @param {PasskeyConfig} passkey
+ * @returns {Omit<PasskeyConfig, 'privateKey'>}
+ */
+export const toPasskeyPublic = (passkey) => {
+  const passkeyPublic = { ...passkey }
+  delete passkeyPublic.privateKey
+  return passkeyPublic
+}
@@ -0,0 +1,207 @@
+import { p256 } from '@noble/curves/nist.js'
+import sodium from 'sodium-native'
+
+import {
+  buildAuthenticatorData,
+  createPasskey,
+  getPasskeyRegistration,
+  importPasskey,
+  signPasskeyAssertion,
+  toPasskeyPublic
+} from './index'
+import { ERROR_CODES } from '../../constants/errorCodes'
+
+const fromBase64Url = (value) => Buffer.from(value, 'base64url')
+
+const sha256 = (data) => {
+  const out = Buffer.alloc(sodium.crypto_hash_sha256_BYTES)
+  sodium.crypto_hash_sha256(out, Buffer.from(data))
+  return out
+}
+
+const clientDataHash = sha256('{"type":"webauthn.get"}').toString('base64url')
+
+describe('buildAuthenticatorData', () => {
+  it('lays out rpIdHash, flags and a big endian counter', () => {
+    const data = buildAuthenticatorData({
+      rpId: 'example.com',
+      flags: 0x05,
+      signCount: 258
+    })
+
+    expect(data.subarray(0, 32)).toEqual(sha256('example.com'))
+    expect([...data.subarray(32)]).toEqual([0x05, 0, 0, 1, 2])
+  })
+})
+
+describe('createPasskey', () => {
+  it('creates an ES256 credential with a COSE EC2 key', () => {
+    const passkey = createPasskey({ rpId: 'example.com', userName: 'octocat' })
+    const coseKey = fromBase64Url(passkey.publicKey)
+
+    expect(passkey).toMatchObject({
+      rpId: 'example.com',
+      algorithm: 'ES256',
+      userName: 'octocat',
+      signCount: 0
+    })
+    expect(fromBase64Url(passkey.credentialId)).toHaveLength(32)
+    // map(5) { 1: 2, 3: -7, -1: 1, -2: bstr(32), -3: bstr(32) }
+    expect([...coseKey.subarray(0, 7)]).toEqual([
+      0xa5, 0x01, 0x02, 0x03, 0x26, 0x20, 0x01
+    ])
+    expect(coseKey).toHaveLength(77)
+  })
+
+  it('creates an EdDSA credential with a COSE OKP key', () => {
+    const passkey = createPasskey({ rpId: 'example.com', algorithm: 'EdDSA' })
+    const coseKey = fromBase64Url(passkey.publicKey)
+
+    // map(4) { 1: 1, 3: -8, -1: 6, -2: bstr(32) }
+    expect([...coseKey.subarray(0, 7)]).toEqual([
+      0xa4, 0x01, 0x01, 0x03, 0x27, 0x20, 0x06
+    ])
+    expect(coseKey).toHaveLength(42)
+  })
+
+  it('rejects a missing rpId or an unsupported algorithm', () => {
+    expect(() => createPasskey({})).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+    expect(() =>
+      createPasskey({ rpId: 'example.com', algorithm: 'RS256' })
+    ).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT }))
+  })
+})
+
+describe('getPasskeyRegistration', () => {
+  it('embeds the credential in attested authenticator data', () => {
+    const passkey = createPasskey({ rpId: 'example.com' })
+    const { authenticatorData, attestationObject } =
+      getPasskeyRegistration(passkey)
+    const data = fromBase64Url(authenticatorData)
+
+    // UP | UV | BE | BS | AT
+    expect(data[32]).toBe(0x5d)
+    expect(data.readUInt16BE(53)).toBe(32)
+    expect(data.subarray(55, 87).toString('base64url')).toBe(
+      passkey.credentialId
+    )
+    expect(data.subarray(87).toString('base64url')).toBe(passkey.publicKey)
+    expect(fromBase64Url(attestationObject).includes(data)).toBe(true)
+  })
+})
+
+describe('signPasskeyAssertion', () => {
+  it('signs with ES256 and increments the counter', () => {
+    const passkey = createPasskey({ rpId: 'example.com' })
+    const coseKey = fromBase64Url(passkey.publicKey)
+    const publicKey = Buffer.concat([
+      Buffer.from([0x04]),
+      coseKey.subarray(10, 42),
+      coseKey.subarray(45, 77)
+    ])
+
+    const assertion = signPasskeyAssertion(
+      { ...passkey, signCount: 4 },
+      { clientDataHash, userVerified: true }
+    )
+    const data = fromBase64Url(assertion.authenticatorData)
+
+    expect(assertion.signCount).toBe(5)
+    expect(data[32]).toBe(0x1d)
+    expect(data.readUInt32BE(33)).toBe(5)
+    expect(
+      p256.verify(
+        fromBase64Url(assertion.signature),
+        Buffer.concat([data, fromBase64Url(clientDataHash)]),
+        publicKey,
+        { format: 'der' }
+      )
+    ).toBe(true)
+  })
+
+  it('signs with EdDSA', () => {
+    const passkey = createPasskey({ rpId: 'example.com', algorithm: 'EdDSA' })
+    const publicKey = fromBase64Url(passkey.publicKey).subarray(10, 42)
+
+    const assertion = signPasskeyAssertion(passkey, { clientDataHash })
+    const data = fromBase64Url(assertion.authenticatorData)
+
+    expect(data[32] & 0x04).toBe(0)
+    expect(
+      sodium.crypto_sign_verify_detached(
+        fromBase64Url(assertion.signature),
+        Buffer.concat([data, fromBase64Url(clientDataHash)]),
+        publicKey
+      )
+    ).toBe(true)
+  })
+
+  it('requires a clientDataHash', () => {
+    const passkey = createPasskey({ rpId: 'example.com' })
+
+    expect(() => signPasskeyAssertion(passkey, {})).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+  })
+
+  it('rejects a clientDataHash that is not a SHA-256 hash', () => {
+    const passkey = createPasskey({ rpId: 'example.com' })
+
+    for (const hash of ['hash', Buffer.alloc(64).toString('base64url')]) {
+      expect(() =>
+        signPasskeyAssertion(passkey, { clientDataHash: hash })
+      ).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT }))
+    }
+  })
+})
+
+describe('importPasskey', () => {
+  it('derives the public key of an exported P-256 key', () => {
+    const { secretKey, publicKey } = p256.keygen()
+
+    const passkey = importPasskey({
+      credentialId: 'Y3JlZA',
+      rpId: 'example.com',
+      privateKey: secretKey,
+      userName: 'octocat',
+      signCount: 7
+    })
+    const coseKey = fromBase64Url(passkey.publicKey)
+
+    expect(passkey).toMatchObject({
+      credentialId: 'Y3JlZA',
+      algorithm: 'ES256',
+      privateKey: Buffer.from(secretKey).toString('base64url'),
+      signCount: 7
+    })
+    expect(
+      Buffer.concat([coseKey.subarray(10, 42), coseKey.subarray(45, 77)])
+    ).toEqual(
+      Buffer.from(p256.Point.fromBytes(publicKey).toBytes(false)).subarray(1)
+    )
+  })
+
+  it('rejects an invalid key', () => {
+    expect(() =>
+      importPasskey({
+        credentialId: 'Y3JlZA',
+        rpId: 'example.com',
+        privateKey: new Uint8Array(32)
+      })
+    ).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT }))
+  })
+})
+
+describe('toPasskeyPublic', () => {
+  it('strips the private key', () => {
+    const passkey = createPasskey({ rpId: 'example.com' })
+
+    expect(toPasskeyPublic(passkey)).toEqual({
+      ...passkey,
+      privateKey: undefined
+    })
+    expect(toPasskeyPublic(passkey)).not.toHaveProperty('privateKey')
+  })
+})
@@ -0,0 +1,215 @@
+import { sha1 } from '@noble/hashes/legacy.js'
+import { checkPasswordStrength } from '@tetherto/pearpass-utils-password-check'
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_MAX_AGE_DAYS = 365
+// Length of the SHA-1 prefix sent to a k-anonymity range API, as in HIBP
+const BREACH_PREFIX_LENGTH = 5
+
+/**
+ * @typedef {Object} PasswordAudit
+ * @property {number} auditedCount - records with a password
+ * @property {Array<Array<string>>} reused - ids of records sharing a password,
+ *   one group per password
+ * @property {Array<{ id: string, strength: string }>} strength - the
+ *   `strengthType` of `checkPasswordStrength`
+ * @property {Array<{ id: string, updatedAt: number | null }>} stale - not
+ *   updated for `maxAgeDays`
+ * @property {Array<{ id: string, domains: Array<string> }>} missingTwoFactor -
+ *   no OTP or passkey for a site in `twoFactorDomains`
+ * @property {Array<string>} breachPrefixes - SHA-1 prefixes of the audited
+ *   passwords, the only part that may be looked up online
+ * @property {Array<{ id: string, count: number }> | null} breached - null
+ *   without a breach list
+ */
+
+/**
+ * @param {string} website
+ * @returns {string | null}
+ */
+const toHostname = (website) => {
+  try {
+    const url = new URL(
+      website.includes('://') ? website : `https://${website}`
+    )
+    return url.hostname.toLowerCase().replace(/^www\./, '')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {string} hostname
+ * @param {string} domain
+ * @returns {boolean}
+ */
+const isOnDomain = (hostname, domain) =>
+  hostname === domain || hostname.endsWith(`.${domain}`)
+
+/**
+ * @param {Object} record
+ * @param {Array<string>} domains
+ * @returns {Array<string>} the `domains` the record's websites are on
+ */
+const findRecordDomains = (record, domains) => {
+  const matched = new Set()
+
+  for (const website of record.data.websites ?? []) {
+    const hostname = typeof website === 'string' ? toHostname(website) : null
+
+    for (const domain of hostname ? domains : []) {
+      if (isOnDomain(hostname, domain)) {
+        matched.add(domain)
+      }
+    }
+  }
+
+  return [...matched]
+}
+
+/**
+ * Hashes with a key generated for this audit only, so the hashes compare
+ * passwords without being usable once the audit is over.
+ * @param {Array<string>} passwords
+ * @returns {Array<string>} hex
+ */
+const toKeyedHashes = (passwords) => {
+  const key = sodium.sodium_malloc(sodium.crypto_generichash_KEYBYTES)
+  const hash = b4a.alloc(sodium.crypto_generichash_BYTES)
+
+  try {
+    sodium.randombytes_buf(key)
+
+    return passwords.map((password) => {
+      sodium.crypto_generichash(hash, b4a.from(password, 'utf-8'), key)
+      return b4a.toString(hash, 'hex')
+    })
+  } finally {
+    sodium.sodium_memzero(key)
+    sodium.sodium_free(key)
+  }
+}
+
+/**
+ * @param {string} breachList - one `<SHA-1>:<count>` line per hash, like the
+ *   responses of a k-anonymity range API with the prefix put back
+ * @param {Map<string, Array<string>>} idsBySha1 - uppercase hex
+ * @returns {Array<{ id: string, count: number }>}
+ */
+const findBreached = (breachList, idsBySha1) => {
+  const breached = []
+
+  for (const line of breachList.split('\n')) {
+    const [hash, count] = line.trim().split(':')
+    const ids = idsBySha1.get(hash?.toUpperCase())
+
+    if (ids) {
+      for (const id of ids) {
+        breached.push({ id, count: Number(count) || 1 })
+      }
+    }
+  }
+
+  return breached
+}
+
+/**
+ * Reports on the passwords of a vault's records. Passwords are compared and
+ * checked inside the worklet; the report only holds record ids.
+ * @param {Array<Object>} records
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeDays]
+ * @param {Array<string>} [options.twoFactorDomains] - sites that support 2FA
+ * @param {string | null} [options.breachList] - see `findBreached`
+ * @param {number} [options.now]
+ * @returns {PasswordAudit}
+ */
+export const auditPasswords = (
+  records,
+  {
+    maxAgeDays = DEFAULT_MAX_AGE_DAYS,
+    twoFactorDomains = [],
+    breachList = null,
+    now = Date.now()
+  } = {}
+) => {
+  if (!Number.isFinite(maxAgeDays) || maxAgeDays <= 0) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid maximum age')
+  }
+
+  if (
+    !Array.isArray(twoFactorDomains) ||
+    twoFactorDomains.some((domain) => typeof domain !== 'string')
+  ) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid 2FA domains')
+  }
+
+  const domains = twoFactorDomains.map((domain) =>
+    domain
+      .trim()
+      .toLowerCase()
+      .replace(/^www\./, '')
+  )
+  const audited = records.filter(
+    (record) =>
+      typeof record?.data?.password === 'string' && record.data.password
+  )
+
+  const reusedGroups = new Map()
+  const keyedHashes = toKeyedHashes(
+    audited.map((record) => record.data.password)
+  )
+  audited.forEach((record, index) => {
+    const group = reusedGroups.get(keyedHashes[index]) ?? []
+    reusedGroups.set(keyedHashes[index], [...group, record.id])
+  })
+
+  const idsBySha1 = new Map()
+  for (const record of audited) {
+    const hash = b4a
+      .toString(sha1(b4a.from(record.data.password, 'utf-8')), 'hex')
+      .toUpperCase()
+    idsBySha1.set(hash, [...(idsBySha1.get(hash) ?? []), record.id])
+  }
+
+  const maxAgeMs = maxAgeDays * DAY_MS
+
+  return {
+    auditedCount: audited.length,
+    reused: [...reusedGroups.values()].filter((ids) => ids.length > 1),
+    strength: audited.map((record) => ({
+      id: record.id,
+      strength: checkPasswordStrength(record.data.password).strengthType
+    })),
+    stale: audited
+      .filter((record) => {
+        const updatedAt = record.updatedAt ?? record.createdAt
+        return !updatedAt || now - updatedAt >= maxAgeMs
+      })
+      .map((record) => ({
+        id: record.id,
+        updatedAt: record.updatedAt ?? record.createdAt ?? null
+      })),
+    missingTwoFactor: audited
+      .filter((record) => !record.data.otp && !record.data.passkey)
+      .map((record) => ({
+        id: record.id,
+        domains: findRecordDomains(record, domains)
+      }))
+      .filter((entry) => entry.domains.length > 0),
+    breachPrefixes: [
+      ...new Set(
+        [...idsBySha1.keys()].map((hash) => hash.slice(0, BREACH_PREFIX_LENGTH))
+      )
+    ].sort(),
+    breached:
+      typeof breachList === 'string'
+        ? findBreached(breachList, idsBySha1)
+        : null
+  }
+}
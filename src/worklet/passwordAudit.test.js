@@ -0,0 +1,121 @@
+import { sha1 } from '@noble/hashes/legacy.js'
+
+import { auditPasswords } from './passwordAudit'
+import { ERROR_CODES } from '../constants/errorCodes'
+
+jest.mock('@tetherto/pearpass-utils-password-check', () => ({
+  checkPasswordStrength: (password) => ({
+    strengthType: password.length >= 12 ? 'safe' : 'weak'
+  })
+}))
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = 1000 * DAY_MS
+
+const toSha1 = (password) =>
+  Buffer.from(sha1(Buffer.from(password)))
+    .toString('hex')
+    .toUpperCase()
+
+const login = (id, password, { data, ...fields } = {}) => ({
+  id,
+  type: 'login',
+  data: { title: id, password, websites: [], ...data },
+  updatedAt: NOW,
+  ...fields
+})
+
+describe('auditPasswords', () => {
+  it('groups records sharing a password', () => {
+    const report = auditPasswords(
+      [
+        login('a', 'hunter2'),
+        login('b', 'correct horse battery'),
+        login('c', 'hunter2'),
+        { id: 'note', type: 'note', data: { note: 'hunter2' } }
+      ],
+      { now: NOW }
+    )
+
+    expect(report.auditedCount).toBe(3)
+    expect(report.reused).toEqual([['a', 'c']])
+    expect(JSON.stringify(report)).not.toContain('hunter2')
+  })
+
+  it('scores every password', () => {
+    const report = auditPasswords(
+      [login('a', 'hunter2'), login('b', 'correct horse battery')],
+      { now: NOW }
+    )
+
+    expect(report.strength).toEqual([
+      { id: 'a', strength: 'weak' },
+      { id: 'b', strength: 'safe' }
+    ])
+  })
+
+  it('reports passwords older than the maximum age', () => {
+    const report = auditPasswords(
+      [
+        login('old', 'pw1', { updatedAt: NOW - 100 * DAY_MS }),
+        login('recent', 'pw2', { updatedAt: NOW - 10 * DAY_MS }),
+        login('created', 'pw3', { updatedAt: undefined, createdAt: 0 })
+      ],
+      { maxAgeDays: 90, now: NOW }
+    )
+
+    expect(report.stale).toEqual([
+      { id: 'old', updatedAt: NOW - 100 * DAY_MS },
+      { id: 'created', updatedAt: 0 }
+    ])
+  })
+
+  it('reports sites supporting 2FA without an OTP or passkey', () => {
+    const websites = ['https://www.github.com/login', 'example.org']
+    const report = auditPasswords(
+      [
+        login('plain', 'pw1', { data: { websites } }),
+        login('otp', 'pw2', { data: { websites, otp: { type: 'TOTP' } } }),
+        login('sub', 'pw3', { data: { websites: ['gist.github.com'] } }),
+        login('other', 'pw4', { data: { websites: ['notgithub.com'] } })
+      ],
+      { twoFactorDomains: ['GitHub.com'], now: NOW }
+    )
+
+    expect(report.missingTwoFactor).toEqual([
+      { id: 'plain', domains: ['github.com'] },
+      { id: 'sub', domains: ['github.com'] }
+    ])
+  })
+
+  it('checks passwords against a breach list', () => {
+    const records = [login('a', 'hunter2'), login('b', 'unbreached')]
+
+    const withoutList = auditPasswords(records, { now: NOW })
+    expect(withoutList.breached).toBeNull()
+    expect(withoutList.breachPrefixes).toEqual(
+      [toSha1('hunter2'), toSha1('unbreached')]
+        .map((hash) => hash.slice(0, 5))
+        .sort()
+    )
+
+    const breachList = [
+      `${toSha1('password')}:100`,
+      `${toSha1('hunter2').toLowerCase()}:42\r`,
+      ''
+    ].join('\n')
+
+    expect(auditPasswords(records, { breachList, now: NOW }).breached).toEqual([
+      { id: 'a', count: 42 }
+    ])
+  })
+
+  it('rejects invalid options', () => {
+    expect(() => auditPasswords([], { maxAgeDays: 0 })).toThrow(
+      expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT })
+    )
+    expect(() =>
+      auditPasswords([], { twoFactorDomains: 'github.com' })
+    ).toThrow(expect.objectContaining({ code: ERROR_CODES.INVALID_INPUT }))
+  })
+})
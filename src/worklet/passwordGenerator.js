@@ -0,0 +1,255 @@
+import sodium from 'sodium-native'
+
+import { wordlist } from './effWordlist'
+import { ERROR_CODES } from '../constants/errorCodes'
+import {
+  GENERATED_PASSWORD_TYPE,
+  PASSWORD_PROFILE
+} from '../constants/passwordGenerator'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * Which characters a password is drawn from. A class set to `true` uses its
+ * default characters, a string replaces them, e.g. the symbols a site allows.
+ * Every enabled class appears at least once.
+ * @typedef {Object} PasswordRules
+ * @property {number} length
+ * @property {boolean | string} lowercase
+ * @property {boolean | string} uppercase
+ * @property {boolean | string} digits
+ * @property {boolean | string} symbols
+ * @property {boolean} excludeAmbiguous - drops characters that are easily
+ *   misread, like `l`, `1` and `I`
+ */
+
+const CHARACTER_CLASSES = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!#$%&*+-./:;<=>?@^_~'
+}
+
+const AMBIGUOUS_CHARACTERS = 'Il1|O0o'
+
+const MIN_LENGTH = 4
+const MAX_LENGTH = 128
+const MIN_WORDS = 3
+const MAX_WORDS = 20
+const MAX_SEPARATOR_LENGTH = 3
+
+/** @type {Record<string, PasswordRules>} */
+const PROFILE_RULES = {
+  [PASSWORD_PROFILE.DEFAULT]: {
+    length: 20,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false
+  },
+  [PASSWORD_PROFILE.ALPHANUMERIC]: {
+    length: 20,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: false,
+    excludeAmbiguous: false
+  },
+  [PASSWORD_PROFILE.LIMITED_SYMBOLS]: {
+    length: 16,
+    lowercase: true,
+    uppercase: true,
+    digits: true,
+    symbols: '!@#$%',
+    excludeAmbiguous: false
+  },
+  [PASSWORD_PROFILE.PIN]: {
+    length: 6,
+    lowercase: false,
+    uppercase: false,
+    digits: true,
+    symbols: false,
+    excludeAmbiguous: false
+  }
+}
+
+/**
+ * @param {number} upperBound
+ * @returns {number} uniform in `[0, upperBound)`
+ */
+const randomIndex = (upperBound) => sodium.randombytes_uniform(upperBound)
+
+/**
+ * @param {Array<string>} items
+ * @returns {Array<string>} shuffled in place
+ */
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1)
+    ;[items[i], items[j]] = [items[j], items[i]]
+  }
+
+  return items
+}
+
+/**
+ * @param {number} entropy
+ * @returns {number} bits, one decimal
+ */
+const roundEntropy = (entropy) => Math.floor(entropy * 10) / 10
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @param {string} name
+ */
+const assertInRange = (value, min, max, name) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, `Invalid ${name}`, {
+      min,
+      max
+    })
+  }
+}
+
+/**
+ * @param {PasswordRules} rules
+ * @returns {Array<string>} the characters of each enabled class
+ */
+const getCharacterPools = (rules) =>
+  Object.keys(CHARACTER_CLASSES)
+    .filter((name) => rules[name])
+    .map((name) => {
+      const characters =
+        typeof rules[name] === 'string' ? rules[name] : CHARACTER_CLASSES[name]
+
+      return [...new Set(characters)]
+        .filter(
+          (character) =>
+            !rules.excludeAmbiguous || !AMBIGUOUS_CHARACTERS.includes(character)
+        )
+        .join('')
+    })
+
+/**
+ * @param {PasswordRules} rules
+ * @returns {{ password: string, entropyBits: number }}
+ */
+const generateFromRules = (rules) => {
+  assertInRange(rules.length, MIN_LENGTH, MAX_LENGTH, 'password length')
+
+  for (const name of Object.keys(CHARACTER_CLASSES)) {
+    if (!['boolean', 'string'].includes(typeof rules[name])) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, `Invalid ${name} rule`)
+    }
+  }
+
+  const pools = getCharacterPools(rules)
+  if (pools.length === 0 || pools.some((pool) => pool.length === 0)) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'No characters to choose from')
+  }
+  if (rules.length < pools.length) {
+    throw vaultError(
+      ERROR_CODES.INVALID_INPUT,
+      'Password too short for the character classes'
+    )
+  }
+
+  const alphabet = [...new Set(pools.join(''))].join('')
+  const pick = (pool) => pool[randomIndex(pool.length)]
+
+  const characters = [
+    ...pools.map(pick),
+    ...Array.from({ length: rules.length - pools.length }, () => pick(alphabet))
+  ]
+
+  return {
+    password: shuffle(characters).join(''),
+    // Upper bound; requiring every class takes a little off
+    entropyBits: roundEntropy(rules.length * Math.log2(alphabet.length))
+  }
+}
+
+/**
+ * Words come from the EFF large wordlist, about 12.9 bits each, so the
+ * default six words give 77 bits.
+ * @param {Object} options
+ * @param {number} [options.words]
+ * @param {string} [options.separator]
+ * @param {boolean} [options.capitalize] - capitalizes every word
+ * @returns {{ password: string, entropyBits: number }}
+ */
+const generatePassphrase = ({
+  words = 6,
+  separator = '-',
+  capitalize = false
+}) => {
+  assertInRange(words, MIN_WORDS, MAX_WORDS, 'word count')
+
+  if (
+    typeof separator !== 'string' ||
+    separator.length > MAX_SEPARATOR_LENGTH
+  ) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid separator')
+  }
+
+  const chosen = Array.from({ length: words }, () => {
+    const word = wordlist[randomIndex(wordlist.length)]
+    return capitalize ? word[0].toUpperCase() + word.slice(1) : word
+  })
+
+  return {
+    password: chosen.join(separator),
+    entropyBits: roundEntropy(words * Math.log2(wordlist.length))
+  }
+}
+
+/**
+ * Generates a password or passphrase from `sodium.randombytes_uniform`, so
+ * every client draws from the same rules. Options given next to a `profile`
+ * override its rules.
+ * @param {Object} [options]
+ * @param {string} [options.type] - one of `GENERATED_PASSWORD_TYPE`
+ * @param {string} [options.profile] - one of `PASSWORD_PROFILE`
+ * @param {number} [options.length]
+ * @param {boolean | string} [options.lowercase]
+ * @param {boolean | string} [options.uppercase]
+ * @param {boolean | string} [options.digits]
+ * @param {boolean | string} [options.symbols]
+ * @param {boolean} [options.excludeAmbiguous]
+ * @param {number} [options.words] - passphrases only
+ * @param {string} [options.separator] - passphrases only
+ * @param {boolean} [options.capitalize] - passphrases only
+ * @returns {{ password: string, entropyBits: number }}
+ */
+export const generatePassword = ({
+  type = GENERATED_PASSWORD_TYPE.PASSWORD,
+  profile = PASSWORD_PROFILE.DEFAULT,
+  ...options
+} = {}) => {
+  if (type === GENERATED_PASSWORD_TYPE.PASSPHRASE) {
+    return generatePassphrase(options)
+  }
+
+  if (type !== GENERATED_PASSWORD_TYPE.PASSWORD) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unknown password type', {
+      type
+    })
+  }
+
+  const rules = PROFILE_RULES[profile]
+  if (!rules) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unknown password profile', {
+      profile
+    })
+  }
+
+  const overrides = Object.fromEntries(
+    Object.keys(rules)
+      .filter((name) => options[name] !== undefined)
+      .map((name) => [name, options[name]])
+  )
+
+  return generateFromRules({ ...rules, ...overrides })
+}
@@ -0,0 +1,128 @@
+import sodium from 'sodium-native'
+
+import { wordlist } from './effWordlist'
+import { generatePassword } from './passwordGenerator'
+import { ERROR_CODES } from '../constants/errorCodes'
+import {
+  GENERATED_PASSWORD_TYPE,
+  PASSWORD_PROFILE
+} from '../constants/passwordGenerator'
+
+const invalidInput = expect.objectContaining({
+  code: ERROR_CODES.INVALID_INPUT
+})
+
+describe('generatePassword', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('uses every character class by default', () => {
+    const { password, entropyBits } = generatePassword()
+
+    expect(password).toHaveLength(20)
+    expect(password).toMatch(/[a-z]/)
+    expect(password).toMatch(/[A-Z]/)
+    expect(password).toMatch(/[0-9]/)
+    expect(password).toMatch(/[^a-zA-Z0-9]/)
+    expect(entropyBits).toBe(Math.floor(20 * Math.log2(82) * 10) / 10)
+  })
+
+  it('draws every character from randombytes_uniform', () => {
+    jest.spyOn(sodium, 'randombytes_uniform').mockReturnValue(0)
+
+    expect(generatePassword({ length: 6 })).toEqual({
+      password: 'A0!aaa',
+      entropyBits: 38.1
+    })
+    expect(sodium.randombytes_uniform).toHaveBeenCalledTimes(6 + 5)
+  })
+
+  it('follows the rules of a profile', () => {
+    const { password, entropyBits } = generatePassword({
+      profile: PASSWORD_PROFILE.PIN
+    })
+
+    expect(password).toMatch(/^[0-9]{6}$/)
+    expect(entropyBits).toBe(19.9)
+    expect(
+      generatePassword({ profile: PASSWORD_PROFILE.LIMITED_SYMBOLS }).password
+    ).toMatch(/^[a-zA-Z0-9!@#$%]{16}$/)
+  })
+
+  it('lets options override the profile', () => {
+    const { password } = generatePassword({
+      profile: PASSWORD_PROFILE.ALPHANUMERIC,
+      length: 32,
+      uppercase: false,
+      symbols: '_'
+    })
+
+    expect(password).toMatch(/^[a-z0-9_]{32}$/)
+    expect(password).toContain('_')
+  })
+
+  it('excludes ambiguous characters', () => {
+    for (let i = 0; i < 20; i++) {
+      const { password } = generatePassword({
+        length: 64,
+        excludeAmbiguous: true
+      })
+
+      expect(password).not.toMatch(/[Il1|O0o]/)
+    }
+  })
+
+  it('generates passphrases', () => {
+    const { password, entropyBits } = generatePassword({
+      type: GENERATED_PASSWORD_TYPE.PASSPHRASE,
+      words: 5,
+      separator: '.',
+      capitalize: true
+    })
+    const words = password.split('.')
+
+    expect(words).toHaveLength(5)
+    for (const word of words) {
+      expect(word[0]).toMatch(/[A-Z]/)
+      expect(wordlist).toContain(word.toLowerCase())
+    }
+    expect(entropyBits).toBe(64.6)
+  })
+
+  it('rejects invalid options', () => {
+    expect(() => generatePassword({ type: 'pin' })).toThrow(invalidInput)
+    expect(() => generatePassword({ profile: 'bank' })).toThrow(invalidInput)
+    expect(() => generatePassword({ length: 3 })).toThrow(invalidInput)
+    expect(() => generatePassword({ length: 2.5 })).toThrow(invalidInput)
+    expect(() =>
+      generatePassword({
+        lowercase: false,
+        uppercase: false,
+        digits: false,
+        symbols: false
+      })
+    ).toThrow(invalidInput)
+    expect(() => generatePassword({ symbols: 1 })).toThrow(invalidInput)
+    expect(() =>
+      generatePassword({
+        profile: PASSWORD_PROFILE.PIN,
+        length: 4,
+        digits: '01',
+        excludeAmbiguous: true
+      })
+    ).toThrow(invalidInput)
+    expect(() =>
+      generatePassword({
+        type: GENERATED_PASSWORD_TYPE.PASSPHRASE,
+        words: 2
+      })
+    ).toThrow(invalidInput)
+    expect(() =>
+      generatePassword({
+        type: GENERATED_PASSWORD_TYPE.PASSPHRASE,
+        separator: '----'
+      })
+    ).toThrow(invalidInput)
+  })
+})
@@ -3,8 +3,17 @@ import b4a from 'b4a'
 import BlindEncryptionSodium from 'blind-encryption-sodium'
 import Corestore from 'corestore'
 
-import { getHashedPassword } from './appDeps'
+import { getHashedPasswordHandle } from './appDeps'
 import { getConfig } from './utils/swarm'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isTimeoutError = (error) =>
+  error?.code === 'ETIMEDOUT' || /timed? ?out/i.test(error?.message ?? '')
 
 export class PearPassPairer {
   constructor() {
@@ -36,7 +45,7 @@ export class PearPassPairer {
 
     const conf = await getConfig(store)
 
-    const hashedPassword = await getHashedPassword()
+    const hashedPassword = await getHashedPasswordHandle()
 
     if (!hashedPassword) {
       throw new Error('Hashed password not found')
@@ -45,7 +54,7 @@ export class PearPassPairer {
     const pair = Autopass.pair(store, invite, {
       relayThrough: conf.current.blindRelays,
       blindEncryption: new BlindEncryptionSodium(
-        b4a.alloc(32, hashedPassword, 'utf-8')
+        hashedPassword.use((buffer) => b4a.alloc(32, buffer))
       )
     })
     this.pair = pair
@@ -59,7 +68,12 @@ export class PearPassPairer {
       await instance.close()
       return encryptionKey
     } catch (error) {
-      throw new Error(`Pairing failed: ${error.message}`)
+      throw vaultError(
+        isTimeoutError(error)
+          ? ERROR_CODES.PAIRING_TIMEOUT
+          : ERROR_CODES.PAIRING_FAILED,
+        `Pairing failed: ${error.message}`
+      )
     } finally {
       await this.cancelPairing()
     }
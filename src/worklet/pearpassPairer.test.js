@@ -30,7 +30,9 @@ jest.mock('@tetherto/swarmconf', () =>
 // so we mock the only export pearpassPairer needs from it.
 jest.mock('./appDeps', () => ({
   __esModule: true,
-  getHashedPassword: jest.fn().mockResolvedValue('hashed-password')
+  getHashedPasswordHandle: jest.fn().mockResolvedValue({
+    use: (fn) => fn(Buffer.from('hashed-password'))
+  })
 }))
 
 // blind-encryption-sodium pulls in sodium-universal native bindings; mock it.
@@ -3,6 +3,14 @@ const MAX_BACKOFF_MINUTES = 24 * 60 // 24 hours
 const COOLDOWN_PERIOD_MS = MAX_BACKOFF_MINUTES * 60 * 1000
 const STORAGE_KEY = 'rateLimitData'
 
+// BACKOFF locks out for a growing time after MAX_ATTEMPTS failures and forgets
+// them after a quiet day. WIPE never locks out and never forgets: once the
+// attempts run out the caller destroys what they protect.
+export const RATE_LIMIT_POLICY = {
+  BACKOFF: 'backoff',
+  WIPE: 'wipe'
+}
+
 const DEFAULT_DATA = {
   consecutiveFailures: 0,
   lockoutUntil: null,
@@ -10,11 +18,24 @@ const DEFAULT_DATA = {
 }
 
 export class RateLimiter {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey]
+   * @param {number} [options.maxAttempts]
+   * @param {string} [options.policy] - one of `RATE_LIMIT_POLICY`
+   */
+  constructor({
+    storageKey = STORAGE_KEY,
+    maxAttempts = MAX_ATTEMPTS,
+    policy = RATE_LIMIT_POLICY.BACKOFF
+  } = {}) {
     /**
      * @type {{ get: Function, add: Function } | null}
      */
     this.storage = null
+    this.storageKey = storageKey
+    this.maxAttempts = maxAttempts
+    this.policy = policy
   }
 
   async setStorage(storage) {
@@ -29,11 +50,14 @@ export class RateLimiter {
    * @returns {number}
    */
   calculateBackoffDuration(consecutiveFailures) {
-    if (consecutiveFailures < MAX_ATTEMPTS) {
+    if (
+      this.policy === RATE_LIMIT_POLICY.WIPE ||
+      consecutiveFailures < this.maxAttempts
+    ) {
       return 0
     }
 
-    const exponent = consecutiveFailures - MAX_ATTEMPTS + 1
+    const exponent = consecutiveFailures - this.maxAttempts + 1
     const backoffMinutes = Math.pow(2, exponent)
     const cappedMinutes = Math.min(backoffMinutes, MAX_BACKOFF_MINUTES)
 
@@ -46,7 +70,7 @@ export class RateLimiter {
     }
 
     try {
-      const data = await this.storage.get(STORAGE_KEY)
+      const data = await this.storage.get(this.storageKey)
       return data || { ...DEFAULT_DATA }
     } catch {
       const backoffMs = this.calculateBackoffDuration(1)
@@ -70,7 +94,7 @@ export class RateLimiter {
    * @returns {boolean}
    */
   shouldGrantFreshStart(lastAttemptTime) {
-    if (lastAttemptTime === null) {
+    if (lastAttemptTime === null || this.policy === RATE_LIMIT_POLICY.WIPE) {
       return false
     }
     return Date.now() - lastAttemptTime >= COOLDOWN_PERIOD_MS
@@ -84,7 +108,7 @@ export class RateLimiter {
       return {
         isLocked: false,
         lockoutRemainingMs: 0,
-        remainingAttempts: MAX_ATTEMPTS
+        remainingAttempts: this.maxAttempts
       }
     }
 
@@ -106,7 +130,7 @@ export class RateLimiter {
 
     const remainingAttempts = isLocked
       ? 0
-      : Math.max(0, MAX_ATTEMPTS - data.consecutiveFailures)
+      : Math.max(0, this.maxAttempts - data.consecutiveFailures)
 
     return { isLocked, lockoutRemainingMs, remainingAttempts }
   }
@@ -115,7 +139,7 @@ export class RateLimiter {
     const data = await this.getData()
 
     if (this.shouldGrantFreshStart(data.lastAttemptTime)) {
-      return MAX_ATTEMPTS
+      return this.maxAttempts
     }
 
     if (
@@ -125,9 +149,13 @@ export class RateLimiter {
       return 0
     }
 
-    return Math.max(0, MAX_ATTEMPTS - data.consecutiveFailures)
+    return Math.max(0, this.maxAttempts - data.consecutiveFailures)
   }
 
+  /**
+   * @returns {Promise<number>} attempts left before the next lockout, or
+   *   before the wipe
+   */
   async recordFailure() {
     let data
     try {
@@ -159,13 +187,15 @@ export class RateLimiter {
     }
 
     try {
-      await this.storage.add(STORAGE_KEY, data)
+      await this.storage.add(this.storageKey, data)
     } catch {
       throw new Error('Failed to record attempt - denying access')
     }
+
+    return Math.max(0, this.maxAttempts - data.consecutiveFailures)
   }
 
   async reset() {
-    await this.storage.add(STORAGE_KEY, { ...DEFAULT_DATA })
+    await this.storage.add(this.storageKey, { ...DEFAULT_DATA })
   }
 }
@@ -1,4 +1,4 @@
-import { RateLimiter } from './rateLimiter'
+import { RATE_LIMIT_POLICY, RateLimiter } from './rateLimiter'
 
 const DEFAULT_DATA = {
   consecutiveFailures: 0,
@@ -632,4 +632,58 @@ describe('RateLimiter', () => {
       }
     })
   })
+
+  describe('Wipe policy', () => {
+    beforeEach(async () => {
+      rateLimiter = new RateLimiter({
+        storageKey: 'pinRateLimitData',
+        maxAttempts: 3,
+        policy: RATE_LIMIT_POLICY.WIPE
+      })
+      await rateLimiter.setStorage(mockStorage)
+    })
+
+    test('should count down without locking out', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000000)
+      mockStorage.get.mockResolvedValue({
+        consecutiveFailures: 1,
+        lockoutUntil: null,
+        lastAttemptTime: 900000
+      })
+
+      await expect(rateLimiter.recordFailure()).resolves.toBe(1)
+      expect(mockStorage.add).toHaveBeenCalledWith('pinRateLimitData', {
+        consecutiveFailures: 2,
+        lockoutUntil: null,
+        lastAttemptTime: 1000000
+      })
+    })
+
+    test('should report no attempts left once they run out', async () => {
+      mockStorage.get.mockResolvedValue({
+        consecutiveFailures: 2,
+        lockoutUntil: null,
+        lastAttemptTime: 900000
+      })
+
+      await expect(rateLimiter.recordFailure()).resolves.toBe(0)
+      expect(rateLimiter.calculateBackoffDuration(100)).toBe(0)
+    })
+
+    test('should not forget failures after the cooldown period', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(10 * 24 * 60 * 60 * 1000)
+      mockStorage.get.mockResolvedValue({
+        consecutiveFailures: 2,
+        lockoutUntil: null,
+        lastAttemptTime: 1000
+      })
+
+      await expect(rateLimiter.getStatus()).resolves.toEqual({
+        isLocked: false,
+        lockoutRemainingMs: 0,
+        remainingAttempts: 1
+      })
+      expect(mockStorage.add).not.toHaveBeenCalled()
+    })
+  })
 })
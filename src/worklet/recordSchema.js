@@ -0,0 +1,252 @@
+import { ERROR_CODES } from '../constants/errorCodes'
+import { OTP_ENCODER } from '../constants/otpEncoder'
+import { OTP_TYPE } from '../constants/otpType'
+import { RECORD_TYPE } from '../constants/recordType'
+import { vaultError } from '../utils/vaultError'
+import { workletLogger } from './utils/workletLogger'
+
+export const RECORD_KEY_PREFIX = 'record/'
+
+/**
+ * Fields of `record.data` and how to check them. Fields not listed are kept
+ * as they are, so records written by a newer client still sync.
+ * @typedef {Object} RecordSchema
+ * @property {Record<string, (value: any) => boolean>} fields
+ * @property {Array<(record: Object) => Object>} migrations - `migrations[i]`
+ *   upgrades a record from version `i + 1`; the schema version is one past
+ *   the last migration
+ */
+
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const isString = (value) => typeof value === 'string'
+
+const isOptionalString = (value) => value === null || isString(value)
+
+const isStringList = (value) => Array.isArray(value) && value.every(isString)
+
+const isCount = (value) => Number.isInteger(value) && value >= 0
+
+const isOtpConfig = (value) =>
+  isObject(value) &&
+  isString(value.secret) &&
+  value.secret.length > 0 &&
+  Object.values(OTP_TYPE).includes(value.type) &&
+  (value.digits === undefined || isCount(value.digits)) &&
+  (value.period === undefined || (isCount(value.period) && value.period > 0)) &&
+  (value.counter === undefined || isCount(value.counter)) &&
+  (value.encoder === undefined ||
+    Object.values(OTP_ENCODER).includes(value.encoder))
+
+const isPasskeyConfig = (value) =>
+  isObject(value) &&
+  ['credentialId', 'rpId', 'algorithm', 'privateKey', 'publicKey'].every(
+    (field) => isString(value[field])
+  )
+
+const isCustomFieldList = (value) =>
+  Array.isArray(value) &&
+  value.every((field) => isObject(field) && isString(field.type))
+
+const COMMON_FIELDS = {
+  title: isString,
+  note: isString,
+  customFields: isCustomFieldList,
+  otp: isOtpConfig,
+  passkey: isPasskeyConfig
+}
+
+// Records written before titles were checked may lack one
+const DATA_DEFAULTS = { title: '' }
+
+/** @type {Record<string, RecordSchema>} */
+export const RECORD_SCHEMAS = {
+  [RECORD_TYPE.LOGIN]: {
+    fields: {
+      username: isString,
+      password: isString,
+      websites: isStringList
+    },
+    migrations: []
+  },
+  [RECORD_TYPE.CREDIT_CARD]: {
+    fields: {
+      name: isString,
+      number: isString,
+      securityCode: isString,
+      expireDate: isString,
+      pinCode: isString
+    },
+    migrations: []
+  },
+  [RECORD_TYPE.IDENTITY]: {
+    fields: {
+      fullName: isString,
+      email: isString,
+      phoneNumber: isString,
+      address: isString
+    },
+    migrations: []
+  },
+  [RECORD_TYPE.NOTE]: {
+    fields: {},
+    migrations: []
+  },
+  [RECORD_TYPE.WIFI]: {
+    fields: {
+      ssid: isString,
+      password: isString,
+      security: isString
+    },
+    migrations: []
+  },
+  [RECORD_TYPE.SSH_KEY]: {
+    fields: {
+      privateKey: isString,
+      publicKey: isString,
+      fingerprint: isString,
+      passphrase: isString
+    },
+    migrations: []
+  },
+  [RECORD_TYPE.CUSTOM]: {
+    fields: {},
+    migrations: []
+  }
+}
+
+const RECORD_FIELDS = {
+  vaultId: isString,
+  folder: isOptionalString,
+  tags: isStringList,
+  isFavorite: (value) => typeof value === 'boolean',
+  createdAt: isCount,
+  updatedAt: isCount
+}
+
+/**
+ * @param {RecordSchema} schema
+ * @returns {number}
+ */
+const getSchemaVersion = (schema) => schema.migrations.length + 1
+
+/**
+ * Upgrades a record written with an older schema. Records of unknown types,
+ * or from a newer client, are returned as they are.
+ * @param {Object} record
+ * @param {Record<string, RecordSchema>} [schemas]
+ * @returns {Object}
+ */
+export const migrateRecord = (record, schemas = RECORD_SCHEMAS) => {
+  const schema = schemas[record?.type]
+  const fromVersion = record?.schemaVersion ?? 1
+
+  if (!schema || !isCount(fromVersion) || fromVersion < 1) {
+    return record
+  }
+
+  let migrated = record
+  for (const migrate of schema.migrations.slice(fromVersion - 1)) {
+    migrated = migrate(migrated)
+  }
+
+  return migrated === record
+    ? record
+    : { ...migrated, schemaVersion: getSchemaVersion(schema) }
+}
+
+/**
+ * `migrateRecord` for the read path, where one broken record must not hide
+ * the others.
+ * @param {Object} record
+ * @returns {Object}
+ */
+export const migrateStoredRecord = (record) => {
+  try {
+    return migrateRecord(record)
+  } catch (error) {
+    workletLogger.error('Failed to migrate record:', error)
+    return record
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+const invalidRecord = (key, message, details) =>
+  vaultError(ERROR_CODES.INVALID_INPUT, message, { key, ...details })
+
+/**
+ * Checks a record before it is written and stamps the schema version it was
+ * checked against. Older records are migrated first and get a title if they
+ * have none. Records from a newer schema version, written by a newer client,
+ * are stored as they are. Records of types without a schema are checked
+ * against the fields every record shares and keep their version.
+ * @param {string} key - `record/<id>`
+ * @param {Object} record
+ * @param {Record<string, RecordSchema>} [schemas]
+ * @returns {Object} the record to store
+ */
+export const prepareRecordForWrite = (
+  key,
+  record,
+  schemas = RECORD_SCHEMAS
+) => {
+  if (!isObject(record)) {
+    throw invalidRecord(key, 'Invalid record')
+  }
+
+  if (!record.id || record.id !== key.slice(RECORD_KEY_PREFIX.length)) {
+    throw invalidRecord(key, 'Record id does not match its key')
+  }
+
+  if (!isString(record.type) || !record.type) {
+    throw invalidRecord(key, 'Invalid record type', { type: record.type })
+  }
+
+  const schema = schemas[record.type]
+  const fromVersion = record.schemaVersion ?? 1
+  if (!isCount(fromVersion) || fromVersion < 1) {
+    throw invalidRecord(key, 'Unsupported record schema version', {
+      schemaVersion: record.schemaVersion
+    })
+  }
+
+  if (schema && fromVersion > getSchemaVersion(schema)) {
+    return record
+  }
+
+  const migrated = migrateRecord(record, schemas)
+
+  for (const [field, isValid] of Object.entries(RECORD_FIELDS)) {
+    if (migrated[field] !== undefined && !isValid(migrated[field])) {
+      throw invalidRecord(key, 'Invalid record field', { field })
+    }
+  }
+
+  if (!isObject(migrated.data)) {
+    throw invalidRecord(key, 'Invalid record data')
+  }
+
+  const data = { ...migrated.data }
+  for (const [field, defaultValue] of Object.entries(DATA_DEFAULTS)) {
+    data[field] ??= defaultValue
+  }
+
+  const fields = { ...COMMON_FIELDS, ...schema?.fields }
+  for (const [field, isValid] of Object.entries(fields)) {
+    if (data[field] !== undefined && !isValid(data[field])) {
+      throw invalidRecord(key, 'Invalid record field', {
+        field: `data.${field}`
+      })
+    }
+  }
+
+  return schema
+    ? { ...migrated, data, schemaVersion: getSchemaVersion(schema) }
+    : { ...migrated, data }
+}
@@ -0,0 +1,182 @@
+import {
+  RECORD_SCHEMAS,
+  migrateRecord,
+  migrateStoredRecord,
+  prepareRecordForWrite
+} from './recordSchema'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { RECORD_TYPE } from '../constants/recordType'
+
+jest.mock('./utils/workletLogger', () => ({
+  workletLogger: { error: jest.fn() }
+}))
+
+const login = (data, fields) => ({
+  id: 'r1',
+  type: RECORD_TYPE.LOGIN,
+  data: { title: 'GitHub', ...data },
+  ...fields
+})
+
+const invalidInput = (details) =>
+  expect.objectContaining({
+    code: ERROR_CODES.INVALID_INPUT,
+    details: expect.objectContaining(details)
+  })
+
+// Version 1 stored `url`, version 2 `websites`
+const schemas = {
+  ...RECORD_SCHEMAS,
+  [RECORD_TYPE.LOGIN]: {
+    fields: RECORD_SCHEMAS[RECORD_TYPE.LOGIN].fields,
+    migrations: [
+      ({ data: { url, ...data }, ...record }) => ({
+        ...record,
+        data: { ...data, websites: url ? [url] : [] }
+      })
+    ]
+  }
+}
+
+describe('prepareRecordForWrite', () => {
+  it('stamps the schema version', () => {
+    expect(
+      prepareRecordForWrite('record/r1', login({ password: 'pw' }))
+    ).toEqual({ ...login({ password: 'pw' }), schemaVersion: 1 })
+  })
+
+  it('accepts every record type', () => {
+    for (const type of Object.values(RECORD_TYPE)) {
+      expect(prepareRecordForWrite('record/r1', login({}, { type })).type).toBe(
+        type
+      )
+    }
+  })
+
+  it('keeps fields it does not know', () => {
+    expect(
+      prepareRecordForWrite('record/r1', login({ extra: 1 }, { extra: 2 }))
+    ).toMatchObject({ extra: 2, data: { extra: 1 } })
+  })
+
+  it('rejects invalid records', () => {
+    expect(() => prepareRecordForWrite('record/r1', null)).toThrow(
+      invalidInput({ key: 'record/r1' })
+    )
+    expect(() =>
+      prepareRecordForWrite('record/r2', login({ password: 'pw' }))
+    ).toThrow(invalidInput({ key: 'record/r2' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({}, { type: undefined }))
+    ).toThrow(invalidInput({ key: 'record/r1' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({}, { data: [] }))
+    ).toThrow(invalidInput({ key: 'record/r1' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({ title: 5 }))
+    ).toThrow(invalidInput({ field: 'data.title' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({ websites: 'github.com' }))
+    ).toThrow(invalidInput({ field: 'data.websites' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({ otp: { secret: 'ABC' } }))
+    ).toThrow(invalidInput({ field: 'data.otp' }))
+    expect(() =>
+      prepareRecordForWrite(
+        'record/r1',
+        login({ otp: { secret: 'ABC', type: 'totp', encoder: 'yandex' } })
+      )
+    ).toThrow(invalidInput({ field: 'data.otp' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({}, { isFavorite: 'yes' }))
+    ).toThrow(invalidInput({ field: 'isFavorite' }))
+  })
+
+  it('accepts records without a folder', () => {
+    expect(
+      prepareRecordForWrite('record/r1', login({}, { folder: null })).folder
+    ).toBeNull()
+  })
+
+  it('checks records of unknown types against the shared fields', () => {
+    const record = login({ ssid: 5 }, { type: 'wifiPassword' })
+
+    expect(prepareRecordForWrite('record/r1', record)).toEqual(record)
+    expect(() =>
+      prepareRecordForWrite(
+        'record/r1',
+        login({ otp: { secret: 'ABC' } }, { type: 'wifiPassword' })
+      )
+    ).toThrow(invalidInput({ field: 'data.otp' }))
+    expect(() =>
+      prepareRecordForWrite(
+        'record/r1',
+        login({}, { type: 'passPhrase', tags: 'work' })
+      )
+    ).toThrow(invalidInput({ field: 'tags' }))
+  })
+
+  it('gives records without a title an empty one', () => {
+    expect(
+      prepareRecordForWrite('record/r1', login({ title: undefined }))
+    ).toEqual(login({ title: '' }, { schemaVersion: 1 }))
+  })
+
+  it('stores records from a newer schema as they are', () => {
+    const record = login({ websites: 'github.com' }, { schemaVersion: 2 })
+
+    expect(prepareRecordForWrite('record/r1', record)).toBe(record)
+    expect(() =>
+      prepareRecordForWrite('record/r2', { ...record, id: 'r1' })
+    ).toThrow(invalidInput({ key: 'record/r2' }))
+    expect(() =>
+      prepareRecordForWrite('record/r1', login({}, { schemaVersion: 0 }))
+    ).toThrow(invalidInput({ schemaVersion: 0 }))
+  })
+
+  it('migrates older records before checking them', () => {
+    expect(
+      prepareRecordForWrite(
+        'record/r1',
+        login({ url: 'github.com' }, { schemaVersion: 1 }),
+        schemas
+      )
+    ).toEqual(login({ websites: ['github.com'] }, { schemaVersion: 2 }))
+  })
+})
+
+describe('migrateRecord', () => {
+  it('upgrades records from older versions', () => {
+    expect(migrateRecord(login({ url: 'github.com' }), schemas)).toEqual(
+      login({ websites: ['github.com'] }, { schemaVersion: 2 })
+    )
+  })
+
+  it('returns current, newer and unknown records as they are', () => {
+    const records = [
+      login({}, { schemaVersion: 2 }),
+      login({}, { schemaVersion: 3 }),
+      login({}, { type: 'bank' })
+    ]
+
+    for (const record of records) {
+      expect(migrateRecord(record, schemas)).toBe(record)
+    }
+  })
+})
+
+describe('migrateStoredRecord', () => {
+  it('returns the stored record when a migration fails', () => {
+    const record = login({}, { type: RECORD_TYPE.NOTE })
+    const slice = jest
+      .spyOn(RECORD_SCHEMAS[RECORD_TYPE.NOTE].migrations, 'slice')
+      .mockReturnValue([
+        () => {
+          throw new Error('broken')
+        }
+      ])
+
+    expect(migrateStoredRecord(record)).toBe(record)
+    slice.mockRestore()
+  })
+})
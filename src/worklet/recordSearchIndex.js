@@ -0,0 +1,320 @@
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+const SNIPPET_RADIUS = 40
+
+const asStrings = (values) =>
+  values.filter((value) => typeof value === 'string' && value.length > 0)
+
+/**
+ * Searchable record fields, their ranking weight and how to read them from a
+ * record.
+ * @type {Record<string, { weight: number, values: (record: Object) => Array<string> }>}
+ */
+export const SEARCH_FIELDS = {
+  title: {
+    weight: 5,
+    values: (record) => asStrings([record.data?.title])
+  },
+  username: {
+    weight: 3,
+    values: (record) => asStrings([record.data?.username, record.data?.email])
+  },
+  url: {
+    weight: 3,
+    values: (record) => asStrings(record.data?.websites ?? [])
+  },
+  tags: {
+    weight: 2,
+    values: (record) => asStrings(record.tags ?? record.data?.tags ?? [])
+  },
+  notes: {
+    weight: 1,
+    values: (record) =>
+      asStrings([
+        record.data?.note,
+        ...(record.data?.customFields ?? []).map((field) => field?.note)
+      ])
+  }
+}
+
+/**
+ * Splits text into lowercase word tokens with their offsets in the original
+ * string.
+ * @param {string} text
+ * @returns {Array<{ token: string, start: number }>}
+ */
+export const tokenize = (text) => {
+  const tokens = []
+
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    tokens.push({ token: match[0].toLowerCase(), start: match.index })
+  }
+
+  return tokens
+}
+
+/**
+ * Cuts long values down to a window around the first highlight so whole notes
+ * are not sent over RPC.
+ * @param {string} value
+ * @param {Array<[number, number]>} ranges
+ * @returns {{ value: string, ranges: Array<[number, number]> }}
+ */
+const toSnippet = (value, ranges) => {
+  if (value.length <= SNIPPET_RADIUS * 2) {
+    return { value, ranges }
+  }
+
+  const from = Math.max(0, ranges[0][0] - SNIPPET_RADIUS)
+  const to = Math.min(value.length, ranges[0][1] + SNIPPET_RADIUS)
+
+  return {
+    value: value.slice(from, to),
+    ranges: ranges
+      .filter(([start, end]) => start >= from && end <= to)
+      .map(([start, end]) => [start - from, end - from])
+  }
+}
+
+/**
+ * In-memory inverted index over the records of one vault. It is marked stale
+ * on vault updates and rebuilt by `refresh` before the next search.
+ *
+ * Only the searchable fields are kept, never whole records, so passwords,
+ * OTP secrets and passkeys do not stay in memory with the index.
+ */
+export class RecordSearchIndex {
+  constructor() {
+    /**
+     * @type {Map<string, { id: string, type: string, title: string, fields: Record<string, Array<{ value: string, tokens: Array<{ token: string, start: number }> }>> }>}
+     */
+    this.documents = new Map()
+    /**
+     * @type {Map<string, Set<string>>}
+     */
+    this.postings = new Map()
+    /**
+     * Sorted keys of `postings`, for prefix lookups.
+     * @type {Array<string>}
+     */
+    this.sortedTokens = []
+    this.isStale = true
+    /**
+     * The rebuild in progress, refreshes wait for it.
+     * @type {Promise<void> | null}
+     */
+    this.rebuilding = null
+  }
+
+  markStale() {
+    this.isStale = true
+  }
+
+  /**
+   * Rebuilds the index if it is stale, or waits for the rebuild in progress,
+   * so a search never runs against an index that is being rebuilt.
+   * @param {() => Promise<Array<Object>>} loadRecords
+   * @returns {Promise<void>}
+   */
+  async refresh(loadRecords) {
+    if (this.isStale && !this.rebuilding) {
+      this.rebuilding = this.load(loadRecords).finally(() => {
+        this.rebuilding = null
+      })
+    }
+
+    await this.rebuilding
+  }
+
+  /**
+   * @param {() => Promise<Array<Object>>} loadRecords
+   * @returns {Promise<void>}
+   */
+  async load(loadRecords) {
+    // An update landing while records load marks the index stale again
+    this.isStale = false
+
+    try {
+      this.rebuild(await loadRecords())
+    } catch (error) {
+      this.isStale = true
+      throw error
+    }
+  }
+
+  /**
+   * @param {Array<Object>} records
+   */
+  rebuild(records) {
+    this.documents.clear()
+    this.postings.clear()
+
+    for (const record of records) {
+      if (!record?.id) {
+        continue
+      }
+
+      const fields = {}
+
+      for (const [field, { values }] of Object.entries(SEARCH_FIELDS)) {
+        fields[field] = values(record).map((value) => {
+          const tokens = tokenize(value)
+
+          for (const { token } of tokens) {
+            if (!this.postings.has(token)) {
+              this.postings.set(token, new Set())
+            }
+            this.postings.get(token).add(record.id)
+          }
+
+          return { value, tokens }
+        })
+      }
+
+      this.documents.set(record.id, {
+        id: record.id,
+        type: record.type,
+        title: record.data?.title ?? '',
+        fields
+      })
+    }
+
+    this.sortedTokens = [...this.postings.keys()].sort()
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Set<string>} ids of records with a token starting with `prefix`
+   */
+  _idsForPrefix(prefix) {
+    const ids = new Set()
+
+    let low = 0
+    let high = this.sortedTokens.length
+    while (low < high) {
+      const mid = (low + high) >>> 1
+      if (this.sortedTokens[mid] < prefix) {
+        low = mid + 1
+      } else {
+        high = mid
+      }
+    }
+
+    for (let i = low; i < this.sortedTokens.length; i++) {
+      const token = this.sortedTokens[i]
+      if (!token.startsWith(prefix)) {
+        break
+      }
+      for (const id of this.postings.get(token)) {
+        ids.add(id)
+      }
+    }
+
+    return ids
+  }
+
+  /**
+   * Every query term must prefix-match a token of the record. Exact token
+   * matches and matches in heavier fields rank higher.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] - restrict matching to these fields
+   * @param {number} [options.limit]
+   * @param {number} [options.offset]
+   * @returns {{
+   *   results: Array<{ id: string, type: string, title: string, score: number, highlights: Array<{ field: string, value: string, ranges: Array<[number, number]> }> }>,
+   *   total: number,
+   *   offset: number,
+   *   limit: number
+   * }}
+   */
+  search(query, { fields, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const pageLimit = Math.min(Math.max(1, limit), MAX_LIMIT)
+    const pageOffset = Math.max(0, offset)
+    const terms = [...new Set(tokenize(query ?? '').map(({ token }) => token))]
+    const searchFields = Object.keys(SEARCH_FIELDS).filter(
+      (field) => !fields?.length || fields.includes(field)
+    )
+
+    if (!terms.length || !searchFields.length) {
+      return { results: [], total: 0, offset: pageOffset, limit: pageLimit }
+    }
+
+    let candidates = null
+    for (const term of terms) {
+      const ids = this._idsForPrefix(term)
+      candidates = candidates
+        ? new Set([...candidates].filter((id) => ids.has(id)))
+        : ids
+    }
+
+    const matches = []
+
+    for (const id of candidates) {
+      const match = this._scoreDocument(
+        this.documents.get(id),
+        terms,
+        searchFields
+      )
+      if (match) {
+        matches.push(match)
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+
+    return {
+      results: matches.slice(pageOffset, pageOffset + pageLimit),
+      total: matches.length,
+      offset: pageOffset,
+      limit: pageLimit
+    }
+  }
+
+  /**
+   * @param {{ id: string, type: string, title: string, fields: Object }} document
+   * @param {Array<string>} terms
+   * @param {Array<string>} searchFields
+   * @returns {Object | null} null when a term matches none of `searchFields`
+   */
+  _scoreDocument({ id, type, title, fields }, terms, searchFields) {
+    const termScores = new Map()
+    const highlights = []
+
+    for (const field of searchFields) {
+      const { weight } = SEARCH_FIELDS[field]
+
+      for (const { value, tokens } of fields[field]) {
+        const ranges = []
+
+        for (const { token, start } of tokens) {
+          for (const term of terms) {
+            if (!token.startsWith(term)) {
+              continue
+            }
+
+            const score = token === term ? weight * 2 : weight
+            termScores.set(term, Math.max(termScores.get(term) ?? 0, score))
+            ranges.push([start, start + term.length])
+          }
+        }
+
+        if (ranges.length) {
+          ranges.sort((a, b) => a[0] - b[0])
+          highlights.push({ field, ...toSnippet(value, ranges) })
+        }
+      }
+    }
+
+    if (termScores.size < terms.length) {
+      return null
+    }
+
+    let score = 0
+    for (const termScore of termScores.values()) {
+      score += termScore
+    }
+
+    return { id, type, title, score, highlights }
+  }
+}
@@ -0,0 +1,199 @@
+import { RecordSearchIndex, tokenize } from './recordSearchIndex'
+
+const records = [
+  {
+    id: 'r1',
+    type: 'login',
+    data: {
+      title: 'GitHub',
+      username: 'octocat@example.com',
+      websites: ['https://github.com/login'],
+      note: 'Work account'
+    }
+  },
+  {
+    id: 'r2',
+    type: 'login',
+    data: {
+      title: 'GitLab',
+      username: 'dev@example.com',
+      websites: ['https://gitlab.com']
+    }
+  },
+  {
+    id: 'r3',
+    type: 'note',
+    tags: ['personal'],
+    data: {
+      title: 'Recovery codes',
+      note: 'Keep these somewhere safe. '.repeat(10) + 'github backup codes'
+    }
+  }
+]
+
+const buildIndex = () => {
+  const index = new RecordSearchIndex()
+  index.rebuild(records)
+  return index
+}
+
+describe('tokenize', () => {
+  it('splits on non word characters and keeps offsets', () => {
+    expect(tokenize('Hello, World-42')).toEqual([
+      { token: 'hello', start: 0 },
+      { token: 'world', start: 7 },
+      { token: '42', start: 13 }
+    ])
+  })
+
+  it('handles non latin letters', () => {
+    expect(tokenize('Пароль банк').map(({ token }) => token)).toEqual([
+      'пароль',
+      'банк'
+    ])
+  })
+})
+
+describe('RecordSearchIndex', () => {
+  it('starts stale', () => {
+    expect(new RecordSearchIndex().isStale).toBe(true)
+  })
+
+  it('finds records by title prefix and ranks title matches first', () => {
+    const { results, total } = buildIndex().search('git')
+
+    expect(total).toBe(3)
+    expect(results.map(({ id }) => id)).toEqual(['r1', 'r2', 'r3'])
+    expect(results[0]).toMatchObject({
+      id: 'r1',
+      type: 'login',
+      title: 'GitHub'
+    })
+  })
+
+  it('ranks exact token matches above prefix matches', () => {
+    const { results } = buildIndex().search('github')
+
+    expect(results[0].id).toBe('r1')
+    expect(results[0].score).toBeGreaterThan(results[1].score)
+  })
+
+  it('requires every query term to match', () => {
+    const { results } = buildIndex().search('git work')
+
+    expect(results.map(({ id }) => id)).toEqual(['r1'])
+  })
+
+  it('returns highlight ranges per matched field', () => {
+    const { results } = buildIndex().search('octo')
+
+    expect(results[0].highlights).toEqual([
+      { field: 'username', value: 'octocat@example.com', ranges: [[0, 4]] }
+    ])
+  })
+
+  it('trims long values to a snippet around the match', () => {
+    const { results } = buildIndex().search('backup')
+    const [highlight] = results[0].highlights
+    const [[start, end]] = highlight.ranges
+
+    expect(highlight.field).toBe('notes')
+    expect(highlight.value.length).toBeLessThan(records[2].data.note.length)
+    expect(highlight.value.slice(start, end)).toBe('backup')
+  })
+
+  it('restricts matching to the requested fields', () => {
+    const { results } = buildIndex().search('github', { fields: ['title'] })
+
+    expect(results.map(({ id }) => id)).toEqual(['r1'])
+  })
+
+  it('matches tags', () => {
+    const { results } = buildIndex().search('personal')
+
+    expect(results.map(({ id }) => id)).toEqual(['r3'])
+    expect(results[0].highlights[0].field).toBe('tags')
+  })
+
+  it('paginates results', () => {
+    const page = buildIndex().search('git', { limit: 1, offset: 1 })
+
+    expect(page).toMatchObject({ total: 3, offset: 1, limit: 1 })
+    expect(page.results.map(({ id }) => id)).toEqual(['r2'])
+  })
+
+  it('returns no results for an empty query', () => {
+    expect(buildIndex().search('  ')).toMatchObject({ results: [], total: 0 })
+  })
+
+  it('does not keep secrets of indexed records', () => {
+    const index = new RecordSearchIndex()
+    index.rebuild([
+      {
+        ...records[0],
+        data: { ...records[0].data, password: 'hunter2', otp: { secret: 'S' } }
+      }
+    ])
+
+    const stored = JSON.stringify([...index.documents.values()])
+
+    expect(stored).not.toContain('hunter2')
+    expect(stored).not.toContain('"otp"')
+  })
+
+  describe('refresh', () => {
+    it('rebuilds only when stale', async () => {
+      const index = new RecordSearchIndex()
+      const loadRecords = jest.fn().mockResolvedValue(records)
+
+      await index.refresh(loadRecords)
+      await index.refresh(loadRecords)
+      expect(loadRecords).toHaveBeenCalledTimes(1)
+      expect(index.isStale).toBe(false)
+
+      index.markStale()
+      await index.refresh(loadRecords)
+      expect(loadRecords).toHaveBeenCalledTimes(2)
+    })
+
+    it('lets refreshes during a rebuild wait for it', async () => {
+      const index = new RecordSearchIndex()
+      let resolveRecords
+      const loadRecords = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            resolveRecords = resolve
+          })
+      )
+
+      const first = index.refresh(loadRecords)
+      const second = index.refresh(loadRecords)
+      resolveRecords(records)
+
+      await second
+      expect(index.search('git').total).toBe(3)
+      await first
+      expect(loadRecords).toHaveBeenCalledTimes(1)
+    })
+
+    it('stays stale when loading records fails', async () => {
+      const index = new RecordSearchIndex()
+
+      await expect(
+        index.refresh(() => Promise.reject(new Error('boom')))
+      ).rejects.toThrow('boom')
+      expect(index.isStale).toBe(true)
+    })
+
+    it('stays stale when an update lands while records load', async () => {
+      const index = new RecordSearchIndex()
+
+      await index.refresh(async () => {
+        index.markStale()
+        return records
+      })
+
+      expect(index.isStale).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,59 @@
+import { entropyToMnemonic, mnemonicToEntropy } from '@scure/bip39'
+import { wordlist } from '@scure/bip39/wordlists/english.js'
+import sodium from 'sodium-native'
+
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+const RECOVERY_KEY_BYTES = 32
+
+/**
+ * Generates a recovery key of 256 random bits, written as 24 BIP39 words.
+ * @returns {{
+ *   recoveryKey: string // words separated by single spaces
+ *   secret: string      // hex, wraps the vault key like a hashed password
+ * }}
+ */
+export const generateRecoveryKey = () => {
+  const entropy = sodium.sodium_malloc(RECOVERY_KEY_BYTES)
+
+  try {
+    sodium.randombytes_buf(entropy)
+
+    return {
+      recoveryKey: entropyToMnemonic(entropy, wordlist),
+      secret: entropy.toString('hex')
+    }
+  } finally {
+    sodium.sodium_memzero(entropy)
+    sodium.sodium_free(entropy)
+  }
+}
+
+/**
+ * @param {string} recoveryKey - the words, in any case and spacing
+ * @returns {string} hex secret
+ */
+export const getRecoveryKeySecret = (recoveryKey) => {
+  const words =
+    typeof recoveryKey === 'string'
+      ? recoveryKey.trim().toLowerCase().split(/\s+/).join(' ')
+      : ''
+
+  let entropy
+  try {
+    entropy = mnemonicToEntropy(words, wordlist)
+  } catch {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid recovery key')
+  }
+
+  try {
+    if (entropy.length !== RECOVERY_KEY_BYTES) {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid recovery key')
+    }
+
+    return Buffer.from(entropy).toString('hex')
+  } finally {
+    entropy.fill(0)
+  }
+}
@@ -0,0 +1,43 @@
+import { generateRecoveryKey, getRecoveryKeySecret } from './recoveryKey'
+import { ERROR_CODES } from '../constants/errorCodes'
+
+describe('recoveryKey', () => {
+  it('generates 24 words that give back the secret', () => {
+    const { recoveryKey, secret } = generateRecoveryKey()
+
+    expect(recoveryKey.split(' ')).toHaveLength(24)
+    expect(secret).toMatch(/^[0-9a-f]{64}$/)
+    expect(getRecoveryKeySecret(recoveryKey)).toBe(secret)
+    expect(generateRecoveryKey().secret).not.toBe(secret)
+  })
+
+  it('accepts any case and spacing', () => {
+    const { recoveryKey, secret } = generateRecoveryKey()
+    const typed = `  ${recoveryKey.toUpperCase().split(' ').join('\n  ')} `
+
+    expect(getRecoveryKeySecret(typed)).toBe(secret)
+  })
+
+  it('rejects mistyped and short keys', () => {
+    const zeros = `${'abandon '.repeat(23)}art`
+    // 12 words are valid BIP39 but hold 128 bits only
+    const short = `${'abandon '.repeat(11)}about`
+
+    expect(getRecoveryKeySecret(zeros)).toBe('0'.repeat(64))
+
+    for (const recoveryKey of [
+      `${'abandon '.repeat(23)}abandon`,
+      `${'abandon '.repeat(23)}artt`,
+      short,
+      '',
+      undefined
+    ]) {
+      expect(() => getRecoveryKeySecret(recoveryKey)).toThrow(
+        expect.objectContaining({
+          code: ERROR_CODES.INVALID_INPUT,
+          message: 'Invalid recovery key'
+        })
+      )
+    }
+  })
+})
@@ -0,0 +1,87 @@
+import b4a from 'b4a'
+import sodium from 'sodium-native'
+
+/**
+ * Key material kept in sodium secure memory instead of a JS string, which can
+ * neither be wiped nor kept out of swap. The buffer is guarded with
+ * `sodium_mprotect_noaccess` between uses and zeroed by `dispose`.
+ */
+export class SecretHandle {
+  /**
+   * @param {string | null | undefined} value
+   * @param {'base64' | 'hex' | 'utf-8'} encoding
+   * @returns {SecretHandle | null} null for a missing value
+   */
+  static from(value, encoding) {
+    if (!value) {
+      return null
+    }
+
+    const bytes = b4a.from(value, encoding)
+
+    try {
+      return new SecretHandle(bytes)
+    } finally {
+      bytes.fill(0)
+    }
+  }
+
+  /**
+   * @param {Uint8Array} bytes - copied, the caller still owns them
+   */
+  constructor(bytes) {
+    this.buffer = sodium.sodium_malloc(bytes.byteLength)
+    this.buffer.set(bytes)
+    this.isDisposed = false
+
+    sodium.sodium_mprotect_noaccess(this.buffer)
+  }
+
+  /**
+   * Opens the buffer read-only for the duration of `fn`, which must not keep
+   * it or use it asynchronously.
+   * @template T
+   * @param {(buffer: Buffer) => T} fn
+   * @returns {T}
+   */
+  use(fn) {
+    if (this.isDisposed) {
+      throw new Error('Secret handle is disposed')
+    }
+
+    sodium.sodium_mprotect_readonly(this.buffer)
+
+    try {
+      return fn(this.buffer)
+    } finally {
+      sodium.sodium_mprotect_noaccess(this.buffer)
+    }
+  }
+
+  /**
+   * Copies the secret out, for APIs that only take strings. The copy is not
+   * wiped, so keep it short-lived.
+   * @param {'base64' | 'hex' | 'utf-8'} encoding
+   * @returns {string}
+   */
+  toString(encoding) {
+    return this.use((buffer) => b4a.toString(buffer, encoding))
+  }
+
+  /**
+   * Zeroes and frees the buffer. Disposing twice is a no-op.
+   * @returns {void}
+   */
+  dispose() {
+    if (this.isDisposed) {
+      return
+    }
+
+    sodium.sodium_mprotect_readwrite(this.buffer)
+    sodium.sodium_memzero(this.buffer)
+    sodium.sodium_free(this.buffer)
+
+    this.buffer = null
+    this.isDisposed = true
+  }
+}
@@ -0,0 +1,85 @@
+import sodium from 'sodium-native'
+
+import { SecretHandle } from './secretHandle'
+
+const KEY = Buffer.alloc(32, 7).toString('base64')
+
+describe('SecretHandle', () => {
+  let freed
+
+  beforeEach(() => {
+    freed = []
+
+    const free = sodium.sodium_free
+    jest.spyOn(sodium, 'sodium_free').mockImplementation((buffer) => {
+      freed.push(Buffer.from(buffer))
+      free(buffer)
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('keeps the secret in secure memory', () => {
+    const handle = SecretHandle.from(KEY, 'base64')
+
+    expect(handle.buffer.secure).toBe(true)
+    expect(handle.toString('base64')).toBe(KEY)
+
+    handle.dispose()
+  })
+
+  it('returns null for a missing value', () => {
+    expect(SecretHandle.from(undefined, 'base64')).toBeNull()
+    expect(SecretHandle.from('', 'hex')).toBeNull()
+  })
+
+  it('locks the buffer again after use', () => {
+    const noaccess = jest.spyOn(sodium, 'sodium_mprotect_noaccess')
+    const handle = SecretHandle.from(KEY, 'base64')
+
+    const length = handle.use((buffer) => buffer.byteLength)
+
+    expect(length).toBe(32)
+    expect(noaccess).toHaveBeenCalledTimes(2)
+    expect(() =>
+      handle.use(() => {
+        throw new Error('boom')
+      })
+    ).toThrow('boom')
+    expect(noaccess).toHaveBeenCalledTimes(3)
+
+    handle.dispose()
+  })
+
+  it('zeroes the buffer on dispose', () => {
+    const handle = SecretHandle.from(KEY, 'base64')
+
+    handle.dispose()
+
+    expect(freed).toEqual([Buffer.alloc(32)])
+    expect(handle.isDisposed).toBe(true)
+    expect(handle.buffer).toBeNull()
+  })
+
+  it('ignores a second dispose and refuses use afterwards', () => {
+    const handle = SecretHandle.from(KEY, 'base64')
+
+    handle.dispose()
+    handle.dispose()
+
+    expect(freed).toHaveLength(1)
+    expect(() => handle.toString('base64')).toThrow('Secret handle is disposed')
+  })
+
+  it('leaves the caller bytes to the caller', () => {
+    const bytes = Buffer.alloc(16, 1)
+    const handle = new SecretHandle(bytes)
+
+    expect(bytes).toEqual(Buffer.alloc(16, 1))
+    expect(handle.toString('hex')).toBe(bytes.toString('hex'))
+
+    handle.dispose()
+  })
+})
@@ -2,12 +2,14 @@ export const REDACTED_FIELDS = [
   'password',
   'secret',
   'mnemonic',
+  'recovery',
   'seed',
   'privatekey',
   'encryptionkey',
   'decryptionkey',
   'vaultkey',
   'masterkey',
+  'devicekey',
   'mirrorkey',
   'apikey',
   'token',
@@ -101,6 +101,19 @@ describe('redact()', () => {
       sentryDsn: '[REDACTED]'
     })
   })
+
+  test('deviceKey redacted', () => {
+    expect(redact({ slotType: 'pin', deviceKey: 'k' })).toEqual({
+      slotType: 'pin',
+      deviceKey: '[REDACTED]'
+    })
+  })
+
+  test('recoveryKey redacted', () => {
+    expect(
+      redact({ recoveryKey: 'abandon ability able', newPassword: 'pw' })
+    ).toEqual({ recoveryKey: '[REDACTED]', newPassword: '[REDACTED]' })
+  })
 })
 
 describe('redactArgs()', () => {
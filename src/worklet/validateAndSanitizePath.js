@@ -1,8 +1,14 @@
 // validateAndSanitizePath.js
 import barePath from 'bare-path'
 
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
 const WHITELISTED_DOT_DIRS = ['.config']
 
+const invalidPath = (message) =>
+  vaultError(ERROR_CODES.STORAGE_PATH_INVALID, message)
+
 /**
  * Validates and sanitizes a storage path
  * @param {string} rawPath - The raw path to validate
@@ -11,7 +17,7 @@ const WHITELISTED_DOT_DIRS = ['.config']
  */
 export const validateAndSanitizePath = (rawPath) => {
   if (!rawPath || typeof rawPath !== 'string') {
-    throw new Error('Storage path must be a non-empty string')
+    throw invalidPath('Storage path must be a non-empty string')
   }
 
   // Strip file:// protocol if present
@@ -24,7 +30,7 @@ export const validateAndSanitizePath = (rawPath) => {
   cleanPath = cleanPath.trim()
 
   if (cleanPath.length === 0) {
-    throw new Error('Storage path cannot be empty after sanitization')
+    throw invalidPath('Storage path cannot be empty after sanitization')
   }
 
   // Decode URL-encoded chars (e.g. %2e%2e) before validation. No practical risk
@@ -33,12 +39,12 @@ export const validateAndSanitizePath = (rawPath) => {
   try {
     cleanPath = decodeURIComponent(cleanPath)
   } catch {
-    throw new Error('Storage path contains invalid URL encoding')
+    throw invalidPath('Storage path contains invalid URL encoding')
   }
 
   // Check for null bytes before any processing (path traversal attack vector)
   if (cleanPath.includes('\0')) {
-    throw new Error('Storage path contains invalid null bytes')
+    throw invalidPath('Storage path contains invalid null bytes')
   }
 
   // Block Unicode control chars (C0/C1, zero-width, bidi overrides). No practical
@@ -46,16 +52,16 @@ export const validateAndSanitizePath = (rawPath) => {
   const dangerousUnicodePattern =
     /[\u0001-\u001F\u007F-\u009F\u200B-\u200D\u202A-\u202E\u2066-\u2069\uFEFF]/
   if (dangerousUnicodePattern.test(cleanPath)) {
-    throw new Error('Storage path contains invalid control characters')
+    throw invalidPath('Storage path contains invalid control characters')
   }
 
   if (!barePath.isAbsolute(cleanPath)) {
-    throw new Error('Storage path must be an absolute path')
+    throw invalidPath('Storage path must be an absolute path')
   }
 
   // Reject any path containing traversal sequences, except whitelisted dot directories
   if (cleanPath.includes('..') || cleanPath.includes('./')) {
-    throw new Error(
+    throw invalidPath(
       'Storage path must not contain traversal sequences (. or ..)'
     )
   }
@@ -65,7 +71,7 @@ export const validateAndSanitizePath = (rawPath) => {
   const matches = [...cleanPath.matchAll(dotPattern)]
   for (const match of matches) {
     if (!WHITELISTED_DOT_DIRS.includes(`.${match[1]}`)) {
-      throw new Error(
+      throw invalidPath(
         'Storage path must not contain traversal sequences (. or ..)'
       )
     }
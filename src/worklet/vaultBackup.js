@@ -0,0 +1,421 @@
+import b4a from 'b4a'
+import fs from 'bare-fs'
+import barePath from 'bare-path'
+
+import {
+  createExportDecryptor,
+  createExportEncryptor
+} from './exportDataEncryption'
+import { BACKUP_PHASE } from '../constants/backupPhase'
+import { ERROR_CODES } from '../constants/errorCodes'
+import { vaultError } from '../utils/vaultError'
+
+/**
+ * A backup file is `PPVB`, a u16 format version and the u32 length of a JSON
+ * `BackupHeader`, followed by a v2 export stream (see exportDataEncryption).
+ * The plaintext of the stream is a sequence of frames, each a u32 length, a
+ * JSON head and, for entries holding a file, `fileSize` bytes of content:
+ * first `BackupMeta`, then one frame per vault entry, then
+ * `{ end: true, entryCount }`.
+ */
+const BACKUP_MAGIC = 'PPVB'
+const BACKUP_VERSION = 1
+const PREAMBLE_SIZE = 10
+const MAX_HEADER_SIZE = 64 * 1024
+const READ_SIZE = 64 * 1024
+const PROGRESS_STEPS = 100
+
+export const BACKUP_FILE_EXTENSION = '.ppbackup'
+
+/**
+ * Readable without the password. `entryCount` is only used for progress, the
+ * count that is checked on restore is the authenticated one in the stream.
+ * @typedef {Object} BackupHeader
+ * @property {number} entryCount
+ * @property {import('./exportDataEncryption').ExportHeader} encryption
+ */
+
+/**
+ * @typedef {Object} BackupMeta
+ * @property {string} vaultId - the vault the backup was made from
+ * @property {Object | null} vault - its entry in the vaults list
+ * @property {Array<string>} mirrors - blind mirror keys
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {Object} BackupProgress
+ * @property {string} phase - one of `BACKUP_PHASE`
+ * @property {number} processed - entries written, verified or restored
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} BackupEntry
+ * @property {string} key
+ * @property {string} value
+ * @property {Buffer} [file]
+ */
+
+const invalidBackup = () =>
+  vaultError(ERROR_CODES.INVALID_INPUT, 'Invalid or corrupted backup file')
+
+/**
+ * @param {Object} head
+ * @param {Buffer} [file]
+ * @returns {Buffer}
+ */
+const encodeFrame = (head, file) => {
+  const json = b4a.from(JSON.stringify(head))
+  const length = b4a.alloc(4)
+  length.writeUInt32LE(json.byteLength)
+  return b4a.concat(file ? [length, json, file] : [length, json])
+}
+
+/**
+ * Splits plaintext, fed in pieces of any size, back into frames.
+ * @returns {{ push: (data: Buffer) => Array<{ head: Object, file?: Buffer }>, end: () => void }}
+ */
+const createFrameReader = () => {
+  let pending = b4a.alloc(0)
+  let head = null
+
+  return {
+    push: (data) => {
+      pending = b4a.concat([pending, data])
+      const frames = []
+
+      while (true) {
+        if (!head) {
+          if (pending.byteLength < 4) break
+          const length = pending.readUInt32LE(0)
+          if (pending.byteLength < 4 + length) break
+
+          try {
+            head = JSON.parse(b4a.toString(pending.subarray(4, 4 + length)))
+          } catch {
+            throw invalidBackup()
+          }
+          if (!head || typeof head !== 'object') throw invalidBackup()
+          pending = pending.subarray(4 + length)
+        }
+
+        const fileSize = head.fileSize ?? 0
+        if (pending.byteLength < fileSize) break
+
+        frames.push(
+          fileSize ? { head, file: pending.subarray(0, fileSize) } : { head }
+        )
+        pending = pending.subarray(fileSize)
+        head = null
+      }
+
+      return frames
+    },
+    end: () => {
+      if (head || pending.byteLength) throw invalidBackup()
+    }
+  }
+}
+
+/**
+ * Reports the start, the end and at most `PROGRESS_STEPS` steps in between.
+ * @param {string} phase
+ * @param {number} total
+ * @param {(progress: BackupProgress) => void} [onProgress]
+ * @returns {(processed: number) => void}
+ */
+const createProgress = (phase, total, onProgress) => {
+  const step = Math.max(1, Math.ceil(total / PROGRESS_STEPS))
+  onProgress?.({ phase, processed: 0, total })
+
+  return (processed) => {
+    if (processed % step === 0 || processed === total) {
+      onProgress?.({ phase, processed, total })
+    }
+  }
+}
+
+/**
+ * @param {Autopass} instance
+ * @returns {Promise<Array<string>>}
+ */
+export const listEntryKeys = async (instance) => {
+  const stream = await instance.list()
+  const keys = []
+
+  return new Promise((resolve, reject) => {
+    stream.on('data', ({ key }) => keys.push(key))
+    stream.on('end', () => resolve(keys))
+    stream.on('error', (error) => reject(error))
+  })
+}
+
+/**
+ * @param {FileHandle} handle
+ * @param {Buffer} data
+ * @returns {Promise<void>}
+ */
+const writeAll = async (handle, data) => {
+  let offset = 0
+  while (offset < data.byteLength) {
+    const { bytesWritten } = await handle.write(
+      data,
+      offset,
+      data.byteLength - offset
+    )
+    offset += bytesWritten
+  }
+}
+
+/**
+ * Writes every entry of `instance`, files included, to an encrypted backup.
+ * Entries are read one at a time and the file only appears at `filePath`
+ * once complete.
+ * @param {Autopass} instance
+ * @param {string} filePath - absolute
+ * @param {Object} options
+ * @param {string} options.password
+ * @param {Omit<BackupMeta, 'createdAt'>} options.meta
+ * @param {{ opslimit: number, memlimit: number }} [options.kdfParams]
+ * @param {boolean} [options.overwrite] - `false` fails, and leaves the file
+ *   alone, if `filePath` exists
+ * @param {(progress: BackupProgress) => void} [options.onProgress]
+ * @returns {Promise<{ createdAt: number, entryCount: number, size: number }>}
+ */
+export const writeVaultBackup = async (
+  instance,
+  filePath,
+  { password, meta, kdfParams, overwrite = true, onProgress }
+) => {
+  if (!password) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Backup password is required')
+  }
+
+  const keys = await listEntryKeys(instance)
+  const createdAt = Date.now()
+  const encryptor = createExportEncryptor(password, { kdfParams })
+  const header = b4a.from(
+    JSON.stringify({ entryCount: keys.length, encryption: encryptor.header })
+  )
+  const preamble = b4a.alloc(PREAMBLE_SIZE)
+  preamble.write(BACKUP_MAGIC, 0, 4, 'utf-8')
+  preamble.writeUInt16LE(BACKUP_VERSION, 4)
+  preamble.writeUInt32LE(header.byteLength, 6)
+
+  await fs.promises.mkdir(barePath.dirname(filePath), { recursive: true })
+
+  const tempPath = filePath + '.tmp'
+  const handle = await fs.promises.open(tempPath, 'w')
+  let size = 0
+  let entryCount = 0
+
+  const write = async (data) => {
+    await writeAll(handle, data)
+    size += data.byteLength
+  }
+
+  try {
+    await write(b4a.concat([preamble, header]))
+    await write(encryptor.update(encodeFrame({ ...meta, createdAt })))
+
+    const progress = createProgress(BACKUP_PHASE.WRITE, keys.length, onProgress)
+    for (const [index, key] of keys.entries()) {
+      // Entries removed since the listing are left out
+      const entry = await instance.get(key)
+      if (entry) {
+        const { value, file } = entry
+        const head = file
+          ? { key, value, fileSize: file.byteLength }
+          : { key, value }
+        await write(encryptor.update(encodeFrame(head, file)))
+        entryCount++
+      }
+      progress(index + 1)
+    }
+
+    await write(encryptor.update(encodeFrame({ end: true, entryCount })))
+    await write(encryptor.final())
+  } catch (error) {
+    await handle.close()
+    await fs.promises.unlink(tempPath)
+    throw error
+  }
+
+  await handle.close()
+
+  if (overwrite) {
+    await fs.promises.rename(tempPath, filePath)
+  } else {
+    // Unlike rename, link fails when the target exists
+    try {
+      await fs.promises.link(tempPath, filePath)
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw vaultError(
+          ERROR_CODES.INVALID_INPUT,
+          'Backup file already exists'
+        )
+      }
+      throw error
+    } finally {
+      await fs.promises.unlink(tempPath)
+    }
+  }
+
+  return { createdAt, entryCount, size }
+}
+
+/**
+ * @param {FileHandle} handle
+ * @returns {Promise<{ header: BackupHeader, offset: number }>} `offset` is
+ *   where the encrypted stream starts
+ */
+const readHeader = async (handle) => {
+  const preamble = b4a.alloc(PREAMBLE_SIZE)
+  const { bytesRead } = await handle.read(preamble, 0, PREAMBLE_SIZE, 0)
+  if (
+    bytesRead < PREAMBLE_SIZE ||
+    b4a.toString(preamble.subarray(0, 4)) !== BACKUP_MAGIC
+  ) {
+    throw invalidBackup()
+  }
+
+  const version = preamble.readUInt16LE(4)
+  if (version !== BACKUP_VERSION) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Unsupported backup version', {
+      version
+    })
+  }
+
+  const length = preamble.readUInt32LE(6)
+  if (length > MAX_HEADER_SIZE) throw invalidBackup()
+
+  const bytes = b4a.alloc(length)
+  const read = await handle.read(bytes, 0, length, PREAMBLE_SIZE)
+  if (read.bytesRead < length) throw invalidBackup()
+
+  let header
+  try {
+    header = JSON.parse(b4a.toString(bytes))
+  } catch {
+    throw invalidBackup()
+  }
+  if (!Number.isInteger(header?.entryCount) || !header.encryption) {
+    throw invalidBackup()
+  }
+
+  return { header, offset: PREAMBLE_SIZE + length }
+}
+
+/**
+ * @param {FileHandle} handle
+ * @param {number} offset
+ * @param {{ update: (data: Uint8Array) => Buffer, final: () => Buffer }} decryptor
+ * @returns {AsyncGenerator<{ head: Object, file?: Buffer }>}
+ */
+async function* readFrames(handle, offset, decryptor) {
+  const reader = createFrameReader()
+  const buffer = b4a.alloc(READ_SIZE)
+  let position = offset
+
+  while (true) {
+    const { bytesRead } = await handle.read(buffer, 0, READ_SIZE, position)
+    if (bytesRead === 0) break
+
+    position += bytesRead
+    yield* reader.push(decryptor.update(buffer.subarray(0, bytesRead)))
+  }
+
+  yield* reader.push(decryptor.final())
+  reader.end()
+}
+
+/**
+ * @param {Object} head
+ * @returns {boolean}
+ */
+const isValidMeta = (head) =>
+  typeof head.vaultId === 'string' &&
+  Array.isArray(head.mirrors) &&
+  head.mirrors.every((mirror) => typeof mirror === 'string') &&
+  Number.isInteger(head.createdAt)
+
+/**
+ * Reads a backup twice: first to authenticate every chunk and check that no
+ * entry is missing, then to hand the entries to `onEntry`. Nothing reaches
+ * `onVerified` or `onEntry` for a backup that was tampered with, truncated
+ * or opened with the wrong password.
+ * @param {string} filePath - absolute
+ * @param {Object} options
+ * @param {string} options.password
+ * @param {(meta: BackupMeta) => Promise<void>} [options.onVerified] - called
+ *   before the first entry
+ * @param {(entry: BackupEntry) => Promise<void>} options.onEntry
+ * @param {(progress: BackupProgress) => void} [options.onProgress]
+ * @returns {Promise<{ meta: BackupMeta, entryCount: number }>}
+ */
+export const readVaultBackup = async (
+  filePath,
+  { password, onVerified, onEntry, onProgress }
+) => {
+  if (!password) {
+    throw vaultError(ERROR_CODES.INVALID_INPUT, 'Backup password is required')
+  }
+
+  let handle
+  try {
+    handle = await fs.promises.open(filePath, 'r')
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw vaultError(ERROR_CODES.INVALID_INPUT, 'Backup file not found')
+    }
+    throw error
+  }
+
+  try {
+    const { header, offset } = await readHeader(handle)
+
+    const readPass = async (phase, onFrame) => {
+      const decryptor = createExportDecryptor(header.encryption, password)
+      const progress = createProgress(phase, header.entryCount, onProgress)
+      let meta = null
+      let end = null
+      let entryCount = 0
+
+      for await (const { head, file } of readFrames(
+        handle,
+        offset,
+        decryptor
+      )) {
+        if (end) throw invalidBackup()
+
+        if (!meta) {
+          if (!isValidMeta(head)) throw invalidBackup()
+          meta = head
+        } else if (head.end === true) {
+          end = head
+        } else if (
+          typeof head.key === 'string' &&
+          typeof head.value === 'string'
+        ) {
+          await onFrame?.({ key: head.key, value: head.value, file })
+          progress(++entryCount)
+        } else {
+          throw invalidBackup()
+        }
+      }
+
+      if (!end || end.entryCount !== entryCount) throw invalidBackup()
+
+      return { meta, entryCount }
+    }
+
+    const { meta } = await readPass(BACKUP_PHASE.VERIFY)
+    await onVerified?.(meta)
+
+    return await readPass(BACKUP_PHASE.RESTORE, onEntry)
+  } finally {
+    await handle.close()
+  }
+}
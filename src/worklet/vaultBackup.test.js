@@ -0,0 +1,180 @@
+import nodeFs from 'fs'
+import os from 'os'
+import nodePath from 'path'
+
+import sodium from 'sodium-native'
+
+import { readVaultBackup, writeVaultBackup } from './vaultBackup'
+import { ERROR_CODES } from '../constants/errorCodes'
+
+jest.mock('bare-fs', () => ({ __esModule: true, default: require('fs') }))
+jest.mock('bare-path', () => ({ __esModule: true, default: require('path') }))
+
+const KDF_PARAMS = {
+  opslimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+  memlimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+}
+
+const META = { vaultId: 'vault-1', vault: { name: 'Personal' }, mirrors: [] }
+
+const createInstance = (entries = {}) => {
+  const store = new Map(Object.entries(entries))
+
+  return {
+    store,
+    list: async () => ({
+      on: (event, callback) => {
+        if (event === 'data') {
+          ;[...store.keys()].forEach((key) => callback({ key }))
+        }
+        if (event === 'end') callback()
+      }
+    }),
+    get: async (key) => store.get(key) ?? null
+  }
+}
+
+const restoreAll = async (filePath, options = {}) => {
+  const entries = []
+  const result = await readVaultBackup(filePath, {
+    password: 'pw',
+    onEntry: async (entry) => entries.push(entry),
+    ...options
+  })
+  return { ...result, entries }
+}
+
+describe('vault backups', () => {
+  let dir
+  let filePath
+
+  beforeEach(() => {
+    dir = nodeFs.mkdtempSync(nodePath.join(os.tmpdir(), 'vault-backup-'))
+    filePath = nodePath.join(dir, 'backups', 'vault-1.ppbackup')
+  })
+
+  afterEach(() => {
+    nodeFs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  test('round-trips entries, files and metadata', async () => {
+    const file = Buffer.alloc(200 * 1024, 7)
+    const instance = createInstance({
+      'record/r1': { value: JSON.stringify({ id: 'r1', data: { otp: {} } }) },
+      'file-chunk/f1/00000000': { value: '{"index":0}', file },
+      'mirror-metadata': { value: '{"isDefault":true}' }
+    })
+    const writeProgress = []
+
+    const written = await writeVaultBackup(instance, filePath, {
+      password: 'pw',
+      kdfParams: KDF_PARAMS,
+      meta: { ...META, mirrors: ['mirror-key'] },
+      onProgress: (progress) => writeProgress.push(progress)
+    })
+
+    expect(written).toMatchObject({ entryCount: 3 })
+    expect(nodeFs.statSync(filePath).size).toBe(written.size)
+    expect(nodeFs.existsSync(filePath + '.tmp')).toBe(false)
+    expect(writeProgress.at(-1)).toEqual({
+      phase: 'write',
+      processed: 3,
+      total: 3
+    })
+
+    const phases = []
+    const onVerified = jest.fn()
+    const restored = await restoreAll(filePath, {
+      onVerified,
+      onProgress: ({ phase, processed }) => phases.push([phase, processed])
+    })
+
+    expect(restored.meta).toEqual({
+      ...META,
+      mirrors: ['mirror-key'],
+      createdAt: written.createdAt
+    })
+    expect(onVerified).toHaveBeenCalledWith(restored.meta)
+    expect(restored.entryCount).toBe(3)
+    expect(restored.entries.map(({ key }) => key)).toEqual([
+      ...instance.store.keys()
+    ])
+    expect(restored.entries[1].file.equals(file)).toBe(true)
+    expect(restored.entries[2].file).toBeUndefined()
+    expect(phases).toContainEqual(['verify', 3])
+    expect(phases.at(-1)).toEqual(['restore', 3])
+  })
+
+  test('refuses to replace an existing file without overwrite', async () => {
+    const instance = createInstance({ 'record/r1': { value: '{}' } })
+    nodeFs.mkdirSync(nodePath.dirname(filePath), { recursive: true })
+    nodeFs.writeFileSync(filePath, 'keep')
+
+    await expect(
+      writeVaultBackup(instance, filePath, {
+        password: 'pw',
+        kdfParams: KDF_PARAMS,
+        meta: META,
+        overwrite: false
+      })
+    ).rejects.toMatchObject({ code: ERROR_CODES.INVALID_INPUT })
+
+    expect(nodeFs.readFileSync(filePath, 'utf-8')).toBe('keep')
+    expect(nodeFs.existsSync(filePath + '.tmp')).toBe(false)
+  })
+
+  test('rejects a wrong password before handing out entries', async () => {
+    await writeVaultBackup(createInstance({ a: { value: '1' } }), filePath, {
+      password: 'pw',
+      kdfParams: KDF_PARAMS,
+      meta: META
+    })
+    const onVerified = jest.fn()
+
+    await expect(
+      restoreAll(filePath, { password: 'wrong', onVerified })
+    ).rejects.toMatchObject({ code: ERROR_CODES.BAD_PASSWORD })
+    expect(onVerified).not.toHaveBeenCalled()
+  })
+
+  test('rejects tampered and truncated backups', async () => {
+    const entries = {}
+    for (let i = 0; i < 20; i++) {
+      entries[`record/${i}`] = { value: 'x'.repeat(10 * 1024) }
+    }
+    await writeVaultBackup(createInstance(entries), filePath, {
+      password: 'pw',
+      kdfParams: KDF_PARAMS,
+      meta: META
+    })
+    const bytes = nodeFs.readFileSync(filePath)
+    const onEntry = jest.fn()
+
+    const tampered = Buffer.from(bytes)
+    tampered[tampered.length - 100] ^= 1
+    nodeFs.writeFileSync(filePath, tampered)
+    await expect(restoreAll(filePath, { onEntry })).rejects.toMatchObject({
+      code: ERROR_CODES.BAD_PASSWORD
+    })
+
+    nodeFs.writeFileSync(filePath, bytes.subarray(0, bytes.length - 70 * 1024))
+    await expect(restoreAll(filePath, { onEntry })).rejects.toMatchObject({
+      code: ERROR_CODES.BAD_PASSWORD
+    })
+    expect(onEntry).not.toHaveBeenCalled()
+  })
+
+  test('rejects files that are not backups', async () => {
+    nodeFs.mkdirSync(nodePath.dirname(filePath))
+    nodeFs.writeFileSync(filePath, 'not a backup')
+
+    await expect(restoreAll(filePath)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT,
+      message: 'Invalid or corrupted backup file'
+    })
+    await expect(restoreAll(`${filePath}.missing`)).rejects.toMatchObject({
+      code: ERROR_CODES.INVALID_INPUT,
+      message: 'Backup file not found'
+    })
+  })
+})